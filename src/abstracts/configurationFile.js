@@ -82,6 +82,29 @@ class ConfigurationFile {
      * @access protected
      */
     this._fileConfig = () => ({});
+    /**
+     * The path, from the list of `overwritePaths`, of the overwrite file that was loaded.
+     * @type {?string}
+     * @ignore
+     * @access protected
+     */
+    this._fileConfigPath = null;
+    /**
+     * While the configuration is being inspected, this will be the list of layers that modified
+     * it, on the order they were applied.
+     * @type {?Array<ConfigurationFileLayer>}
+     * @ignore
+     * @access protected
+     */
+    this._layers = null;
+    /**
+     * While the configuration is being inspected, this will be the configuration the current
+     * layers are being merged on top of: the configuration of the parent.
+     * @type {?Object}
+     * @ignore
+     * @access protected
+     */
+    this._layersBase = null;
   }
   /**
    * This method will be called the first time `getConfig` gets called (or every time, depending on
@@ -110,15 +133,41 @@ class ConfigurationFile {
    */
   getConfig(...args) {
     if (!this._config || this.asFactory) {
-      this._loadConfig(...args);
+      this._config = this._loadConfig(...args);
     }
 
     return this._config;
   }
+  /**
+   * Creates the configuration, like `getConfig`, but it also returns a list with snapshots of
+   * the configuration after each one of the layers that modified it was applied: the parent
+   * configuration, the service itself, the reducer events it used and the overwrite file.
+   * The configuration is always created again, even if `asFactory` was set to `false`, but it
+   * doesn't replace the one `getConfig` returns.
+   * @param  {Array} args A list of parameters for the service to use when creating the
+   *                      configuration
+   * @return {ConfigurationFileInspection}
+   */
+  inspectConfig(...args) {
+    this._layers = [];
+    let result;
+    try {
+      result = {
+        config: this._loadConfig(...args),
+        layers: this._layers,
+      };
+    } finally {
+      this._layers = null;
+      this._layersBase = null;
+    }
+
+    return result;
+  }
   /**
    * This is the real method that creates the configuration.
    * @param  {Array} args A list of parameters for the service to use when creating the
    *                      configuration
+   * @return {Object}
    * @ignore
    * @access protected
    */
@@ -138,18 +187,105 @@ class ConfigurationFile {
        * Get its configuration by calling its `getConfig` method with the same parameters this
        * method received.
        */
-      parentConfig = this.parentConfig.getConfig(...args);
+      parentConfig = this._layers ?
+        this._inspectParentConfig(...args) :
+        this.parentConfig.getConfig(...args);
     }
     // Define the current configuration using the parent one.
     let currentConfig = extend(true, {}, parentConfig);
+    this._layersBase = currentConfig;
     // Create a new set of arguments by adding the current configuration at the end.
     let currentArgs = [...args, currentConfig];
     // Update the current configuration by calling `createConfig` with the new arguments.
     currentConfig = extend(true, {}, currentConfig, this.createConfig(...currentArgs));
+    this._trackLayer(this.constructor.name, 'configuration', currentConfig);
     // Update the arguments with the "new current configuration".
     currentArgs = [...args, currentConfig];
     // Finally, call the method for the overwrite file and merge everything together.
-    this._config = extend(true, {}, currentConfig, this._fileConfig(...currentArgs));
+    const config = extend(true, {}, currentConfig, this._fileConfig(...currentArgs));
+    if (this._fileConfigPath) {
+      this._trackLayer(this._fileConfigPath, 'file', config);
+    }
+
+    return config;
+  }
+  /**
+   * Gets the configuration of the parent while the configuration is being inspected. If the
+   * parent can be inspected too, its layers will be added to the list, otherwise, the parent
+   * will be added as a single layer.
+   * @param  {Array} args A list of parameters for the parent to use when creating the
+   *                      configuration
+   * @return {Object}
+   * @ignore
+   * @access protected
+   */
+  _inspectParentConfig(...args) {
+    let result;
+    if (typeof this.parentConfig.inspectConfig === 'function') {
+      const { config, layers } = this.parentConfig.inspectConfig(...args);
+      this._layers.push(...layers);
+      result = config;
+    } else {
+      result = this.parentConfig.getConfig(...args);
+      this._layers.push({
+        name: this.parentConfig.constructor.name,
+        type: 'configuration',
+        config: extend(true, {}, result),
+      });
+    }
+
+    return result;
+  }
+  /**
+   * Reduces a configuration using a list of reducer events. This should be used by the
+   * implementations of `createConfig` instead of calling `reduce` on the events service
+   * directly, so when the configuration is being inspected, each event will be registered as a
+   * different layer.
+   * @param {Events}        events     The service that will emit the events.
+   * @param {Array<string>} eventNames The list of events to reduce the configuration with.
+   * @param {Object}        config     The configuration to reduce.
+   * @param {Array}         args       Extra parameters for the events listeners.
+   * @return {Object}
+   * @ignore
+   * @access protected
+   */
+  _reduceConfig(events, eventNames, config, ...args) {
+    let result;
+    if (this._layers) {
+      this._trackLayer(this.constructor.name, 'configuration', config);
+      result = eventNames.reduce(
+        (current, eventName) => {
+          const reduced = events.reduce(eventName, current, ...args);
+          this._trackLayer(eventName, 'event', reduced);
+          return reduced;
+        },
+        config
+      );
+    } else {
+      result = events.reduce(eventNames, config, ...args);
+    }
+
+    return result;
+  }
+  /**
+   * Adds a layer to the list of layers that modified the configuration. The layer
+   * configuration will be merged on top of the parent configuration, the same way
+   * `_loadConfig` does it. If the configuration is not being inspected, this method won't do
+   * anything.
+   * @param {string} name   The name of the layer.
+   * @param {string} type   The type of layer: `configuration`, `event` or `file`.
+   * @param {Object} config The configuration after the layer was applied.
+   * @ignore
+   * @access protected
+   */
+  _trackLayer(name, type, config) {
+    if (this._layers) {
+      this._layers.push({
+        name,
+        type,
+        config: extend(true, {}, this._layersBase, config),
+      });
+    }
   }
   /**
    * Load the configuration from an overwrite file.
@@ -157,11 +293,12 @@ class ConfigurationFile {
    * @access protected
    */
   _loadConfigFromFile() {
-    const filepath = this.overwritePaths
-    .map((overwrite) => this.pathUtils.join(overwrite))
-    .find((overwrite) => fs.pathExistsSync(overwrite));
+    const overwritePath = this.overwritePaths
+    .find((overwrite) => fs.pathExistsSync(this.pathUtils.join(overwrite)));
     // If there's a file...
-    if (filepath) {
+    if (overwritePath) {
+      const filepath = this.pathUtils.join(overwritePath);
+      this._fileConfigPath = overwritePath;
       // ...require it
       // eslint-disable-next-line global-require, import/no-dynamic-require
       const overwriteContents = require(filepath);
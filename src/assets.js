@@ -0,0 +1,174 @@
+const path = require('path');
+const fs = require('fs-extra');
+const ObjectUtils = require('wootils/shared/objectUtils');
+/**
+ * A helper for Node targets that render the HTML of a browser target: it reads the assets
+ * manifest the browser target generates (`assetsManifest` setting) and creates the tags to load
+ * the files of an entry, so the templates don't need to know the names of the files.
+ * On production, the manifest is read from the file system, and on development, it's read from
+ * the file system of the dev middleware.
+ * @example
+ * // Production
+ * const assets = new WebpackAssets({ directory: path.join(__dirname, 'public') });
+ * // Development
+ * const { getDirectory, getFileSystem } = useExpress(app, 'myApp', 'myServer');
+ * const assets = new WebpackAssets({ directory: getDirectory, getFileSystem });
+ * // Generating the tags
+ * assets.getTags('myApp').then(({ styles, scripts }) => ...);
+ */
+class WebpackAssets {
+  /**
+   * @param {WebpackAssetsOptions} [options={}] The settings to find and read the manifest.
+   */
+  constructor(options = {}) {
+    /**
+     * The settings to find and read the manifest.
+     * @type {WebpackAssetsOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        crossorigin: 'anonymous',
+        directory: '',
+        filename: 'manifest.json',
+        getFileSystem: null,
+      },
+      options
+    );
+    /**
+     * The promise of the manifest read from the file system, so it's only read once. On
+     * development, the manifest is read every time, as it changes with each compilation.
+     * @type {?Promise<ProjextWebpackAssetsManifestInfo,Error>}
+     * @access protected
+     * @ignore
+     */
+    this._manifest = null;
+  }
+  /**
+   * Gets the assets manifest.
+   * @return {Promise<ProjextWebpackAssetsManifestInfo,Error>}
+   */
+  getManifest() {
+    let result;
+    if (this._options.getFileSystem) {
+      result = this._readFromMiddleware();
+    } else {
+      if (!this._manifest) {
+        this._manifest = fs.readJson(this._getPath())
+        .catch((error) => {
+          // Remove the promise so the next call will try to read the manifest again.
+          this._manifest = null;
+          throw error;
+        });
+      }
+
+      result = this._manifest;
+    }
+
+    return result;
+  }
+  /**
+   * Gets the URLs of the files of an entry, separated by type.
+   * @param {string} entry The name of the entry.
+   * @return {Promise<WebpackAssetsEntryFiles,Error>} If the entry is not on the manifest, the
+   *                                                  promise will be rejected.
+   */
+  getFiles(entry) {
+    return this.getManifest()
+    .then((manifest) => {
+      const files = this._getEntryFiles(manifest, entry);
+      return {
+        js: files.js.map((file) => `${manifest.publicPath}${file}`),
+        css: files.css.map((file) => `${manifest.publicPath}${file}`),
+      };
+    });
+  }
+  /**
+   * Generates the HTML tags to load the files of an entry: the styles, for the `head`, and the
+   * scripts, for the `body`. If the manifest has integrity hashes, the tags will also have the
+   * `integrity` and `crossorigin` attributes.
+   * @param {string} entry The name of the entry.
+   * @return {Promise<WebpackAssetsEntryTags,Error>} If the entry is not on the manifest, the
+   *                                                 promise will be rejected.
+   */
+  getTags(entry) {
+    return this.getManifest()
+    .then((manifest) => {
+      const files = this._getEntryFiles(manifest, entry);
+      const getAttributes = (file, urlAttribute) => {
+        const attributes = [`${urlAttribute}="${manifest.publicPath}${file}"`];
+        if (manifest.integrity && manifest.integrity[file]) {
+          attributes.push(
+            `integrity="${manifest.integrity[file]}"`,
+            `crossorigin="${this._options.crossorigin}"`
+          );
+        }
+
+        return attributes.join(' ');
+      };
+
+      return {
+        styles: files.css
+        .map((file) => `<link rel="stylesheet" ${getAttributes(file, 'href')}>`)
+        .join('\n'),
+        scripts: files.js
+        .map((file) => `<script ${getAttributes(file, 'src')}></script>`)
+        .join('\n'),
+      };
+    });
+  }
+  /**
+   * Gets the JS and CSS files of an entry from the manifest.
+   * @param {ProjextWebpackAssetsManifestInfo} manifest The assets manifest.
+   * @param {string}                           entry    The name of the entry.
+   * @return {Object} A dictionary with the lists of `js` and `css` files.
+   * @throws {Error} If the entry is not on the manifest.
+   * @access protected
+   * @ignore
+   */
+  _getEntryFiles(manifest, entry) {
+    const files = manifest.entries[entry];
+    if (!files) {
+      throw new Error(`The entry '${entry}' doesn't exist on the assets manifest`);
+    }
+
+    return {
+      js: files.filter((file) => /\.js$/i.test(file)),
+      css: files.filter((file) => /\.css$/i.test(file)),
+    };
+  }
+  /**
+   * Reads the manifest from the file system of the dev middleware.
+   * @return {Promise<ProjextWebpackAssetsManifestInfo,Error>}
+   * @access protected
+   * @ignore
+   */
+  _readFromMiddleware() {
+    return this._options.getFileSystem()
+    .then((fileSystem) => new Promise((resolve, reject) => {
+      fileSystem.readFile(this._getPath(), 'utf-8', (error, data) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(JSON.parse(data));
+        }
+      });
+    }));
+  }
+  /**
+   * Generates the path to the manifest.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _getPath() {
+    const { directory, filename } = this._options;
+    return path.join(
+      typeof directory === 'function' ? directory() : directory,
+      filename
+    );
+  }
+}
+
+module.exports = WebpackAssets;
@@ -0,0 +1,64 @@
+const projext = require('projext/index');
+/**
+ * The instructions that get logged when the command receives invalid arguments.
+ * @type {string}
+ * @ignore
+ */
+const usage = [
+  'Usage:',
+  '  projext-webpack-diff [target] [buildTypeA] [buildTypeB] [--fail]',
+  '  projext-webpack-diff [target] [buildType] --snapshot [file] [--fail]',
+  '  projext-webpack-diff [target] [buildType] --save [file]',
+].join('\n');
+/**
+ * The flag that makes the command exit with an error code when there are differences.
+ * @type {string}
+ * @ignore
+ */
+const failFlag = '--fail';
+/**
+ * Compares the webpack configuration of a target between two build types, or between a build
+ * type and a saved snapshot; or saves a new snapshot.
+ * @example
+ * // Compare the development and production configurations.
+ * diffConfigurations(['myApp', 'development', 'production']);
+ * // Save a snapshot of the production configuration.
+ * diffConfigurations(['myApp', 'production', '--save', 'myApp.production.json']);
+ * // Compare the production configuration with a snapshot, and fail if there are differences.
+ * diffConfigurations(['myApp', 'production', '--snapshot', 'myApp.production.json', '--fail']);
+ * @param {Array<string>} args The arguments received by the command.
+ * @return {number} The exit code for the command: `1` if there were differences and the
+ *                  `--fail` flag was used, `0` otherwise.
+ * @throws {Error} If the arguments are invalid.
+ */
+const diffConfigurations = (args) => {
+  const fail = args.includes(failFlag);
+  const [
+    targetName,
+    buildType,
+    option,
+    value,
+  ] = args.filter((arg) => arg !== failFlag);
+  if (!targetName || !buildType || !option || (option.startsWith('--') && !value)) {
+    throw new Error(usage);
+  }
+
+  const target = projext.get('targets').getTarget(targetName);
+  const webpackConfigurationDiff = projext.get('webpackConfigurationDiff');
+  let differences;
+  if (option === '--save') {
+    webpackConfigurationDiff.saveSnapshot(target, buildType, value);
+    projext.get('appLogger').success(`The snapshot for '${targetName}' was saved on ${value}`);
+    differences = [];
+  } else if (option === '--snapshot') {
+    differences = webpackConfigurationDiff.diffSnapshot(target, buildType, value);
+  } else if (option.startsWith('--')) {
+    throw new Error(usage);
+  } else {
+    differences = webpackConfigurationDiff.diffBuildTypes(target, buildType, option);
+  }
+
+  return fail && differences.length ? 1 : 0;
+};
+
+module.exports = diffConfigurations;
@@ -1,6 +1,9 @@
 const {
+  webpackBuildTypes,
   webpackConfiguration,
+  webpackConfigurationDiff,
   webpackBuildEngine,
+  webpackBuildManifest,
 } = require('./services/building');
 
 const {
@@ -10,6 +13,12 @@ const {
   webpackRulesConfiguration,
   webpackNodeDevelopmentConfiguration,
   webpackNodeProductionConfiguration,
+  webpackElectronMainDevelopmentConfiguration,
+  webpackElectronMainProductionConfiguration,
+  webpackElectronRendererDevelopmentConfiguration,
+  webpackElectronRendererProductionConfiguration,
+  webpackWebworkerDevelopmentConfiguration,
+  webpackWebworkerProductionConfiguration,
 } = require('./services/configurations');
 
 const {
@@ -37,11 +46,15 @@ const loadPlugin = (app) => {
     external: [
       'express',
       'jimpex',
+      'assets',
     ],
   }));
   // Register the main services of the build engine.
+  app.register(webpackBuildTypes);
   app.register(webpackConfiguration);
+  app.register(webpackConfigurationDiff);
   app.register(webpackBuildEngine);
+  app.register(webpackBuildManifest);
 
   // Register the services for building the targets configurations.
   app.register(webpackBaseConfiguration);
@@ -50,6 +63,12 @@ const loadPlugin = (app) => {
   app.register(webpackRulesConfiguration);
   app.register(webpackNodeDevelopmentConfiguration);
   app.register(webpackNodeProductionConfiguration);
+  app.register(webpackElectronMainDevelopmentConfiguration);
+  app.register(webpackElectronMainProductionConfiguration);
+  app.register(webpackElectronRendererDevelopmentConfiguration);
+  app.register(webpackElectronRendererProductionConfiguration);
+  app.register(webpackWebworkerDevelopmentConfiguration);
+  app.register(webpackWebworkerProductionConfiguration);
 
   // Register the service for server integration.
   app.register(webpackMiddlewares);
@@ -0,0 +1,139 @@
+const path = require('path');
+const { RawSource } = require('webpack-sources');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * The number of spaces used to indent the manifest JSON.
+ * @type {number}
+ * @ignore
+ */
+const INDENTATION = 2;
+/**
+ * This is a webpack plugin that generates a manifest with the files webpack emitted for each
+ * entry and chunk, and for each asset (fonts and images) the files the bundle imports, so an
+ * application can find the files even if their names have hashes.
+ * The manifest is saved as JSON on the build directory.
+ */
+class ProjextWebpackAssetsManifest {
+  /**
+   * @param {ProjextWebpackAssetsManifestOptions} [options={}] Settings to customize the plugin
+   *                                                           behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackAssetsManifestOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        filename: 'manifest.json',
+        integrity: null,
+        name: 'projext-webpack-plugin-assets-manifest',
+      },
+      options
+    );
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackAssetsManifestOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to add the manifest before the assets get emitted.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.emit.tap(this._options.name, this._onEmit.bind(this));
+  }
+  /**
+   * Generates the manifest for a compilation. The paths of the files are relative to the build
+   * directory, the paths of the original assets are relative to the project directory, and source
+   * maps are not included. If the plugin has the `integrity` option, the manifest will also
+   * include the integrity hashes of the JS and CSS files. All the dictionaries have their keys
+   * sorted, so the manifest doesn't change between builds if the files don't change.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {ProjextWebpackAssetsManifestInfo}
+   */
+  createManifest(compilation) {
+    const filterFiles = (files) => files.filter((file) => !/\.map$/i.test(file));
+    const entries = Array.from(compilation.entrypoints.keys()).reduce(
+      (current, entry) => Object.assign({}, current, {
+        [entry]: filterFiles(compilation.entrypoints.get(entry).getFiles()),
+      }),
+      {}
+    );
+    const chunks = Array.from(compilation.chunks).reduce(
+      (current, chunk) => Object.assign({}, current, {
+        [chunk.name || String(chunk.id)]: filterFiles(chunk.files),
+      }),
+      {}
+    );
+    const assets = {};
+    ProjextWebpackUtils.getModules(Array.from(compilation.modules))
+    .filter((module) => module.resource && module.buildInfo && module.buildInfo.assets)
+    .forEach((module) => {
+      const name = path
+      .relative(compilation.compiler.context, module.resource)
+      .replace(/\\/g, '/');
+      Object.keys(module.buildInfo.assets).forEach((file) => {
+        assets[name] = file;
+      });
+    });
+
+    const manifest = {
+      publicPath: compilation.outputOptions.publicPath || '',
+      entries: ProjextWebpackUtils.sortKeys(entries),
+      chunks: ProjextWebpackUtils.sortKeys(chunks),
+      assets: ProjextWebpackUtils.sortKeys(assets),
+    };
+    if (this._options.integrity) {
+      manifest.integrity = this._getIntegrity(compilation, chunks);
+    }
+
+    return manifest;
+  }
+  /**
+   * This is called by webpack before the assets get emitted. The method generates the manifest
+   * and adds it to the assets of the compilation.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _onEmit(compilation) {
+    const manifest = this.createManifest(compilation);
+    compilation.emitAsset(
+      this._options.filename,
+      new RawSource(JSON.stringify(manifest, null, INDENTATION))
+    );
+  }
+  /**
+   * Generates a dictionary with the integrity hashes of the JS and CSS files of the chunks.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} chunks      The dictionary with the files of each chunk.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getIntegrity(compilation, chunks) {
+    const integrity = {};
+    Object.keys(chunks).forEach((chunk) => {
+      chunks[chunk]
+      .filter((file) => /\.(?:js|css)$/i.test(file) && compilation.assets[file])
+      .forEach((file) => {
+        integrity[file] = ProjextWebpackUtils.createIntegrity(
+          compilation.assets[file].source(),
+          this._options.integrity
+        );
+      });
+    });
+
+    return ProjextWebpackUtils.sortKeys(integrity);
+  }
+}
+
+module.exports = ProjextWebpackAssetsManifest;
@@ -0,0 +1,235 @@
+const zlib = require('zlib');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * The number of bytes on a kilobyte, to parse and format the sizes.
+ * @type {number}
+ * @ignore
+ */
+const KB = 1024;
+/**
+ * The number of decimals used to format the sizes.
+ * @type {number}
+ * @ignore
+ */
+const DECIMALS = 2;
+/**
+ * This is a webpack plugin that validates the size of the assets against a set of limits
+ * (budgets) and, if they are exceeded, it adds an error or a warning to the compilation and logs
+ * a table with the offending assets.
+ * The validation runs after the assets are optimized and before they get emitted, so when a
+ * budget fails the compilation, the assets are not emitted.
+ */
+class ProjextWebpackBudgets {
+  /**
+   * @param {ProjextWebpackBudgetsOptions} [options={}] Settings to customize the plugin
+   *                                                    behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackBudgetsOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        entry: null,
+        chunk: null,
+        js: null,
+        css: null,
+        gzip: null,
+        fail: true,
+        name: 'projext-webpack-plugin-budgets',
+        logger: null,
+      },
+      options
+    );
+    /**
+     * The limits of the budgets, in bytes.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._limits = ['entry', 'chunk', 'js', 'css', 'gzip'].reduce(
+      (limits, budget) => Object.assign({}, limits, {
+        [budget]: this._parseSize(this._options[budget]),
+      }),
+      {}
+    );
+    /**
+     * A logger to output the offending assets.
+     * @type {Logger}
+     * @access protected
+     * @ignore
+     */
+    this._logger = ProjextWebpackUtils.createLogger(this._options.name, this._options.logger);
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackBudgetsOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to validate the assets before they get emitted.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.shouldEmit.tap(this._options.name, this._onShouldEmit.bind(this));
+  }
+  /**
+   * Validates the assets against the budgets and returns the list of the ones that exceeded
+   * their limits.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {Array<ProjextWebpackBudgetsViolation>}
+   */
+  validate(compilation) {
+    const sizes = Object.keys(compilation.assets)
+    .filter((asset) => /\.(?:js|css)$/i.test(asset))
+    .reduce(
+      (current, asset) => Object.assign({}, current, {
+        [asset]: compilation.assets[asset].size(),
+      }),
+      {}
+    );
+    const assets = Object.keys(sizes);
+    const jsAssets = assets.filter((asset) => asset.match(/\.js$/i));
+    const cssAssets = assets.filter((asset) => asset.match(/\.css$/i));
+    const sum = (list, getSize = (asset) => sizes[asset]) => list.reduce(
+      (total, asset) => total + getSize(asset),
+      0
+    );
+    const violations = [];
+    const check = (budget, name, size) => {
+      const limit = this._limits[budget];
+      if (limit !== null && size > limit) {
+        violations.push({
+          budget,
+          name,
+          size,
+          limit,
+        });
+      }
+    };
+
+    Array.from(compilation.entrypoints.keys()).forEach((entry) => {
+      const files = compilation.entrypoints.get(entry).getFiles()
+      .filter((file) => typeof sizes[file] !== 'undefined');
+      check('entry', entry, sum(files));
+    });
+    jsAssets.forEach((asset) => check('chunk', asset, sizes[asset]));
+    check('js', 'Total JS', sum(jsAssets));
+    check('css', 'Total CSS', sum(cssAssets));
+    if (this._limits.gzip !== null) {
+      check(
+        'gzip',
+        'Total gzip',
+        sum(assets, (asset) => zlib.gzipSync(compilation.assets[asset].source()).length)
+      );
+    }
+
+    return violations;
+  }
+  /**
+   * This is called by webpack when it needs to know if the assets should be emitted. If there
+   * are budgets violations, the method adds an error or a warning to the compilation and logs
+   * them; and if the plugin should fail the compilation, it tells webpack to not emit the
+   * assets.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {?boolean} `false` if the assets shouldn't be emitted, `undefined` to let webpack
+   *                    (or other plugins) decide.
+   * @access protected
+   * @ignore
+   */
+  _onShouldEmit(compilation) {
+    let result;
+    const violations = this.validate(compilation);
+    if (violations.length) {
+      const message = `${violations.length} asset(s) exceeded the performance budgets`;
+      const table = this._createTable(violations);
+      if (this._options.fail) {
+        compilation.errors.push(new Error(message));
+        this._logger.error([`${message}:`, ...table]);
+        result = false;
+      } else {
+        compilation.warnings.push(new Error(message));
+        this._logger.warning([`${message}:`, ...table]);
+      }
+    }
+
+    return result;
+  }
+  /**
+   * Generates the lines of a table with the information of the budgets violations.
+   * @param {Array<ProjextWebpackBudgetsViolation>} violations The list of violations.
+   * @return {Array<string>}
+   * @access protected
+   * @ignore
+   */
+  _createTable(violations) {
+    const rows = [
+      ['Budget', 'Asset', 'Size', 'Limit'],
+      ...violations.map((violation) => [
+        violation.budget,
+        violation.name,
+        this._formatSize(violation.size),
+        this._formatSize(violation.limit),
+      ]),
+    ];
+    const widths = rows[0].map((column, index) => Math.max(
+      ...rows.map((row) => row[index].length)
+    ));
+
+    return rows.map((row) => row
+    .map((column, index) => column.padEnd(widths[index]))
+    .join(' | ')
+    .trim());
+  }
+  /**
+   * Parses a budget limit into bytes. The limit can be a number of bytes or a string with a
+   * unit: `b`, `kb` or `mb`.
+   * @param {?(number|string)} size The limit to parse.
+   * @return {?number} If the limit was not defined, it will return `null`.
+   * @throws {Error} If the limit is not a valid size.
+   * @access protected
+   * @ignore
+   */
+  _parseSize(size) {
+    let result;
+    if (size === null || typeof size === 'undefined') {
+      result = null;
+    } else if (typeof size === 'number') {
+      result = size;
+    } else {
+      const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+      if (!match) {
+        throw new Error(`${this._options.name}: Invalid budget size: ${size}`);
+      }
+
+      const [, value, unit = 'b'] = match;
+      const multipliers = {
+        b: 1,
+        kb: KB,
+        mb: KB * KB,
+      };
+      result = Math.round(Number(value) * multipliers[unit.toLowerCase()]);
+    }
+
+    return result;
+  }
+  /**
+   * Formats a number of bytes into kilobytes.
+   * @param {number} size The number of bytes.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _formatSize(size) {
+    return `${(size / KB).toFixed(DECIMALS)} KB`;
+  }
+}
+
+module.exports = ProjextWebpackBudgets;
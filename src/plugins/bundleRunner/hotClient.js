@@ -0,0 +1,51 @@
+const { HOT_UPDATE_MESSAGE, HOT_RESTART_MESSAGE } = require('./messages');
+/**
+ * Listens for the messages the bundle runner sends to the process of a Node bundle and applies
+ * the updates without restarting it: The modules that accept the updates are replaced on the
+ * running process, but if an update reaches the entry without being accepted, or it fails, the
+ * client asks the runner to restart the bundle.
+ * @param {?Object} hot              The HMR API of the bundle (`module.hot`).
+ * @param {Object}  proc             The process of the bundle, to receive and send the messages.
+ * @param {Object}  [logger=console] To log the modules that were updated and the reasons for
+ *                                   restarting the bundle.
+ */
+const createHotClient = (hot, proc, logger = console) => {
+  if (hot) {
+    // Whether or not an update was received while another one was being applied.
+    let pending = false;
+    const restart = (reason) => {
+      logger.warn(`[HMR] ${reason}, restarting the bundle`);
+      proc.send({ type: HOT_RESTART_MESSAGE });
+    };
+    const check = () => hot.check()
+    .then((updatedModules) => (updatedModules ? hot.apply() : null))
+    .then((renewedModules) => {
+      if (renewedModules && renewedModules.length) {
+        logger.log(`[HMR] Updated modules: ${renewedModules.join(', ')}`);
+      }
+
+      let next = null;
+      if (pending) {
+        pending = false;
+        next = check();
+      }
+
+      return next;
+    })
+    .catch((error) => restart(error.message));
+
+    proc.on('message', (message) => {
+      if (message && message.type === HOT_UPDATE_MESSAGE) {
+        if (hot.status() === 'idle') {
+          check();
+        } else {
+          pending = true;
+        }
+      }
+    });
+  }
+};
+
+module.exports = {
+  createHotClient,
+};
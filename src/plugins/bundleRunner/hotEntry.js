@@ -0,0 +1,9 @@
+const { createHotClient } = require('./hotClient');
+/**
+ * This file is added on top of the entries of a Node bundle that uses hot replacement, so the
+ * HMR client starts with the HMR API of the bundle. If HMR is not enabled, the client doesn't do
+ * anything.
+ * It's kept apart from the client so the bundle runner can use the messages without starting a
+ * client on its own process.
+ */
+createHotClient(module.hot, process);
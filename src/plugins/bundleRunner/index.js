@@ -2,8 +2,12 @@ const path = require('path');
 const { fork } = require('child_process');
 const extend = require('extend');
 const ProjextWebpackUtils = require('../utils');
+const { HOT_UPDATE_MESSAGE, HOT_RESTART_MESSAGE } = require('./messages');
 /**
  * This is a webpack plugin that executes a Node bundle when it finishes compiling.
+ * By default, it restarts the bundle every time it gets compiled again, but if the `hot` option
+ * is enabled, it keeps the process running and lets it know there's an update, so the bundle
+ * HMR client can apply it.
  */
 class ProjextWebpackBundleRunner {
   /**
@@ -23,6 +27,8 @@ class ProjextWebpackBundleRunner {
         entry: null,
         name: 'projext-webpack-plugin-bundle-runner',
         logger: null,
+        execPath: null,
+        hot: false,
         inspect: {
           enabled: false,
           host: '0.0.0.0',
@@ -91,13 +97,19 @@ class ProjextWebpackBundleRunner {
     compiler.hooks.done.tap(name, this._onCompilationEnds.bind(this));
   }
   /**
-   * Generates the options for the `fork` function by evluating the inspect options.
+   * Generates the options for the `fork` function by evluating the custom executable and the
+   * inspect options.
    * @return {Object}
    * @access protected
    * @ignore
    */
   _createForkOptions() {
     const result = {};
+    // If a custom executable was specified (like Electron), use it instead of Node.
+    if (this._options.execPath) {
+      result.execPath = this._options.execPath;
+    }
+
     const {
       enabled,
       host,
@@ -191,13 +203,14 @@ class ProjextWebpackBundleRunner {
   }
   /**
    * This is called by webpack when it starts compiling the bundle. If there's a child process
-   * running for the bundle, it will stop it and delete the reference.
+   * running for the bundle, and the plugin is not on HMR mode, it will stop it and delete the
+   * reference.
    * @access protected
    * @ignore
    */
   _onCompilationStarts() {
-    // Make sure the child process is running.
-    if (this._instance) {
+    // Make sure the child process is running and it won't receive the update.
+    if (this._instance && !this._options.hot) {
       // Prevent the output from being added on the same line as webpack messages.
       setTimeout(() => {
         this._logger.info('Stopping the bundle execution');
@@ -210,21 +223,67 @@ class ProjextWebpackBundleRunner {
   }
   /**
    * This is called by webpack when it finishes compiling the bundle. If an entry was selected
-   * on the assets hook, and there's no child process already running, fork a new one.
+   * on the assets hook, and there's no child process already running, fork a new one; but if
+   * the process is running and the plugin is on HMR mode, it will send it the update message.
    * @access protected
    * @ignore
    */
   _onCompilationEnds() {
     // Make sure an entry was selected and there's no child process already running.
     if (this._options.entry && !this._instance) {
-      // Fork a new instance of the bundle.
-      this._instance = fork(this._entryPath, [], this._forkOptions);
+      this._startBundle();
+    } else if (this._instance && this._options.hot) {
+      // Let the HMR client on the bundle know that there's an update.
+      this._instance.send({ type: HOT_UPDATE_MESSAGE });
       // Prevent the output from being added on the same line as webpack messages.
       setTimeout(() => {
-        this._logger.success('Starting the bundle execution');
+        this._logger.info('Sending the update to the bundle');
       }, 1);
     }
   }
+  /**
+   * Forks a new instance of the bundle. If the plugin is on HMR mode, it also listens for the
+   * messages of the bundle HMR client, in case it needs to be restarted, and removes the
+   * reference of the process if it exits, so it can be started again with the next update.
+   * @access protected
+   * @ignore
+   */
+  _startBundle() {
+    // Fork a new instance of the bundle.
+    const instance = fork(this._entryPath, [], this._forkOptions);
+    this._instance = instance;
+    if (this._options.hot) {
+      instance.on('message', (message) => {
+        if (this._instance === instance && message && message.type === HOT_RESTART_MESSAGE) {
+          this._restartBundle();
+        }
+      });
+      instance.on('exit', () => {
+        if (this._instance === instance) {
+          this._instance = null;
+        }
+      });
+    }
+    // Prevent the output from being added on the same line as webpack messages.
+    setTimeout(() => {
+      this._logger.success('Starting the bundle execution');
+    }, 1);
+  }
+  /**
+   * This is called when the bundle HMR client can't apply an update. The method stops the
+   * current instance of the bundle and forks a new one.
+   * @access protected
+   * @ignore
+   */
+  _restartBundle() {
+    // Prevent the output from being added on the same line as webpack messages.
+    setTimeout(() => {
+      this._logger.info('The update couldn\'t be applied, restarting the bundle execution');
+    }, 1);
+    // Kill the child process and fork a new one.
+    this._instance.kill();
+    this._startBundle();
+  }
   /**
    * This is called during the assets hook event if no entry was specified and there's more than
    * one, or if the specified entry wasn't found. The method logs the list of available entries
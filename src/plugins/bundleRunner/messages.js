@@ -0,0 +1,17 @@
+/**
+ * The type of the message the bundle runner sends to the process of the bundle when there's an
+ * update to apply.
+ * @type {string}
+ */
+const HOT_UPDATE_MESSAGE = 'projext-webpack-hot-update';
+/**
+ * The type of the message the process of the bundle sends to the bundle runner when an update
+ * can't be applied and the bundle needs to be restarted.
+ * @type {string}
+ */
+const HOT_RESTART_MESSAGE = 'projext-webpack-hot-restart';
+
+module.exports = {
+  HOT_UPDATE_MESSAGE,
+  HOT_RESTART_MESSAGE,
+};
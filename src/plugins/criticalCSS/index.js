@@ -0,0 +1,174 @@
+const cheerio = require('cheerio');
+const postcss = require('postcss');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * This is a webpack plugin that inlines the critical CSS of the HTML files the `HtmlWebpackPlugin`
+ * generates: For each stylesheet of the compilation the HTML file loads, it finds the rules with
+ * selectors that match elements of the file and adds them on a `style` tag; then it updates the
+ * `link` tag so the stylesheet is loaded asynchronously, without blocking the first render.
+ * The CSS is calculated during the build, without a browser, so all the rules the HTML uses are
+ * considered critical.
+ */
+class ProjextWebpackCriticalCSS {
+  /**
+   * @param {ProjextWebpackCriticalCSSOptions} [options={}] Settings to customize the plugin
+   *                                                        behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackCriticalCSSOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        noscript: true,
+        name: 'projext-webpack-plugin-critical-css',
+      },
+      options
+    );
+    /**
+     * The list of at-rules that contain other rules, and that can be removed if none of their
+     * rules is critical.
+     * @type {Array<string>}
+     * @access protected
+     * @ignore
+     */
+    this._containerAtRules = ['media', 'supports', 'document'];
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackCriticalCSSOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to update the HTML before the HTML plugin emits the files.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(this._options.name, (compilation) => {
+      HtmlWebpackPlugin.getHooks(compilation).beforeEmit.tap(
+        this._options.name,
+        (data) => this._inlineCriticalCSS(compilation, data)
+      );
+    });
+  }
+  /**
+   * This is called by the HTML plugin before it emits a file. The method finds the stylesheets of
+   * the compilation the file loads, adds their critical CSS on a `style` tag before the first one,
+   * and changes their `link` tags so they get loaded asynchronously.
+   * The code is only parsed to query the elements, the tags are updated on the original code so
+   * the rest of the file doesn't change.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} data        The information of the HTML file, with its code.
+   * @return {Object} The updated information for the HTML plugin.
+   * @access protected
+   * @ignore
+   */
+  _inlineCriticalCSS(compilation, data) {
+    const links = (data.html.match(/<link\b[^>]*>/gi) || [])
+    .filter((tag) => /\srel=["']?stylesheet\b/i.test(tag))
+    .map((tag) => {
+      const [, href = ''] = /\shref=["']?([^"'\s>]+)/i.exec(tag) || [];
+      return {
+        tag,
+        file: ProjextWebpackUtils.getFileFromURL(compilation, href),
+      };
+    })
+    .filter(({ file }) => compilation.assets[file]);
+
+    let result;
+    if (links.length) {
+      const $ = cheerio.load(data.html);
+      const css = links
+      .map(({ file }) => this._getCriticalCSS($, compilation.assets[file].source().toString()))
+      .join('');
+      const html = links.reduce(
+        (current, { tag }, index) => {
+          const style = index === 0 && css ? `<style>${css}</style>` : '';
+          const asyncTag = tag.replace(/\s*\/?>$/, ' media="print" onload="this.media=\'all\'">');
+          const noscript = this._options.noscript ? `<noscript>${tag}</noscript>` : '';
+          return current.replace(tag, `${style}${asyncTag}${noscript}`);
+        },
+        data.html
+      );
+
+      result = Object.assign({}, data, { html });
+    } else {
+      result = data;
+    }
+
+    return result;
+  }
+  /**
+   * Generates the critical CSS of a stylesheet: the rules with at least one selector that matches
+   * an element of the HTML file. Keyframes and other at-rules without selectors are kept, and
+   * container at-rules (like `@media`) are removed if they end up empty.
+   * @param {Function} $   The function to query the elements of the HTML file.
+   * @param {string}   css The code of the stylesheet.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _getCriticalCSS($, css) {
+    const root = postcss.parse(css);
+    root.walkRules((rule) => {
+      const { parent } = rule;
+      if (parent.type !== 'atrule' || !/keyframes$/i.test(parent.name)) {
+        const selectors = rule.selectors.filter((selector) => this._isSelectorUsed($, selector));
+        if (selectors.length) {
+          rule.replaceWith(rule.clone({ selectors }));
+        } else {
+          rule.remove();
+        }
+      }
+    });
+
+    const containers = [];
+    root.walkAtRules((atRule) => {
+      if (this._containerAtRules.includes(atRule.name)) {
+        containers.push(atRule);
+      }
+    });
+    // The containers are removed in reverse order, so the nested ones are checked first.
+    containers.reverse().forEach((atRule) => {
+      if (!atRule.nodes.length) {
+        atRule.remove();
+      }
+    });
+
+    return root.toString();
+  }
+  /**
+   * Checks whether or not a selector matches an element of the HTML file. The pseudo-classes and
+   * pseudo-elements are removed before querying, as they depend on the state of the document
+   * (the ones that don't follow another selector are replaced with `*`), and if the selector
+   * can't be queried, it's considered as used.
+   * @param {Function} $        The function to query the elements of the HTML file.
+   * @param {string}   selector The selector to check.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _isSelectorUsed($, selector) {
+    const query = selector
+    .replace(/(^|[\s>+~])(?=:)/g, '$1*')
+    .replace(/::?[\w-]+(?:\([^)]*\))?/g, '');
+    let result;
+    try {
+      result = $(query).length > 0;
+    } catch (error) {
+      result = true;
+    }
+
+    return result;
+  }
+}
+
+module.exports = ProjextWebpackCriticalCSS;
@@ -0,0 +1,370 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { RawSource } = require('webpack-sources');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * The number of spaces used to indent the JSON files.
+ * @type {number}
+ * @ignore
+ */
+const INDENTATION = 2;
+/**
+ * The version of the lockfile format the plugin assumes when the project lockfile doesn't
+ * specify one.
+ * @type {number}
+ * @ignore
+ */
+const DEFAULT_LOCKFILE_VERSION = 1;
+/**
+ * The latest version of the lockfile format the plugin supports.
+ * @type {number}
+ * @ignore
+ */
+const LATEST_LOCKFILE_VERSION = 3;
+/**
+ * This is a webpack plugin that generates a `package.json` for deploying a bundle: it only
+ * includes the packages the bundle uses as external dependencies, with the versions from the
+ * project `package.json`. If the project has an npm lockfile, the plugin can also generate a
+ * lockfile with just the entries those packages need, so `npm ci` installs the minimum.
+ * The files are emitted on the build directory.
+ */
+class ProjextWebpackDeployPackage {
+  /**
+   * @param {ProjextWebpackDeployPackageOptions} [options={}] Settings to customize the plugin
+   *                                                          behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackDeployPackageOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        packageInfo: {},
+        lockfile: null,
+        filename: 'package.json',
+        name: 'projext-webpack-plugin-deploy-package',
+        logger: null,
+      },
+      options
+    );
+    /**
+     * A logger to output the packages that couldn't be added.
+     * @type {Logger}
+     * @access protected
+     * @ignore
+     */
+    this._logger = ProjextWebpackUtils.createLogger(this._options.name, this._options.logger);
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackDeployPackageOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to add the files before the assets get emitted.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.emit.tap(this._options.name, this._onEmit.bind(this));
+  }
+  /**
+   * Generates the `package.json` for a compilation. The versions of the packages are taken from
+   * the project dependencies, and if a package is only on the development dependencies, it will
+   * use that version.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {Object}
+   */
+  createPackage(compilation) {
+    const {
+      name,
+      version,
+      dependencies = {},
+      devDependencies = {},
+    } = this._options.packageInfo;
+    const packageDependencies = {};
+    ProjextWebpackUtils.getExternalPackages(compilation).forEach((packageName) => {
+      const packageVersion = dependencies[packageName] || devDependencies[packageName];
+      if (packageVersion) {
+        packageDependencies[packageName] = packageVersion;
+      } else {
+        this._logger.warning(
+          `The package '${packageName}' is not a dependency of the project, it won't be added ` +
+          'to the deployment package.json'
+        );
+      }
+    });
+
+    return {
+      name,
+      version,
+      private: true,
+      dependencies: packageDependencies,
+    };
+  }
+  /**
+   * Generates a lockfile with the entries of the dependencies of the deployment, and the entries
+   * of the packages they depend on, from the project lockfile. The development flags are removed,
+   * as all the packages are production dependencies on the deployment.
+   * The generated lockfile uses the same format as the project lockfile: the `dependencies`
+   * dictionary of the version `1`, the `packages` dictionary of the version `3`, or both of them
+   * for the version `2`. If the format is not supported, the method will log a warning and
+   * return `null`.
+   * @param {Object} lockfile     The contents of the project lockfile.
+   * @param {Object} dependencies The dictionary with the packages the deployment needs and their
+   *                              versions.
+   * @return {?Object}
+   */
+  createLockfile(lockfile, dependencies) {
+    const { name, version } = this._options.packageInfo;
+    const {
+      lockfileVersion = DEFAULT_LOCKFILE_VERSION,
+      packages,
+      dependencies: entries,
+    } = lockfile;
+    let result = null;
+    if (lockfileVersion > LATEST_LOCKFILE_VERSION || (!packages && !entries)) {
+      this._logger.warning(
+        `The lockfile format version ${lockfileVersion} is not supported, the deployment ` +
+        'lockfile couldn\'t be generated'
+      );
+    } else {
+      result = {
+        name,
+        version,
+        lockfileVersion,
+        requires: true,
+      };
+      if (packages) {
+        result.packages = this._getLockfilePackages(packages, dependencies);
+      }
+
+      if (entries) {
+        result.dependencies = this._getLockfileDependencies(entries, Object.keys(dependencies));
+      }
+    }
+
+    return result;
+  }
+  /**
+   * This is called by webpack before the assets get emitted. The method adds the `package.json`
+   * and, if the plugin has a lockfile, the `package-lock.json` to the assets.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _onEmit(compilation) {
+    const { filename, lockfile } = this._options;
+    const packageInfo = this.createPackage(compilation);
+    this._addAsset(compilation, filename, packageInfo);
+    const projectLockfile = lockfile ? this._readLockfile(lockfile) : null;
+    if (projectLockfile) {
+      const lockfileInfo = this.createLockfile(projectLockfile, packageInfo.dependencies);
+      if (lockfileInfo) {
+        this._addAsset(
+          compilation,
+          path.join(path.dirname(filename), path.basename(lockfile)),
+          lockfileInfo
+        );
+      }
+    }
+  }
+  /**
+   * Reads the contents of the project lockfile. If the file doesn't exist or it can't be parsed,
+   * the method will log a warning and return `null`, as the deployment lockfile is optional and
+   * it shouldn't break the build.
+   * @param {string} lockfile The path to the project lockfile.
+   * @return {?Object}
+   * @access protected
+   * @ignore
+   */
+  _readLockfile(lockfile) {
+    let result = null;
+    if (fs.pathExistsSync(lockfile)) {
+      try {
+        result = fs.readJsonSync(lockfile);
+      } catch (error) {
+        this._logger.warning(
+          `The lockfile ${lockfile} couldn't be read (${error.message}), the deployment ` +
+          'lockfile couldn\'t be generated'
+        );
+      }
+    } else {
+      this._logger.warning(
+        `The lockfile ${lockfile} doesn't exist, the deployment lockfile couldn't be generated`
+      );
+    }
+
+    return result;
+  }
+  /**
+   * Adds a JSON file to the assets of a compilation.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {string} filename    The path of the file, relative to the build directory.
+   * @param {Object} contents    The information to save on the file.
+   * @access protected
+   * @ignore
+   */
+  _addAsset(compilation, filename, contents) {
+    compilation.emitAsset(
+      filename,
+      new RawSource(`${JSON.stringify(contents, null, INDENTATION)}\n`)
+    );
+  }
+  /**
+   * Gets the entries of a list of packages, and the entries of the packages they depend on, from
+   * the `dependencies` dictionary of a lockfile (versions `1` and `2`).
+   * @param {Object}        entries  The `dependencies` dictionary of the project lockfile.
+   * @param {Array<string>} packages The names of the packages the deployment needs.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getLockfileDependencies(entries, packages) {
+    const dependencies = {};
+    const queue = packages.slice();
+    while (queue.length) {
+      const packageName = queue.shift();
+      if (!dependencies[packageName] && entries[packageName]) {
+        dependencies[packageName] = this._copyLockfileEntry(entries[packageName]);
+        queue.push(...this._getLockfileRequires(entries[packageName], []));
+      }
+    }
+
+    return ProjextWebpackUtils.sortKeys(dependencies);
+  }
+  /**
+   * Gets the entries of the dependencies of the deployment, and the entries of the packages they
+   * depend on, from the `packages` dictionary of a lockfile (versions `2` and `3`). The
+   * dictionary also includes the entry for the deployment itself, with an empty path as key.
+   * @param {Object} entries      The `packages` dictionary of the project lockfile.
+   * @param {Object} dependencies The dictionary with the packages the deployment needs and their
+   *                              versions.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getLockfilePackages(entries, dependencies) {
+    const { name, version } = this._options.packageInfo;
+    const packages = {};
+    const queue = [{ location: '', entry: { name, version, dependencies } }];
+    while (queue.length) {
+      const { location, entry } = queue.shift();
+      if (!packages[location]) {
+        packages[location] = location ? this._copyLockfilePackage(entry) : entry;
+        queue.push(...Object.keys(Object.assign(
+          {},
+          entry.dependencies,
+          entry.optionalDependencies,
+          entry.peerDependencies
+        ))
+        .map((packageName) => this._findLockfilePackage(entries, location, packageName))
+        .filter((packageLocation) => packageLocation)
+        .map((packageLocation) => ({
+          location: packageLocation,
+          entry: entries[packageLocation],
+        })));
+      }
+    }
+
+    return ProjextWebpackUtils.sortKeys(packages);
+  }
+  /**
+   * Finds the path of a package on the `packages` dictionary of a lockfile, the same way Node
+   * would resolve it: starting on the `node_modules` of the package that requires it, and then
+   * on the ones of its parents.
+   * @param {Object} entries     The `packages` dictionary of the project lockfile.
+   * @param {string} location    The path of the package that requires the one being resolved.
+   * @param {string} packageName The name of the package to find.
+   * @return {?string}
+   * @access protected
+   * @ignore
+   */
+  _findLockfilePackage(entries, location, packageName) {
+    const modulesDirectory = 'node_modules';
+    const packageLocation = location ?
+      `${location}/${modulesDirectory}/${packageName}` :
+      `${modulesDirectory}/${packageName}`;
+    let result = null;
+    if (entries[packageLocation]) {
+      result = packageLocation;
+    } else if (location) {
+      const parentIndex = location.lastIndexOf(`/${modulesDirectory}/`);
+      result = this._findLockfilePackage(
+        entries,
+        parentIndex > -1 ? location.substr(0, parentIndex) : '',
+        packageName
+      );
+    }
+
+    return result;
+  }
+  /**
+   * Creates a copy of an entry of the `packages` dictionary of a lockfile without the
+   * development flags. Packages that were optional for the development dependencies are marked
+   * as optional.
+   * @param {Object} entry The lockfile entry to copy.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _copyLockfilePackage(entry) {
+    const result = Object.assign({}, entry);
+    delete result.dev;
+    if (result.devOptional) {
+      delete result.devOptional;
+      result.optional = true;
+    }
+
+    return result;
+  }
+  /**
+   * Gets the names of the packages a lockfile entry requires that are not installed inside it,
+   * including the ones its nested entries require, so they can be taken from the top level
+   * entries.
+   * @param {Object}        entry  The lockfile entry.
+   * @param {Array<Object>} scopes The dictionaries of nested entries of the parents of the entry,
+   *                               where Node would also look for the packages.
+   * @return {Array<string>}
+   * @access protected
+   * @ignore
+   */
+  _getLockfileRequires(entry, scopes) {
+    const nested = entry.dependencies || {};
+    const chain = [nested, ...scopes];
+    return Object.keys(nested).reduce(
+      (current, name) => [...current, ...this._getLockfileRequires(nested[name], chain)],
+      Object.keys(entry.requires || {}).filter((name) => !chain.some((scope) => scope[name]))
+    );
+  }
+  /**
+   * Creates a copy of a lockfile entry, and its nested entries, without the development flag.
+   * @param {Object} entry The lockfile entry to copy.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _copyLockfileEntry(entry) {
+    const { dependencies } = entry;
+    const result = Object.assign({}, entry);
+    delete result.dev;
+    if (dependencies) {
+      result.dependencies = Object.keys(dependencies).reduce(
+        (current, name) => Object.assign({}, current, {
+          [name]: this._copyLockfileEntry(dependencies[name]),
+        }),
+        {}
+      );
+    }
+
+    return result;
+  }
+}
+
+module.exports = ProjextWebpackDeployPackage;
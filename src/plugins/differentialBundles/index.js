@@ -0,0 +1,191 @@
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * This is a webpack plugin to load differential bundles: one for modern browsers (that support
+ * ES modules) and one for legacy browsers. The plugin needs to be added to both builds, with the
+ * same `bundles` map:
+ * - On the legacy build, it saves the JS files of each entry on the map and it removes the
+ *   stylesheets of the entries, as the HTML files only load the ones from the modern build.
+ * - On the modern build, it adds `type="module"` to the `script` tags the `HtmlWebpackPlugin`
+ *   injects, and it adds `nomodule` tags for the legacy files of the same entries.
+ * The legacy build needs to finish before the modern one generates the HTML files, which can be
+ * done with the webpack `dependencies` setting.
+ */
+class ProjextWebpackDifferentialBundles {
+  /**
+   * @param {ProjextWebpackDifferentialBundlesOptions} [options={}] Settings to customize the
+   *                                                                plugin behaviour.
+   * @throws {Error} If the type is not `modern` or `legacy`.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackDifferentialBundlesOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        type: 'modern',
+        bundles: new Map(),
+        integrity: null,
+        name: 'projext-webpack-plugin-differential-bundles',
+      },
+      options
+    );
+
+    if (!['modern', 'legacy'].includes(this._options.type)) {
+      throw new Error(`${this._options.name}: '${this._options.type}' is not a valid bundle type`);
+    }
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackDifferentialBundlesOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. Depending on the type of
+   * bundle, the method takes care of adding the required listener to save the legacy files
+   * and remove their stylesheets before they get emitted, or to update the tags before the
+   * HTML plugin generates the files.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    const { name, type } = this._options;
+    if (type === 'legacy') {
+      compiler.hooks.emit.tap(name, this._onLegacyEmit.bind(this));
+    } else {
+      compiler.hooks.compilation.tap(name, (compilation) => {
+        HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tap(
+          name,
+          (data) => this._addLegacyTags(compilation, data)
+        );
+      });
+    }
+  }
+  /**
+   * This is called by webpack before the legacy build assets get emitted. The method saves the
+   * legacy files and removes the stylesheets of the entries.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _onLegacyEmit(compilation) {
+    this._saveLegacyFiles(compilation);
+    this._removeLegacyStyles(compilation);
+  }
+  /**
+   * Saves the JS files of each entry of the legacy build, and their integrity hashes if the
+   * plugin has the `integrity` option, on the `bundles` map.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _saveLegacyFiles(compilation) {
+    const { bundles, integrity } = this._options;
+    bundles.clear();
+    compilation.entrypoints.forEach((entrypoint, entry) => {
+      bundles.set(
+        entry,
+        entrypoint.getFiles()
+        .filter((file) => /\.js$/i.test(file))
+        .map((file) => ({
+          file,
+          integrity: integrity ?
+            ProjextWebpackUtils.createIntegrity(
+              compilation.assets[file].source(),
+              integrity.algorithms
+            ) :
+            null,
+        }))
+      );
+    });
+  }
+  /**
+   * Removes the stylesheets (and their source maps) of the entries of the legacy build from
+   * the assets. The modern build emits the same styles and its HTML files only load those, so
+   * the legacy copies would never be used. The stylesheets of the async chunks are kept, as the
+   * legacy runtime loads them.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _removeLegacyStyles(compilation) {
+    const { assets } = compilation;
+    compilation.entrypoints.forEach((entrypoint) => {
+      entrypoint.getFiles()
+      .filter((file) => /\.css$/i.test(file))
+      .forEach((file) => {
+        delete assets[file];
+        delete assets[`${file}.map`];
+      });
+    });
+  }
+  /**
+   * This is called by the HTML plugin of the modern build after it generates the tags it will
+   * inject. The method adds `type="module"` to the `script` tags of the files, and at the end of
+   * the `body`, the `nomodule` tags for the legacy files of the entries the HTML file uses.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} data        The information of the HTML file and the groups of tags.
+   * @return {Object} The updated information for the HTML plugin.
+   * @access protected
+   * @ignore
+   */
+  _addLegacyTags(compilation, data) {
+    const toModule = (tag) => (
+      tag.tagName === 'script' && tag.attributes.src ?
+        Object.assign({}, tag, {
+          attributes: Object.assign({}, tag.attributes, { type: 'module' }),
+        }) :
+        tag
+    );
+    return Object.assign({}, data, {
+      headTags: data.headTags.map(toModule),
+      bodyTags: [
+        ...data.bodyTags.map(toModule),
+        ...this._getLegacyTags(compilation, data.plugin.options),
+      ],
+    });
+  }
+  /**
+   * Generates the `nomodule` tags for the legacy files of the entries an HTML file uses.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} htmlOptions The options of the HTML plugin that generates the file.
+   * @return {Array<Object>}
+   * @access protected
+   * @ignore
+   */
+  _getLegacyTags(compilation, htmlOptions) {
+    const { bundles, integrity } = this._options;
+    const { chunks = 'all', excludeChunks = [] } = htmlOptions;
+    const publicPath = compilation.outputOptions.publicPath || '';
+    const files = [];
+    bundles.forEach((entryFiles, entry) => {
+      if ((chunks === 'all' || chunks.includes(entry)) && !excludeChunks.includes(entry)) {
+        files.push(...entryFiles.filter((info) => !files.some(({ file }) => file === info.file)));
+      }
+    });
+
+    return files.map((info) => {
+      const attributes = {
+        src: `${publicPath}${info.file}`,
+        nomodule: true,
+      };
+      if (info.integrity) {
+        attributes.integrity = info.integrity;
+        attributes.crossorigin = integrity.crossorigin;
+      }
+
+      return {
+        tagName: 'script',
+        voidTag: false,
+        attributes,
+      };
+    });
+  }
+}
+
+module.exports = ProjextWebpackDifferentialBundles;
@@ -0,0 +1,123 @@
+const MultiModule = require('webpack/lib/MultiModule');
+const { ConcatSource } = require('webpack-sources');
+const ObjectUtils = require('wootils/shared/objectUtils');
+/**
+ * This is a webpack plugin that turns a bundle exposed as a variable (`libraryTarget: 'var'`)
+ * into an ES module: it appends `export` statements to the files of the entry chunks, with the
+ * named exports the entry module provides and a `default` export.
+ * Since webpack 4 can't output ES modules, this is the way projext generates the `esm` library
+ * format.
+ */
+class ProjextWebpackESMExports {
+  /**
+   * @param {ProjextWebpackESMExportsOptions} [options={}] Settings to customize the plugin
+   *                                                       behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackESMExportsOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        library: '__projextWebpackESM',
+        name: 'projext-webpack-plugin-esm-exports',
+      },
+      options
+    );
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackESMExportsOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to append the exports once the chunks assets are optimized.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(this._options.name, (compilation) => {
+      compilation.hooks.optimizeChunkAssets.tap(
+        this._options.name,
+        (chunks) => this._addExports(compilation, chunks)
+      );
+    });
+  }
+  /**
+   * Generates the `export` statements for an entry module. If webpack knows the names of the
+   * module exports, each one will be exported with its own name, otherwise, the whole module
+   * will be the `default` export.
+   * @param {Object} module The entry module information provided by webpack.
+   * @return {string}
+   */
+  getExports(module) {
+    const { library } = this._options;
+    const { providedExports } = module.buildMeta || {};
+    let result;
+    if (Array.isArray(providedExports)) {
+      const names = providedExports.filter((name) => name !== 'default');
+      const variables = names.map((name, index) => (
+        `var ${library}_${index} = ${library}[${JSON.stringify(name)}];`
+      ));
+      const specifiers = names.map((name, index) => `${library}_${index} as ${name}`);
+      if (providedExports.includes('default')) {
+        variables.push(`var ${library}_default = ${library}.default;`);
+        specifiers.push(`${library}_default as default`);
+      }
+
+      result = [
+        ...variables,
+        `export { ${specifiers.join(', ')} };`,
+      ];
+    } else {
+      result = [`export default ${library};`];
+    }
+
+    return result.join('\n');
+  }
+  /**
+   * This is called by webpack after optimizing the chunks assets. The method appends the
+   * `export` statements to the JS files of the entry chunks.
+   * @param {Object}        compilation The compilation information provided by webpack.
+   * @param {Array<Object>} chunks      The list of chunks of the compilation.
+   * @access protected
+   * @ignore
+   */
+  _addExports(compilation, chunks) {
+    chunks
+    .filter((chunk) => chunk.entryModule)
+    .forEach((chunk) => {
+      const code = this.getExports(this._getEntryModule(chunk.entryModule));
+      chunk.files
+      .filter((file) => /\.m?js$/i.test(file))
+      .forEach((file) => {
+        compilation.updateAsset(file, (source) => new ConcatSource(source, '\n', code, '\n'));
+      });
+    });
+  }
+  /**
+   * Gets the module that exports the bundle of an entry. When the entry is a list of files,
+   * webpack wraps them on a module without exports and the bundle exports the last one, so the
+   * method returns that one instead.
+   * @param {Object} module The entry module information provided by webpack.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getEntryModule(module) {
+    let result = module;
+    if (module instanceof MultiModule) {
+      const { module: lastModule } = module.dependencies[module.dependencies.length - 1];
+      result = lastModule ? this._getEntryModule(lastModule) : module;
+    }
+
+    return result;
+  }
+}
+
+module.exports = ProjextWebpackESMExports;
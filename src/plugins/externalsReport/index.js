@@ -0,0 +1,75 @@
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * This is a webpack plugin that logs the list of packages that ended up as external
+ * dependencies of a bundle, so it's easy to know which packages need to be shipped with it.
+ */
+class ProjextWebpackExternalsReport {
+  /**
+   * @param {ProjextWebpackExternalsReportOptions} [options={}] Settings to customize the plugin
+   *                                                            behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackExternalsReportOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        name: 'projext-webpack-plugin-externals-report',
+        logger: null,
+      },
+      options
+    );
+    /**
+     * A logger to output the list of packages.
+     * @type {Logger}
+     * @access protected
+     * @ignore
+     */
+    this._logger = ProjextWebpackUtils.createLogger(this._options.name, this._options.logger);
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackExternalsReportOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to log the packages when the compilation finishes.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.done.tap(this._options.name, this._onDone.bind(this));
+  }
+  /**
+   * Gets the list of packages used as external dependencies by a compilation. The names are
+   * sorted, without duplicates, and the paths and Node built-in modules are ignored.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {Array<string>}
+   */
+  getPackages(compilation) {
+    return ProjextWebpackUtils.getExternalPackages(compilation);
+  }
+  /**
+   * This is called by webpack when the compilation finishes. The method logs the list of
+   * external packages.
+   * @param {Object} stats The stats webpack generates for the compilation.
+   * @access protected
+   * @ignore
+   */
+  _onDone(stats) {
+    const packages = this.getPackages(stats.compilation);
+    if (packages.length) {
+      this._logger.info(`External packages: ${packages.join(', ')}`);
+    } else {
+      this._logger.success('All the dependencies are bundled, there are no external packages');
+    }
+  }
+}
+
+module.exports = ProjextWebpackExternalsReport;
@@ -1,9 +1,29 @@
+const ProjextWebpackAssetsManifest = require('./assetsManifest');
+const ProjextWebpackBudgets = require('./budgets');
 const ProjextWebpackBundleRunner = require('./bundleRunner');
+const ProjextWebpackCriticalCSS = require('./criticalCSS');
+const ProjextWebpackDeployPackage = require('./deployPackage');
+const ProjextWebpackDifferentialBundles = require('./differentialBundles');
+const ProjextWebpackESMExports = require('./esmExports');
+const ProjextWebpackExternalsReport = require('./externalsReport');
 const ProjextWebpackOpenDevServer = require('./openDevServer');
+const ProjextWebpackResourceHints = require('./resourceHints');
 const ProjextWebpackRuntimeDefinitions = require('./runtimeDefinitions');
+const ProjextWebpackSizeReport = require('./sizeReport');
+const ProjextWebpackSubresourceIntegrity = require('./subresourceIntegrity');
 
 module.exports = {
+  ProjextWebpackAssetsManifest,
+  ProjextWebpackBudgets,
   ProjextWebpackBundleRunner,
+  ProjextWebpackCriticalCSS,
+  ProjextWebpackDeployPackage,
+  ProjextWebpackDifferentialBundles,
+  ProjextWebpackESMExports,
+  ProjextWebpackExternalsReport,
   ProjextWebpackOpenDevServer,
+  ProjextWebpackResourceHints,
   ProjextWebpackRuntimeDefinitions,
+  ProjextWebpackSizeReport,
+  ProjextWebpackSubresourceIntegrity,
 };
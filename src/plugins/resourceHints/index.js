@@ -0,0 +1,290 @@
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * This is a webpack plugin that adds resource hints to the `head` of the HTML files the
+ * `HtmlWebpackPlugin` generates:
+ * - `<link rel="preload">` for the files of the initial chunks of the entries the HTML file uses,
+ *   and for the fonts of the compilation (only `woff2` by default).
+ * - `<link rel="prefetch">` for the files of the chunks webpack loads on demand.
+ * Each type of hint can be disabled, or filtered with lists of patterns the files need to match
+ * (`include`) or not (`exclude`).
+ * If the `script` and `link` tags have integrity hashes, the same attributes need to be added to
+ * the `preload` hints, otherwise the browser can't reuse the preloaded files.
+ */
+class ProjextWebpackResourceHints {
+  /**
+   * @param {ProjextWebpackResourceHintsOptions} [options={}] Settings to customize the plugin
+   *                                                          behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackResourceHintsOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        preload: true,
+        prefetch: true,
+        modules: false,
+        integrity: null,
+        name: 'projext-webpack-plugin-resource-hints',
+      },
+      options,
+      // The list is set apart so a custom one replaces the default instead of being merged.
+      { fonts: options.fonts || ['woff2'] }
+    );
+    /**
+     * A dictionary with the extensions of the fonts the plugin can preload and their MIME types.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._fontsTypes = {
+      woff2: 'font/woff2',
+      woff: 'font/woff',
+      ttf: 'font/ttf',
+      otf: 'font/otf',
+      eot: 'application/vnd.ms-fontobject',
+    };
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackResourceHintsOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to add the hints before the HTML plugin generates the files.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(this._options.name, (compilation) => {
+      HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tap(
+        this._options.name,
+        (data) => this._addHints(compilation, data)
+      );
+    });
+  }
+  /**
+   * This is called by the HTML plugin after it generates the tags it will inject. The method
+   * adds the hints after the `meta` tags of the `head`, so the browser can find them before the
+   * rest of the tags.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} data        The information of the HTML file and the groups of tags.
+   * @return {Object} The updated information for the HTML plugin.
+   * @access protected
+   * @ignore
+   */
+  _addHints(compilation, data) {
+    const preload = this._getSettings('preload');
+    const prefetch = this._getSettings('prefetch');
+    const publicPath = compilation.outputOptions.publicPath || '';
+    const tags = [];
+    if (preload) {
+      const files = [
+        ...this._getInitialFiles(compilation, data.plugin.options),
+        ...Object.keys(compilation.assets).filter((file) => (
+          this._options.fonts.includes(this._getFontFormat(file))
+        )),
+      ];
+      tags.push(...this._filterFiles(files, preload).map((file) => (
+        this._createTag(compilation, 'preload', `${publicPath}${file}`, file)
+      )));
+    }
+
+    if (prefetch) {
+      const files = this._getAsyncFiles(compilation);
+      tags.push(...this._filterFiles(files, prefetch).map((file) => (
+        this._createTag(compilation, 'prefetch', `${publicPath}${file}`, file)
+      )));
+    }
+
+    return Object.assign({}, data, {
+      headTags: [
+        ...data.headTags.filter((tag) => tag.tagName === 'meta'),
+        ...tags,
+        ...data.headTags.filter((tag) => tag.tagName !== 'meta'),
+      ],
+    });
+  }
+  /**
+   * Gets the settings for a type of hint: If it's disabled, it returns `null`; otherwise, it
+   * returns the `include` and `exclude` patterns, as regular expressions.
+   * @param {string} type The type of hint: `preload` or `prefetch`.
+   * @return {?Object}
+   * @property {Array<RegExp>} include The patterns the files need to match in order to get hints.
+   * @property {Array<RegExp>} exclude The patterns of the files that shouldn't get hints.
+   * @access protected
+   * @ignore
+   */
+  _getSettings(type) {
+    const settings = this._options[type];
+    let result;
+    if (settings) {
+      const { include = [], exclude = [] } = settings === true ? {} : settings;
+      const toRegExp = (pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern));
+      result = {
+        include: include.map(toRegExp),
+        exclude: exclude.map(toRegExp),
+      };
+    } else {
+      result = null;
+    }
+
+    return result;
+  }
+  /**
+   * Gets the JS and CSS files of the initial chunks of the entries an HTML file uses.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} htmlOptions The options of the HTML plugin that generates the file.
+   * @return {Array<string>}
+   * @access protected
+   * @ignore
+   */
+  _getInitialFiles(compilation, htmlOptions) {
+    const { chunks = 'all', excludeChunks = [] } = htmlOptions;
+    const files = [];
+    compilation.entrypoints.forEach((entrypoint, entry) => {
+      if ((chunks === 'all' || chunks.includes(entry)) && !excludeChunks.includes(entry)) {
+        files.push(...entrypoint.getFiles().filter((file) => !files.includes(file)));
+      }
+    });
+
+    return files.filter((file) => this._getScriptOrStyleType(file));
+  }
+  /**
+   * Gets the JS and CSS files of the chunks webpack loads on demand.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {Array<string>}
+   * @access protected
+   * @ignore
+   */
+  _getAsyncFiles(compilation) {
+    return compilation.chunks
+    .filter((chunk) => !chunk.canBeInitial())
+    .reduce((files, chunk) => [...files, ...chunk.files], [])
+    .filter((file) => this._getScriptOrStyleType(file));
+  }
+  /**
+   * Filters a list of files using the `include` and `exclude` patterns of a type of hint.
+   * @param {Array<string>} files    The list of files to filter.
+   * @param {Object}        settings The settings of the hint, generated by `_getSettings`.
+   * @return {Array<string>}
+   * @access protected
+   * @ignore
+   */
+  _filterFiles(files, settings) {
+    const { include, exclude } = settings;
+    return files.filter((file) => (
+      (!include.length || include.some((pattern) => pattern.test(file))) &&
+      !exclude.some((pattern) => pattern.test(file))
+    ));
+  }
+  /**
+   * Creates the information of a `link` tag for the HTML plugin.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {string} rel         The type of hint: `preload` or `prefetch`.
+   * @param {string} href        The URL of the file.
+   * @param {string} file        The path of the file, used to detect its type.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _createTag(compilation, rel, href, file) {
+    const fontType = this._getFontType(file);
+    const as = fontType ? 'font' : this._getScriptOrStyleType(file);
+    let attributes;
+    if (as === 'script' && this._options.modules) {
+      attributes = {
+        rel: rel === 'preload' ? 'modulepreload' : rel,
+        href,
+      };
+    } else {
+      attributes = {
+        rel,
+        href,
+        as,
+      };
+    }
+    // Fonts are always requested with CORS, so the hints need the attribute to be reused.
+    if (fontType) {
+      attributes.type = fontType;
+      attributes.crossorigin = 'anonymous';
+    } else if (rel === 'preload') {
+      Object.assign(attributes, this._getIntegrityAttributes(compilation, file));
+    }
+
+    return {
+      tagName: 'link',
+      voidTag: true,
+      attributes,
+    };
+  }
+  /**
+   * Generates the `integrity` and `crossorigin` attributes of a preloaded file, so they match
+   * the ones of its `script` or `link` tag and the browser can reuse it.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {string} file        The path of the file, relative to the build directory.
+   * @return {Object} An empty object if the integrity hashes are disabled or the file is not
+   *                  an asset of the compilation.
+   * @access protected
+   * @ignore
+   */
+  _getIntegrityAttributes(compilation, file) {
+    const { integrity } = this._options;
+    const asset = compilation.assets[file];
+    return integrity && asset ?
+      {
+        integrity: ProjextWebpackUtils.createIntegrity(asset.source(), integrity.algorithms),
+        crossorigin: integrity.crossorigin,
+      } :
+      {};
+  }
+  /**
+   * Gets the value of the `as` attribute of a JS or CSS file.
+   * @param {string} file The path of the file.
+   * @return {?string} `script`, `style`, or `null` if the file is not JS nor CSS.
+   * @access protected
+   * @ignore
+   */
+  _getScriptOrStyleType(file) {
+    let result = null;
+    if (/\.m?js(?:\?.*)?$/i.test(file)) {
+      result = 'script';
+    } else if (/\.css(?:\?.*)?$/i.test(file)) {
+      result = 'style';
+    }
+
+    return result;
+  }
+  /**
+   * Gets the MIME type of a font file.
+   * @param {string} file The path of the file.
+   * @return {?string} The MIME type, or `null` if the file is not a font.
+   * @access protected
+   * @ignore
+   */
+  _getFontType(file) {
+    return this._fontsTypes[this._getFontFormat(file)] || null;
+  }
+  /**
+   * Gets the format of a font file: its extension, if it's one of the fonts the plugin can
+   * preload.
+   * @param {string} file The path of the file.
+   * @return {?string} The format, or `null` if the file is not a font.
+   * @access protected
+   * @ignore
+   */
+  _getFontFormat(file) {
+    const match = /\.(\w+)(?:\?.*)?$/.exec(file);
+    const format = match && match[1].toLowerCase();
+    return this._fontsTypes[format] ? format : null;
+  }
+}
+
+module.exports = ProjextWebpackResourceHints;
@@ -0,0 +1,336 @@
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { RawSource } = require('webpack-sources');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * The number of bytes on a kilobyte, to format the sizes.
+ * @type {number}
+ * @ignore
+ */
+const KB = 1024;
+/**
+ * The number of decimals used to format the sizes.
+ * @type {number}
+ * @ignore
+ */
+const DECIMALS = 2;
+/**
+ * The number of spaces used to indent the report.
+ * @type {number}
+ * @ignore
+ */
+const INDENTATION = 2;
+/**
+ * This is a webpack plugin that generates a report with the sizes of the emitted assets, the
+ * chunks and the modules (grouped by package), emits it as JSON on the build directory and, if
+ * a baseline report is available, logs what grew, what shrank and which packages were added or
+ * removed.
+ */
+class ProjextWebpackSizeReport {
+  /**
+   * @param {ProjextWebpackSizeReportOptions} [options={}] Settings to customize the plugin
+   *                                                       behaviour.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackSizeReportOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        filename: 'size-report.json',
+        baseline: null,
+        name: 'projext-webpack-plugin-size-report',
+        logger: null,
+      },
+      options
+    );
+    /**
+     * The version of the report format, in case it changes and old baselines need to be
+     * detected.
+     * @type {number}
+     */
+    this.version = 2;
+    /**
+     * A logger to output the comparison with the baseline.
+     * @type {Logger}
+     * @access protected
+     * @ignore
+     */
+    this._logger = ProjextWebpackUtils.createLogger(this._options.name, this._options.logger);
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackSizeReportOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to generate the report before the assets get emitted.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.emit.tap(this._options.name, this._onEmit.bind(this));
+  }
+  /**
+   * Generates a size report for a compilation. All the dictionaries on the report have their
+   * keys sorted, so the JSON files can be compared between builds.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {ProjextWebpackSizeReportInfo}
+   */
+  createReport(compilation) {
+    const assets = Object.keys(compilation.assets)
+    .filter((asset) => !/\.(?:map|gz|br)$/i.test(asset))
+    .reduce(
+      (current, asset) => {
+        const source = compilation.assets[asset].source();
+        return Object.assign({}, current, {
+          [asset]: {
+            size: compilation.assets[asset].size(),
+            gzip: zlib.gzipSync(source).length,
+          },
+        });
+      },
+      {}
+    );
+    const sum = (list, property) => list.reduce(
+      (total, asset) => total + assets[asset][property],
+      0
+    );
+    const assetsNames = Object.keys(assets);
+    const chunks = Array.from(compilation.chunks).reduce(
+      (current, chunk) => {
+        const files = chunk.files.filter((file) => assets[file]).sort();
+        return Object.assign({}, current, {
+          [chunk.name || String(chunk.id)]: {
+            files,
+            size: sum(files, 'size'),
+            gzip: sum(files, 'gzip'),
+          },
+        });
+      },
+      {}
+    );
+    const packagesModules = {};
+    // The modules without a file, like the externals, are ignored.
+    ProjextWebpackUtils.getModules(Array.from(compilation.modules))
+    .filter((module) => !!module.resource)
+    .forEach((module) => {
+      const name = this._getPackageName(module.resource);
+      packagesModules[name] = [...(packagesModules[name] || []), module];
+    });
+    const packages = Object.keys(packagesModules).reduce(
+      (current, name) => Object.assign({}, current, {
+        [name]: this._getPackageSizes(packagesModules[name]),
+      }),
+      {}
+    );
+
+    return {
+      version: this.version,
+      totals: {
+        size: sum(assetsNames, 'size'),
+        gzip: sum(assetsNames, 'gzip'),
+      },
+      assets: ProjextWebpackUtils.sortKeys(assets),
+      chunks: ProjextWebpackUtils.sortKeys(chunks),
+      packages: ProjextWebpackUtils.sortKeys(packages),
+    };
+  }
+  /**
+   * Compares a size report with a baseline.
+   * @param {ProjextWebpackSizeReportInfo} baseline The report used as reference.
+   * @param {ProjextWebpackSizeReportInfo} report   The report to compare.
+   * @return {ProjextWebpackSizeReportComparison}
+   */
+  compare(baseline, report) {
+    const changes = [
+      {
+        type: 'total',
+        name: 'size',
+        from: baseline.totals.size,
+        to: report.totals.size,
+      },
+      {
+        type: 'total',
+        name: 'gzip',
+        from: baseline.totals.gzip,
+        to: report.totals.gzip,
+      },
+    ];
+    const addChanges = (type, from, to, getSize) => {
+      Object.keys(to)
+      .filter((name) => typeof from[name] !== 'undefined')
+      .forEach((name) => {
+        changes.push({
+          type,
+          name,
+          from: getSize(from[name]),
+          to: getSize(to[name]),
+        });
+      });
+    };
+    addChanges('chunk', baseline.chunks, report.chunks, (chunk) => chunk.size);
+    addChanges(
+      'asset',
+      this._getAssetsByName(baseline.assets),
+      this._getAssetsByName(report.assets),
+      (asset) => asset.size
+    );
+    addChanges('package', baseline.packages, report.packages, (info) => info.size);
+
+    return {
+      grew: changes.filter((change) => change.to > change.from),
+      shrank: changes.filter((change) => change.to < change.from),
+      newPackages: Object.keys(report.packages)
+      .filter((name) => typeof baseline.packages[name] === 'undefined')
+      .map((name) => Object.assign({ name }, report.packages[name])),
+      removedPackages: Object.keys(baseline.packages)
+      .filter((name) => typeof report.packages[name] === 'undefined')
+      .map((name) => Object.assign({ name }, baseline.packages[name])),
+    };
+  }
+  /**
+   * This is called by webpack before the assets get emitted. The method generates the report,
+   * adds it to the assets and, if there's a baseline, logs the comparison.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @access protected
+   * @ignore
+   */
+  _onEmit(compilation) {
+    const { filename } = this._options;
+    const report = this.createReport(compilation);
+    compilation.emitAsset(
+      filename,
+      new RawSource(JSON.stringify(report, null, INDENTATION))
+    );
+    this._logger.success(`The size report will be saved on the build directory as ${filename}`);
+    if (this._options.baseline) {
+      const baseline = path.resolve(compilation.compiler.context, this._options.baseline);
+      const baselineReport = fs.pathExistsSync(baseline) ? fs.readJsonSync(baseline) : null;
+      if (!baselineReport || baselineReport.version !== this.version) {
+        this._logger.warning(
+          `The baseline ${baseline} doesn't exist or was generated with a different version ` +
+          'of the plugin, the sizes couldn\'t be compared'
+        );
+      } else {
+        this._logComparison(this.compare(baselineReport, report), baseline);
+      }
+    }
+  }
+  /**
+   * Logs the comparison between a report and its baseline.
+   * @param {ProjextWebpackSizeReportComparison} comparison The comparison information.
+   * @param {string}                             baseline   The path to the baseline.
+   * @access protected
+   * @ignore
+   */
+  _logComparison(comparison, baseline) {
+    const {
+      grew,
+      shrank,
+      newPackages,
+      removedPackages,
+    } = comparison;
+    const formatChange = (change) => {
+      const difference = change.to - change.from;
+      const sign = difference > 0 ? '+' : '-';
+      return `${change.type} ${change.name}: ${this._formatSize(change.from)} -> ` +
+        `${this._formatSize(change.to)} (${sign}${this._formatSize(Math.abs(difference))})`;
+    };
+    const lines = [
+      ...grew.map((change) => [`grew ${formatChange(change)}`, 'yellow']),
+      ...shrank.map((change) => [`shrank ${formatChange(change)}`, 'green']),
+      ...newPackages.map((info) => [
+        `new package ${info.name}: ${this._formatSize(info.size)} ` +
+          `(${this._formatSize(info.gzip)} gzip)`,
+        'red',
+      ]),
+      ...removedPackages.map((info) => [
+        `removed package ${info.name}: ${this._formatSize(info.size)} ` +
+          `(${this._formatSize(info.gzip)} gzip)`,
+        'green',
+      ]),
+    ];
+    if (lines.length) {
+      this._logger.warning(`The bundle sizes changed compared with ${baseline}:`);
+      this._logger.info(lines);
+    } else {
+      this._logger.success(`The bundle sizes didn't change compared with ${baseline}`);
+    }
+  }
+  /**
+   * Calculates the sizes of the modules of a package: the sum of their sizes and the size of
+   * their sources compressed together with gzip.
+   * @param {Array<Object>} modules The list of modules of the package.
+   * @return {ProjextWebpackSizeReportEntry}
+   * @access protected
+   * @ignore
+   */
+  _getPackageSizes(modules) {
+    const sources = modules
+    .map((module) => module.originalSource())
+    .filter((source) => !!source)
+    .map((source) => Buffer.from(source.source()));
+
+    return {
+      size: modules.reduce((total, module) => total + module.size(), 0),
+      gzip: zlib.gzipSync(Buffer.concat(sources)).length,
+    };
+  }
+  /**
+   * Generates a new dictionary of assets using their filenames without the hashes as keys, so
+   * an asset can be compared with its version from another build even if its content changed.
+   * @param {Object<string,ProjextWebpackSizeReportEntry>} assets The assets of a report.
+   * @return {Object<string,ProjextWebpackSizeReportEntry>}
+   * @access protected
+   * @ignore
+   */
+  _getAssetsByName(assets) {
+    return Object.keys(assets).reduce(
+      (current, asset) => Object.assign({}, current, {
+        [asset.replace(/[.\-_][a-f0-9]{8,}(?=[.\-_]|$)/gi, '')]: assets[asset],
+      }),
+      {}
+    );
+  }
+  /**
+   * Gets the name of the package a module file belongs to. If the file is not inside
+   * `node_modules`, it will return `(project)`.
+   * @param {string} resource The path to the module file.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _getPackageName(resource) {
+    const matches = resource.match(/node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/g);
+    let result;
+    if (matches) {
+      result = matches[matches.length - 1]
+      .replace(/^node_modules[\\/]/, '')
+      .replace(/\\/g, '/');
+    } else {
+      result = '(project)';
+    }
+
+    return result;
+  }
+  /**
+   * Formats a number of bytes into kilobytes.
+   * @param {number} size The number of bytes.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _formatSize(size) {
+    return `${(size / KB).toFixed(DECIMALS)} KB`;
+  }
+}
+
+module.exports = ProjextWebpackSizeReport;
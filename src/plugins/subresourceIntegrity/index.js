@@ -0,0 +1,121 @@
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ObjectUtils = require('wootils/shared/objectUtils');
+const ProjextWebpackUtils = require('../utils');
+/**
+ * This is a webpack plugin that adds the `integrity` and `crossorigin` attributes to the `script`
+ * and `link` tags the `HtmlWebpackPlugin` injects, so the browsers can validate the files
+ * weren't modified (for example, when they are served from a CDN).
+ * The hashes are generated with the final contents of the files, after they were optimized.
+ */
+class ProjextWebpackSubresourceIntegrity {
+  /**
+   * @param {ProjextWebpackSubresourceIntegrityOptions} [options={}] Settings to customize the
+   *                                                                 plugin behaviour.
+   * @throws {Error} If one of the algorithms is not supported by the browsers.
+   */
+  constructor(options = {}) {
+    /**
+     * The plugin options.
+     * @type {ProjextWebpackSubresourceIntegrityOptions}
+     * @access protected
+     * @ignore
+     */
+    this._options = ObjectUtils.merge(
+      {
+        algorithms: ['sha384'],
+        crossorigin: 'anonymous',
+        name: 'projext-webpack-plugin-subresource-integrity',
+      },
+      options
+    );
+    /**
+     * The list of algorithms the browsers support for the integrity hashes.
+     * @type {Array<string>}
+     * @access protected
+     * @ignore
+     */
+    this._supportedAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+    const invalidAlgorithm = this._options.algorithms
+    .find((algorithm) => !this._supportedAlgorithms.includes(algorithm));
+    if (invalidAlgorithm) {
+      throw new Error(
+        `${this._options.name}: '${invalidAlgorithm}' is not a valid algorithm for the ` +
+        'integrity hashes'
+      );
+    }
+  }
+  /**
+   * Gets the plugin options.
+   * @return {ProjextWebpackSubresourceIntegrityOptions}
+   */
+  getOptions() {
+    return this._options;
+  }
+  /**
+   * This is called by webpack when the plugin is being processed. The method takes care of adding
+   * the required listener to update the tags before the HTML plugin generates the files.
+   * @param {Object} compiler The compiler information provided by webpack.
+   */
+  apply(compiler) {
+    compiler.hooks.compilation.tap(this._options.name, (compilation) => {
+      HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tap(
+        this._options.name,
+        (data) => this._addAttributes(compilation, data)
+      );
+    });
+  }
+  /**
+   * This is called by the HTML plugin after it generates the tags it will inject. The method
+   * adds the attributes to the tags of both groups.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} data        The information of the HTML file and the groups of tags.
+   * @return {Object} The updated information for the HTML plugin.
+   * @access protected
+   * @ignore
+   */
+  _addAttributes(compilation, data) {
+    return Object.assign({}, data, {
+      headTags: data.headTags.map((tag) => this._updateTag(compilation, tag)),
+      bodyTags: data.bodyTags.map((tag) => this._updateTag(compilation, tag)),
+    });
+  }
+  /**
+   * Adds the `integrity` and `crossorigin` attributes to a tag, if it's a `script` or a
+   * stylesheet `link` for a file of the compilation.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {Object} tag         The tag information generated by the HTML plugin.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _updateTag(compilation, tag) {
+    const { attributes } = tag;
+    let url;
+    if (tag.tagName === 'script') {
+      url = attributes.src;
+    } else if (tag.tagName === 'link' && attributes.rel === 'stylesheet') {
+      url = attributes.href;
+    }
+
+    const file = url && ProjextWebpackUtils.getFileFromURL(compilation, url);
+    let result;
+    if (file && compilation.assets[file]) {
+      result = Object.assign({}, tag, {
+        attributes: Object.assign({}, attributes, {
+          integrity: ProjextWebpackUtils.createIntegrity(
+            compilation.assets[file].source(),
+            this._options.algorithms
+          ),
+          crossorigin: this._options.crossorigin,
+        }),
+      });
+    } else {
+      result = tag;
+    }
+
+    return result;
+  }
+}
+
+module.exports = ProjextWebpackSubresourceIntegrity;
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const { builtinModules } = require('module');
 const { Logger } = require('wootils/node/logger');
 /**
  * This is a set of utility methods the Projext webpack plugins use.
@@ -41,6 +43,93 @@ class ProjextWebpackUtils {
     // Return the logger for the plugin.
     return result;
   }
+  /**
+   * Generates the value of an `integrity` attribute for the contents of a file: a hash for each
+   * algorithm, in base64 and with the name of the algorithm as prefix, separated by spaces.
+   * @param {string|Buffer} source     The contents of the file.
+   * @param {Array<string>} algorithms The list of algorithms to generate the hashes with.
+   * @return {string}
+   * @static
+   */
+  static createIntegrity(source, algorithms) {
+    return algorithms
+    .map((algorithm) => {
+      const hash = crypto.createHash(algorithm).update(source).digest('base64');
+      return `${algorithm}-${hash}`;
+    })
+    .join(' ');
+  }
+  /**
+   * Gets the list of packages a compilation uses as external dependencies. The names are sorted,
+   * without duplicates, and the paths and Node built-in modules are ignored.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @return {Array<string>}
+   * @static
+   */
+  static getExternalPackages(compilation) {
+    const packages = Array.from(compilation.modules)
+    .filter((module) => (
+      module.external &&
+      typeof module.userRequest === 'string' &&
+      !/^[./]/.test(module.userRequest)
+    ))
+    .map((module) => /^(?:@[^/]+\/)?[^/]+/.exec(module.userRequest)[0])
+    .filter((name) => !builtinModules.includes(name));
+
+    return packages
+    .filter((name, index) => packages.indexOf(name) === index)
+    .sort();
+  }
+  /**
+   * Generates a flat list of modules from the ones on a compilation, by replacing the
+   * concatenated modules (created by the `ModuleConcatenationPlugin`) with the modules inside
+   * them.
+   * @param {Array<Object>} modules The list of modules from the compilation.
+   * @return {Array<Object>}
+   * @static
+   */
+  static getModules(modules) {
+    return modules.reduce(
+      (current, module) => [
+        ...current,
+        ...(
+          Array.isArray(module.modules) ?
+            ProjextWebpackUtils.getModules(module.modules) :
+            [module]
+        ),
+      ],
+      []
+    );
+  }
+  /**
+   * Gets the path of a file, relative to the build directory, from the URL the HTML plugin
+   * generated for it: without the public path and the query string.
+   * @param {Object} compilation The compilation information provided by webpack.
+   * @param {string} url         The URL of the file.
+   * @return {string}
+   * @static
+   */
+  static getFileFromURL(compilation, url) {
+    const { publicPath } = compilation.outputOptions;
+    const [file] = url.split('?');
+    return publicPath && file.startsWith(publicPath) ?
+      file.substr(publicPath.length) :
+      file;
+  }
+  /**
+   * Creates a copy of a dictionary with its keys sorted.
+   * @param {Object} dictionary The dictionary to copy.
+   * @return {Object}
+   * @static
+   */
+  static sortKeys(dictionary) {
+    return Object.keys(dictionary)
+    .sort()
+    .reduce(
+      (current, key) => Object.assign({}, current, { [key]: dictionary[key] }),
+      {}
+    );
+  }
 }
 
 module.exports = ProjextWebpackUtils;
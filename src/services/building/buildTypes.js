@@ -0,0 +1,141 @@
+const { provider } = require('jimple');
+/**
+ * This service keeps the list of build types the plugin can bundle targets for. Besides the base
+ * build types, `development` and `production`, custom build types can be registered: They
+ * inherit the configuration of one of the base build types and can add their own definitions
+ * and overwrite files.
+ */
+class WebpackBuildTypes {
+  /**
+   * Class constructor.
+   */
+  constructor() {
+    /**
+     * The list of build types that have their own configuration services and that custom build
+     * types can extend.
+     * @type {Array}
+     */
+    this.baseTypes = ['development', 'production'];
+    /**
+     * A dictionary with the information of the custom build types, using their names as keys.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._types = {};
+    // Register the custom build types the plugin supports by default.
+    this.register('staging', { extends: 'production' });
+    this.register('test', { extends: 'development' });
+  }
+  /**
+   * Registers a new custom build type. If a custom build type with the same name already
+   * exists, it will be replaced.
+   * @example
+   * webpackBuildTypes.register('qa', {
+   *   extends: 'production',
+   *   definitions: {
+   *     'process.env.QA': true,
+   *   },
+   * });
+   * @param {string}                  name    The name of the build type.
+   * @param {WebpackBuildTypeOptions} options The settings of the build type.
+   * @return {WebpackBuildTypeInfo}
+   * @throws {Error} If the name is not valid or it's one of the base build types.
+   * @throws {Error} If the build type doesn't extend one of the base build types.
+   */
+  register(name, options = {}) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      throw new Error(`The build type name '${name}' is invalid`);
+    } else if (this.baseTypes.includes(name)) {
+      throw new Error(`The build type '${name}' is a base build type and can't be replaced`);
+    } else if (!this.baseTypes.includes(options.extends)) {
+      throw new Error(
+        `The build type '${name}' can only extend one of these build types: ` +
+        `${this.baseTypes.join(', ')}`
+      );
+    }
+
+    this._types[name] = {
+      name,
+      extends: options.extends,
+      definitions: Object.assign({}, options.definitions),
+    };
+
+    return this._types[name];
+  }
+  /**
+   * Checks whether or not a build type exists, either as a base build type or as a custom one.
+   * @param {string} name The name of the build type.
+   * @return {boolean}
+   */
+  has(name) {
+    return this.baseTypes.includes(name) || !!this._types[name];
+  }
+  /**
+   * Checks whether or not a build type is a custom one.
+   * @param {string} name The name of the build type.
+   * @return {boolean}
+   */
+  isCustom(name) {
+    return !!this._types[name];
+  }
+  /**
+   * Gets the name of the base build type a build type uses. If the build type is already a
+   * base build type, the same name will be returned.
+   * @param {string} name The name of the build type.
+   * @return {string}
+   * @throws {Error} If the build type doesn't exist.
+   */
+  getBaseType(name) {
+    this._validate(name);
+    return this.isCustom(name) ? this._types[name].extends : name;
+  }
+  /**
+   * Gets the definitions a build type adds on the bundle. Base build types don't have
+   * definitions of their own, so for them, the method will return an empty object.
+   * @param {string} name The name of the build type.
+   * @return {Object}
+   * @throws {Error} If the build type doesn't exist.
+   */
+  getDefinitions(name) {
+    this._validate(name);
+    return this.isCustom(name) ? Object.assign({}, this._types[name].definitions) : {};
+  }
+  /**
+   * Gets the list of names of all the build types, base and custom ones.
+   * @return {Array}
+   */
+  getTypes() {
+    return [...this.baseTypes, ...Object.keys(this._types)];
+  }
+  /**
+   * Validates that a build type exists.
+   * @param {string} name The name of the build type.
+   * @throws {Error} If the build type doesn't exist.
+   * @access protected
+   * @ignore
+   */
+  _validate(name) {
+    if (!this.has(name)) {
+      throw new Error(`There's no configuration for the selected build type: ${name}`);
+    }
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackBuildTypes` as the `webpackBuildTypes` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackBuildTypes);
+ * // Getting access to the service instance
+ * const webpackBuildTypes = container.get('webpackBuildTypes');
+ * @type {Provider}
+ */
+const webpackBuildTypes = provider((app) => {
+  app.set('webpackBuildTypes', () => new WebpackBuildTypes());
+});
+
+module.exports = {
+  WebpackBuildTypes,
+  webpackBuildTypes,
+};
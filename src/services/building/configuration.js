@@ -1,6 +1,7 @@
 const path = require('path');
 const extend = require('extend');
 const { provider } = require('jimple');
+const { ProjextWebpackESMExports } = require('../../plugins');
 /**
  * This service reads the targets information and generates what would be the contents of a
  * `webpack.config.js` for them.
@@ -14,6 +15,9 @@ class WebpackConfiguration {
    * @param {TargetsFileRules}           targetsFileRules      To get the file rules of the target.
    * @param {TargetConfigurationCreator} targetConfiguration   To create an overwrite
    *                                                           configuration for the target.
+   * @param {WebpackBuildTypes}          webpackBuildTypes     To validate the build types and
+   *                                                           get the information of the custom
+   *                                                           ones.
    * @param {WebpackConfigurations}      webpackConfigurations A dictionary of configurations
    *                                                           for target type and build type.
    */
@@ -23,6 +27,7 @@ class WebpackConfiguration {
     targets,
     targetsFileRules,
     targetConfiguration,
+    webpackBuildTypes,
     webpackConfigurations
   ) {
     /**
@@ -50,11 +55,63 @@ class WebpackConfiguration {
      * @type {TargetConfigurationCreator}
      */
     this.targetConfiguration = targetConfiguration;
+    /**
+     * A local reference for the `webpackBuildTypes` service.
+     * @type {WebpackBuildTypes}
+     */
+    this.webpackBuildTypes = webpackBuildTypes;
     /**
      * A dictionary with the configurations for target type and build type.
      * @type {WebpackConfigurations}
      */
     this.webpackConfigurations = webpackConfigurations;
+    /**
+     * A dictionary with the platforms a target can use on its `platform` setting, and the type
+     * of target each one requires. A platform replaces the target type when selecting the
+     * configuration services.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._platforms = {
+      'electron-main': 'node',
+      'electron-renderer': 'browser',
+      webworker: 'browser',
+    };
+    /**
+     * A dictionary with the modes a target can use on its `analyzer.mode` setting, and the
+     * `analyzerMode` each one uses on the `BundleAnalyzerPlugin`. The `json` mode disables the
+     * report and only generates the stats file.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._analyzerModes = {
+      server: 'server',
+      static: 'static',
+      json: 'disabled',
+    };
+    /**
+     * A dictionary with the formats a library target can use on its `libraryOptions.formats`
+     * setting, and the `libraryTarget` each one uses. `esm` is not supported by webpack, so the
+     * bundle is exposed as a variable and the `ProjextWebpackESMExports` plugin exports it.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._libraryFormats = {
+      umd: 'umd',
+      commonjs: 'commonjs2',
+      esm: 'esm',
+    };
+    /**
+     * The name of the variable a library using the `esm` format is exposed as, before the
+     * plugin exports it.
+     * @type {string}
+     * @access protected
+     * @ignore
+     */
+    this._esmLibraryName = '__projextWebpackESM';
   }
   /**
    * This method generates a complete webpack configuration for a target.
@@ -63,50 +120,178 @@ class WebpackConfiguration {
    * depending on the target type, and then `webpack-configuration-parameters` to reduce
    * the parameters ({@link WebpackConfigurationParams}) the services will use to generate the
    * configuration. The event recevies the parameters and expects updated parameters in return.
+   * If the build type is a custom one, the configuration of the build type it extends will be
+   * used, with an extra overwrite file for the target type and the build type (for example,
+   * `webpack/browser.staging.config.js`); and the target settings for the custom build type
+   * will fallback to the ones for the base build type.
+   * If the target has a `platform` setting (`electron-main`, `electron-renderer` or
+   * `webworker`), the configuration services for that platform will be used instead of the
+   * ones for the target type.
+   * If the target is a library with multiple formats (`libraryOptions.formats`), the method will
+   * return a list with a configuration for each format, for webpack to use as a multi-compiler.
+   * If the target is a browser target with the `differential` setting, on production builds,
+   * the method will return a list with a configuration for legacy browsers and one for modern
+   * browsers (that support ES modules), and the second one will depend on the first one.
    * @param {Target} target    The target information.
-   * @param {string} buildType The intended build type: `production` or `development`.
-   * @return {Object}
+   * @param {string} buildType The intended build type: `production`, `development` or a custom
+   *                           one.
+   * @return {Object|Array<Object>}
+   * @throws {Error} If the target platform is invalid or it can't be used with the target type.
    * @throws {Error} If there's no base configuration for the target type.
+   * @throws {Error} If the build type doesn't exist.
    * @throws {Error} If there's no base configuration for the target type and build type.
+   * @throws {Error} If the target is a library and uses an invalid format.
    * @todo Stop using `events` from `targets` and inject it directly on the class.
    */
   getConfig(target, buildType) {
-    const targetType = target.type;
+    return this._createVariants(
+      target,
+      buildType,
+      (variantTarget, differential, properties) => Object.assign(
+        this._createConfig(variantTarget, buildType, null, differential),
+        properties
+      )
+    );
+  }
+  /**
+   * Generates a complete webpack configuration for a target, like
+   * {@link WebpackConfiguration#getConfig}, and it also detects the layer that set each one of
+   * the configuration values: a configuration service, a reducer event, an overwrite file or
+   * this service (that resolves the output path and adds the library options).
+   * If the target generates multiple configurations (library formats or differential bundles),
+   * each one of them will be inspected, and the method will return a list with their
+   * inspections, on the same order {@link WebpackConfiguration#getConfig} returns them.
+   * @param {Target} target    The target information.
+   * @param {string} buildType The intended build type: `production`, `development` or a custom
+   *                           one.
+   * @return {WebpackConfigurationInspection|Array<WebpackConfigurationInspection>}
+   * @throws {Error} If the configuration can't be generated. Check
+   *                 {@link WebpackConfiguration#getConfig} for the possible errors.
+   */
+  inspectConfig(target, buildType) {
+    return this._createVariants(
+      target,
+      buildType,
+      (variantTarget, differential, properties) => {
+        const layers = [];
+        const config = Object.assign(
+          this._createConfig(variantTarget, buildType, layers, differential),
+          properties
+        );
+        layers.push({
+          name: this.constructor.name,
+          type: 'configuration',
+          config: extend(true, {}, config),
+        });
+
+        return {
+          config,
+          layers: layers.map(({ name, type }) => ({ name, type })),
+          provenance: this._getProvenance(layers),
+        };
+      }
+    );
+  }
+  /**
+   * Generates the configuration of a target, or the configurations of its variants if it's a
+   * library with multiple formats or a browser target with differential bundles.
+   * @param {Target}   target    The target information.
+   * @param {string}   buildType The intended build type.
+   * @param {Function} create    The function that generates a configuration. It receives the
+   *                             target for the variant, the information for the differential
+   *                             bundles (or `null`) and the properties that should be added to
+   *                             the configuration (like its `name`).
+   * @return {Object|Array<Object>} Whatever `create` returned, or a list with the results for
+   *                                each variant.
+   * @access protected
+   * @ignore
+   */
+  _createVariants(target, buildType, create) {
+    const formats = this._getLibraryFormats(target);
+    const bundles = this._getDifferentialBundles(target, buildType);
+    let result;
+    if (formats.length) {
+      result = formats.map(({ format, target: formatTarget }) => create(
+        formatTarget,
+        null,
+        { name: `${target.name}.${format}` }
+      ));
+    } else if (bundles.length) {
+      result = this._createDifferentialConfigs(target, buildType, bundles, create);
+    } else {
+      result = create(target, null, {});
+    }
+
+    return result;
+  }
+  /**
+   * The method that actually generates the configuration for {@link WebpackConfiguration#getConfig}
+   * and {@link WebpackConfiguration#inspectConfig}.
+   * @param {Target}                        target       The target information.
+   * @param {string}                        buildType    The intended build type.
+   * @param {?Array<ConfigurationFileLayer>} layers       If the configuration is being inspected,
+   *                                                     the list where the layers that modify
+   *                                                     it will be added.
+   * @param {?Object}                        differential If the configuration is for
+   *                                                     differential bundles, an object with
+   *                                                     the `type` of bundle, the `bundles` map
+   *                                                     the builds share and the `definitions`
+   *                                                     generator.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _createConfig(target, buildType, layers, differential) {
+    const targetType = this._getTargetType(target);
     if (!this.webpackConfigurations[targetType]) {
       throw new Error(`There's no configuration for the selected target type: ${targetType}`);
-    } else if (!this.webpackConfigurations[targetType][buildType]) {
-      throw new Error(`There's no configuration for the selected build type: ${buildType}`);
     }
 
-    const copy = [];
-    if (target.is.browser || target.bundle) {
-      copy.push(...this.targets.getFilesToCopy(target, buildType));
+    const baseBuildType = this.webpackBuildTypes.getBaseType(buildType);
+    if (!this.webpackConfigurations[targetType][baseBuildType]) {
+      throw new Error(`There's no configuration for the selected build type: ${buildType}`);
     }
 
-    const output = Object.assign({}, target.output[buildType]);
+    const buildTarget = this._getTargetForBuildType(target, buildType, baseBuildType);
+    const copy = this._getFilesToCopy(buildTarget, buildType, differential);
+
+    const output = Object.assign({}, buildTarget.output[baseBuildType]);
     if (typeof output.jsChunks !== 'string') {
       output.jsChunks = this._generateChunkName(output.js);
     }
 
-    const definitions = this._getDefinitionsGenerator(target, buildType);
-    const additionalWatch = this._getBrowserTargetConfigurationDefinitions(target).files;
+    const definitions = differential ?
+      differential.definitions[differential.type] :
+      this._getDefinitionsGenerator(buildTarget, buildType);
+    const additionalWatch = this._getBrowserTargetConfigurationDefinitions(buildTarget).files;
 
+    const { entry, pages } = this._getTargetEntries(buildTarget, baseBuildType);
     let params = {
-      target,
-      targetRules: this.targetsFileRules.getRulesForTarget(target),
-      entry: {
-        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
-      },
+      target: buildTarget,
+      targetRules: this.targetsFileRules.getRulesForTarget(buildTarget),
+      entry,
+      pages,
       definitions,
       output,
       copy,
       buildType,
+      baseBuildType,
+      targetType,
       additionalWatch,
       /**
        * The reason we are taking this property is because it's not part of the `Target` entity,
        * but it may be injected by the build engine.
        */
-      analyze: !!target.analyze,
+      analyze: !!buildTarget.analyze,
+      analyzer: buildTarget.analyze ? this._getAnalyzerOptions(buildTarget) : null,
+      /**
+       * Like `analyze`, this is not part of the `Target` entity: the build engine injects the
+       * extra options it received on the build manifest.
+       */
+      buildOptions: Object.assign({}, buildTarget.buildOptions),
+      differential: differential ?
+        { type: differential.type, bundles: differential.bundles } :
+        null,
     };
 
     const eventName = params.target.is.node ?
@@ -118,21 +303,250 @@ class WebpackConfiguration {
       params
     );
 
-    let config = this.targetConfiguration(
-      `webpack/${target.name}.config.js`,
-      this.webpackConfigurations[targetType][buildType]
+    const overwritePaths = [
+      `webpack/${buildTarget.name}.config.js`,
+      `webpack/${buildTarget.name}.${buildType}.config.js`,
+    ];
+    if (buildType !== baseBuildType) {
+      overwritePaths.unshift(`webpack/${targetType}.${buildType}.config.js`);
+    }
+
+    const track = (configuration) => (
+      layers ? this._trackConfiguration(configuration, layers) : configuration
     );
-    config = this.targetConfiguration(
-      `webpack/${target.name}.${buildType}.config.js`,
-      config
-    ).getConfig(params);
+    const config = track(overwritePaths.reduce(
+      (parent, overwritePath) => this.targetConfiguration(overwritePath, track(parent)),
+      this.webpackConfigurations[targetType][baseBuildType]
+    ))
+    .getConfig(params);
     config.output.path = this.pathUtils.join(config.output.path);
 
-    if (target.library) {
-      config.output = extend(true, {}, config.output, this._getLibraryOptions(target));
+    return buildTarget.library ? this._addLibraryOptions(config, buildTarget) : config;
+  }
+  /**
+   * Gets the list of files a target needs to copy: only browser targets and bundled Node
+   * targets copy files and, if the target uses differential bundles, the files are only copied
+   * by the modern build.
+   * @param {Target}  target       The target information.
+   * @param {string}  buildType    The intended build type.
+   * @param {?Object} differential The information of the differential bundle, if the
+   *                               configuration is for one.
+   * @return {Array}
+   * @access protected
+   * @ignore
+   */
+  _getFilesToCopy(target, buildType, differential) {
+    return (target.is.browser || target.bundle) &&
+      (!differential || differential.type === 'modern') ?
+      this.targets.getFilesToCopy(target, buildType) :
+      [];
+  }
+  /**
+   * Wraps a configuration so when its `getConfig` method gets called, the layers that modified
+   * the configuration will be added to a list. If the configuration can be inspected
+   * (it implements `inspectConfig`), all its layers will be added, otherwise, it will be added
+   * as a single layer: for the overwrite configurations projext creates for the targets, the
+   * layer will be the overwrite file path.
+   * @param {ConfigurationFile}              configuration The configuration to wrap.
+   * @param {Array<ConfigurationFileLayer>} layers        The list where the layers will be
+   *                                                      added.
+   * @return {Object} An object with a `getConfig` method.
+   * @access protected
+   * @ignore
+   */
+  _trackConfiguration(configuration, layers) {
+    return {
+      getConfig: (...args) => {
+        let result;
+        if (typeof configuration.inspectConfig === 'function') {
+          const { config, layers: configurationLayers } = configuration.inspectConfig(...args);
+          layers.push(...configurationLayers);
+          result = config;
+        } else {
+          result = configuration.getConfig(...args);
+          layers.push({
+            name: configuration.overwritePaths ?
+              configuration.overwritePaths[0] :
+              configuration.constructor.name,
+            type: 'file',
+            config: extend(true, {}, result),
+          });
+        }
+
+        return result;
+      },
+    };
+  }
+  /**
+   * Compares the snapshots of a configuration after each layer was applied in order to detect
+   * which layer was the last one to set each value of the final configuration.
+   * @param {Array<ConfigurationFileLayer>} layers The list of layers, the last one being the
+   *                                               final configuration.
+   * @return {Object<string,WebpackConfigurationValueProvenance>} A dictionary with the paths of
+   *                                                              the values, like
+   *                                                              `output.path`.
+   * @access protected
+   * @ignore
+   */
+  _getProvenance(layers) {
+    const owners = {};
+    let previous = {};
+    layers.forEach((layer) => {
+      const values = this._getConfigValues(layer.config);
+      Object.keys(values).forEach((valuePath) => {
+        if (
+          !Object.prototype.hasOwnProperty.call(previous, valuePath) ||
+          !this._isSameValue(previous[valuePath], values[valuePath])
+        ) {
+          owners[valuePath] = layer;
+        }
+      });
+      previous = values;
+    });
+
+    return Object.keys(previous).reduce(
+      (provenance, valuePath) => Object.assign({}, provenance, {
+        [valuePath]: {
+          value: previous[valuePath],
+          layer: owners[valuePath].name,
+          type: owners[valuePath].type,
+        },
+      }),
+      {}
+    );
+  }
+  /**
+   * Flattens a configuration into a dictionary with the paths of all its values. Only plain
+   * objects and arrays are traversed, so things like plugins instances or regular expressions
+   * are treated as single values.
+   * @param {*}      value          The value to flatten.
+   * @param {string} [valuePath=''] The path of the value on the configuration.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getConfigValues(value, valuePath = '') {
+    let result = {};
+    if (Array.isArray(value) && value.length) {
+      result = Object.assign(
+        {},
+        ...value.map((item, index) => this._getConfigValues(item, `${valuePath}[${index}]`))
+      );
+    } else if (this._isPlainObject(value) && Object.keys(value).length) {
+      result = Object.assign({}, ...Object.keys(value).map((key) => {
+        let itemPath;
+        if (!key.match(/^[a-z_$][\w$]*$/i)) {
+          itemPath = `${valuePath}[${JSON.stringify(key)}]`;
+        } else if (valuePath) {
+          itemPath = `${valuePath}.${key}`;
+        } else {
+          itemPath = key;
+        }
+
+        return this._getConfigValues(value[key], itemPath);
+      }));
+    } else if (valuePath) {
+      result = { [valuePath]: value };
+    }
+
+    return result;
+  }
+  /**
+   * Checks whether a value is a plain object (and not an instance of a class, like a plugin).
+   * @param {*} value The value to validate.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _isPlainObject(value) {
+    return !!value &&
+      typeof value === 'object' &&
+      Object.getPrototypeOf(value) === Object.prototype;
+  }
+  /**
+   * Compares two values of a configuration. Since the configurations are copied between layers,
+   * regular expressions are compared using their string representations, and arrays and plain
+   * objects are always the same: `_getConfigValues` only returns them when they're empty.
+   * @param {*} valueA The first value.
+   * @param {*} valueB The second value.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _isSameValue(valueA, valueB) {
+    let result;
+    if (valueA instanceof RegExp && valueB instanceof RegExp) {
+      result = valueA.toString() === valueB.toString();
+    } else if (Array.isArray(valueA) && Array.isArray(valueB)) {
+      result = true;
+    } else if (this._isPlainObject(valueA) && this._isPlainObject(valueB)) {
+      result = true;
+    } else {
+      result = valueA === valueB;
+    }
+
+    return result;
+  }
+  /**
+   * Gets the type of configuration a target needs: If the target has a `platform` setting, it
+   * will be the platform, otherwise, the target type.
+   * @param {Target} target The target information.
+   * @return {string}
+   * @throws {Error} If the platform is invalid.
+   * @throws {Error} If the platform can't be used with the target type.
+   * @access protected
+   * @ignore
+   */
+  _getTargetType(target) {
+    const { platform } = target;
+    let result;
+    if (platform) {
+      const requiredType = this._platforms[platform];
+      if (!requiredType) {
+        throw new Error(`The target '${target.name}' has an invalid platform: ${platform}`);
+      } else if (requiredType !== target.type) {
+        throw new Error(
+          `The platform '${platform}' can only be used with ${requiredType} targets, ` +
+          `'${target.name}' is a ${target.type} target`
+        );
+      }
+
+      result = platform;
+    } else {
+      result = target.type;
+    }
+
+    return result;
+  }
+  /**
+   * The target settings that depend on the build type (like `output` or `sourceMap`) only have
+   * keys for `development` and `production`, and those are the ones the configuration services
+   * read. This method creates a copy of the target where, if a setting has a value for the custom
+   * build type, it's moved to the key of the base build type; otherwise, the value for the base
+   * build type is kept.
+   * @param {Target} target        The target information.
+   * @param {string} buildType     The intended build type.
+   * @param {string} baseBuildType The base build type `buildType` extends.
+   * @return {Target}
+   * @access protected
+   * @ignore
+   */
+  _getTargetForBuildType(target, buildType, baseBuildType) {
+    let result;
+    if (buildType === baseBuildType) {
+      result = target;
+    } else {
+      result = Object.assign({}, target);
+      ['entry', 'output', 'sourceMap', 'watch']
+      .filter((setting) => result[setting] && typeof result[setting][buildType] !== 'undefined')
+      .forEach((setting) => {
+        result[setting] = Object.assign({}, result[setting], {
+          [baseBuildType]: result[setting][buildType],
+        });
+      });
     }
 
-    return config;
+    return result;
   }
   /**
    * Generates a function that when called will return a dictionary with definitions that will be
@@ -165,7 +579,12 @@ class WebpackConfiguration {
       {}
     );
 
-    definitions['process.env.NODE_ENV'] = `'${buildType}'`;
+    const buildTypeDefinitions = this.webpackBuildTypes.getDefinitions(buildType);
+    Object.keys(buildTypeDefinitions).forEach((name) => {
+      definitions[name] = JSON.stringify(buildTypeDefinitions[name]);
+    });
+
+    definitions['process.env.NODE_ENV'] = `'${this.webpackBuildTypes.getBaseType(buildType)}'`;
     definitions[this.buildVersion.getDefinitionVariable()] = JSON.stringify(
       this.buildVersion.getVersion()
     );
@@ -208,9 +627,32 @@ class WebpackConfiguration {
 
     return result;
   }
+  /**
+   * Adds the library options to the configuration of a library target and, if it uses the `esm`
+   * format, the plugin that exports the bundle.
+   * @param {Object} config The webpack configuration for the target.
+   * @param {Target} target The target information.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _addLibraryOptions(config, target) {
+    const newConfig = Object.assign({}, config, {
+      output: extend(true, {}, config.output, this._getLibraryOptions(target)),
+    });
+    if (newConfig.output.library === this._esmLibraryName) {
+      newConfig.plugins = [
+        ...(newConfig.plugins || []),
+        new ProjextWebpackESMExports({ library: this._esmLibraryName }),
+      ];
+    }
+
+    return newConfig;
+  }
   /**
    * In case the target is a library, this method will be called in order to get the extra output
-   * settings webpack needs.
+   * settings webpack needs. If the `libraryTarget` is `esm`, the bundle will be exposed as a
+   * variable, so the `ProjextWebpackESMExports` plugin can export it.
    * @param {Target} target The target information.
    * @return {Object}
    * @access protected
@@ -222,27 +664,289 @@ class WebpackConfiguration {
     const newOptions = Object.assign({
       libraryTarget: 'commonjs2',
     }, libraryOptions);
+    // webpack can't output ES modules, so expose the bundle as a variable for the plugin to export.
+    if (newOptions.libraryTarget === 'esm') {
+      newOptions.libraryTarget = 'var';
+      newOptions.library = this._esmLibraryName;
+    }
 
     // Remove any option unsupported by the webpack schema
     [
       'compress',
+      'formats',
     ].forEach((invalidOption) => {
       delete newOptions[invalidOption];
     });
 
     return newOptions;
   }
+  /**
+   * Generates a copy of a library target for each format on its `libraryOptions.formats`
+   * setting. Each format can be the name of the format (`umd`, `commonjs` or `esm`), or an object
+   * with the `format` and a custom `filename`; by default, the name of the format will be added
+   * before the extension of the target JS files: `[target-name].umd.js`.
+   * @param {Target} target The target information.
+   * @return {Array<Object>} A list of objects with the `format` and the `target` to use for it. If
+   *                         the target is not a library or doesn't have formats, the list will
+   *                         be empty.
+   * @throws {Error} If one of the formats is invalid.
+   * @access protected
+   * @ignore
+   */
+  _getLibraryFormats(target) {
+    const formats = target.library && target.libraryOptions && target.libraryOptions.formats;
+    return (formats || []).map((formatSettings) => {
+      const { format, filename } = typeof formatSettings === 'string' ?
+        { format: formatSettings } :
+        formatSettings;
+      const libraryTarget = this._libraryFormats[format];
+      if (!libraryTarget) {
+        throw new Error(`The target '${target.name}' has an invalid library format: ${format}`);
+      }
+
+      const output = Object.keys(target.output).reduce(
+        (current, type) => {
+          const typeOutput = Object.assign({}, target.output[type], {
+            js: filename || this._addFileSuffix(target.output[type].js, format),
+          });
+          if (typeof typeOutput.jsChunks === 'string') {
+            typeOutput.jsChunks = this._addFileSuffix(typeOutput.jsChunks, format);
+          }
+
+          return Object.assign({}, current, { [type]: typeOutput });
+        },
+        {}
+      );
+
+      return {
+        format,
+        target: Object.assign({}, target, {
+          output,
+          libraryOptions: Object.assign({}, target.libraryOptions, { libraryTarget }),
+        }),
+      };
+    });
+  }
+  /**
+   * Generates the configurations for the differential bundles of a target: the legacy one and
+   * the modern one, which depends on the legacy one so its HTML files can load the legacy files
+   * too. Both builds share the map where the legacy build saves its files, and the definitions:
+   * the modern build uses the ones the legacy build generated.
+   * @param {Target}        target    The target information.
+   * @param {string}        buildType The intended build type.
+   * @param {Array<Object>} bundles   The list of bundles generated by
+   *                                  {@link WebpackConfiguration#_getDifferentialBundles}.
+   * @param {Function}      create    The function that generates each configuration. Check
+   *                                  {@link WebpackConfiguration#_createVariants} for its
+   *                                  parameters.
+   * @return {Array<Object>}
+   * @access protected
+   * @ignore
+   */
+  _createDifferentialConfigs(target, buildType, bundles, create) {
+    const generator = this._getDefinitionsGenerator(target, buildType);
+    let legacyDefinitions = null;
+    const shared = {
+      bundles: new Map(),
+      definitions: {
+        legacy: () => {
+          legacyDefinitions = generator();
+          return legacyDefinitions;
+        },
+        modern: () => legacyDefinitions || generator(),
+      },
+    };
+    const legacyName = `${target.name}.legacy`;
+    return bundles.map(({ type, target: bundleTarget }) => create(
+      bundleTarget,
+      Object.assign({ type }, shared),
+      Object.assign(
+        { name: `${target.name}.${type}` },
+        type === 'modern' ? { dependencies: [legacyName] } : {}
+      )
+    ));
+  }
+  /**
+   * Generates a copy of a browser target for each one of the differential bundles, if the target
+   * has the `differential` setting and the build type is `production` (or a custom build type
+   * that extends it):
+   * - `legacy`: The target JS and CSS files have `.legacy` before their extension, so they don't
+   *   replace the modern ones.
+   * - `modern`: The target uses the same file names, but Babel only transpiles the code for
+   *   the browsers that support ES modules.
+   * @param {Target} target    The target information.
+   * @param {string} buildType The intended build type.
+   * @return {Array<Object>} A list of objects with the `type` of bundle and the `target` to use
+   *                         for it. If the target doesn't use differential bundles, the list
+   *                         will be empty.
+   * @access protected
+   * @ignore
+   */
+  _getDifferentialBundles(target, buildType) {
+    let result;
+    if (
+      target.differential &&
+      target.is.browser &&
+      !target.library &&
+      this._getTargetType(target) === 'browser' &&
+      this.webpackBuildTypes.getBaseType(buildType) === 'production'
+    ) {
+      const output = Object.keys(target.output).reduce(
+        (current, type) => {
+          const typeOutput = Object.assign({}, target.output[type]);
+          ['js', 'jsChunks', 'css']
+          .filter((name) => typeof typeOutput[name] === 'string')
+          .forEach((name) => {
+            typeOutput[name] = this._addFileSuffix(typeOutput[name], 'legacy');
+          });
+
+          return Object.assign({}, current, { [type]: typeOutput });
+        },
+        {}
+      );
+      const babel = Object.assign({}, target.babel);
+      babel.env = Object.assign({}, babel.env, {
+        targets: {
+          esmodules: true,
+          // projext removes the setting if it's not an array.
+          browsers: null,
+        },
+      });
+      result = [
+        {
+          type: 'legacy',
+          target: Object.assign({}, target, { output }),
+        },
+        {
+          type: 'modern',
+          target: Object.assign({}, target, { babel }),
+        },
+      ];
+    } else {
+      result = [];
+    }
+
+    return result;
+  }
+  /**
+   * Adds a suffix before the extension of a file path: `build.js` becomes `build.[suffix].js`.
+   * If the path has `[contenthash]` or `[chunkhash]` placeholders, the suffix will be added
+   * before them: `build.[contenthash].js` becomes `build.[suffix].[contenthash].js`.
+   * @param {string} filepath The path to the file.
+   * @param {string} suffix   The suffix to add.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _addFileSuffix(filepath, suffix) {
+    const parsed = path.parse(filepath);
+    // If the file name has hash placeholders, the suffix should go before them.
+    const [, name, hash] = parsed.name.match(
+      /^(.*?)((?:\.\[(?:contenthash|chunkhash)(?::\d+)?\])*)$/
+    );
+    return path.join(parsed.dir, `${name}.${suffix}${hash}${parsed.ext}`);
+  }
+  /**
+   * Generates the `entry` and `pages` parameters for a target. If the target has an `entries`
+   * setting, each named entry will have its own page; otherwise, the target will have a single
+   * entry, named after the target, and no pages.
+   * Each entry on the `entries` setting can be the path to a file, relative to the target source
+   * directory, or an object with the path (`entry`) and the `html` settings for its page. By
+   * default, the template and the generated file of a page will be named after the entry:
+   * `[entry].html`.
+   * @param {Target} target        The target information.
+   * @param {string} baseBuildType The base type of the build (`development` or `production`).
+   * @return {Object}
+   * @property {Object}                          entry The dictionary of entries for webpack.
+   * @property {Array<WebpackConfigurationPage>} pages The pages for the target entries.
+   * @access protected
+   * @ignore
+   */
+  _getTargetEntries(target, baseBuildType) {
+    const { entries } = target;
+    let result;
+    if (entries && Object.keys(entries).length) {
+      result = {
+        entry: {},
+        pages: [],
+      };
+      Object.keys(entries).forEach((name) => {
+        const settings = typeof entries[name] === 'string' ?
+          { entry: entries[name] } :
+          entries[name];
+        result.entry[name] = [path.join(target.paths.source, settings.entry)];
+        result.pages.push({
+          name,
+          html: Object.assign(
+            {
+              template: `${name}.html`,
+              filename: `${name}.html`,
+            },
+            settings.html
+          ),
+        });
+      });
+    } else {
+      result = {
+        entry: {
+          [target.name]: [
+            path.join(target.paths.source, target.entry[baseBuildType]),
+          ],
+        },
+        pages: [],
+      };
+    }
+
+    return result;
+  }
+  /**
+   * Generates the options for the `BundleAnalyzerPlugin` using the target `analyzer` settings.
+   * The paths of the report and the stats file are relative to the target build directory, and
+   * unless specified, the stats file is generated next to the report on the `static` and `json`
+   * modes.
+   * @param {Target} target The target information.
+   * @return {Object}
+   * @throws {Error} If the target uses an invalid mode.
+   * @access protected
+   * @ignore
+   */
+  _getAnalyzerOptions(target) {
+    const settings = Object.assign(
+      {
+        mode: 'server',
+        reportFilename: 'report.html',
+      },
+      target.analyzer
+    );
+    const analyzerMode = this._analyzerModes[settings.mode];
+    if (!analyzerMode) {
+      throw new Error(
+        `The target '${target.name}' has an invalid analyzer mode: ${settings.mode}`
+      );
+    }
+
+    const isServer = settings.mode === 'server';
+    return {
+      analyzerMode,
+      reportFilename: settings.reportFilename,
+      openAnalyzer: typeof settings.open === 'boolean' ? settings.open : isServer,
+      generateStatsFile: typeof settings.stats === 'boolean' ? settings.stats : !isServer,
+      statsFilename: settings.statsFilename ||
+        path.join(path.dirname(settings.reportFilename), 'stats.json'),
+    };
+  }
   /**
    * This is a small helper function that parses the default path of the JS file webpack will
-   * emmit and adds a `[name]` placeholder for webpack to replace with the chunk name.
+   * emmit and adds a `[name]` placeholder for webpack to replace with the chunk name. If the
+   * path has `[contenthash]` or `[chunkhash]` placeholders, the `[name]` placeholder will be
+   * added before them: `build.[contenthash].js` becomes `build.[name].[contenthash].js`.
    * @param {string} jsPath The original path for the JS file.
    * @return {string}
    * @access protected
    * @ignore
    */
   _generateChunkName(jsPath) {
-    const parsed = path.parse(jsPath);
-    return path.join(parsed.dir, `${parsed.name}.[name]${parsed.ext}`);
+    return this._addFileSuffix(jsPath, '[name]');
   }
 }
 /**
@@ -266,6 +970,18 @@ const webpackConfiguration = provider((app) => {
         development: app.get('webpackBrowserDevelopmentConfiguration'),
         production: app.get('webpackBrowserProductionConfiguration'),
       },
+      'electron-main': {
+        development: app.get('webpackElectronMainDevelopmentConfiguration'),
+        production: app.get('webpackElectronMainProductionConfiguration'),
+      },
+      'electron-renderer': {
+        development: app.get('webpackElectronRendererDevelopmentConfiguration'),
+        production: app.get('webpackElectronRendererProductionConfiguration'),
+      },
+      webworker: {
+        development: app.get('webpackWebworkerDevelopmentConfiguration'),
+        production: app.get('webpackWebworkerProductionConfiguration'),
+      },
     };
 
     return new WebpackConfiguration(
@@ -274,6 +990,7 @@ const webpackConfiguration = provider((app) => {
       app.get('targets'),
       app.get('targetsFileRules'),
       app.get('targetConfiguration'),
+      app.get('webpackBuildTypes'),
       webpackConfigurations
     );
   });
@@ -0,0 +1,446 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { provider } = require('jimple');
+/**
+ * This service generates snapshots of the webpack configurations of the targets and compares
+ * them, so changes that only affect one build type, or that were made since a snapshot was
+ * saved, can be detected before they reach a build.
+ */
+class WebpackConfigurationDiff {
+  /**
+   * Class constructor.
+   * @param {Logger}               appLogger            To log the differences between
+   *                                                    configurations.
+   * @param {PathUtils}            pathUtils            To remove the project path from the
+   *                                                    snapshots, so they can be shared between
+   *                                                    environments.
+   * @param {WebpackConfiguration} webpackConfiguration To generate the configurations.
+   */
+  constructor(appLogger, pathUtils, webpackConfiguration) {
+    /**
+     * A local reference for the `appLogger` service.
+     * @type {Logger}
+     */
+    this.appLogger = appLogger;
+    /**
+     * A local reference for the `pathUtils` service.
+     * @type {PathUtils}
+     */
+    this.pathUtils = pathUtils;
+    /**
+     * A local reference for the `webpackConfiguration` service.
+     * @type {WebpackConfiguration}
+     */
+    this.webpackConfiguration = webpackConfiguration;
+    /**
+     * The sections of the webpack configuration that are included on the snapshots, and the
+     * order in which their differences are reported.
+     * @type {Array<string>}
+     */
+    this.sections = ['rules', 'plugins', 'externals', 'output', 'optimization'];
+    /**
+     * The version of the snapshots format, in case it changes and old snapshots need to be
+     * detected.
+     * @type {number}
+     */
+    this.version = 1;
+    /**
+     * The string that replaces the project path on the snapshots.
+     * @type {string}
+     * @access protected
+     * @ignore
+     */
+    this._projectPathPlaceholder = '<project>';
+  }
+  /**
+   * Generates a snapshot of a target webpack configuration. A snapshot only includes the
+   * sections defined on the `sections` property, and it can be serialized as JSON:
+   * - Regular expressions and functions are converted into strings.
+   * - Plugins (and minimizers) are saved on dictionaries, using their constructor names as keys,
+   *   and with their options as values.
+   * - The project path is replaced with `<project>`.
+   * - The keys of all the objects are sorted.
+   * - If the target has a list of configurations (a library with multiple formats, or
+   *   differential bundles), each section is a dictionary with the configurations names (or
+   *   their indexes, if they don't have one) as keys.
+   * @param {Target} target    The target information.
+   * @param {string} buildType The intended build type.
+   * @return {WebpackConfigurationSnapshot}
+   */
+  createSnapshot(target, buildType) {
+    const config = this.webpackConfiguration.getConfig(target, buildType);
+    const sections = Array.isArray(config) ?
+      this._getMultiConfigurationSections(config) :
+      this._getConfigurationSections(config);
+
+    return Object.assign(
+      {
+        version: this.version,
+        target: target.name,
+        buildType,
+      },
+      this.sections.reduce(
+        (snapshot, section) => Object.assign({}, snapshot, {
+          [section]: this._normalizeValue(sections[section]),
+        }),
+        {}
+      )
+    );
+  }
+  /**
+   * Generates a snapshot of a target webpack configuration and saves it as JSON.
+   * @param {Target} target    The target information.
+   * @param {string} buildType The intended build type.
+   * @param {string} filepath  The path where the snapshot will be saved.
+   * @return {WebpackConfigurationSnapshot}
+   */
+  saveSnapshot(target, buildType, filepath) {
+    const snapshot = this.createSnapshot(target, buildType);
+    fs.writeJsonSync(filepath, snapshot, { spaces: 2 });
+    return snapshot;
+  }
+  /**
+   * Loads a snapshot from a JSON file.
+   * @param {string} filepath The path to the snapshot.
+   * @return {WebpackConfigurationSnapshot}
+   * @throws {Error} If the snapshot doesn't exist.
+   * @throws {Error} If the snapshot was generated with a different version of the format.
+   */
+  loadSnapshot(filepath) {
+    if (!fs.pathExistsSync(filepath)) {
+      throw new Error(`The snapshot file doesn't exist: ${filepath}`);
+    }
+
+    const snapshot = fs.readJsonSync(filepath);
+    if (!snapshot || snapshot.version !== this.version) {
+      throw new Error(
+        `The snapshot '${filepath}' was generated with a different version of the plugin, ` +
+        'please generate it again'
+      );
+    }
+
+    return snapshot;
+  }
+  /**
+   * Compares two snapshots and returns the list of differences between them.
+   * @param {WebpackConfigurationSnapshot} from The snapshot used as reference.
+   * @param {WebpackConfigurationSnapshot} to   The snapshot to compare.
+   * @return {Array<WebpackConfigurationDifference>}
+   */
+  compare(from, to) {
+    const result = [];
+    this.sections.forEach((section) => {
+      const fromValues = this._flattenValue(from[section], section);
+      const toValues = this._flattenValue(to[section], section);
+      Object.keys(fromValues).forEach((valuePath) => {
+        if (!Object.prototype.hasOwnProperty.call(toValues, valuePath)) {
+          result.push({
+            path: valuePath,
+            type: 'removed',
+            from: fromValues[valuePath],
+          });
+        } else if (fromValues[valuePath] !== toValues[valuePath]) {
+          result.push({
+            path: valuePath,
+            type: 'changed',
+            from: fromValues[valuePath],
+            to: toValues[valuePath],
+          });
+        }
+      });
+      Object.keys(toValues)
+      .filter((valuePath) => !Object.prototype.hasOwnProperty.call(fromValues, valuePath))
+      .forEach((valuePath) => {
+        result.push({
+          path: valuePath,
+          type: 'added',
+          to: toValues[valuePath],
+        });
+      });
+    });
+
+    return result;
+  }
+  /**
+   * Compares the configurations of a target for two build types and logs the differences.
+   * @param {Target} target     The target information.
+   * @param {string} buildTypeA The build type used as reference.
+   * @param {string} buildTypeB The build type to compare.
+   * @return {Array<WebpackConfigurationDifference>}
+   */
+  diffBuildTypes(target, buildTypeA, buildTypeB) {
+    const differences = this.compare(
+      this.createSnapshot(target, buildTypeA),
+      this.createSnapshot(target, buildTypeB)
+    );
+    this.logDifferences(
+      differences,
+      `'${target.name}' (${buildTypeA})`,
+      `'${target.name}' (${buildTypeB})`
+    );
+
+    return differences;
+  }
+  /**
+   * Compares a saved snapshot with the current configuration of a target and logs the
+   * differences.
+   * @param {Target} target    The target information.
+   * @param {string} buildType The intended build type.
+   * @param {string} filepath  The path to the snapshot.
+   * @return {Array<WebpackConfigurationDifference>}
+   * @throws {Error} If the snapshot can't be loaded.
+   */
+  diffSnapshot(target, buildType, filepath) {
+    const differences = this.compare(
+      this.loadSnapshot(filepath),
+      this.createSnapshot(target, buildType)
+    );
+    this.logDifferences(
+      differences,
+      filepath,
+      `'${target.name}' (${buildType})`
+    );
+
+    return differences;
+  }
+  /**
+   * Logs a list of differences between two configurations.
+   * @param {Array<WebpackConfigurationDifference>} differences The list of differences.
+   * @param {string}                               fromName    How to identify the configuration
+   *                                                           used as reference.
+   * @param {string}                               toName      How to identify the configuration
+   *                                                           that was compared.
+   */
+  logDifferences(differences, fromName, toName) {
+    if (differences.length) {
+      this.appLogger.warning(
+        `There are ${differences.length} difference(s) between ${fromName} and ${toName}:`
+      );
+      this.appLogger.log(differences.map((difference) => {
+        let line;
+        if (difference.type === 'added') {
+          line = [`+ ${difference.path}: ${difference.to}`, 'green'];
+        } else if (difference.type === 'removed') {
+          line = [`- ${difference.path}: ${difference.from}`, 'red'];
+        } else {
+          line = [`~ ${difference.path}: ${difference.from} -> ${difference.to}`, 'yellow'];
+        }
+
+        return line;
+      }));
+    } else {
+      this.appLogger.success(`There are no differences between ${fromName} and ${toName}`);
+    }
+  }
+  /**
+   * Gets the sections of a webpack configuration that are included on the snapshots.
+   * @param {Object} config The webpack configuration.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getConfigurationSections(config) {
+    const optimization = Object.assign({}, config.optimization);
+    if (optimization.minimizer) {
+      optimization.minimizer = this._getInstancesDictionary(optimization.minimizer);
+    }
+
+    return {
+      rules: (config.module && config.module.rules) || [],
+      plugins: this._getInstancesDictionary(config.plugins || []),
+      externals: config.externals || {},
+      output: config.output || {},
+      optimization,
+    };
+  }
+  /**
+   * Gets the sections of a list of webpack configurations that are included on the snapshots.
+   * Each section is a dictionary with the configurations names, or their indexes if they don't
+   * have one, as keys.
+   * @param {Array<Object>} configs The list of webpack configurations.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getMultiConfigurationSections(configs) {
+    return configs.reduce(
+      (sections, config, index) => {
+        const name = config.name || String(index);
+        const configSections = this._getConfigurationSections(config);
+        return this.sections.reduce(
+          (current, section) => Object.assign({}, current, {
+            [section]: Object.assign({}, current[section], {
+              [name]: configSections[section],
+            }),
+          }),
+          sections
+        );
+      },
+      {}
+    );
+  }
+  /**
+   * Converts a list of class instances (like plugins or minimizers) into a dictionary that uses
+   * their constructor names as keys. If there's more than one instance of the same class, the
+   * keys for the rest will have a suffix with their position, like `CompressionPlugin#2`.
+   * @param {Array<Object>} list The list of instances.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getInstancesDictionary(list) {
+    const counts = {};
+    return list.reduce(
+      (dictionary, instance) => {
+        const name = this._getConstructorName(instance);
+        counts[name] = (counts[name] || 0) + 1;
+        const key = counts[name] > 1 ? `${name}#${counts[name]}` : name;
+        return Object.assign({}, dictionary, {
+          [key]: this._getInstanceOptions(instance),
+        });
+      },
+      {}
+    );
+  }
+  /**
+   * Gets the options of a class instance, like a plugin. If the instance implements a
+   * `getOptions` method, like this project plugins, it will be used, otherwise, it will look for
+   * an `options` property; and if neither exist, it will use all the instance properties.
+   * @param {Object} instance The instance from where the options will be taken.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getInstanceOptions(instance) {
+    let result;
+    if (typeof instance.getOptions === 'function') {
+      result = instance.getOptions();
+    } else if (instance.options && typeof instance.options === 'object') {
+      ({ options: result } = instance);
+    } else {
+      result = Object.assign({}, instance);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the name of the constructor of an instance.
+   * @param {Object} instance The instance to validate.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _getConstructorName(instance) {
+    return (instance && instance.constructor && instance.constructor.name) || 'Object';
+  }
+  /**
+   * Converts a configuration value into something that can be serialized as JSON, with its
+   * objects keys sorted.
+   * @param {*}             value        The value to normalize.
+   * @param {Array<Object>} [parents=[]] The objects the value is inside of, to detect circular
+   *                                     references.
+   * @return {*}
+   * @access protected
+   * @ignore
+   */
+  _normalizeValue(value, parents = []) {
+    let result;
+    if (typeof value === 'string') {
+      result = this._normalizeString(value);
+    } else if (typeof value === 'function') {
+      result = `[Function${value.name ? `: ${value.name}` : ''}]`;
+    } else if (value instanceof RegExp) {
+      result = value.toString();
+    } else if (value && typeof value === 'object') {
+      if (parents.includes(value)) {
+        result = '[Circular]';
+      } else if (Array.isArray(value)) {
+        result = value.map((item) => this._normalizeValue(item, [...parents, value]));
+      } else if (this._getConstructorName(value) === 'Object') {
+        result = Object.keys(value)
+        .filter((key) => typeof value[key] !== 'undefined')
+        .sort()
+        .reduce(
+          (current, key) => Object.assign({}, current, {
+            [key]: this._normalizeValue(value[key], [...parents, value]),
+          }),
+          {}
+        );
+      } else {
+        result = `[${this._getConstructorName(value)}]`;
+      }
+    } else if (typeof value === 'undefined') {
+      result = null;
+    } else {
+      result = value;
+    }
+
+    return result;
+  }
+  /**
+   * Replaces the project path on a string.
+   * @param {string} value The string to normalize.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _normalizeString(value) {
+    const projectPath = this.pathUtils.join();
+    return value === projectPath || value.startsWith(`${projectPath}${path.sep}`) ?
+      `${this._projectPathPlaceholder}${value.substr(projectPath.length)}` :
+      value;
+  }
+  /**
+   * Flattens a normalized value into a dictionary with the paths of all its values and their
+   * JSON representations.
+   * @param {*}      value     The value to flatten.
+   * @param {string} valuePath The path of the value.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _flattenValue(value, valuePath) {
+    let result;
+    if (Array.isArray(value) && value.length) {
+      result = Object.assign(
+        {},
+        ...value.map((item, index) => this._flattenValue(item, `${valuePath}[${index}]`))
+      );
+    } else if (value && typeof value === 'object' && Object.keys(value).length) {
+      result = Object.assign({}, ...Object.keys(value).map((key) => {
+        const itemPath = key.match(/^[a-z_$][\w$]*$/i) ?
+          `${valuePath}.${key}` :
+          `${valuePath}[${JSON.stringify(key)}]`;
+        return this._flattenValue(value[key], itemPath);
+      }));
+    } else {
+      result = {
+        [valuePath]: typeof value === 'undefined' ? 'null' : JSON.stringify(value),
+      };
+    }
+
+    return result;
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackConfigurationDiff` as the `webpackConfigurationDiff` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackConfigurationDiff);
+ * // Getting access to the service instance
+ * const webpackConfigurationDiff = container.get('webpackConfigurationDiff');
+ * @type {Provider}
+ */
+const webpackConfigurationDiff = provider((app) => {
+  app.set('webpackConfigurationDiff', () => new WebpackConfigurationDiff(
+    app.get('appLogger'),
+    app.get('pathUtils'),
+    app.get('webpackConfiguration')
+  ));
+});
+
+module.exports = {
+  WebpackConfigurationDiff,
+  webpackConfigurationDiff,
+};
@@ -1,25 +1,41 @@
 const path = require('path');
+const fs = require('fs-extra');
+const webpack = require('webpack');
+const ObjectUtils = require('wootils/shared/objectUtils');
 const { provider } = require('jimple');
+const { WebpackCompilerError, WebpackCompilationError } = require('./errors');
 /**
  * This build engine is in charge of generating the CLI commands and the configuration to bundle
- * a target using Webpack.
+ * a target using Webpack. It can also bundle targets directly by using the webpack Node API.
  */
 class WebpackBuildEngine {
   /**
    * Class constructor.
-   * @param {EnvironmentUtils}     environmentUtils     To load environment variables sent by the
-   *                                                    CLI command to the configuration builder
-   *                                                    method.
+   * @param {Logger}               appLogger            To inform when a target configuration
+   *                                                    can't be generated while bundling
+   *                                                    multiple targets.
+   * @param {EnvironmentUtils}     environmentUtils     To load the environment variable sent by
+   *                                                    the CLI command to the configuration
+   *                                                    builder method.
    * @param {Targets}              targets              To get a target information.
+   * @param {WebpackBuildManifest} webpackBuildManifest To write and read the manifest with the
+   *                                                    information of the build.
    * @param {WebpackConfiguration} webpackConfiguration To generate a configuration for a target.
    * @param {WebpackPluginInfo}    webpackPluginInfo    To get the path to the configuration file.
    */
   constructor(
+    appLogger,
     environmentUtils,
     targets,
+    webpackBuildManifest,
     webpackConfiguration,
     webpackPluginInfo
   ) {
+    /**
+     * A local reference for the `appLogger` service.
+     * @type {Logger}
+     */
+    this.appLogger = appLogger;
     /**
      * A local reference for the `environmentUtils` service.
      * @type {EnvironmentUtils}
@@ -30,6 +46,11 @@ class WebpackBuildEngine {
      * @type {Targets}
      */
     this.targets = targets;
+    /**
+     * A local reference for the `webpackBuildManifest` service.
+     * @type {WebpackBuildManifest}
+     */
+    this.webpackBuildManifest = webpackBuildManifest;
     /**
      * A local reference for the `webpackConfiguration` service.
      * @type {WebpackConfiguration}
@@ -41,48 +62,37 @@ class WebpackBuildEngine {
      */
     this.webpackPluginInfo = webpackPluginInfo;
     /**
-     * A dictionary of environment variables the service will include on the CLI command and
-     * that will be retrieved when generating the configuration.
-     * The keys are the purpose and the values the actual names of the variables.
-     * @type {Object}
-     * @property {string} target  The name of the target being builded.
-     * @property {string} type    The intended build type: `development` or `production`.
-     * @property {string} run     Whether or not to execute the target. This will be like a fake
-     *                            boolean as the CLI doesn't support boolean variables, so its
-     *                            value will be either `'true'` or `'false'`.
-     * @property {string} watch   Whether or not to watch the target files. This will be like a
-     *                            fake boolean as the CLI doesn't support boolean variables, so
-     *                            its value will be either `'true'` or `'false'`.
-     * @property {string} inspect Whether or not to enable the Node inspector. This will be like a
-     *                            fake boolean as the CLI doesn't support boolean variables, so its
-     *                            value will be either `'true'` or `'false'`.
-     * @property {string} analyze Whether or not to enable the bundle analyzer. This will be like a
-     *                            fake boolean as the CLI doesn't support boolean variables, so its
-     *                            value will be either `'true'` or `'false'`.
-     *
+     * The name of the environment variable the service will include on the CLI command, with
+     * the path to the build manifest, and that will be retrieved when generating the
+     * configuration.
+     * @type {string}
      * @access protected
      * @ignore
      */
-    this._envVars = {
-      target: 'PXTWPK_TARGET',
-      type: 'PXTWPK_TYPE',
-      run: 'PXTWPK_RUN',
-      watch: 'PXTWPK_WATCH',
-      inspect: 'PXTWPK_INSPECT',
-      analyze: 'PXTWPK_ANALYZE',
-    };
+    this._manifestEnvVar = 'PXTWPK_MANIFEST';
   }
   /**
-   * Get the CLI build command to bundle a target.
-   * @param {Target}  target               The target information.
-   * @param {string}  buildType            The intended build type: `development` or `production`.
-   * @param {boolean} [forceRun=false]     Force the target to run even if the `runOnDevelopment`
-   *                                       setting is `false`.
-   * @param {boolean} [forceWatch=false]   Force webpack to use the watch mode even if the `watch`
-   *                                       setting for the required build type is set to `false`.
-   * @param {boolean} [forceInspect=false] Enables the Node inspector even if the target setting
-   *                                       is set to `false`.
-   * @param {boolean} [forceAnalyze=false] Enables the bundle analyzer.
+   * Get the CLI build command to bundle a target, or a list of targets.
+   * When multiple targets are sent, they'll be bundled on the same webpack process using a
+   * multi-compiler configuration. Since the dev server can only handle one target, browser targets
+   * won't be executed when they are bundled with other targets.
+   * @param {Target|Array<Target>} target               The target information, or a list of
+   *                                                    targets.
+   * @param {string}               buildType            The intended build type: `development`
+   *                                                    or `production`.
+   * @param {boolean}              [forceRun=false]     Force the target to run even if the
+   *                                                    `runOnDevelopment` setting is `false`.
+   * @param {boolean}              [forceWatch=false]   Force webpack to use the watch mode even
+   *                                                    if the `watch` setting for the required
+   *                                                    build type is set to `false`.
+   * @param {boolean}              [forceInspect=false] Enables the Node inspector even if the
+   *                                                    target setting is set to `false`.
+   * @param {boolean}              [forceAnalyze=false] Enables the bundle analyzer.
+   * @param {Object}               [extraOptions={}]    A dictionary of extra options that will be
+   *                                                    saved on the build manifest and sent to
+   *                                                    the configuration services as the
+   *                                                    `buildOptions` parameter. For example:
+   *                                                    `{ port: 8080 }`.
    * @return {string}
    */
   getBuildCommand(
@@ -91,16 +101,20 @@ class WebpackBuildEngine {
     forceRun = false,
     forceWatch = false,
     forceInspect = false,
-    forceAnalyze = false
+    forceAnalyze = false,
+    extraOptions = {}
   ) {
-    const vars = this._getEnvVarsAsString({
-      target: target.name,
-      type: buildType,
-      run: forceRun,
-      watch: forceWatch,
-      inspect: forceInspect,
-      analyze: forceAnalyze,
-    });
+    const manifest = this.webpackBuildManifest.create(
+      target,
+      buildType,
+      Object.assign({}, extraOptions, {
+        run: forceRun,
+        watch: forceWatch,
+        inspect: forceInspect,
+        analyze: forceAnalyze,
+      })
+    );
+    const manifestPath = this.webpackBuildManifest.write(manifest);
 
     const config = path.join(
       'node_modules',
@@ -115,11 +129,296 @@ class WebpackBuildEngine {
     ]
     .join(' ');
 
-    const command = !forceAnalyze && target.is.browser && (target.runOnDevelopment || forceRun) ?
+    const command = (
+      !Array.isArray(target) &&
+      !forceAnalyze &&
+      target.is.browser &&
+      (target.runOnDevelopment || forceRun)
+    ) ?
       'webpack-dev-server' :
       'webpack';
 
-    return `${vars} ${command} --config ${config} ${options}`;
+    const manifestVar = `${this._manifestEnvVar}=${this._escapeShellArgument(manifestPath)}`;
+    return `${manifestVar} ${command} --config ${config} ${options}`;
+  }
+  /**
+   * Bundle a target using the webpack Node API.
+   * The configuration is generated with {@link WebpackBuildEngine#getConfiguration}, so all the
+   * reducer events and overwrite files are applied, just like when using the CLI command.
+   * Since the webpack API doesn't include the dev server, browser targets will never be
+   * executed by this method, and if the configuration enables the watch mode, the promise will be
+   * resolved after the first compilation, with the watcher on the result. If the first
+   * compilation fails, the watcher will be closed before rejecting the promise.
+   * @param {Target}                    target       The target information.
+   * @param {string}                    buildType    The intended build type: `development` or
+   *                                                 `production`.
+   * @param {WebpackBuildEngineOptions} [options={}] Custom options to force settings of the
+   *                                                 target.
+   * @return {Promise<WebpackBuildResult,WebpackBuildError>}
+   */
+  build(target, buildType, options = {}) {
+    return new Promise((resolve, reject) => {
+      let compiler;
+      try {
+        compiler = webpack(this._getAPIConfiguration(
+          target,
+          this.webpackBuildManifest.create(target, buildType, options)
+        ));
+      } catch (error) {
+        reject(new WebpackCompilerError(
+          `The configuration for '${target.name}' couldn't be compiled: ${error.message}`,
+          target.name,
+          buildType,
+          error
+        ));
+        return;
+      }
+
+      let watching = null;
+      let finished = false;
+      /**
+       * If the build fails on watch mode, the watcher needs to be closed before rejecting the
+       * promise, as the implementation won't receive it to close it.
+       */
+      const fail = (error) => {
+        if (watching) {
+          watching.close(() => reject(error));
+        } else {
+          reject(error);
+        }
+      };
+      const onBuild = (error, stats) => {
+        /**
+         * On watch mode, webpack calls this function after every compilation, but the promise
+         * is only settled with the first one.
+         */
+        if (finished) {
+          return;
+        }
+
+        finished = true;
+        if (error) {
+          fail(new WebpackCompilerError(
+            `webpack failed while bundling '${target.name}': ${error.message}`,
+            target.name,
+            buildType,
+            error
+          ));
+        } else {
+          const result = this._createBuildResult(target, buildType, stats, watching);
+          if (stats.hasErrors()) {
+            fail(new WebpackCompilationError(
+              `The bundle for '${target.name}' finished with ${result.errors.length} error(s)`,
+              target.name,
+              buildType,
+              result
+            ));
+          } else {
+            resolve(result);
+          }
+        }
+      };
+
+      if (compiler.options.watch) {
+        watching = compiler.watch(compiler.options.watchOptions || {}, onBuild);
+      } else {
+        compiler.run(onBuild);
+      }
+    });
+  }
+  /**
+   * Bundle a list of targets on the same webpack process, using the webpack Node API and a
+   * multi-compiler configuration.
+   * The promise is never rejected: Each target gets its own report, with either the result of
+   * the build or the error that made it fail, so a target with errors won't stop the rest.
+   * Like {@link WebpackBuildEngine#build}, browser targets won't be executed, and if one of the
+   * configurations enables the watch mode, all the targets will be watched and the promise will
+   * be resolved after the first compilation.
+   * @param {Array<Target>}             targets      The list of targets to bundle.
+   * @param {string}                    buildType    The intended build type: `development` or
+   *                                                 `production`.
+   * @param {WebpackBuildEngineOptions} [options={}] Custom options to force settings of the
+   *                                                 targets.
+   * @return {Promise<Array<WebpackTargetBuildReport>,Error>}
+   */
+  buildTargets(targets, buildType, options = {}) {
+    return new Promise((resolve) => {
+      const entries = this._getMultiConfiguration(
+        targets,
+        () => this.webpackBuildManifest.create(targets, buildType, options)
+      )
+      .map((entry) => Object.assign(entry, {
+        error: entry.error && new WebpackCompilerError(
+          `The configuration for '${entry.target.name}' couldn't be compiled: ` +
+          `${entry.error.message}`,
+          entry.target.name,
+          buildType,
+          entry.error
+        ),
+      }));
+      const createReports = (getReport) => entries.map((entry) => (
+        entry.error ?
+          { target: entry.target.name, result: null, error: entry.error } :
+          Object.assign({ target: entry.target.name, result: null, error: null }, getReport(entry))
+      ));
+      const configs = entries.filter((entry) => entry.config);
+      if (!configs.length) {
+        resolve(createReports());
+        return;
+      }
+
+      let compiler;
+      try {
+        compiler = webpack(configs.map((entry) => entry.config));
+      } catch (error) {
+        resolve(createReports((entry) => ({
+          error: new WebpackCompilerError(
+            `The configuration for '${entry.target.name}' couldn't be compiled: ${error.message}`,
+            entry.target.name,
+            buildType,
+            error
+          ),
+        })));
+        return;
+      }
+
+      let watching = null;
+      let finished = false;
+      const onBuild = (error, multiStats) => {
+        /**
+         * On watch mode, webpack calls this function after every compilation, but only the first
+         * one includes the stats for all the targets.
+         */
+        if (finished) {
+          return;
+        }
+
+        finished = true;
+        resolve(createReports((entry) => {
+          let report;
+          if (error) {
+            report = {
+              error: new WebpackCompilerError(
+                `webpack failed while bundling '${entry.target.name}': ${error.message}`,
+                entry.target.name,
+                buildType,
+                error
+              ),
+            };
+          } else {
+            const stats = multiStats.stats[configs.indexOf(entry)];
+            const result = this._createBuildResult(entry.target, buildType, stats, watching);
+            report = stats.hasErrors() ?
+              {
+                error: new WebpackCompilationError(
+                  `The bundle for '${entry.target.name}' finished with ` +
+                  `${result.errors.length} error(s)`,
+                  entry.target.name,
+                  buildType,
+                  result
+                ),
+              } :
+              { result };
+          }
+
+          return report;
+        }));
+      };
+
+      if (compiler.compilers.some((child) => child.options.watch)) {
+        watching = compiler.watch(
+          compiler.compilers.map((child) => child.options.watchOptions || {}),
+          onBuild
+        );
+      } else {
+        compiler.run(onBuild);
+      }
+    });
+  }
+  /**
+   * Generates the webpack configuration for a target and detects the layer that set each one of
+   * its values: a configuration service, a reducer event or an overwrite file. If a file path is
+   * specified, the information will be saved as JSON, otherwise, it will be logged on the
+   * console.
+   * The target settings are forced the same way the CLI command does it, so the inspected
+   * configuration is the one webpack would receive. If the target generates multiple
+   * configurations (library formats or differential bundles), each one of them is inspected:
+   * they are logged one after the other, or saved on the file as a `configurations` list.
+   * @param {Target}                    target          The target information.
+   * @param {string}                    buildType       The intended build type: `development` or
+   *                                                    `production`.
+   * @param {WebpackBuildEngineOptions} [options={}]    Custom options to force settings of the
+   *                                                    target.
+   * @param {?string}                   [filepath=null] A path where the information should be
+   *                                                    saved.
+   * @return {WebpackConfigurationInspection|Array<WebpackConfigurationInspection>}
+   * @throws {Error} If the configuration can't be generated.
+   */
+  inspectConfiguration(target, buildType, options = {}, filepath = null) {
+    const manifest = this.webpackBuildManifest.create(target, buildType, options);
+    const inspection = this.webpackConfiguration.inspectConfig(
+      this._prepareTarget(target, manifest),
+      manifest.type
+    );
+    const multiple = Array.isArray(inspection);
+    const inspections = multiple ? inspection : [inspection];
+    if (filepath) {
+      const information = multiple ?
+        {
+          configurations: inspections.map((item) => ({
+            name: item.config.name,
+            layers: item.layers,
+            values: this._getInspectionValues(item),
+          })),
+        } :
+        {
+          layers: inspection.layers,
+          values: this._getInspectionValues(inspection),
+        };
+      fs.writeJsonSync(
+        filepath,
+        Object.assign({ target: target.name, buildType }, information),
+        { spaces: 2 }
+      );
+      this.appLogger.success(
+        `The configuration for '${target.name}' was inspected and saved on ${filepath}`
+      );
+    } else {
+      inspections.forEach((item) => {
+        const name = multiple ? item.config.name : target.name;
+        this.appLogger.success(`Configuration for '${name}' (${buildType}):`);
+        this.appLogger.log(Object.keys(item.provenance).map((valuePath) => {
+          const { value, layer } = item.provenance[valuePath];
+          const printValue = typeof value === 'string' ?
+            JSON.stringify(value) :
+            this._serializeConfigurationValue(value);
+          return `${valuePath}: ${printValue} <- ${layer}`;
+        }));
+      });
+    }
+
+    return inspection;
+  }
+  /**
+   * Generates the dictionary of values of a configuration inspection that can be saved as JSON:
+   * the same as the inspection `provenance`, but with the values serialized.
+   * @param {WebpackConfigurationInspection} inspection The inspection information.
+   * @return {Object<string,WebpackConfigurationValueProvenance>}
+   * @access protected
+   * @ignore
+   */
+  _getInspectionValues(inspection) {
+    return Object.keys(inspection.provenance).reduce(
+      (current, valuePath) => {
+        const info = inspection.provenance[valuePath];
+        return Object.assign({}, current, {
+          [valuePath]: Object.assign({}, info, {
+            value: this._serializeConfigurationValue(info.value),
+          }),
+        });
+      },
+      {}
+    );
   }
   /**
    * Get a webpack configuration for a target.
@@ -131,73 +430,239 @@ class WebpackBuildEngine {
     return this.webpackConfiguration.getConfig(target, buildType);
   }
   /**
-   * Get a Webpack configuration by reading the environment variables sent by the CLI command
+   * Get a Webpack configuration by reading the build manifest sent by the CLI command
    * `getBuildCommand` generates.
-   * @return {object}
-   * @throws {Error} If the environment variables are not present.
+   * If the manifest has multiple targets, the method will return a list of configurations for
+   * webpack to use as a multi-compiler, and if one of the configurations can't be generated, the
+   * error will be logged and the rest of the targets will still be bundled.
+   * @return {object|Array<object>}
+   * @throws {Error} If the environment variable with the path to the manifest is not present.
+   * @throws {Error} If the manifest is stale or malformed.
+   * @throws {Error} If none of the targets configurations could be generated.
    */
   getWebpackConfig() {
-    const vars = this._getEnvVarsValues();
-    if (!vars.target || !vars.type) {
+    const manifestPath = this.environmentUtils.get(this._manifestEnvVar);
+    if (!manifestPath) {
       throw new Error('This file can only be run by using the `build` command');
     }
 
-    const {
-      type,
-      run,
-      inspect,
-      analyze,
-    } = vars;
-    const target = Object.assign({}, this.targets.getTarget(vars.target));
-    if (analyze === 'true') {
-      target.analyze = true;
+    const manifest = this.webpackBuildManifest.read(manifestPath);
+    const targets = manifest.targets.map((name) => this.targets.getTarget(name));
+    let result;
+    if (targets.length === 1) {
+      const [target] = targets;
+      result = this.getConfiguration(this._prepareTarget(target, manifest), manifest.type);
     } else {
-      if (run === 'true') {
-        target.runOnDevelopment = true;
-        if (inspect === 'true') {
-          target.inspect.enabled = true;
+      result = this._getMultiConfiguration(targets, () => manifest, true)
+      .filter((entry) => {
+        if (entry.error) {
+          this.appLogger.error(
+            `The configuration for '${entry.target.name}' couldn't be generated: ` +
+            `${entry.error.message}`
+          );
         }
-      }
 
-      if (vars.watch === 'true') {
-        target.watch[type] = true;
+        return !entry.error;
+      })
+      .reduce((configs, entry) => configs.concat(entry.config), []);
+
+      if (!result.length) {
+        throw new Error('None of the targets configurations could be generated');
       }
     }
 
-    return this.getConfiguration(target, type);
+    return result;
+  }
+  /**
+   * Generates the configuration of a target for the webpack API. The difference with
+   * {@link WebpackBuildEngine#getConfiguration} is that the settings from the manifest are
+   * applied, and if the target is for browsers, it won't be executed, as the dev server can't be
+   * used.
+   * @param {Target}                   target               The target information.
+   * @param {WebpackBuildManifestInfo} manifest             The information of the build.
+   * @param {boolean}                  [allowFormats=false] Whether or not to allow a list of
+   *                                                        configurations, for a library with
+   *                                                        multiple formats or differential
+   *                                                        bundles.
+   * @return {Object|Array<Object>}
+   * @throws {Error} If the target is a library with multiple formats, or uses differential
+   *                 bundles, and `allowFormats` is `false`: the build results can't be reported
+   *                 for each configuration.
+   * @access protected
+   * @ignore
+   */
+  _getAPIConfiguration(target, manifest, allowFormats = false) {
+    const buildTarget = this._prepareTarget(target, manifest);
+    if (buildTarget.is.browser) {
+      buildTarget.runOnDevelopment = false;
+    }
+
+    const config = this.getConfiguration(buildTarget, manifest.type);
+    if (Array.isArray(config) && !allowFormats) {
+      throw new Error(
+        `The target '${target.name}' has multiple library formats or differential bundles, ` +
+        'which can only be bundled with the CLI command'
+      );
+    }
+
+    return config;
   }
   /**
-   * Given a dictionary with the environment variables purpose and values, this method generates
-   * a string with the variables real names and values.
-   * @example
-   * console.log(_getEnvVarsAsString{
-   *   target: 'my-target',
-   *   type: 'development',
-   * });
-   * // will output `PXTWPK_TARGET=my-target PXTWPK_TYPE=development`
-   * @param {object} values A dictionary with the purpose(alias) of the variables as keys.
+   * Wraps a value on single quotes so it can be used as a single argument on a shell command,
+   * even if it has spaces or special characters.
+   * @param {string} value The value to escape.
    * @return {string}
    * @access protected
    * @ignore
    */
-  _getEnvVarsAsString(values) {
-    return Object.keys(values)
-    .map((name) => `${this._envVars[name]}=${values[name]}`)
-    .join(' ');
+  _escapeShellArgument(value) {
+    return `'${value.replace(/'/g, "'\\''")}'`;
   }
   /**
-   * Load the environment variables and returns them on a dictionary.
-   * @return {object} The dictionary will have the purpose(alias) of the variables as keys.
+   * Generates the configurations for a list of targets that will be bundled on the same webpack
+   * process. Each configuration is named after its target, so webpack can report them
+   * separately, and the errors thrown while generating them are caught so they don't affect the
+   * rest of the targets.
+   * If a target is a library with multiple formats or uses differential bundles, its
+   * configurations are already named, so they are kept as they are.
+   * @param {Array<Target>}                       targets              The list of targets.
+   * @param {function():WebpackBuildManifestInfo} getManifest          A function to get the
+   *                                                                   information of the build.
+   *                                                                   It's called for each target,
+   *                                                                   so if the manifest can't be
+   *                                                                   created, the error is
+   *                                                                   reported for the targets
+   *                                                                   instead of being thrown.
+   * @param {boolean}                             [allowFormats=false] Whether or not to allow a
+   *                                                                   list of configurations for a
+   *                                                                   target, for a library with
+   *                                                                   multiple formats or
+   *                                                                   differential bundles.
+   * @return {Array<Object>} A list of objects with the `target`, and either the `config` (or
+   *                         list of configurations) or the `error` thrown while generating it.
    * @access protected
    * @ignore
    */
-  _getEnvVarsValues() {
-    const vars = {};
-    Object.keys(this._envVars).forEach((name) => {
-      vars[name] = this.environmentUtils.get(this._envVars[name]);
+  _getMultiConfiguration(targets, getManifest, allowFormats = false) {
+    return targets.map((target) => {
+      let entry;
+      try {
+        const config = this._getAPIConfiguration(target, getManifest(), allowFormats);
+        entry = {
+          target,
+          config: Array.isArray(config) ?
+            config :
+            Object.assign({}, config, { name: target.name }),
+        };
+      } catch (error) {
+        entry = {
+          target,
+          error,
+        };
+      }
+
+      return entry;
     });
+  }
+  /**
+   * Creates a copy of a target with the settings the build engine can force: whether to run it,
+   * watch it, enable the inspector or analyze the bundle. The extra options of the build are
+   * added on the `buildOptions` property, so they can be sent to the configuration services.
+   * @param {Target}                   target   The target information.
+   * @param {WebpackBuildManifestInfo} manifest The information of the build.
+   * @return {Target}
+   * @access protected
+   * @ignore
+   */
+  _prepareTarget(target, manifest) {
+    const newTarget = ObjectUtils.copy(target);
+    if (manifest.analyze) {
+      newTarget.analyze = true;
+    } else {
+      if (manifest.run) {
+        newTarget.runOnDevelopment = true;
+        if (manifest.inspect) {
+          newTarget.inspect.enabled = true;
+        }
+      }
+
+      if (manifest.watch) {
+        newTarget.watch[manifest.type] = true;
+      }
+    }
+
+    newTarget.buildOptions = Object.assign({}, manifest.options);
+    return newTarget;
+  }
+  /**
+   * Converts a value of a webpack configuration into something that can be saved as JSON:
+   * functions, regular expressions and instances of classes (like plugins) are converted into
+   * descriptive strings.
+   * @param {*} value The value to convert.
+   * @return {*}
+   * @access protected
+   * @ignore
+   */
+  _serializeConfigurationValue(value) {
+    let result;
+    if (typeof value === 'function') {
+      result = `[Function${value.name ? `: ${value.name}` : ''}]`;
+    } else if (value instanceof RegExp) {
+      result = value.toString();
+    } else if (Array.isArray(value)) {
+      result = '[]';
+    } else if (value && typeof value === 'object') {
+      result = value.constructor && value.constructor !== Object ?
+        `[${value.constructor.name}]` :
+        '{}';
+    } else if (typeof value === 'undefined') {
+      result = null;
+    } else {
+      result = value;
+    }
+
+    return result;
+  }
+  /**
+   * Generates the information of a build from the stats webpack returns.
+   * @param {Target}    target    The target information.
+   * @param {string}    buildType The intended build type: `development` or `production`.
+   * @param {Stats}     stats     The stats webpack returned after bundling the target.
+   * @param {?Watching} watching  If the target is being watched, the instance webpack returned
+   *                              when the watch mode was enabled.
+   * @return {WebpackBuildResult}
+   * @access protected
+   * @ignore
+   */
+  _createBuildResult(target, buildType, stats, watching) {
+    const info = stats.toJson({
+      all: false,
+      assets: true,
+      errors: true,
+      warnings: true,
+    });
+    const result = {
+      target: target.name,
+      buildType,
+      stats,
+      assets: info.assets.map((asset) => ({
+        name: asset.name,
+        size: asset.size,
+      })),
+      warnings: info.warnings,
+      errors: info.errors,
+      time: {
+        start: stats.startTime,
+        end: stats.endTime,
+        duration: stats.endTime - stats.startTime,
+      },
+    };
+
+    if (watching) {
+      result.watching = watching;
+    }
 
-    return vars;
+    return result;
   }
 }
 /**
@@ -212,8 +677,10 @@ class WebpackBuildEngine {
  */
 const webpackBuildEngine = provider((app) => {
   app.set('webpackBuildEngine', () => new WebpackBuildEngine(
+    app.get('appLogger'),
     app.get('environmentUtils'),
     app.get('targets'),
+    app.get('webpackBuildManifest'),
     app.get('webpackConfiguration'),
     app.get('webpackPluginInfo')
   ));
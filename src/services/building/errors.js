@@ -0,0 +1,82 @@
+/**
+ * The base error for everything that can go wrong while the build engine is bundling a target.
+ * It includes the information of the build that failed so the implementation can decide how to
+ * handle it.
+ */
+class WebpackBuildError extends Error {
+  /**
+   * Class constructor.
+   * @param {string} message   The error message.
+   * @param {string} target    The name of the target that was being bundled.
+   * @param {string} buildType The intended build type: `development` or `production`.
+   */
+  constructor(message, target, buildType) {
+    super(message);
+    /**
+     * The name of the error class, so it can be identified on a stack trace.
+     * @type {string}
+     */
+    this.name = this.constructor.name;
+    /**
+     * The name of the target that was being bundled.
+     * @type {string}
+     */
+    this.target = target;
+    /**
+     * The intended build type.
+     * @type {string}
+     */
+    this.buildType = buildType;
+  }
+}
+/**
+ * This error is used when webpack couldn't even start bundling the target: The configuration
+ * couldn't be generated, webpack rejected it, or the compiler failed with a fatal error.
+ * @extends {WebpackBuildError}
+ */
+class WebpackCompilerError extends WebpackBuildError {
+  /**
+   * Class constructor.
+   * @param {string} message       The error message.
+   * @param {string} target        The name of the target that was being bundled.
+   * @param {string} buildType     The intended build type: `development` or `production`.
+   * @param {Error}  originalError The error thrown by the configuration services or webpack.
+   */
+  constructor(message, target, buildType, originalError) {
+    super(message, target, buildType);
+    /**
+     * The error thrown by the configuration services or webpack.
+     * @type {Error}
+     */
+    this.originalError = originalError;
+  }
+}
+/**
+ * This error is used when webpack finished bundling the target, but the compilation has errors.
+ * @extends {WebpackBuildError}
+ */
+class WebpackCompilationError extends WebpackBuildError {
+  /**
+   * Class constructor.
+   * @param {string}             message   The error message.
+   * @param {string}             target    The name of the target that was being bundled.
+   * @param {string}             buildType The intended build type: `development` or
+   *                                       `production`.
+   * @param {WebpackBuildResult} result    The information of the build, including the list of
+   *                                       errors webpack reported.
+   */
+  constructor(message, target, buildType, result) {
+    super(message, target, buildType);
+    /**
+     * The information of the build, including the list of errors webpack reported.
+     * @type {WebpackBuildResult}
+     */
+    this.result = result;
+  }
+}
+
+module.exports = {
+  WebpackBuildError,
+  WebpackCompilerError,
+  WebpackCompilationError,
+};
@@ -1,7 +1,13 @@
+const { webpackBuildTypes } = require('./buildTypes');
 const { webpackConfiguration } = require('./configuration');
+const { webpackConfigurationDiff } = require('./diff');
 const { webpackBuildEngine } = require('./engine');
+const { webpackBuildManifest } = require('./manifest');
 
 module.exports = {
+  webpackBuildTypes,
   webpackConfiguration,
+  webpackConfigurationDiff,
   webpackBuildEngine,
+  webpackBuildManifest,
 };
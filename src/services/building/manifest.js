@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { provider } = require('jimple');
+/**
+ * This service creates, writes and reads the manifest files the build engine uses to send the
+ * intent of a build from the CLI command to the `webpack.config.js` file.
+ */
+class WebpackBuildManifest {
+  /**
+   * Class constructor.
+   * @param {TempFiles} tempFiles To write the manifests on the temporary directory.
+   */
+  constructor(tempFiles) {
+    /**
+     * A local reference for the `tempFiles` service.
+     * @type {TempFiles}
+     */
+    this.tempFiles = tempFiles;
+    /**
+     * The version of the manifest format. If a manifest with a different version is read, the
+     * service will consider it stale and throw an error.
+     * @type {number}
+     */
+    this.version = 2;
+    /**
+     * The list of flags a manifest has and that need to be booleans.
+     * @type {Array}
+     * @access protected
+     * @ignore
+     */
+    this._flags = ['run', 'watch', 'inspect', 'analyze'];
+  }
+  /**
+   * Creates a new manifest for a build.
+   * @param {Target|Array<Target>}      targets      The information of the target, or targets,
+   *                                                 to bundle.
+   * @param {string}                    buildType    The intended build type: `development` or
+   *                                                 `production`.
+   * @param {WebpackBuildEngineOptions} [options={}] The settings the build engine will force on
+   *                                                 the target. Any property that is not a
+   *                                                 known flag will be saved as an extra option.
+   * @return {WebpackBuildManifestInfo}
+   */
+  create(targets, buildType, options = {}) {
+    const manifest = {
+      version: this.version,
+      targets: (Array.isArray(targets) ? targets : [targets]).map((target) => target.name),
+      type: buildType,
+      options: {},
+    };
+    Object.keys(options).forEach((name) => {
+      if (this._flags.includes(name)) {
+        manifest[name] = !!options[name];
+      } else {
+        manifest.options[name] = options[name];
+      }
+    });
+    this._flags
+    .filter((flag) => typeof manifest[flag] === 'undefined')
+    .forEach((flag) => {
+      manifest[flag] = false;
+    });
+
+    return manifest;
+  }
+  /**
+   * Writes a manifest on the temporary directory. The name of the file includes a hash of the
+   * manifest contents, so builds with different targets or options never share a file.
+   * @param {WebpackBuildManifestInfo} manifest The manifest to write.
+   * @return {string} The absolute path to the file.
+   */
+  write(manifest) {
+    const contents = JSON.stringify(manifest);
+    const hash = crypto.createHash('sha1').update(contents).digest('hex');
+    return this.tempFiles.writeSync(
+      `webpack-build.${manifest.type}.${hash}.json`,
+      contents
+    );
+  }
+  /**
+   * Reads and validates a manifest file. Since every build command writes a new manifest and
+   * the configuration file only reads it once, the file is removed after it gets read.
+   * @param {string} filepath The absolute path to the file.
+   * @return {WebpackBuildManifestInfo}
+   * @throws {Error} If the file can't be read or parsed.
+   * @throws {Error} If the manifest version is different from the one the service uses.
+   * @throws {Error} If the manifest is malformed.
+   */
+  read(filepath) {
+    let manifest;
+    try {
+      manifest = fs.readJsonSync(filepath);
+    } catch (error) {
+      throw new Error(`The build manifest can't be read (${filepath}): ${error.message}`);
+    }
+
+    fs.removeSync(filepath);
+
+    this._validate(manifest, filepath);
+    return manifest;
+  }
+  /**
+   * Validates the contents of a manifest.
+   * @param {Object} manifest The manifest to validate.
+   * @param {string} filepath The path to the file, for the error messages.
+   * @throws {Error} If the manifest version is different from the one the service uses.
+   * @throws {Error} If the manifest is malformed.
+   * @access protected
+   * @ignore
+   */
+  _validate(manifest, filepath) {
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error(`The build manifest is malformed (${filepath}): it's not an object`);
+    } else if (manifest.version !== this.version) {
+      throw new Error(
+        `The build manifest is stale (${filepath}): it was created for the version ` +
+        `${manifest.version}, but the build engine uses the version ${this.version}. ` +
+        'Run the `build` command again'
+      );
+    }
+
+    const invalidProperty = [
+      ['targets', (value) => (
+        Array.isArray(value) &&
+        !!value.length &&
+        value.every((name) => typeof name === 'string' && !!name)
+      )],
+      ['type', (value) => typeof value === 'string' && !!value],
+      ...this._flags.map((flag) => [flag, (value) => typeof value === 'boolean']),
+      ['options', (value) => !!value && typeof value === 'object' && !Array.isArray(value)],
+    ]
+    .find(([name, validate]) => !validate(manifest[name]));
+    if (invalidProperty) {
+      const [name] = invalidProperty;
+      throw new Error(
+        `The build manifest is malformed (${filepath}): the property \`${name}\` is invalid`
+      );
+    }
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackBuildManifest` as the `webpackBuildManifest` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackBuildManifest);
+ * // Getting access to the service instance
+ * const webpackBuildManifest = container.get('webpackBuildManifest');
+ * @type {Provider}
+ */
+const webpackBuildManifest = provider((app) => {
+  app.set('webpackBuildManifest', () => new WebpackBuildManifest(
+    app.get('tempFiles')
+  ));
+});
+
+module.exports = {
+  WebpackBuildManifest,
+  webpackBuildManifest,
+};
@@ -1,5 +1,20 @@
+const path = require('path');
+const fs = require('fs-extra');
 const { provider } = require('jimple');
 const ConfigurationFile = require('../../abstracts/configurationFile');
+/**
+ * The expression to validate the `excludeModules` entries that are package names, with or
+ * without a scope and subpaths.
+ * @type {RegExp}
+ * @ignore
+ */
+const PACKAGE_NAME_EXPRESSION = /^(?:@[\w.-]+\/)?[\w.-]+(?:\/[\w.-]+)*$/;
+/**
+ * The expression to validate the `excludeModules` entries that are glob-style package patterns.
+ * @type {RegExp}
+ * @ignore
+ */
+const PACKAGE_PATTERN_EXPRESSION = /^(?:@[\w.*-]+\/)?[\w.*-]+(?:\/[\w.*-]+)*$/;
 /**
  * The base configuration is at the top of the Webpack configurations level and it includes the
  * settings for `resolve` and `module`.
@@ -8,6 +23,9 @@ const ConfigurationFile = require('../../abstracts/configurationFile');
 class WebpackBaseConfiguration extends ConfigurationFile {
   /**
    * Class constructor.
+   * @param {Logger}                    appLogger                 To warn about the excluded
+   *                                                              modules that can't be used as
+   *                                                              external dependencies.
    * @param {Events}                    events                    To reduce the configuration.
    * @param {Object}                    packageInfo               The contents of the
    *                                                              `package.json`, to get the
@@ -23,13 +41,19 @@ class WebpackBaseConfiguration extends ConfigurationFile {
    *                                                              bundled.
    */
   constructor(
+    appLogger,
     events,
     packageInfo,
     pathUtils,
     webpackPluginInfo,
     webpackRulesConfiguration
   ) {
-    super(pathUtils, 'webpack/base.config.js');
+    super(pathUtils, 'webpack/base.config.js', true);
+    /**
+     * A local reference for the `appLogger` service.
+     * @type {Logger}
+     */
+    this.appLogger = appLogger;
     /**
      * A local reference for the `events` service.
      * @type {Events}
@@ -50,6 +74,29 @@ class WebpackBaseConfiguration extends ConfigurationFile {
      * @type {WebpackRulesConfiguration}
      */
     this.webpackRulesConfiguration = webpackRulesConfiguration;
+    /**
+     * A dictionary with the packages that were already checked for native binaries, and whether
+     * or not they have them, so the file system is only read once per package.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._nativePackages = {};
+    /**
+     * The locations, relative to a package directory, where packages ship their native binaries,
+     * and how many levels of sub directories should be checked on each of them: the package
+     * root, `build/Release` (node-gyp), `prebuilds/<platform>` (prebuildify and node-gyp-build)
+     * and `lib/binding/<...>` (node-pre-gyp).
+     * @type {Array<Object>}
+     * @access protected
+     * @ignore
+     */
+    this._nativeFilesLocations = [
+      { directory: '', depth: 0 },
+      { directory: path.join('build', 'Release'), depth: 0 },
+      { directory: 'prebuilds', depth: 1 },
+      { directory: path.join('lib', 'binding'), depth: 2 },
+    ];
   }
   /**
    * Create the configuration with the `resolve` and the `module` `rules`.
@@ -65,6 +112,8 @@ class WebpackBaseConfiguration extends ConfigurationFile {
    */
   createConfig(params) {
     const { rules } = this.webpackRulesConfiguration.getConfig(params);
+    // Register the rules as a different layer, in case the configuration is being inspected.
+    this._trackLayer('WebpackRulesConfiguration', 'configuration', { module: { rules } });
     const config = {
       resolve: {
         extensions: ['.js', '.jsx', '.ts', '.tsx'],
@@ -80,7 +129,8 @@ class WebpackBaseConfiguration extends ConfigurationFile {
       'webpack-base-configuration-for-node' :
       'webpack-base-configuration-for-browser';
 
-    return this.events.reduce(
+    return this._reduceConfig(
+      this.events,
       [eventName, 'webpack-base-configuration'],
       config,
       params
@@ -92,35 +142,67 @@ class WebpackBaseConfiguration extends ConfigurationFile {
    * `webpack-external-configuration-for-browser`, depending on the target type, and
    * `webpack-external-configuration'`. The events recieve the dictionary, the `params` and
    * expects another dictionary on return.
+   * If the target `excludeModules` setting has patterns (regular expressions, glob-style package
+   * names or functions), the method returns a list with the dictionary and a function to match
+   * the patterns, as webpack supports both formats on the same list.
+   * If the target is for Node and uses the `bundleDependencies` setting on a production build,
+   * the dependencies are bundled, except for the ones on the setting `exclude` list and the
+   * packages with native binaries.
    * @param {WebpackConfigurationParams} params A dictionary generated by the top service building
    *                                            the configuration and that includes things like the
    *                                            target information, its entry settings, output
    *                                            paths, etc.
-   * @return {Object}
+   * @return {Object|Array}
    * @access protected
    * @ignore
    */
   _getExternalDependencies(params) {
-    const { target, buildType } = params;
+    const { target, baseBuildType } = params;
     // First define list that will have the name of the external dependencies.
     const list = [];
+    // And the list of functions to match the patterns.
+    const matchers = [];
+    // Check if the dependencies of a Node target should be bundled.
+    const bundleExclusions = this._getBundleDependenciesExclusions(params);
+    const excludeModules = [...(target.excludeModules || [])];
+    if (bundleExclusions) {
+      // The modules that can't be bundled are handled like the `excludeModules` setting.
+      excludeModules.push(...bundleExclusions);
+      matchers.push((request) => this._isNativeModule(request));
+    }
 
     // If the target supports the `excludeModules` setting...
-    if (target.excludeModules) {
-      // ...push all the modules which names are not `RegExp`s.
-      list.push(...target.excludeModules.filter((name) => name.match(/^[\w\d-_/]+$/)));
+    if (excludeModules.length) {
+      // ...push all the modules names, and generate the functions for the patterns.
+      excludeModules.forEach((entry) => {
+        if (typeof entry === 'string' && PACKAGE_NAME_EXPRESSION.test(entry)) {
+          list.push(entry);
+        } else {
+          const matcher = this._createExternalMatcher(entry);
+          if (matcher) {
+            matchers.push(matcher);
+          } else {
+            this.appLogger.warning(
+              `The entry '${entry}' of the 'excludeModules' setting of the target ` +
+              `'${target.name}' can't be used as an external dependency, it will be ignored`
+            );
+          }
+        }
+      });
     }
 
     // If the target type is Node...
     if (target.is.node) {
-      // ...push all the production dependencies.
-      list.push(...Object.keys(this.packageInfo.dependencies));
+      // ...push all the production dependencies, unless they should be bundled.
+      if (!bundleExclusions) {
+        list.push(...Object.keys(this.packageInfo.dependencies));
+      }
       // ...push the plugin subpaths
       list.push(...this.webpackPluginInfo.external.map((subpath) => (
         `${this.webpackPluginInfo.name}/${subpath}`
       )));
       // And if the bundle is for development, push the dev dependencies too.
-      if (buildType === 'development') {
+      if (baseBuildType === 'development') {
         list.push(...Object.keys(this.packageInfo.devDependencies));
       }
     }
@@ -135,11 +217,138 @@ class WebpackBaseConfiguration extends ConfigurationFile {
       'webpack-externals-configuration-for-node' :
       'webpack-externals-configuration-for-browser';
 
-    return this.events.reduce(
+    const reducedExternals = this.events.reduce(
       [eventName, 'webpack-externals-configuration'],
       externals,
       params
     );
+
+    return matchers.length ?
+      [
+        reducedExternals,
+        (context, request, callback) => {
+          if (matchers.some((matcher) => matcher(request, context))) {
+            callback(null, `commonjs ${request}`);
+          } else {
+            callback();
+          }
+        },
+      ] :
+      reducedExternals;
+  }
+  /**
+   * Creates a function to match the modules of an `excludeModules` entry:
+   * - Regular expressions are tested against the modules.
+   * - Glob-style package patterns (`@aws-sdk/*`) match the packages and their subpaths: `*`
+   *   matches anything but a slash, and `**` matches anything.
+   * - Functions are used as predicates, and they receive the module and the directory of the
+   *   file requiring it.
+   * @param {string|RegExp|Function} entry The entry of the `excludeModules` setting.
+   * @return {?Function} If the entry is not a pattern, it will return `null`.
+   * @access protected
+   * @ignore
+   */
+  _createExternalMatcher(entry) {
+    let result = null;
+    if (entry instanceof RegExp) {
+      result = (request) => entry.test(request);
+    } else if (typeof entry === 'function') {
+      result = (request, context) => !!entry(request, context);
+    } else if (typeof entry === 'string' && PACKAGE_PATTERN_EXPRESSION.test(entry)) {
+      const expression = entry
+      .replace(/\./g, '\\.')
+      .replace(/\*\*/g, '\0')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\0/g, '.*');
+      const regex = new RegExp(`^${expression}(?:/.*)?$`);
+      result = (request) => regex.test(request);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the list of modules that shouldn't be bundled when a Node target bundles its
+   * dependencies, using the `exclude` list of its `bundleDependencies` setting. The setting is
+   * only used on production builds.
+   * @param {WebpackConfigurationParams} params The parameters of the configuration being
+   *                                            generated, to check the target and the type of
+   *                                            build.
+   * @return {?Array} If the dependencies shouldn't be bundled, it will return `null`.
+   * @access protected
+   * @ignore
+   */
+  _getBundleDependenciesExclusions(params) {
+    const { target, baseBuildType } = params;
+    let result = null;
+    if (target.is.node && baseBuildType === 'production' && target.bundleDependencies) {
+      const { exclude = [] } = target.bundleDependencies === true ?
+        {} :
+        target.bundleDependencies;
+      result = exclude;
+    }
+
+    return result;
+  }
+  /**
+   * Checks whether or not a module belongs to a package with native binaries: `.node` files or
+   * a `binding.gyp` file to build them (see `_hasNativeFiles`). Relative and absolute paths are
+   * never considered as native modules.
+   * @param {string} request The name of the module.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _isNativeModule(request) {
+    let result = false;
+    if (!request.startsWith('.') && !path.isAbsolute(request)) {
+      const [packageName] = /^(?:@[^/]+\/)?[^/]+/.exec(request);
+      if (typeof this._nativePackages[packageName] === 'undefined') {
+        const directory = this.pathUtils.join('node_modules', packageName);
+        this._nativePackages[packageName] = fs.pathExistsSync(directory) &&
+          this._hasNativeFiles(directory);
+      }
+
+      result = this._nativePackages[packageName];
+    }
+
+    return result;
+  }
+  /**
+   * Checks whether or not a package directory has native binaries: if it has a `binding.gyp`
+   * file, if its `package.json` has the `gypfile` flag or the `napi` settings of napi-rs (which
+   * loads the binaries from platform packages), or if any of the known locations for binaries
+   * has `.node` files.
+   * @param {string} directory The absolute path to the package directory.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _hasNativeFiles(directory) {
+    const packagePath = path.join(directory, 'package.json');
+    const packageInfo = fs.pathExistsSync(packagePath) ? fs.readJsonSync(packagePath) : {};
+    return fs.pathExistsSync(path.join(directory, 'binding.gyp')) ||
+      !!(packageInfo.gypfile || packageInfo.napi) ||
+      this._nativeFilesLocations.some((location) => this._hasNodeFiles(
+        path.join(directory, location.directory),
+        location.depth
+      ));
+  }
+  /**
+   * Checks whether or not a directory has `.node` files, or if any of its sub directories has
+   * them, up to a number of levels.
+   * @param {string} directory The absolute path to the directory.
+   * @param {number} depth     How many levels of sub directories should be checked.
+   * @return {boolean}
+   * @access protected
+   * @ignore
+   */
+  _hasNodeFiles(directory, depth) {
+    return fs.pathExistsSync(directory) &&
+      fs.readdirSync(directory, { withFileTypes: true }).some((entry) => (
+        entry.isDirectory() ?
+          depth > 0 && this._hasNodeFiles(path.join(directory, entry.name), depth - 1) :
+          entry.name.endsWith('.node')
+      ));
   }
 }
 /**
@@ -154,6 +363,7 @@ class WebpackBaseConfiguration extends ConfigurationFile {
  */
 const webpackBaseConfiguration = provider((app) => {
   app.set('webpackBaseConfiguration', () => new WebpackBaseConfiguration(
+    app.get('appLogger'),
     app.get('events'),
     app.get('packageInfo'),
     app.get('pathUtils'),
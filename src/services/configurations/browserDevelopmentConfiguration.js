@@ -16,7 +16,9 @@ const {
 const { provider } = require('jimple');
 const ConfigurationFile = require('../../abstracts/configurationFile');
 const {
+  ProjextWebpackAssetsManifest,
   ProjextWebpackOpenDevServer,
+  ProjextWebpackResourceHints,
   ProjextWebpackRuntimeDefinitions,
 } = require('../../plugins');
 /**
@@ -102,6 +104,10 @@ class WebpackBrowserDevelopmentConfiguration extends ConfigurationFile {
       output,
       additionalWatch,
       analyze,
+      analyzer,
+      buildOptions = {},
+      targetType,
+      pages = [],
     } = params;
     // Define the basic stuff: entry, output and mode.
     const config = {
@@ -121,15 +127,27 @@ class WebpackBrowserDevelopmentConfiguration extends ConfigurationFile {
     }
     // Setup the plugins.
     config.plugins = [
-      // To automatically inject the `script` tag on the target `html` file.
-      new HtmlWebpackPlugin(Object.assign({}, target.html, {
-        template: this.targetsHTML.getFilepath(target, false, 'development'),
-        inject: 'body',
-      })),
-      // To add the `async` attribute to the  `script` tag.
-      new ScriptExtHtmlWebpackPlugin({
-        defaultAttribute: 'async',
-      }),
+      // If the target is a web worker, it doesn't need HTML.
+      ...(
+        targetType === 'webworker' ?
+          [] :
+          [
+            // To automatically inject the `script` tag on the target `html` file(s).
+            ...this._createHTMLPlugins(target, pages),
+            // To add the `async` attribute to the  `script` tag.
+            new ScriptExtHtmlWebpackPlugin({
+              defaultAttribute: 'async',
+            }),
+            // To add the `preload` and `prefetch` hints for the target files.
+            ...(
+              target.resourceHints ?
+                [new ProjextWebpackResourceHints(
+                  target.resourceHints === true ? {} : target.resourceHints
+                )] :
+                []
+            ),
+          ]
+      ),
       // If the target uses hot replacement, add the plugin.
       ...(target.hot ? [new NamedModulesPlugin(), new HotModuleReplacementPlugin()] : []),
       // To avoid pushing assets with errors.
@@ -163,18 +181,37 @@ class WebpackBrowserDevelopmentConfiguration extends ConfigurationFile {
           [new ExtraWatchWebpackPlugin({ files: additionalWatch })] :
           []
       ),
+      /**
+       * If the target should generate a manifest of the emitted files, add the plugin for it, so
+       * a server can read it from the dev middleware file system.
+       */
+      ...(
+        target.assetsManifest ?
+          [new ProjextWebpackAssetsManifest(
+            target.assetsManifest === true ? {} : target.assetsManifest
+          )] :
+          []
+      ),
       // If the the bundle should be analyzed, add the plugin for it.
       ...(
         analyze ?
-          [new BundleAnalyzerPlugin()] :
+          [new BundleAnalyzerPlugin(analyzer)] :
           []
       ),
     ];
+    // If the target has multiple pages, move the modules they share to their own chunks.
+    if (pages.length > 1) {
+      config.optimization = Object.assign({}, config.optimization, {
+        splitChunks: {
+          chunks: 'all',
+        },
+      });
+    }
     // Define a list of extra entries that may be need depending on the target HMR configuration.
     const hotEntries = [];
     // If the target needs to run on development...
     if (!analyze && target.runOnDevelopment) {
-      const devServerConfig = this._normalizeTargetDevServerSettings(target);
+      const devServerConfig = this._normalizeTargetDevServerSettings(target, buildOptions);
       // Add the dev server information to the configuration.
       config.devServer = {
         port: devServerConfig.port,
@@ -236,16 +273,15 @@ class WebpackBrowserDevelopmentConfiguration extends ConfigurationFile {
     }
     // If there are entries for HMR...
     if (hotEntries.length) {
-      // Get target entry name.
-      const [entryName] = Object.keys(entry);
-      // Get the list of entries for the target.
-      const entries = config.entry[entryName];
-      // and push all the _"hot entries"_ on top of the existing entries.
-      entries.unshift(...hotEntries);
+      // ...push them on top of the files of every entry of the target.
+      Object.keys(config.entry).forEach((entryName) => {
+        config.entry[entryName].unshift(...hotEntries);
+      });
     }
 
     // Reduce the configuration
-    return this.events.reduce(
+    return this._reduceConfig(
+      this.events,
       [
         'webpack-browser-development-configuration',
         'webpack-browser-configuration',
@@ -254,17 +290,53 @@ class WebpackBrowserDevelopmentConfiguration extends ConfigurationFile {
       params
     );
   }
+  /**
+   * Creates the `HtmlWebpackPlugin` instances for a target: one with the target `html` settings
+   * or, if the target has multiple entries, one for each page, with only the chunks of its entry
+   * injected.
+   * @param {Target}                          target The target information.
+   * @param {Array<WebpackConfigurationPage>} pages  The pages for the target entries.
+   * @return {Array<HtmlWebpackPlugin>}
+   * @access protected
+   * @ignore
+   */
+  _createHTMLPlugins(target, pages) {
+    return pages.length ?
+      pages.map((page) => {
+        const html = Object.assign({}, target.html, page.html);
+        return new HtmlWebpackPlugin(Object.assign({}, html, {
+          template: this.targetsHTML.getFilepath(
+            Object.assign({}, target, {
+              name: `${target.name}-${page.name}`,
+              html,
+            }), false, 'development'
+          ),
+          chunks: [page.name],
+          inject: 'body',
+        }));
+      }) :
+      [new HtmlWebpackPlugin(Object.assign({}, target.html, {
+        template: this.targetsHTML.getFilepath(target, false, 'development'),
+        inject: 'body',
+      }))];
+  }
   /**
    * Check a target dev server settings in order to validate those that needs to be removed or
    * completed with their default values.
-   * @param {Target} target The target information.
+   * @param {Target} target       The target information.
+   * @param {Object} buildOptions The extra options sent to the build engine. If it includes a
+   *                              `port`, it will overwrite the one on the target settings.
    * @return {TargetDevServerSettings}
    * @access protected
    * @ignore
    */
-  _normalizeTargetDevServerSettings(target) {
+  _normalizeTargetDevServerSettings(target, buildOptions) {
     // Get a new copy of the config to work with.
     const config = ObjectUtils.copy(target.devServer);
+    // If the build engine received a custom port, use it instead of the one on the settings.
+    if (buildOptions.port) {
+      config.port = buildOptions.port;
+    }
     /**
      * Set a flag to know if at least one SSL file was sent.
      * This flag is also used when reading the `proxied` settings to determine the default
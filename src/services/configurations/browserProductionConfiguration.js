@@ -1,4 +1,5 @@
 const path = require('path');
+const zlib = require('zlib');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const ScriptExtHtmlWebpackPlugin = require('script-ext-html-webpack-plugin');
 const CompressionPlugin = require('compression-webpack-plugin');
@@ -10,7 +11,39 @@ const ExtraWatchWebpackPlugin = require('extra-watch-webpack-plugin');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
 const { provider } = require('jimple');
 const ConfigurationFile = require('../../abstracts/configurationFile');
-const { ProjextWebpackRuntimeDefinitions } = require('../../plugins');
+const {
+  ProjextWebpackAssetsManifest,
+  ProjextWebpackBudgets,
+  ProjextWebpackCriticalCSS,
+  ProjextWebpackDifferentialBundles,
+  ProjextWebpackResourceHints,
+  ProjextWebpackRuntimeDefinitions,
+  ProjextWebpackSizeReport,
+  ProjextWebpackSubresourceIntegrity,
+} = require('../../plugins');
+/**
+ * The default size, in bytes, a package needs to have in order to get its own chunk when using
+ * the `granular` code splitting preset.
+ * @type {number}
+ * @ignore
+ */
+const GRANULAR_MIN_SIZE = 30000;
+/**
+ * The options the `HtmlWebpackPlugin` uses by default to minify the HTML files on production,
+ * but without removing the `type` attribute of the `script` tags, as the modern bundles of a
+ * target with differential bundles are loaded with `type="module"`.
+ * @type {Object}
+ * @ignore
+ */
+const MODERN_HTML_MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  keepClosingSlash: true,
+  removeComments: true,
+  removeRedundantAttributes: true,
+  removeScriptTypeAttributes: false,
+  removeStyleLinkTypeAttributes: true,
+  useShortDoctype: true,
+};
 /**
  * Creates the specifics of a Webpack configuration for a browser target production build.
  * @extends {ConfigurationFile}
@@ -18,7 +51,12 @@ const { ProjextWebpackRuntimeDefinitions } = require('../../plugins');
 class WebpackBrowserProductionConfiguration extends ConfigurationFile {
   /**
    * Class constructor.
-   * @param {Events}                   events                  To reduce the configuration.
+   * @param {Logger}                   appLogger                To send to the budgets plugin in
+   *                                                            order to log the assets that
+   *                                                            exceed their limits, and to warn
+   *                                                            about compression algorithms
+   *                                                            that are not available.
+   * @param {Events}                   events                   To reduce the configuration.
    * @param {PathUtils}                pathUtils                Required by `ConfigurationFile`
    *                                                            in order to build the path to the
    *                                                            overwrite file.
@@ -29,6 +67,7 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
    *                                                            extend.
    */
   constructor(
+    appLogger,
     events,
     pathUtils,
     targetsHTML,
@@ -43,6 +82,11 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
       true,
       webpackBaseConfiguration
     );
+    /**
+     * A local reference for the `appLogger` service.
+     * @type {Logger}
+     */
+    this.appLogger = appLogger;
     /**
      * A local reference for the `events` service.
      * @type {Events}
@@ -53,6 +97,23 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
      * @type {TargetsHTML}
      */
     this.targetsHTML = targetsHTML;
+    /**
+     * A dictionary with the algorithms a target can use on its `compression` settings, with the
+     * algorithm the `CompressionPlugin` uses for each one and the extension of the files.
+     * @type {Object}
+     * @access protected
+     * @ignore
+     */
+    this._compressionAlgorithms = {
+      gzip: {
+        algorithm: 'gzip',
+        extension: 'gz',
+      },
+      brotli: {
+        algorithm: 'brotliCompress',
+        extension: 'br',
+      },
+    };
   }
   /**
    * Create the configuration with the `entry`, the `output` and the plugins specifics for a
@@ -74,8 +135,14 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
       target,
       output,
       additionalWatch,
-      analyze,
+      pages = [],
+      differential = null,
     } = params;
+    /**
+     * When using differential bundles, the legacy build only emits its files: the modern build
+     * generates the HTML files (loading the legacy files too) and the reports.
+     */
+    const isLegacy = !!differential && differential.type === 'legacy';
     // Define the basic stuff: entry, output and mode.
     const config = {
       entry,
@@ -87,43 +154,23 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
       },
       mode: 'production',
     };
+    // If the target uses integrity hashes, the chunks loaded on demand need the same `crossorigin`.
+    const integrity = target.subresourceIntegrity ?
+      this._getSubresourceIntegrityOptions(target) :
+      null;
+    if (integrity) {
+      config.output.crossOriginLoading = integrity.crossorigin;
+    }
     // If the target has source maps enabled...
     if (target.sourceMap.production) {
       config.devtool = 'source-map';
     }
-    // Enable or not uglification for the target bundle.
-    if (target.uglifyOnProduction) {
-      config.optimization = {
-        minimizer: [
-          new TerserPlugin({
-            sourceMap: !!target.sourceMap.production,
-          }),
-        ],
-      };
-    } else {
-      config.optimization = {
-        minimize: false,
-      };
-    }
-
+    // Define the minification and how the modules should be split into chunks.
+    config.optimization = this._getOptimizationOptions(target, pages);
     // Setup the plugins.
     config.plugins = [
-      // If the target is a library, it doesn't need HTML on production.
-      ...(
-        target.library ?
-          [] :
-          [
-            // To automatically inject the `script` tag on the target `html` file.
-            new HtmlWebpackPlugin(Object.assign({}, target.html, {
-              template: this.targetsHTML.getFilepath(target),
-              inject: 'body',
-            })),
-            // To add the `async` attribute to the  `script` tag.
-            new ScriptExtHtmlWebpackPlugin({
-              defaultAttribute: 'async',
-            }),
-          ]
-      ),
+      // The plugins for the HTML files.
+      ...this._createHTMLFilesPlugins(params, integrity, isLegacy),
       // To add the _'browser env variables'_.
       new ProjextWebpackRuntimeDefinitions(
         Object.keys(entry).reduce(
@@ -132,10 +179,20 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
         ),
         definitions
       ),
+      // If the target uses differential bundles, add the plugin to load the legacy files.
+      ...(
+        differential ?
+          [new ProjextWebpackDifferentialBundles({
+            type: differential.type,
+            bundles: differential.bundles,
+            integrity,
+          })] :
+          []
+      ),
       // To optimize the SCSS and remove repeated declarations.
       new OptimizeCssAssetsPlugin(),
-      // To compress the emitted assets using gzip, if the target is not a library.
-      ...(!target.library || target.libraryOptions.compress ? [new CompressionPlugin()] : []),
+      // To compress the emitted assets, using the target (or library) compression settings.
+      ...this._createCompressionPlugins(target),
       // Copy the files the target specified on its settings.
       new CopyWebpackPlugin(copy),
       /**
@@ -155,12 +212,8 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
           [new ExtraWatchWebpackPlugin({ files: additionalWatch })] :
           []
       ),
-      // If the the bundle should be analyzed, add the plugin for it.
-      ...(
-        analyze ?
-          [new BundleAnalyzerPlugin()] :
-          []
-      ),
+      // The plugins that validate the bundle and generate reports about it.
+      ...this._createReportsPlugins(params, integrity, isLegacy),
     ];
     // Enable the watch mode if required...
     if (target.watch.production) {
@@ -168,7 +221,8 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
     }
 
     // Reduce the configuration
-    return this.events.reduce(
+    return this._reduceConfig(
+      this.events,
       [
         'webpack-browser-production-configuration',
         'webpack-browser-configuration',
@@ -177,6 +231,407 @@ class WebpackBrowserProductionConfiguration extends ConfigurationFile {
       params
     );
   }
+  /**
+   * Generates the webpack `optimization` options for a target: whether or not the bundle should
+   * be minified and how the modules should be split into chunks.
+   * @param {Target}                          target The target information.
+   * @param {Array<WebpackConfigurationPage>} pages  The pages for the target entries.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _getOptimizationOptions(target, pages) {
+    const options = target.uglifyOnProduction ?
+      {
+        minimizer: [
+          new TerserPlugin({
+            sourceMap: !!target.sourceMap.production,
+          }),
+        ],
+      } :
+      {
+        minimize: false,
+      };
+
+    return Object.assign(options, this._getCodeSplittingOptions(target, pages));
+  }
+  /**
+   * Creates the plugins that generate the HTML files of a target and add the tags for its files.
+   * If the target is a library, a web worker or the legacy build of the differential bundles,
+   * it doesn't need HTML files, so the list will be empty.
+   * @param {WebpackConfigurationParams}                 params    The parameters received to
+   *                                                               create the configuration.
+   * @param {?ProjextWebpackSubresourceIntegrityOptions} integrity The options for the integrity
+   *                                                               hashes.
+   * @param {boolean}                                    isLegacy  Whether or not the
+   *                                                               configuration is for the legacy
+   *                                                               build of the differential
+   *                                                               bundles.
+   * @return {Array<Object>}
+   * @access protected
+   * @ignore
+   */
+  _createHTMLFilesPlugins(params, integrity, isLegacy) {
+    const {
+      target,
+      targetType,
+      pages = [],
+      differential = null,
+    } = params;
+    let result;
+    if (target.library || targetType === 'webworker' || isLegacy) {
+      result = [];
+    } else {
+      result = [
+        // To automatically inject the `script` tag on the target `html` file(s).
+        ...this._createHTMLPlugins(target, pages, !!differential),
+        // To add the `async` attribute to the  `script` tag.
+        new ScriptExtHtmlWebpackPlugin({
+          defaultAttribute: 'async',
+        }),
+        // To add the `preload` and `prefetch` hints for the target files.
+        ...(
+          target.resourceHints ?
+            [new ProjextWebpackResourceHints(
+              this._getResourceHintsOptions(target, !!differential, integrity)
+            )] :
+            []
+        ),
+        // To add the integrity hashes to the `script` and `link` tags.
+        ...(integrity ? [new ProjextWebpackSubresourceIntegrity(integrity)] : []),
+        // To inline the critical CSS and load the extracted stylesheets asynchronously.
+        ...(
+          target.css.critical && !target.css.inject ?
+            [new ProjextWebpackCriticalCSS(
+              target.css.critical === true ? {} : target.css.critical
+            )] :
+            []
+        ),
+      ];
+    }
+
+    return result;
+  }
+  /**
+   * Creates the plugins that validate the bundle of a target and generate reports about it: the
+   * performance budgets, the size report, the assets manifest and the bundle analyzer.
+   * Only the budgets are validated on the legacy build of the differential bundles, as the
+   * modern build generates the reports.
+   * @param {WebpackConfigurationParams}                 params    The parameters received to
+   *                                                               create the configuration.
+   * @param {?ProjextWebpackSubresourceIntegrityOptions} integrity The options for the integrity
+   *                                                               hashes.
+   * @param {boolean}                                    isLegacy  Whether or not the
+   *                                                               configuration is for the legacy
+   *                                                               build of the differential
+   *                                                               bundles.
+   * @return {Array<Object>}
+   * @access protected
+   * @ignore
+   */
+  _createReportsPlugins(params, integrity, isLegacy) {
+    const { target, analyze, analyzer } = params;
+    return [
+      // If the target has performance budgets, add the plugin to validate them.
+      ...(
+        target.budgets ?
+          [new ProjextWebpackBudgets(Object.assign({}, target.budgets, {
+            logger: this.appLogger,
+          }))] :
+          []
+      ),
+      // If the target should generate a size report, add the plugin for it.
+      ...(
+        target.sizeReport && !isLegacy ?
+          [new ProjextWebpackSizeReport(Object.assign(
+            {},
+            target.sizeReport === true ? {} : target.sizeReport,
+            { logger: this.appLogger }
+          ))] :
+          []
+      ),
+      // If the target should generate a manifest of the emitted files, add the plugin for it.
+      ...(
+        target.assetsManifest && !isLegacy ?
+          [new ProjextWebpackAssetsManifest(this._getAssetsManifestOptions(target, integrity))] :
+          []
+      ),
+      // If the the bundle should be analyzed, add the plugin for it.
+      ...(
+        analyze && !isLegacy ?
+          [new BundleAnalyzerPlugin(analyzer)] :
+          []
+      ),
+    ];
+  }
+  /**
+   * Creates the `HtmlWebpackPlugin` instances for a target: one with the target `html` settings
+   * or, if the target has multiple entries, one for each page, with only the chunks of its entry
+   * injected.
+   * If the HTML files are for the modern bundles of a target with differential bundles, the
+   * `type` attribute of the `script` tags won't be removed when minifying them.
+   * @param {Target}                          target The target information.
+   * @param {Array<WebpackConfigurationPage>} pages  The pages for the target entries.
+   * @param {boolean}                         modern Whether or not the files are for modern
+   *                                                 bundles.
+   * @return {Array<HtmlWebpackPlugin>}
+   * @access protected
+   * @ignore
+   */
+  _createHTMLPlugins(target, pages, modern) {
+    const options = modern ? { minify: Object.assign({}, MODERN_HTML_MINIFY_OPTIONS) } : {};
+    return pages.length ?
+      pages.map((page) => {
+        const html = Object.assign({}, target.html, page.html);
+        return new HtmlWebpackPlugin(Object.assign({}, options, html, {
+          template: this.targetsHTML.getFilepath(
+            Object.assign({}, target, {
+              name: `${target.name}-${page.name}`,
+              html,
+            })
+          ),
+          chunks: [page.name],
+          inject: 'body',
+        }));
+      }) :
+      [new HtmlWebpackPlugin(Object.assign({}, options, target.html, {
+        template: this.targetsHTML.getFilepath(target),
+        inject: 'body',
+      }))];
+  }
+  /**
+   * Creates the `CompressionPlugin` instances for a target: one for each algorithm on its
+   * `compression` setting. For libraries, the settings are taken from the
+   * `libraryOptions.compress` setting, and they are disabled by default.
+   * The settings can be a boolean, to enable or disable the compression with gzip and the plugin
+   * default options, or an object with the `algorithms` (`gzip` and/or `brotli`), the
+   * `threshold` size, the `minRatio` and the `extensions` of the files to compress.
+   * If the version of Node doesn't support one of the algorithms (Brotli was added on `10.16`),
+   * it will be skipped with a warning.
+   * @param {Target} target The target information.
+   * @return {Array<CompressionPlugin>}
+   * @throws {Error} If one of the algorithms is not `gzip` nor `brotli`.
+   * @access protected
+   * @ignore
+   */
+  _createCompressionPlugins(target) {
+    let settings;
+    if (target.library) {
+      settings = target.libraryOptions.compress;
+    } else {
+      settings = typeof target.compression === 'undefined' ? true : target.compression;
+    }
+
+    let result;
+    if (settings) {
+      const {
+        algorithms = ['gzip'],
+        threshold,
+        minRatio,
+        extensions,
+      } = settings === true ? {} : settings;
+      const options = {};
+      if (typeof threshold !== 'undefined') {
+        options.threshold = threshold;
+      }
+      if (typeof minRatio !== 'undefined') {
+        options.minRatio = minRatio;
+      }
+      if (extensions) {
+        options.test = new RegExp(`\\.(?:${extensions.join('|')})$`, 'i');
+      }
+
+      result = algorithms.reduce(
+        (plugins, name) => {
+          const algorithm = this._compressionAlgorithms[name];
+          if (!algorithm) {
+            throw new Error(
+              `The target '${target.name}' has an invalid compression algorithm: ${name}`
+            );
+          }
+
+          let newPlugins;
+          if (typeof zlib[algorithm.algorithm] === 'function') {
+            newPlugins = [
+              ...plugins,
+              new CompressionPlugin(Object.assign({}, options, {
+                algorithm: algorithm.algorithm,
+                filename: `[path].${algorithm.extension}[query]`,
+              })),
+            ];
+          } else {
+            this.appLogger.warning(
+              `The '${name}' compression algorithm is not available on this version of Node, ` +
+              `the target '${target.name}' won't generate '.${algorithm.extension}' files`
+            );
+            newPlugins = plugins;
+          }
+
+          return newPlugins;
+        },
+        []
+      );
+    } else {
+      result = [];
+    }
+
+    return result;
+  }
+  /**
+   * Generates the webpack `optimization` options to split the modules into chunks, using the
+   * target `codeSplitting` setting. The setting can be the name of a preset or an object with
+   * the `preset`, the `minSize` for the `granular` preset and whether or not to extract the
+   * webpack runtime into its own chunk (`runtimeChunk`).
+   * If the target doesn't have the setting and has multiple pages, the modules the pages share
+   * will be moved to their own chunks.
+   * @param {Target}                          target The target information.
+   * @param {Array<WebpackConfigurationPage>} pages  The pages for the target entries.
+   * @return {Object}
+   * @throws {Error} If the preset is not `vendor`, `granular` or `none`.
+   * @access protected
+   * @ignore
+   */
+  _getCodeSplittingOptions(target, pages) {
+    const settings = Object.assign(
+      {
+        preset: null,
+        minSize: GRANULAR_MIN_SIZE,
+        runtimeChunk: false,
+      },
+      typeof target.codeSplitting === 'string' ?
+        { preset: target.codeSplitting } :
+        target.codeSplitting
+    );
+    const nodeModules = /[\\/]node_modules[\\/]/;
+    const options = {};
+    switch (settings.preset) {
+    case 'vendor':
+      options.splitChunks = {
+        chunks: 'all',
+        cacheGroups: {
+          vendors: {
+            test: nodeModules,
+            name: 'vendors',
+            priority: -10,
+          },
+        },
+      };
+      break;
+    case 'granular':
+      options.splitChunks = {
+        chunks: 'all',
+        maxInitialRequests: Infinity,
+        cacheGroups: {
+          packages: {
+            test: nodeModules,
+            name: (module) => this._getPackageChunkName(module),
+            minSize: settings.minSize,
+            priority: -5,
+          },
+          vendors: {
+            test: nodeModules,
+            name: 'vendors',
+            priority: -10,
+          },
+        },
+      };
+      break;
+    case 'none':
+      options.splitChunks = false;
+      break;
+    case null:
+      if (pages.length > 1) {
+        options.splitChunks = {
+          chunks: 'all',
+        };
+      }
+      break;
+    default:
+      throw new Error(
+        `The target '${target.name}' has an invalid code splitting preset: ${settings.preset}`
+      );
+    }
+
+    if (settings.runtimeChunk) {
+      options.runtimeChunk = 'single';
+    }
+
+    return options;
+  }
+  /**
+   * Generates the name of the chunk for a module of the `granular` code splitting preset, using
+   * the name of the package the module belongs to: `vendor.[package]`, where scoped packages
+   * use a dash instead of a slash and don't have the `@`.
+   * @param {Object} module The module information provided by webpack.
+   * @return {string}
+   * @access protected
+   * @ignore
+   */
+  _getPackageChunkName(module) {
+    const [, name] = module.context.match(
+      /[\\/]node_modules[\\/](@[^\\/]+[\\/][^\\/]+|[^\\/]+)/
+    );
+    return `vendor.${name.replace('@', '').replace(/[\\/]/, '-')}`;
+  }
+  /**
+   * Generates the options for the assets manifest plugin, using the target settings. If the
+   * target uses integrity hashes, they'll be included on the manifest.
+   * @param {Target}                                     target    The target information.
+   * @param {?ProjextWebpackSubresourceIntegrityOptions} integrity The options for the integrity
+   *                                                               hashes.
+   * @return {ProjextWebpackAssetsManifestOptions}
+   * @access protected
+   * @ignore
+   */
+  _getAssetsManifestOptions(target, integrity) {
+    const options = Object.assign(
+      {},
+      target.assetsManifest === true ? {} : target.assetsManifest
+    );
+    if (integrity) {
+      options.integrity = integrity.algorithms;
+    }
+
+    return options;
+  }
+  /**
+   * Generates the options for the integrity hashes plugin, using the target settings.
+   * @param {Target} target The target information.
+   * @return {ProjextWebpackSubresourceIntegrityOptions}
+   * @access protected
+   * @ignore
+   */
+  _getSubresourceIntegrityOptions(target) {
+    return Object.assign(
+      {
+        algorithms: ['sha384'],
+        crossorigin: 'anonymous',
+      },
+      target.subresourceIntegrity === true ? {} : target.subresourceIntegrity
+    );
+  }
+  /**
+   * Generates the options for the resource hints plugin, using the target settings.
+   * @param {Target}                                     target    The target information.
+   * @param {boolean}                                    modules   Whether or not the JS files
+   *                                                               are loaded as ES modules, like
+   *                                                               on the modern build of the
+   *                                                               differential bundles.
+   * @param {?ProjextWebpackSubresourceIntegrityOptions} integrity The options for the integrity
+   *                                                               hashes, so the hints can use
+   *                                                               the same attributes as the
+   *                                                               tags.
+   * @return {ProjextWebpackResourceHintsOptions}
+   * @access protected
+   * @ignore
+   */
+  _getResourceHintsOptions(target, modules, integrity) {
+    return Object.assign(
+      {},
+      target.resourceHints === true ? {} : target.resourceHints,
+      { modules, integrity }
+    );
+  }
 }
 /**
  * The service provider that once registered on the app container will set an instance of
@@ -192,6 +647,7 @@ const webpackBrowserProductionConfiguration = provider((app) => {
   app.set(
     'webpackBrowserProductionConfiguration',
     () => new WebpackBrowserProductionConfiguration(
+      app.get('appLogger'),
       app.get('events'),
       app.get('pathUtils'),
       app.get('targetsHTML'),
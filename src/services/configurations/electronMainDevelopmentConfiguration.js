@@ -0,0 +1,143 @@
+const { provider } = require('jimple');
+const ConfigurationFile = require('../../abstracts/configurationFile');
+const { ProjextWebpackBundleRunner } = require('../../plugins');
+/**
+ * Creates the specifics of a Webpack configuration for an Electron main process target
+ * development build. It extends the configuration for Node targets.
+ * @extends {ConfigurationFile}
+ */
+class WebpackElectronMainDevelopmentConfiguration extends ConfigurationFile {
+  /**
+   * Class constructor.
+   * @param {Events}                              events                   To reduce the
+   *                                                                       configuration.
+   * @param {PathUtils}                           pathUtils                Required by
+   *                                                                       `ConfigurationFile` in
+   *                                                                       order to build the path
+   *                                                                       to the overwrite file.
+   * @param {RootRequire}                         rootRequire              To get the path to the
+   *                                                                       Electron executable when
+   *                                                                       the target needs to be
+   *                                                                       executed.
+   * @param {WebpackNodeDevelopmentConfiguration} webpackNodeConfiguration The configuration this
+   *                                                                       one will extend.
+   */
+  constructor(
+    events,
+    pathUtils,
+    rootRequire,
+    webpackNodeConfiguration
+  ) {
+    super(
+      pathUtils,
+      [
+        'config/webpack/electron-main.development.config.js',
+        'config/webpack/electron-main.config.js',
+      ],
+      true,
+      webpackNodeConfiguration
+    );
+    /**
+     * A local reference for the `events` service.
+     * @type {Events}
+     */
+    this.events = events;
+    /**
+     * A local reference for the `rootRequire` function service.
+     * @type {RootRequire}
+     */
+    this.rootRequire = rootRequire;
+  }
+  /**
+   * Updates the Node target development configuration for the Electron main process: it changes
+   * the webpack `target`, and if the target needs to run, it makes the bundle runner use the
+   * Electron executable.
+   * This method uses the reducer events `webpack-electron-main-development-configuration` and
+   * `webpack-electron-main-configuration`. It sends the configuration, the received `params` and
+   * expects a configuration on return.
+   * @param {WebpackConfigurationParams} params A dictionary generated by the top service building
+   *                                            the configuration and that includes things like the
+   *                                            target information, its entry settings, output
+   *                                            paths, etc.
+   * @param {Object}                     config The configuration generated for Node targets.
+   * @return {object}
+   */
+  createConfig(params, config) {
+    const { target } = params;
+    const newConfig = Object.assign({}, config, {
+      target: 'electron-main',
+      node: Object.assign({}, config.node, {
+        // Avoid getting an empty `__dirname` and `__filename`.
+        __dirname: false,
+        __filename: false,
+      }),
+    });
+    // If the Node configuration included the plugin to execute the bundle...
+    if (newConfig.plugins.some((plugin) => plugin instanceof ProjextWebpackBundleRunner)) {
+      // ...replace it with one that uses the Electron executable.
+      const execPath = this._getElectronPath(target);
+      newConfig.plugins = newConfig.plugins.map((plugin) => (
+        plugin instanceof ProjextWebpackBundleRunner ?
+          new ProjextWebpackBundleRunner(Object.assign({}, plugin.getOptions(), { execPath })) :
+          plugin
+      ));
+    }
+    // Reduce the configuration.
+    return this._reduceConfig(
+      this.events,
+      [
+        'webpack-electron-main-development-configuration',
+        'webpack-electron-main-configuration',
+      ],
+      newConfig,
+      params
+    );
+  }
+  /**
+   * Gets the path to the Electron executable. When required on Node, the `electron` package
+   * exports the path to its executable.
+   * @param {Target} target The target information, to generate the error message.
+   * @return {string}
+   * @throws {Error} If the `electron` package is not installed.
+   * @access protected
+   * @ignore
+   */
+  _getElectronPath(target) {
+    try {
+      return this.rootRequire('electron');
+    } catch (error) {
+      throw new Error(
+        `The target '${target.name}' needs the \`electron\` package in order to be executed`
+      );
+    }
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackElectronMainDevelopmentConfiguration` as the
+ * `webpackElectronMainDevelopmentConfiguration` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackElectronMainDevelopmentConfiguration);
+ * // Getting access to the service instance
+ * const webpackElectronMainDevConfig = container.get(
+ *   'webpackElectronMainDevelopmentConfiguration'
+ * );
+ * @type {Provider}
+ */
+const webpackElectronMainDevelopmentConfiguration = provider((app) => {
+  app.set(
+    'webpackElectronMainDevelopmentConfiguration',
+    () => new WebpackElectronMainDevelopmentConfiguration(
+      app.get('events'),
+      app.get('pathUtils'),
+      app.get('rootRequire'),
+      app.get('webpackNodeDevelopmentConfiguration')
+    )
+  );
+});
+
+module.exports = {
+  WebpackElectronMainDevelopmentConfiguration,
+  webpackElectronMainDevelopmentConfiguration,
+};
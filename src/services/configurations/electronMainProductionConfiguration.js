@@ -0,0 +1,100 @@
+const { provider } = require('jimple');
+const ConfigurationFile = require('../../abstracts/configurationFile');
+/**
+ * Creates the specifics of a Webpack configuration for an Electron main process target
+ * production build. It extends the configuration for Node targets.
+ * @extends {ConfigurationFile}
+ */
+class WebpackElectronMainProductionConfiguration extends ConfigurationFile {
+  /**
+   * Class constructor.
+   * @param {Events}                             events                   To reduce the
+   *                                                                      configuration.
+   * @param {PathUtils}                          pathUtils                Required by
+   *                                                                      `ConfigurationFile` in
+   *                                                                      order to build the path to
+   *                                                                      the overwrite file.
+   * @param {WebpackNodeProductionConfiguration} webpackNodeConfiguration The configuration this one
+   *                                                                      will extend.
+   */
+  constructor(
+    events,
+    pathUtils,
+    webpackNodeConfiguration
+  ) {
+    super(
+      pathUtils,
+      [
+        'config/webpack/electron-main.production.config.js',
+        'config/webpack/electron-main.config.js',
+      ],
+      true,
+      webpackNodeConfiguration
+    );
+    /**
+     * A local reference for the `events` service.
+     * @type {Events}
+     */
+    this.events = events;
+  }
+  /**
+   * Updates the Node target production configuration for the Electron main process.
+   * This method uses the reducer events `webpack-electron-main-production-configuration` and
+   * `webpack-electron-main-configuration`. It sends the configuration, the received `params` and
+   * expects a configuration on return.
+   * @param {WebpackConfigurationParams} params A dictionary generated by the top service building
+   *                                            the configuration and that includes things like the
+   *                                            target information, its entry settings, output
+   *                                            paths, etc.
+   * @param {Object}                     config The configuration generated for Node targets.
+   * @return {object}
+   */
+  createConfig(params, config) {
+    const newConfig = Object.assign({}, config, {
+      target: 'electron-main',
+      node: Object.assign({}, config.node, {
+        // Avoid getting an empty `__dirname` and `__filename`.
+        __dirname: false,
+        __filename: false,
+      }),
+    });
+    // Reduce the configuration.
+    return this._reduceConfig(
+      this.events,
+      [
+        'webpack-electron-main-production-configuration',
+        'webpack-electron-main-configuration',
+      ],
+      newConfig,
+      params
+    );
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackElectronMainProductionConfiguration` as the
+ * `webpackElectronMainProductionConfiguration` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackElectronMainProductionConfiguration);
+ * // Getting access to the service instance
+ * const webpackElectronMainProdConfig = container.get(
+ *   'webpackElectronMainProductionConfiguration'
+ * );
+ * @type {Provider}
+ */
+const webpackElectronMainProductionConfiguration = provider((app) => {
+  app.set(
+    'webpackElectronMainProductionConfiguration',
+    () => new WebpackElectronMainProductionConfiguration(
+      app.get('events'),
+      app.get('pathUtils'),
+      app.get('webpackNodeProductionConfiguration')
+    )
+  );
+});
+
+module.exports = {
+  WebpackElectronMainProductionConfiguration,
+  webpackElectronMainProductionConfiguration,
+};
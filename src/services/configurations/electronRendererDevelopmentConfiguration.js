@@ -0,0 +1,102 @@
+const { provider } = require('jimple');
+const ConfigurationFile = require('../../abstracts/configurationFile');
+/**
+ * Creates the specifics of a Webpack configuration for an Electron renderer process target
+ * development build. It extends the configuration for browser targets.
+ * @extends {ConfigurationFile}
+ */
+class WebpackElectronRendererDevelopmentConfiguration extends ConfigurationFile {
+  /**
+   * Class constructor.
+   * @param {Events}                                 events                      To reduce the
+   *                                                                             configuration.
+   * @param {PathUtils}                              pathUtils                   Required by
+   *                                                                             `ConfigurationFile`
+   *                                                                             in order to build
+   *                                                                             the path to the
+   *                                                                             overwrite file.
+   * @param {WebpackBrowserDevelopmentConfiguration} webpackBrowserConfiguration The configuration
+   *                                                                             this one will
+   *                                                                             extend.
+   */
+  constructor(
+    events,
+    pathUtils,
+    webpackBrowserConfiguration
+  ) {
+    super(
+      pathUtils,
+      [
+        'config/webpack/electron-renderer.development.config.js',
+        'config/webpack/electron-renderer.config.js',
+      ],
+      true,
+      webpackBrowserConfiguration
+    );
+    /**
+     * A local reference for the `events` service.
+     * @type {Events}
+     */
+    this.events = events;
+  }
+  /**
+   * Updates the browser target development configuration for the Electron renderer process.
+   * This method uses the reducer events `webpack-electron-renderer-development-configuration`
+   * and `webpack-electron-renderer-configuration`. It sends the configuration, the received
+   * `params` and expects a configuration on return.
+   * @param {WebpackConfigurationParams} params A dictionary generated by the top service building
+   *                                            the configuration and that includes things like the
+   *                                            target information, its entry settings, output
+   *                                            paths, etc.
+   * @param {Object}                     config The configuration generated for browser targets.
+   * @return {object}
+   */
+  createConfig(params, config) {
+    const newConfig = Object.assign({}, config, {
+      target: 'electron-renderer',
+      node: Object.assign({}, config.node, {
+        // Avoid getting an empty `__dirname` and `__filename`.
+        __dirname: false,
+        __filename: false,
+      }),
+    });
+    // Reduce the configuration.
+    return this._reduceConfig(
+      this.events,
+      [
+        'webpack-electron-renderer-development-configuration',
+        'webpack-electron-renderer-configuration',
+      ],
+      newConfig,
+      params
+    );
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackElectronRendererDevelopmentConfiguration` as the
+ * `webpackElectronRendererDevelopmentConfiguration` service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackElectronRendererDevelopmentConfiguration);
+ * // Getting access to the service instance
+ * const webpackElectronRendererDevConfig = container.get(
+ *   'webpackElectronRendererDevelopmentConfiguration'
+ * );
+ * @type {Provider}
+ */
+const webpackElectronRendererDevelopmentConfiguration = provider((app) => {
+  app.set(
+    'webpackElectronRendererDevelopmentConfiguration',
+    () => new WebpackElectronRendererDevelopmentConfiguration(
+      app.get('events'),
+      app.get('pathUtils'),
+      app.get('webpackBrowserDevelopmentConfiguration')
+    )
+  );
+});
+
+module.exports = {
+  WebpackElectronRendererDevelopmentConfiguration,
+  webpackElectronRendererDevelopmentConfiguration,
+};
@@ -14,6 +14,24 @@ const {
 const {
   webpackNodeProductionConfiguration,
 } = require('./nodeProductionConfiguration');
+const {
+  webpackElectronMainDevelopmentConfiguration,
+} = require('./electronMainDevelopmentConfiguration');
+const {
+  webpackElectronMainProductionConfiguration,
+} = require('./electronMainProductionConfiguration');
+const {
+  webpackElectronRendererDevelopmentConfiguration,
+} = require('./electronRendererDevelopmentConfiguration');
+const {
+  webpackElectronRendererProductionConfiguration,
+} = require('./electronRendererProductionConfiguration');
+const {
+  webpackWebworkerDevelopmentConfiguration,
+} = require('./webworkerDevelopmentConfiguration');
+const {
+  webpackWebworkerProductionConfiguration,
+} = require('./webworkerProductionConfiguration');
 
 module.exports = {
   webpackBaseConfiguration,
@@ -22,4 +40,10 @@ module.exports = {
   webpackRulesConfiguration,
   webpackNodeDevelopmentConfiguration,
   webpackNodeProductionConfiguration,
+  webpackElectronMainDevelopmentConfiguration,
+  webpackElectronMainProductionConfiguration,
+  webpackElectronRendererDevelopmentConfiguration,
+  webpackElectronRendererProductionConfiguration,
+  webpackWebworkerDevelopmentConfiguration,
+  webpackWebworkerProductionConfiguration,
 };
@@ -3,8 +3,11 @@ const CopyWebpackPlugin = require('copy-webpack-plugin');
 const ExtraWatchWebpackPlugin = require('extra-watch-webpack-plugin');
 const {
   NoEmitOnErrorsPlugin,
+  HotModuleReplacementPlugin,
+  NamedModulesPlugin,
 } = require('webpack');
 const { provider } = require('jimple');
+const ObjectUtils = require('wootils/shared/objectUtils');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
 const ConfigurationFile = require('../../abstracts/configurationFile');
 const { ProjextWebpackBundleRunner } = require('../../plugins');
@@ -71,6 +74,7 @@ class WebpackNodeDevelopmentConfiguration extends ConfigurationFile {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     } = params;
     // By default it doesn't watch the source files.
     let watch = false;
@@ -91,26 +95,35 @@ class WebpackNodeDevelopmentConfiguration extends ConfigurationFile {
       // If the the bundle should be analyzed, add the plugin for it.
       ...(
         analyze ?
-          [new BundleAnalyzerPlugin()] :
+          [new BundleAnalyzerPlugin(analyzer)] :
           []
       ),
     ];
+    // Check if the target needs to run on development.
+    const run = !analyze && target.runOnDevelopment;
+    // Check if the bundle should be updated with HMR instead of being restarted.
+    const hot = !!(run && target.hot);
     // If the target needs to run on development...
-    if (!analyze && target.runOnDevelopment) {
+    if (run) {
       // ...watch the source files.
       watch = true;
       // Push the plugin that executes the target bundle.
       plugins.push(new ProjextWebpackBundleRunner({
         logger: this.appLogger,
         inspect: target.inspect,
+        hot,
       }));
+      // If the target uses hot replacement, add the plugins.
+      if (hot) {
+        plugins.push(new NamedModulesPlugin(), new HotModuleReplacementPlugin());
+      }
     } else if (target.watch.development) {
       // Enable the watch mode if required.
       watch = true;
     }
     // Define the rest of the configuration.
     const config = {
-      entry,
+      entry: this._createEntries(entry, target, hot),
       output: {
         path: `./${target.folders.build}`,
         filename: output.js,
@@ -128,11 +141,14 @@ class WebpackNodeDevelopmentConfiguration extends ConfigurationFile {
     };
     // If the target has source maps enabled...
     if (target.sourceMap.development) {
-      // ...configure the devtool
-      config.devtool = 'source-map';
+      // ...configure the devtool, with the maps inside the bundle if the target needs them inline.
+      config.devtool = target.sourceMapSupport && target.sourceMapSupport.inline ?
+        'inline-source-map' :
+        'source-map';
     }
     // Reduce the configuration.
-    return this.events.reduce(
+    return this._reduceConfig(
+      this.events,
       [
         'webpack-node-development-configuration',
         'webpack-node-configuration',
@@ -141,6 +157,34 @@ class WebpackNodeDevelopmentConfiguration extends ConfigurationFile {
       params
     );
   }
+  /**
+   * Creates a copy of the target entries with the files that need to be on top of them: the
+   * support for source maps on the stack traces, if the target needs it, and the HMR client, if
+   * the target uses hot replacement.
+   * @param {Object}  entry  The target entries, with the list of files for each one.
+   * @param {Target}  target The target information.
+   * @param {boolean} hot    Whether or not the target uses hot replacement.
+   * @return {Object}
+   * @access protected
+   * @ignore
+   */
+  _createEntries(entry, target, hot) {
+    const files = [];
+    if (target.sourceMap.development && target.sourceMapSupport) {
+      files.push(require.resolve('source-map-support/register'));
+    }
+
+    if (hot) {
+      files.push(require.resolve('../../plugins/bundleRunner/hotEntry'));
+    }
+
+    const result = ObjectUtils.copy(entry);
+    Object.keys(result).forEach((entryName) => {
+      result[entryName].unshift(...files);
+    });
+
+    return result;
+  }
 }
 /**
  * The service provider that once registered on the app container will set an instance of
@@ -5,8 +5,14 @@ const {
   NoEmitOnErrorsPlugin,
 } = require('webpack');
 const { provider } = require('jimple');
+const ObjectUtils = require('wootils/shared/objectUtils');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
 const ConfigurationFile = require('../../abstracts/configurationFile');
+const {
+  ProjextWebpackDeployPackage,
+  ProjextWebpackExternalsReport,
+  ProjextWebpackSizeReport,
+} = require('../../plugins');
 /**
  * Creates the specifics of a Webpack configuration for a Node target production build.
  * @extends {ConfigurationFile}
@@ -14,7 +20,14 @@ const ConfigurationFile = require('../../abstracts/configurationFile');
 class WebpackNodeProductionConfiguration extends ConfigurationFile {
   /**
    * Class constructor.
+   * @param {Logger}                       appLogger                To send to the size report,
+   *                                                                externals report and deploy
+   *                                                                package plugins in order to
+   *                                                                log their information.
    * @param {Events}                       events                   To reduce the configuration.
+   * @param {Object}                       packageInfo              The contents of the project
+   *                                                                `package.json`, to generate
+   *                                                                the deployment `package.json`.
    * @param {PathUtils}                    pathUtils                Required by `ConfigurationFile`
    *                                                                in order to build the path to
    *                                                                the overwrite file.
@@ -22,7 +35,9 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
    *                                                                extend.
    */
   constructor(
+    appLogger,
     events,
+    packageInfo,
     pathUtils,
     webpackBaseConfiguration
   ) {
@@ -35,11 +50,21 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
       true,
       webpackBaseConfiguration
     );
+    /**
+     * A local reference for the `appLogger` service.
+     * @type {Logger}
+     */
+    this.appLogger = appLogger;
     /**
      * A local reference for the `events` service.
      * @type {Events}
      */
     this.events = events;
+    /**
+     * The information of the project's `package.json`.
+     * @type {Object}
+     */
+    this.packageInfo = packageInfo;
   }
   /**
    * Create the configuration with the `entry`, the `output` and the plugins specifics for a
@@ -61,9 +86,10 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     } = params;
     const config = {
-      entry,
+      entry: ObjectUtils.copy(entry),
       output: {
         path: `./${target.folders.build}`,
         filename: output.js,
@@ -83,10 +109,32 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
             [new ExtraWatchWebpackPlugin({ files: additionalWatch })] :
             []
         ),
+        // If the target bundles its dependencies, log the packages that ended up as externals.
+        ...(
+          target.bundleDependencies ?
+            [new ProjextWebpackExternalsReport({ logger: this.appLogger })] :
+            []
+        ),
+        // If the target should generate a package.json for deploying the bundle, add the plugin.
+        ...(
+          target.deployPackage ?
+            [new ProjextWebpackDeployPackage(this._getDeployPackageOptions(target))] :
+            []
+        ),
+        // If the target should generate a size report, add the plugin for it.
+        ...(
+          target.sizeReport ?
+            [new ProjextWebpackSizeReport(Object.assign(
+              {},
+              target.sizeReport === true ? {} : target.sizeReport,
+              { logger: this.appLogger }
+            ))] :
+            []
+        ),
         // If the the bundle should be analyzed, add the plugin for it.
         ...(
           analyze ?
-            [new BundleAnalyzerPlugin()] :
+            [new BundleAnalyzerPlugin(analyzer)] :
             []
         ),
       ],
@@ -100,11 +148,20 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
     };
     // If the target has source maps enabled...
     if (target.sourceMap.production) {
-      // ...configure the devtool
-      config.devtool = 'source-map';
+      // ...configure the devtool, with the maps inside the bundle if the target needs them inline.
+      config.devtool = target.sourceMapSupport && target.sourceMapSupport.inline ?
+        'inline-source-map' :
+        'source-map';
+      // If the stack traces should use the source maps, push the support on top of every entry.
+      if (target.sourceMapSupport) {
+        Object.keys(config.entry).forEach((entryName) => {
+          config.entry[entryName].unshift(require.resolve('source-map-support/register'));
+        });
+      }
     }
     // Reduce the configuration.
-    return this.events.reduce(
+    return this._reduceConfig(
+      this.events,
       [
         'webpack-node-production-configuration',
         'webpack-node-configuration',
@@ -113,6 +170,29 @@ class WebpackNodeProductionConfiguration extends ConfigurationFile {
       params
     );
   }
+  /**
+   * Generates the options for the deploy package plugin, using the target settings.
+   * @param {Target} target The target information.
+   * @return {ProjextWebpackDeployPackageOptions}
+   * @access protected
+   * @ignore
+   */
+  _getDeployPackageOptions(target) {
+    const settings = target.deployPackage === true ? {} : target.deployPackage;
+    let lockfile = null;
+    if (settings.lockfile) {
+      lockfile = this.pathUtils.join(
+        typeof settings.lockfile === 'string' ? settings.lockfile : 'package-lock.json'
+      );
+    }
+
+    return {
+      packageInfo: this.packageInfo,
+      lockfile,
+      filename: settings.filename || 'package.json',
+      logger: this.appLogger,
+    };
+  }
 }
 /**
  * The service provider that once registered on the app container will set an instance of
@@ -128,7 +208,9 @@ const webpackNodeProductionConfiguration = provider((app) => {
   app.set(
     'webpackNodeProductionConfiguration',
     () => new WebpackNodeProductionConfiguration(
+      app.get('appLogger'),
       app.get('events'),
+      app.get('packageInfo'),
       app.get('pathUtils'),
       app.get('webpackBaseConfiguration')
     )
@@ -17,7 +17,7 @@ class WebpackRulesConfiguration extends ConfigurationFile {
    *                                                  build the path to the overwrite file.
    */
   constructor(babelConfiguration, events, packageInfo, pathUtils) {
-    super(pathUtils, 'webpack/rules.config.js');
+    super(pathUtils, 'webpack/rules.config.js', true);
     /**
      * A local reference for the `babelConfiguration` service.
      * @type {BabelConfiguration}
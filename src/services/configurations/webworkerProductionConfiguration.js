@@ -0,0 +1,96 @@
+const { provider } = require('jimple');
+const ConfigurationFile = require('../../abstracts/configurationFile');
+/**
+ * Creates the specifics of a Webpack configuration for a web worker target production build.
+ * It extends the configuration for browser targets, which doesn't include the HTML plugins
+ * when used for web workers.
+ * @extends {ConfigurationFile}
+ */
+class WebpackWebworkerProductionConfiguration extends ConfigurationFile {
+  /**
+   * Class constructor.
+   * @param {Events}                                events                      To reduce the
+   *                                                                            configuration.
+   * @param {PathUtils}                             pathUtils                   Required by
+   *                                                                            `ConfigurationFile`
+   *                                                                            in order to build
+   *                                                                            the path to the
+   *                                                                            overwrite file.
+   * @param {WebpackBrowserProductionConfiguration} webpackBrowserConfiguration The configuration
+   *                                                                            this one will
+   *                                                                            extend.
+   */
+  constructor(
+    events,
+    pathUtils,
+    webpackBrowserConfiguration
+  ) {
+    super(
+      pathUtils,
+      [
+        'config/webpack/webworker.production.config.js',
+        'config/webpack/webworker.config.js',
+      ],
+      true,
+      webpackBrowserConfiguration
+    );
+    /**
+     * A local reference for the `events` service.
+     * @type {Events}
+     */
+    this.events = events;
+  }
+  /**
+   * Updates the browser target production configuration for a web worker.
+   * This method uses the reducer events `webpack-webworker-production-configuration` and
+   * `webpack-webworker-configuration`. It sends the configuration, the received `params` and
+   * expects a configuration on return.
+   * @param {WebpackConfigurationParams} params A dictionary generated by the top service building
+   *                                            the configuration and that includes things like the
+   *                                            target information, its entry settings, output
+   *                                            paths, etc.
+   * @param {Object}                     config The configuration generated for browser targets.
+   * @return {object}
+   */
+  createConfig(params, config) {
+    const newConfig = Object.assign({}, config, {
+      target: 'webworker',
+    });
+    // Reduce the configuration.
+    return this._reduceConfig(
+      this.events,
+      [
+        'webpack-webworker-production-configuration',
+        'webpack-webworker-configuration',
+      ],
+      newConfig,
+      params
+    );
+  }
+}
+/**
+ * The service provider that once registered on the app container will set an instance of
+ * `WebpackWebworkerProductionConfiguration` as the `webpackWebworkerProductionConfiguration`
+ * service.
+ * @example
+ * // Register it on the container
+ * container.register(webpackWebworkerProductionConfiguration);
+ * // Getting access to the service instance
+ * const webpackWebworkerProdConfig = container.get('webpackWebworkerProductionConfiguration');
+ * @type {Provider}
+ */
+const webpackWebworkerProductionConfiguration = provider((app) => {
+  app.set(
+    'webpackWebworkerProductionConfiguration',
+    () => new WebpackWebworkerProductionConfiguration(
+      app.get('events'),
+      app.get('pathUtils'),
+      app.get('webpackBrowserProductionConfiguration')
+    )
+  );
+});
+
+module.exports = {
+  WebpackWebworkerProductionConfiguration,
+  webpackWebworkerProductionConfiguration,
+};
@@ -119,6 +119,21 @@
  * @ignore
  */
 
+/**
+ * @external {TempFiles}
+ * https://homer0.github.io/projext/class/src/services/common/tempFiles.js~TempFiles.html
+ */
+
+/**
+ * @external {Stats}
+ * https://webpack.js.org/api/node/#stats-object
+ */
+
+/**
+ * @external {Watching}
+ * https://webpack.js.org/api/node/#watching
+ */
+
 /**
  * @typedef {function} DevMiddlewareGetDirectory
  * @return {string}
@@ -142,6 +157,36 @@
  * To access the webpack dev middleware _"virtual filesystem"_.
  */
 
+/**
+ * @typedef {Object} WebpackAssetsOptions
+ * @property {string} crossorigin
+ * The value of the `crossorigin` attribute for the tags of the files with integrity hashes. By
+ * default, it's `anonymous`.
+ * @property {string|DevMiddlewareGetDirectory} directory
+ * The directory where the manifest is located; it can also be a function that returns it, like
+ * the one the middlewares implementation returns.
+ * @property {string} filename
+ * The name of the manifest file, relative to the directory. By default, it's `manifest.json`.
+ * @property {?DevMiddlewareGetFileSystem} getFileSystem
+ * If defined, the manifest will be read from the dev middleware file system on every call.
+ */
+
+/**
+ * @typedef {Object} WebpackAssetsEntryFiles
+ * @property {Array<string>} js
+ * The URLs of the JS files of the entry, in the order they should be loaded.
+ * @property {Array<string>} css
+ * The URLs of the CSS files of the entry.
+ */
+
+/**
+ * @typedef {Object} WebpackAssetsEntryTags
+ * @property {string} styles
+ * The `link` tags for the CSS files of the entry.
+ * @property {string} scripts
+ * The `script` tags for the JS files of the entry.
+ */
+
 /**
  * @typedef {Object} WebpackConfigurationsByEnvironment
  * @property {ConfigurationFile} production
@@ -156,6 +201,12 @@
  * The build types configurations for a Node target.
  * @property {WebpackConfigurationsByEnvironment} browser
  * The build types configurations for a browser target.
+ * @property {WebpackConfigurationsByEnvironment} electron-main
+ * The build types configurations for a Node target with the `electron-main` platform.
+ * @property {WebpackConfigurationsByEnvironment} electron-renderer
+ * The build types configurations for a browser target with the `electron-renderer` platform.
+ * @property {WebpackConfigurationsByEnvironment} webworker
+ * The build types configurations for a browser target with the `webworker` platform.
  */
 
 /**
@@ -181,6 +232,188 @@
  *                                  them.
  */
 
+/**
+ * @typedef {Object} WebpackBuildTypeOptions
+ * @property {string} extends
+ * The name of the base build type the custom build type uses: `development` or `production`.
+ * @property {Object} [definitions={}]
+ * A dictionary of variables that will be replaced on the bundled code. The values will be
+ * encoded as JSON.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildTypeInfo
+ * @property {string} name
+ * The name of the build type.
+ * @property {string} extends
+ * The name of the base build type the custom build type uses.
+ * @property {Object} definitions
+ * A dictionary of variables that will be replaced on the bundled code.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildEngineOptions
+ * @property {boolean} [run=false]
+ * Force the target to run even if the `runOnDevelopment` setting is `false`.
+ * @property {boolean} [watch=false]
+ * Force webpack to use the watch mode even if the `watch` setting for the required build type is
+ * set to `false`.
+ * @property {boolean} [inspect=false]
+ * Enables the Node inspector even if the target setting is set to `false`.
+ * @property {boolean} [analyze=false]
+ * Enables the bundle analyzer.
+ * Any other property will be considered an extra option and it will be sent to the configuration
+ * services on the `buildOptions` parameter.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildManifestInfo
+ * @property {number} version
+ * The version of the manifest format.
+ * @property {Array} targets
+ * The names of the targets to bundle. If there's more than one, they'll be bundled on the same
+ * webpack process.
+ * @property {string} type
+ * The intended build type: `development` or `production`.
+ * @property {boolean} run
+ * Whether or not to execute the target.
+ * @property {boolean} watch
+ * Whether or not to watch the target files.
+ * @property {boolean} inspect
+ * Whether or not to enable the Node inspector.
+ * @property {boolean} analyze
+ * Whether or not to enable the bundle analyzer.
+ * @property {Object} options
+ * A dictionary of extra options for the configuration services, like a custom port for the dev
+ * server.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildAsset
+ * @property {string} name The path of the asset, relative to the target distribution directory.
+ * @property {number} size The size of the asset, in bytes.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildTime
+ * @property {number} start    The timestamp of when webpack started bundling the target.
+ * @property {number} end      The timestamp of when webpack finished bundling the target.
+ * @property {number} duration How long it took webpack to bundle the target, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} WebpackBuildResult
+ * @property {string} target
+ * The name of the target that was bundled.
+ * @property {string} buildType
+ * The build type used to bundle the target.
+ * @property {Stats} stats
+ * The stats object webpack returned.
+ * @property {Array} assets
+ * A list of {@link WebpackBuildAsset} with the information of the emitted files.
+ * @property {Array} warnings
+ * The list of warnings webpack reported.
+ * @property {Array} errors
+ * The list of errors webpack reported.
+ * @property {WebpackBuildTime} time
+ * The timing information of the build.
+ * @property {?Watching} [watching]
+ * If the target is being watched, this is the object that can be used to stop webpack.
+ */
+
+/**
+ * @typedef {Object} WebpackTargetBuildReport
+ * @property {string} target
+ * The name of the target.
+ * @property {?WebpackBuildResult} result
+ * The information of the build, if the target was successfully bundled.
+ * @property {?WebpackBuildError} error
+ * The error that made the target build fail, if it failed.
+ */
+
+/**
+ * @typedef {Object} ConfigurationFileLayer
+ * @property {string} name
+ * The name of the layer: the name of a configuration service class, a reducer event or the path
+ * to an overwrite file.
+ * @property {string} type
+ * The type of layer: `configuration`, `event` or `file`.
+ * @property {Object} config
+ * A snapshot of the configuration after the layer was applied.
+ */
+
+/**
+ * @typedef {Object} ConfigurationFileInspection
+ * @property {Object} config
+ * The generated configuration.
+ * @property {Array<ConfigurationFileLayer>} layers
+ * The list of layers that modified the configuration, on the order they were applied.
+ */
+
+/**
+ * @typedef {Object} WebpackConfigurationValueProvenance
+ * @property {*} value
+ * The value on the final configuration.
+ * @property {string} layer
+ * The name of the last layer that set the value.
+ * @property {string} type
+ * The type of the layer: `configuration`, `event` or `file`.
+ */
+
+/**
+ * @typedef {Object} WebpackConfigurationInspection
+ * @property {Object} config
+ * The generated webpack configuration.
+ * @property {Array<Object>} layers
+ * The list of layers that modified the configuration, with their `name` and `type`, on the
+ * order they were applied.
+ * @property {Object<string,WebpackConfigurationValueProvenance>} provenance
+ * A dictionary with the information of every value of the configuration. The keys are the paths
+ * of the values, like `output.path` or `module.rules[0].test`.
+ */
+
+/**
+ * @typedef {Object} WebpackConfigurationSnapshot
+ * @property {number} version
+ * The version of the snapshots format.
+ * @property {string} target
+ * The name of the target.
+ * @property {string} buildType
+ * The build type used to generate the configuration.
+ * @property {Array<Object>} rules
+ * The rules of the configuration.
+ * @property {Object} plugins
+ * A dictionary with the options of the plugins, using their constructor names as keys.
+ * @property {Object} externals
+ * The externals of the configuration.
+ * @property {Object} output
+ * The output settings of the configuration.
+ * @property {Object} optimization
+ * The optimization settings of the configuration, with the minimizers on a dictionary, like the
+ * plugins.
+ */
+
+/**
+ * @typedef {Object} WebpackConfigurationDifference
+ * @property {string} path
+ * The path of the value on the snapshot, like `output.path` or `plugins.DefinePlugin`.
+ * @property {string} type
+ * How the value changed: `added`, `removed` or `changed`.
+ * @property {string} [from]
+ * The JSON representation of the value on the reference snapshot.
+ * @property {string} [to]
+ * The JSON representation of the value on the compared snapshot.
+ */
+
+/**
+ * @typedef {Object} WebpackConfigurationPage
+ * @property {string} name
+ * The name of the entry the page is for. Only the chunks of this entry will be injected on it.
+ * @property {Object} html
+ * The `html` settings for the page: the `template`, relative to the target source directory,
+ * the `filename` and any other option for the `HtmlWebpackPlugin`.
+ */
+
 /**
  * @typedef {Object} WebpackConfigurationParams
  * @property {Target} target
@@ -190,13 +423,23 @@
  * @property {Object} entry
  * A dictionary with the `entry` setting for a webpack configuration, generated with the target
  * information.
+ * @property {Array<WebpackConfigurationPage>} pages
+ * If the target has multiple named entries (`entries` setting), the information for the HTML
+ * page of each entry; otherwise, an empty list.
  * @property {WebpackConfigurationTargetOutput} output
  * A dictionary with the filenames formats and paths of the different files the bundle can
  * generate.
  * @property {Function():Object} definitions
  * A function that generates a dictionary of variables that will be replaced on the bundled code.
  * @property {string} buildType
- * The intended built type: `development` or `production`.
+ * The intended built type: `development`, `production` or a custom one.
+ * @property {string} targetType
+ * The type of configuration the target uses: `node`, `browser`, or the value of the target
+ * `platform` setting (`electron-main`, `electron-renderer` or `webworker`).
+ * @property {string} baseBuildType
+ * The base build type the configuration is generated for: `development` or `production`. If
+ * `buildType` is a custom build type, this will be the one it extends; otherwise, it will be the
+ * same as `buildType`.
  * @property {Array} copy
  * A list of {@link TargetExtraFile} with the information of files that need to be copied during
  * the bundling process.
@@ -204,6 +447,15 @@
  * A list of additional paths webpack should watch for in order to restart the bundle.
  * @property {boolean} analyze
  * Whether or not the target bundle should be analyzed.
+ * @property {?Object} analyzer
+ * If the bundle should be analyzed, the options for the `BundleAnalyzerPlugin`, generated with
+ * the target `analyzer` settings.
+ * @property {Object} buildOptions
+ * A dictionary of extra options sent to the build engine, like a custom port for the dev server.
+ * @property {?Object} differential
+ * If the target uses differential bundles, an object with the `type` of bundle the
+ * configuration is for (`modern` or `legacy`) and the `bundles` map both builds share, for the
+ * `ProjextWebpackDifferentialBundles` plugin.
  */
 
 /**
@@ -257,17 +509,235 @@
  * The method that gets called when registering the provider.
  */
 
+/**
+ * @typedef {Object} ProjextWebpackAssetsManifestOptions
+ * @property {string}         filename  The path where the manifest will be saved, relative to
+ *                                      the build directory. Its default value is
+ *                                      `manifest.json`.
+ * @property {?Array<string>} integrity The algorithms to generate the integrity hashes of the
+ *                                      JS and CSS files. If not defined, the manifest won't
+ *                                      include the hashes.
+ * @property {?string}        name      The _"instance name"_, used to register the listeners
+ *                                      on the webpack event hooks. Its default value is
+ *                                      `projext-webpack-plugin-assets-manifest`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackAssetsManifestInfo
+ * @property {string} publicPath
+ * The public path of the bundle, to generate the URLs of the files.
+ * @property {Object} entries
+ * A dictionary with the files of each entry, in the order they should be loaded.
+ * @property {Object} chunks
+ * A dictionary with the files of each chunk. The chunks without name use their ID as key.
+ * @property {Object} assets
+ * A dictionary with the files the bundle imports (fonts and images), relative to the project
+ * directory, and the files webpack emitted for them.
+ * @property {?Object} integrity
+ * A dictionary with the integrity hashes of the JS and CSS files. It's only included when the
+ * plugin has the `integrity` option.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackBudgetsOptions
+ * @property {?(number|string)} entry  The max size of the files of an entry. The sizes can be
+ *                                     numbers of bytes or strings with a unit, like `250kb` or
+ *                                     `1mb`.
+ * @property {?(number|string)} chunk  The max size of every JS file.
+ * @property {?(number|string)} js     The max size of all the JS files together.
+ * @property {?(number|string)} css    The max size of all the CSS files together.
+ * @property {?(number|string)} gzip   The max size of all the JS and CSS files together, after
+ *                                     being compressed with gzip.
+ * @property {boolean}          fail   Whether exceeding a budget should fail the build or just
+ *                                     add a warning. Its default value is `true`.
+ * @property {?string}          name   The _"instance name"_, used to register the listeners on
+ *                                     the webpack event hooks. Its default value is
+ *                                     `projext-webpack-plugin-budgets`.
+ * @property {?Logger}          logger A custom logger to output the offending assets.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackBudgetsViolation
+ * @property {string} budget The name of the budget: `entry`, `chunk`, `js`, `css` or `gzip`.
+ * @property {string} name   The name of the entry or the asset that exceeded the budget. For
+ *                           the budgets of totals, it will be a description, like `Total JS`.
+ * @property {number} size   The size, in bytes.
+ * @property {number} limit  The limit of the budget, in bytes.
+ */
+
 /**
  * @typedef {Object} ProjextWebpackBundleRunnerOptions
- * @property {?string}                entry   The name of the webpack entry to execute. If not
- *                                            specified will fallback to the first one on the list
- *                                            provided by webpack.
- * @property {?string}                name    The _"instance name"_, used to register the listeners
- *                                            on the webpack event hooks. Its default value is
- *                                            `projext-webpack-plugin-bundle-runner`.
- * @property {?Logger}                logger  A custom logger to output the plugin's information
- *                                            messages.
- * @property {?NodeInspectorSettings} inspect The custom settings for the Node Inspector.
+ * @property {?string}                entry    The name of the webpack entry to execute. If not
+ *                                             specified will fallback to the first one on the
+ *                                             list provided by webpack.
+ * @property {?string}                name     The _"instance name"_, used to register the
+ *                                             listeners on the webpack event hooks. Its default
+ *                                             value is `projext-webpack-plugin-bundle-runner`.
+ * @property {?Logger}                logger   A custom logger to output the plugin's information
+ *                                             messages.
+ * @property {?string}                execPath The path to a custom executable for the bundle, like
+ *                                             Electron. If not specified, the bundle will be
+ *                                             executed with Node.
+ * @property {boolean}                hot      Whether or not the bundle has an HMR client, so
+ *                                             the plugin sends it the updates instead of
+ *                                             restarting it. Its default value is `false`.
+ * @property {?NodeInspectorSettings} inspect  The custom settings for the Node Inspector.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackCriticalCSSOptions
+ * @property {boolean} noscript Whether or not to add the original `link` tags inside `noscript`
+ *                              tags, for browsers with JavaScript disabled. Its default value is
+ *                              `true`.
+ * @property {?string} name     The _"instance name"_, used to register the listeners on the
+ *                              webpack event hooks. Its default value is
+ *                              `projext-webpack-plugin-critical-css`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackDeployPackageOptions
+ * @property {Object}  packageInfo The contents of the project `package.json`, to take the name,
+ *                                 the version and the versions of the dependencies.
+ * @property {?string} lockfile    The path to the project npm lockfile (`package-lock.json` or
+ *                                 `npm-shrinkwrap.json`). If specified, the plugin will also
+ *                                 generate a lockfile with the same name and format, and the
+ *                                 entries of the packages the bundle needs.
+ * @property {string}  filename    The path where the `package.json` will be saved, relative to
+ *                                 the build directory. Its default value is `package.json`.
+ * @property {?string} name        The _"instance name"_, used to register the listeners on the
+ *                                 webpack event hooks. Its default value is
+ *                                 `projext-webpack-plugin-deploy-package`.
+ * @property {?Logger} logger      A custom logger to output the packages that couldn't be added.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackDifferentialBundlesOptions
+ * @property {string}  type      The type of bundle the plugin is added to: `modern` or
+ *                               `legacy`. Its default value is `modern`.
+ * @property {Map}     bundles   The map where the legacy build saves the JS files of each
+ *                               entry. Both builds need to use the same map.
+ * @property {?Object} integrity If the legacy files need integrity hashes, the options of the
+ *                               {@link ProjextWebpackSubresourceIntegrity} plugin: the
+ *                               `algorithms` and the `crossorigin` attribute.
+ * @property {?string} name      The _"instance name"_, used to register the listeners on the
+ *                               webpack event hooks. Its default value is
+ *                               `projext-webpack-plugin-differential-bundles`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackESMExportsOptions
+ * @property {string}  library The name of the variable the bundle is exposed as. Its default
+ *                             value is `__projextWebpackESM`.
+ * @property {?string} name    The _"instance name"_, used to register the listeners on the
+ *                             webpack event hooks. Its default value is
+ *                             `projext-webpack-plugin-esm-exports`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackExternalsReportOptions
+ * @property {?string} name   The _"instance name"_, used to register the listeners on the
+ *                            webpack event hooks. Its default value is
+ *                            `projext-webpack-plugin-externals-report`.
+ * @property {?Logger} logger A custom logger to output the list of packages.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSizeReportOptions
+ * @property {string}  filename The path where the report will be saved, relative to the build
+ *                              directory. Its default value is `size-report.json`.
+ * @property {?string} baseline The path to a previous report that will be compared with the new
+ *                              one. If it's relative, it will be resolved from the webpack
+ *                              `context`, the project root.
+ * @property {?string} name     The _"instance name"_, used to register the listeners on the
+ *                              webpack event hooks. Its default value is
+ *                              `projext-webpack-plugin-size-report`.
+ * @property {?Logger} logger   A custom logger to output the comparison with the baseline.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSizeReportEntry
+ * @property {number} size The size, in bytes.
+ * @property {number} gzip The size after being compressed with gzip, in bytes.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSizeReportInfo
+ * @property {number} version
+ * The version of the report format.
+ * @property {ProjextWebpackSizeReportEntry} totals
+ * The sizes of all the emitted assets together, without source maps nor compressed files.
+ * @property {Object<string,ProjextWebpackSizeReportEntry>} assets
+ * A dictionary with the sizes of the emitted assets.
+ * @property {Object<string,Object>} chunks
+ * A dictionary with the `files` of each chunk and their `size` and `gzip` sizes. The keys are
+ * the names of the chunks or, if they don't have one, their IDs.
+ * @property {Object<string,ProjextWebpackSizeReportEntry>} packages
+ * A dictionary with the sizes of the modules of each package. The modules that are not inside
+ * `node_modules` are grouped as `(project)`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSizeReportChange
+ * @property {string} type The type of entry: `total`, `chunk`, `asset` or `package`.
+ * @property {string} name The name of the entry.
+ * @property {number} from The size on the baseline.
+ * @property {number} to   The size on the new report.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSizeReportComparison
+ * @property {Array<ProjextWebpackSizeReportChange>} grew
+ * The entries that grew.
+ * @property {Array<ProjextWebpackSizeReportChange>} shrank
+ * The entries that shrank.
+ * @property {Array<Object>} newPackages
+ * The packages that weren't on the baseline, with their `name`, `size` and `gzip` size.
+ * @property {Array<Object>} removedPackages
+ * The packages that were on the baseline but not on the new report, with their `name`, `size`
+ * and `gzip` size.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackResourceHintsSettings
+ * @property {Array<string|RegExp>} [include=[]] A list of patterns the files need to match in
+ *                                              order to get hints. If it's empty, all the files
+ *                                              get hints.
+ * @property {Array<string|RegExp>} [exclude=[]] A list of patterns for files that shouldn't get
+ *                                              hints.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackResourceHintsOptions
+ * @property {boolean|ProjextWebpackResourceHintsSettings} preload
+ * Whether or not to add `preload` hints for the files of the initial chunks and the fonts, or the
+ * settings to filter them. Its default value is `true`.
+ * @property {boolean|ProjextWebpackResourceHintsSettings} prefetch
+ * Whether or not to add `prefetch` hints for the files of the chunks loaded on demand, or the
+ * settings to filter them. Its default value is `true`.
+ * @property {boolean} modules
+ * Whether or not the JS files are loaded as ES modules, in which case, the plugin uses
+ * `modulepreload` instead of `preload` for them. Its default value is `false`.
+ * @property {Array<string>} fonts
+ * The formats of the fonts that get `preload` hints: `woff2`, `woff`, `ttf`, `otf` and/or `eot`.
+ * Its default value is `['woff2']`, as the browsers that support preloading also support it.
+ * @property {?ProjextWebpackSubresourceIntegrityOptions} integrity
+ * The options of the integrity hashes the `script` and `link` tags use, so the same attributes
+ * can be added to the `preload` hints. Its default value is `null`.
+ * @property {?string} name
+ * The _"instance name"_, used to register the listeners on the webpack event hooks. Its default
+ * value is `projext-webpack-plugin-resource-hints`.
+ */
+
+/**
+ * @typedef {Object} ProjextWebpackSubresourceIntegrityOptions
+ * @property {Array<string>} algorithms  The algorithms to generate the hashes: `sha256`,
+ *                                       `sha384` or `sha512`. Its default value is
+ *                                       `['sha384']`.
+ * @property {string}        crossorigin The value of the `crossorigin` attribute. Its default
+ *                                       value is `anonymous`.
+ * @property {?string}       name        The _"instance name"_, used to register the listeners
+ *                                       on the webpack event hooks. Its default value is
+ *                                       `projext-webpack-plugin-subresource-integrity`.
  */
 
 /**
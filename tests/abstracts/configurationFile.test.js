@@ -290,4 +290,255 @@ describe('abstracts:ConfigurationFile', () => {
     expect(firstCall).toEqual(expectedConfig);
     expect(secondCall).toEqual(expectedConfig);
   });
+
+  it('should reduce a configuration using a list of events', () => {
+    // Given
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    fs.pathExistsSync.mockReturnValueOnce(false);
+    const events = {
+      reduce: jest.fn((eventNames, config) => Object.assign({}, config, { reduced: true })),
+    };
+    const eventNames = ['event-one', 'event-two'];
+    const param = 'param';
+    class Sut extends ConfigurationFile {
+      createConfig(name) {
+        return this._reduceConfig(events, eventNames, { name }, name);
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new Sut(pathUtils, 'some-file.js');
+    result = sut.getConfig(param);
+    // Then
+    expect(result).toEqual({
+      name: param,
+      reduced: true,
+    });
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(eventNames, { name: param }, param);
+  });
+
+  it('should inspect the configuration and return all the layers that modified it', () => {
+    // Given
+    const argOne = 'c';
+    const pathUtils = {
+      join: jest.fn((rest) => {
+        const withoutTheConfigFolder = rest.split('/').pop();
+        return `${mocksRelativePath}/${withoutTheConfigFolder}`;
+      }),
+    };
+    fs.pathExistsSync.mockReturnValueOnce(true);
+    fs.pathExistsSync.mockReturnValueOnce(false);
+    const events = {
+      reduce: jest.fn((eventName, config) => Object.assign({}, config, {
+        [eventName]: true,
+      })),
+    };
+    class ParentSut extends ConfigurationFile {
+      createConfig(param) {
+        return { param };
+      }
+    }
+    class Sut extends ConfigurationFile {
+      createConfig(param) {
+        return this._reduceConfig(
+          events,
+          ['event-one', 'event-two'],
+          { child: true },
+          param
+        );
+      }
+    }
+    let parent = null;
+    let sut = null;
+    let result = null;
+    // When
+    parent = new ParentSut(pathUtils, 'parent.config.js');
+    sut = new Sut(pathUtils, 'mockObject.config.js', true, parent);
+    result = sut.inspectConfig(argOne);
+    sut.getConfig(argOne);
+    // Then
+    expect(result).toEqual({
+      config: {
+        param: argOne,
+        child: true,
+        'event-one': true,
+        'event-two': true,
+        mockedObject: true,
+      },
+      layers: [
+        {
+          name: 'ParentSut',
+          type: 'configuration',
+          config: {
+            param: argOne,
+          },
+        },
+        {
+          name: 'Sut',
+          type: 'configuration',
+          config: {
+            param: argOne,
+            child: true,
+          },
+        },
+        {
+          name: 'event-one',
+          type: 'event',
+          config: {
+            param: argOne,
+            child: true,
+            'event-one': true,
+          },
+        },
+        {
+          name: 'event-two',
+          type: 'event',
+          config: {
+            param: argOne,
+            child: true,
+            'event-one': true,
+            'event-two': true,
+          },
+        },
+        {
+          name: 'Sut',
+          type: 'configuration',
+          config: {
+            param: argOne,
+            child: true,
+            'event-one': true,
+            'event-two': true,
+          },
+        },
+        {
+          name: 'config/mockObject.config.js',
+          type: 'file',
+          config: {
+            param: argOne,
+            child: true,
+            'event-one': true,
+            'event-two': true,
+            mockedObject: true,
+          },
+        },
+      ],
+    });
+    expect(events.reduce).toHaveBeenCalledTimes(['event-one', 'event-two', 'getConfig'].length);
+    expect(events.reduce).toHaveBeenNthCalledWith(1, 'event-one', { child: true }, argOne);
+    expect(events.reduce).toHaveBeenNthCalledWith(
+      ['event-one', 'event-two', 'getConfig'].length,
+      ['event-one', 'event-two'],
+      { child: true },
+      argOne
+    );
+  });
+
+  it('shouldn\'t replace the cached configuration when inspecting it', () => {
+    // Given
+    const argOne = 'a';
+    const argTwo = 'b';
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    fs.pathExistsSync.mockReturnValueOnce(false);
+    class Sut extends ConfigurationFile {
+      createConfig(param) {
+        return { param };
+      }
+    }
+    let sut = null;
+    let config = null;
+    let result = null;
+    // When
+    sut = new Sut(pathUtils, 'some-file.js');
+    config = sut.getConfig(argOne);
+    result = sut.inspectConfig(argTwo);
+    // Then
+    expect(config).toEqual({ param: argOne });
+    expect(result.config).toEqual({ param: argTwo });
+    expect(sut.getConfig(argTwo)).toBe(config);
+  });
+
+  it('should inspect the configuration of a parent that can\'t be inspected', () => {
+    // Given
+    const argOne = 'c';
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    fs.pathExistsSync.mockReturnValueOnce(false);
+    class ParentSut {
+      getConfig(param) {
+        return { param };
+      }
+    }
+    class Sut extends ConfigurationFile {
+      createConfig() {
+        return { child: true };
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new Sut(pathUtils, 'some-file.js', false, new ParentSut());
+    result = sut.inspectConfig(argOne);
+    // Then
+    expect(result).toEqual({
+      config: {
+        param: argOne,
+        child: true,
+      },
+      layers: [
+        {
+          name: 'ParentSut',
+          type: 'configuration',
+          config: {
+            param: argOne,
+          },
+        },
+        {
+          name: 'Sut',
+          type: 'configuration',
+          config: {
+            param: argOne,
+            child: true,
+          },
+        },
+      ],
+    });
+  });
+
+  it('should stop inspecting the configuration if it fails to be created', () => {
+    // Given
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    fs.pathExistsSync.mockReturnValueOnce(false);
+    const error = new Error('Something went wrong');
+    const events = {
+      reduce: jest.fn((eventNames, config) => config),
+    };
+    const eventNames = ['event-one', 'event-two'];
+    const createConfig = jest.fn();
+    createConfig.mockImplementationOnce(() => {
+      throw error;
+    });
+    class Sut extends ConfigurationFile {
+      createConfig() {
+        createConfig();
+        return this._reduceConfig(events, eventNames, {});
+      }
+    }
+    let sut = null;
+    // When
+    sut = new Sut(pathUtils, 'some-file.js', true);
+    // Then
+    expect(() => sut.inspectConfig()).toThrow(error);
+    expect(sut.getConfig()).toEqual({});
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(eventNames, {});
+  });
 });
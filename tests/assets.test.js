@@ -0,0 +1,237 @@
+jest.mock('fs-extra');
+jest.unmock('/src/assets');
+
+require('jasmine-expect');
+const fs = require('fs-extra');
+const WebpackAssets = require('/src/assets');
+
+describe('WebpackAssets', () => {
+  const getManifest = () => ({
+    publicPath: '/',
+    entries: {
+      main: [
+        'statics/js/vendors.4c5d.js',
+        'statics/js/main.1a2b.js',
+        'statics/css/main.3e4f.css',
+      ],
+    },
+    chunks: {},
+    assets: {},
+  });
+
+  beforeEach(() => {
+    fs.readJson.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackAssets();
+    // Then
+    expect(sut).toBeInstanceOf(WebpackAssets);
+    expect(sut.getManifest).toBeFunction();
+    expect(sut.getFiles).toBeFunction();
+    expect(sut.getTags).toBeFunction();
+  });
+
+  it('should read the manifest from the file system only once', () => {
+    // Given
+    const manifest = getManifest();
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(manifest));
+    const directory = 'build';
+    let sut = null;
+    // When
+    sut = new WebpackAssets({ directory });
+    return sut.getManifest()
+    .then((result) => Promise.all([result, sut.getManifest()]))
+    .then(([first, second]) => {
+      // Then
+      expect(first).toEqual(manifest);
+      expect(second).toEqual(manifest);
+      expect(fs.readJson).toHaveBeenCalledTimes(1);
+      expect(fs.readJson).toHaveBeenCalledWith(`${directory}/manifest.json`);
+    })
+    .catch((error) => {
+      throw error;
+    });
+  });
+
+  it('should try to read the manifest again if it fails', () => {
+    // Given
+    const error = new Error('Unexpected error');
+    const manifest = getManifest();
+    fs.readJson.mockImplementationOnce(() => Promise.reject(error));
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(manifest));
+    const filename = 'statics/manifest.json';
+    const directory = 'build';
+    const getDirectory = jest.fn(() => directory);
+    let sut = null;
+    // When
+    sut = new WebpackAssets({ directory: getDirectory, filename });
+    return sut.getManifest()
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBe(error);
+      return sut.getManifest();
+    })
+    .then((result) => {
+      expect(result).toEqual(manifest);
+      expect(fs.readJson).toHaveBeenCalledTimes(2);
+      expect(fs.readJson).toHaveBeenCalledWith(`${directory}/${filename}`);
+      expect(getDirectory).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('should read the manifest from the file system of the dev middleware', () => {
+    // Given
+    const manifest = getManifest();
+    const directory = 'build';
+    const getDirectory = jest.fn(() => directory);
+    const fileSystem = {
+      readFile: jest.fn((file, encoding, callback) => {
+        callback(null, JSON.stringify(manifest));
+      }),
+    };
+    const getFileSystem = jest.fn(() => Promise.resolve(fileSystem));
+    let sut = null;
+    // When
+    sut = new WebpackAssets({ directory: getDirectory, getFileSystem });
+    return sut.getManifest()
+    .then((result) => Promise.all([result, sut.getManifest()]))
+    .then(([first, second]) => {
+      // Then
+      expect(first).toEqual(manifest);
+      expect(second).toEqual(manifest);
+      expect(getFileSystem).toHaveBeenCalledTimes(2);
+      expect(fileSystem.readFile).toHaveBeenCalledTimes(2);
+      expect(fileSystem.readFile).toHaveBeenCalledWith(
+        `${directory}/manifest.json`,
+        'utf-8',
+        expect.any(Function)
+      );
+      expect(fs.readJson).toHaveBeenCalledTimes(0);
+    })
+    .catch((error) => {
+      throw error;
+    });
+  });
+
+  it('should fail to read the manifest from the file system of the dev middleware', () => {
+    // Given
+    const error = new Error('Unexpected error');
+    const fileSystem = {
+      readFile: jest.fn((file, encoding, callback) => {
+        callback(error);
+      }),
+    };
+    const getFileSystem = jest.fn(() => Promise.resolve(fileSystem));
+    let sut = null;
+    // When
+    sut = new WebpackAssets({ getFileSystem });
+    return sut.getManifest()
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBe(error);
+    });
+  });
+
+  it('should get the URLs of the files of an entry', () => {
+    // Given
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(getManifest()));
+    let sut = null;
+    // When
+    sut = new WebpackAssets();
+    return sut.getFiles('main')
+    .then((result) => {
+      // Then
+      expect(result).toEqual({
+        js: [
+          '/statics/js/vendors.4c5d.js',
+          '/statics/js/main.1a2b.js',
+        ],
+        css: ['/statics/css/main.3e4f.css'],
+      });
+    })
+    .catch((error) => {
+      throw error;
+    });
+  });
+
+  it('should fail to get the files of an entry that is not on the manifest', () => {
+    // Given
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(getManifest()));
+    const entry = 'admin';
+    let sut = null;
+    // When
+    sut = new WebpackAssets();
+    return sut.getFiles(entry)
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((error) => {
+      // Then
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toMatch(/The entry '\w+' doesn't exist/i);
+    });
+  });
+
+  it('should generate the tags with the integrity hashes of the files of an entry', () => {
+    // Given
+    const manifest = Object.assign(getManifest(), {
+      integrity: {
+        'statics/js/main.1a2b.js': 'sha384-main-js',
+        'statics/css/main.3e4f.css': 'sha384-main-css',
+      },
+    });
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(manifest));
+    const crossorigin = 'use-credentials';
+    let sut = null;
+    // When
+    sut = new WebpackAssets({ crossorigin });
+    return sut.getTags('main')
+    .then((result) => {
+      // Then
+      expect(result).toEqual({
+        styles: '<link rel="stylesheet" href="/statics/css/main.3e4f.css" ' +
+          'integrity="sha384-main-css" crossorigin="use-credentials">',
+        scripts: [
+          '<script src="/statics/js/vendors.4c5d.js"></script>',
+          '<script src="/statics/js/main.1a2b.js" integrity="sha384-main-js" ' +
+            'crossorigin="use-credentials"></script>',
+        ].join('\n'),
+      });
+    })
+    .catch((error) => {
+      throw error;
+    });
+  });
+
+  it('should generate the tags to load the files of an entry', () => {
+    // Given
+    fs.readJson.mockImplementationOnce(() => Promise.resolve(getManifest()));
+    let sut = null;
+    // When
+    sut = new WebpackAssets();
+    return sut.getTags('main')
+    .then((result) => {
+      // Then
+      expect(result).toEqual({
+        styles: '<link rel="stylesheet" href="/statics/css/main.3e4f.css">',
+        scripts: [
+          '<script src="/statics/js/vendors.4c5d.js"></script>',
+          '<script src="/statics/js/main.1a2b.js"></script>',
+        ].join('\n'),
+      });
+    })
+    .catch((error) => {
+      throw error;
+    });
+  });
+});
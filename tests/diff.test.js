@@ -0,0 +1,140 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('projext/index', () => ({ get: jest.fn() }));
+jest.unmock('/src/diff');
+
+require('jasmine-expect');
+
+const projext = require('projext/index');
+const diffConfigurations = require('/src/diff');
+
+describe('plugin:projextWebpack/Diff', () => {
+  const target = {
+    name: 'some-target',
+  };
+  const getServices = () => {
+    const services = {
+      targets: {
+        getTarget: jest.fn(() => target),
+      },
+      webpackConfigurationDiff: {
+        saveSnapshot: jest.fn(),
+        diffSnapshot: jest.fn(() => []),
+        diffBuildTypes: jest.fn(() => ['difference']),
+      },
+      appLogger: {
+        success: jest.fn(),
+      },
+    };
+    projext.get.mockImplementation((service) => services[service]);
+    return services;
+  };
+
+  beforeEach(() => {
+    projext.get.mockReset();
+  });
+
+  it('should compare the configurations of two build types', () => {
+    // Given
+    const services = getServices();
+    let result = null;
+    // When
+    result = diffConfigurations([target.name, 'development', 'production']);
+    // Then
+    expect(result).toBe(0);
+    expect(services.targets.getTarget).toHaveBeenCalledTimes(1);
+    expect(services.targets.getTarget).toHaveBeenCalledWith(target.name);
+    expect(services.webpackConfigurationDiff.diffBuildTypes).toHaveBeenCalledTimes(1);
+    expect(services.webpackConfigurationDiff.diffBuildTypes).toHaveBeenCalledWith(
+      target,
+      'development',
+      'production'
+    );
+  });
+
+  it('should fail if there are differences and the `--fail` flag is used', () => {
+    // Given
+    const services = getServices();
+    let result = null;
+    // When
+    result = diffConfigurations([target.name, 'development', '--fail', 'production']);
+    // Then
+    expect(result).toBe(1);
+    expect(services.webpackConfigurationDiff.diffBuildTypes).toHaveBeenCalledTimes(1);
+    expect(services.webpackConfigurationDiff.diffBuildTypes).toHaveBeenCalledWith(
+      target,
+      'development',
+      'production'
+    );
+  });
+
+  it('shouldn\'t fail if there are no differences and the `--fail` flag is used', () => {
+    // Given
+    const services = getServices();
+    const filepath = 'snapshot.json';
+    let result = null;
+    // When
+    result = diffConfigurations([target.name, 'production', '--snapshot', filepath, '--fail']);
+    // Then
+    expect(result).toBe(0);
+    expect(services.webpackConfigurationDiff.diffSnapshot).toHaveBeenCalledTimes(1);
+    expect(services.webpackConfigurationDiff.diffSnapshot).toHaveBeenCalledWith(
+      target,
+      'production',
+      filepath
+    );
+  });
+
+  it('should compare the configuration of a build type with a snapshot', () => {
+    // Given
+    const services = getServices();
+    const filepath = 'snapshot.json';
+    let result = null;
+    // When
+    result = diffConfigurations([target.name, 'production', '--snapshot', filepath]);
+    // Then
+    expect(result).toBe(0);
+    expect(services.webpackConfigurationDiff.diffSnapshot).toHaveBeenCalledTimes(1);
+    expect(services.webpackConfigurationDiff.diffSnapshot).toHaveBeenCalledWith(
+      target,
+      'production',
+      filepath
+    );
+  });
+
+  it('should save a snapshot of the configuration of a build type', () => {
+    // Given
+    const services = getServices();
+    const filepath = 'snapshot.json';
+    let result = null;
+    // When
+    result = diffConfigurations([target.name, 'production', '--save', filepath]);
+    // Then
+    expect(result).toBe(0);
+    expect(services.webpackConfigurationDiff.saveSnapshot).toHaveBeenCalledTimes(1);
+    expect(services.webpackConfigurationDiff.saveSnapshot).toHaveBeenCalledWith(
+      target,
+      'production',
+      filepath
+    );
+    expect(services.appLogger.success).toHaveBeenCalledTimes(1);
+    expect(services.appLogger.success).toHaveBeenCalledWith(
+      `The snapshot for '${target.name}' was saved on ${filepath}`
+    );
+  });
+
+  it('should throw an error if the arguments are invalid', () => {
+    // Given
+    getServices();
+    // When/Then
+    expect(() => diffConfigurations([])).toThrow(/usage/i);
+    expect(() => diffConfigurations([target.name])).toThrow(/usage/i);
+    expect(() => diffConfigurations([target.name, 'production'])).toThrow(/usage/i);
+    expect(() => diffConfigurations([target.name, 'production', '--save']))
+    .toThrow(/usage/i);
+    expect(() => diffConfigurations([target.name, 'production', '--other', 'file']))
+    .toThrow(/usage/i);
+    expect(projext.get).toHaveBeenCalledTimes(2);
+  });
+});
@@ -30,19 +30,29 @@ describe('plugin:projextWebpack', () => {
       external: [
         'express',
         'jimpex',
+        'assets',
       ],
     });
     expect(app.set).toHaveBeenCalledTimes(1);
     expect(app.set).toHaveBeenCalledWith('webpackPluginInfo', expect.any(Function));
     expect(app.register).toHaveBeenCalledTimes([
+      'webpackBuildTypes',
       'webpackConfiguration',
+      'webpackConfigurationDiff',
       'webpackBuildEngine',
+      'webpackBuildManifest',
       'webpackBaseConfiguration',
       'webpackBrowserDevelopmentConfiguration',
       'webpackBrowserProductionConfiguration',
       'webpackLoadersConfiguration',
       'webpackNodeDevelopmentConfiguration',
       'webpackNodeProductionConfiguration',
+      'webpackElectronMainDevelopmentConfiguration',
+      'webpackElectronMainProductionConfiguration',
+      'webpackElectronRendererDevelopmentConfiguration',
+      'webpackElectronRendererProductionConfiguration',
+      'webpackWebworkerDevelopmentConfiguration',
+      'webpackWebworkerProductionConfiguration',
       'webpackMiddlewares',
     ].length);
   });
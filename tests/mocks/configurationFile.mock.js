@@ -22,6 +22,14 @@ class ConfigurationFileMock {
   getConfig(...args) {
     return this.createConfig(...args);
   }
+
+  // eslint-disable-next-line class-methods-use-this
+  _reduceConfig(events, eventNames, config, ...args) {
+    return events.reduce(eventNames, config, ...args);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _trackLayer() {}
 }
 
 module.exports = ConfigurationFileMock;
@@ -0,0 +1,218 @@
+jest.unmock('/src/plugins/assetsManifest');
+
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackAssetsManifest = require('/src/plugins/assetsManifest');
+
+const { getModules, sortKeys } = jest.requireActual('../../../src/plugins/utils');
+
+describe('plugins:assetsManifest', () => {
+  const getCompilation = (publicPath = '/') => ({
+    compiler: {
+      context: '/project',
+    },
+    outputOptions: {
+      publicPath,
+    },
+    entrypoints: new Map([
+      [
+        'main',
+        {
+          getFiles: () => [
+            'statics/js/vendors.4c5d.js',
+            'statics/js/main.1a2b.js',
+            'statics/js/main.1a2b.js.map',
+            'statics/css/main.3e4f.css',
+          ],
+        },
+      ],
+    ]),
+    chunks: [
+      {
+        name: 'main',
+        files: [
+          'statics/js/main.1a2b.js',
+          'statics/js/main.1a2b.js.map',
+          'statics/css/main.3e4f.css',
+        ],
+      },
+      {
+        name: 'vendors',
+        files: ['statics/js/vendors.4c5d.js'],
+      },
+      {
+        name: null,
+        id: 2,
+        files: ['statics/js/build.2.5a6b.js'],
+      },
+    ],
+    modules: [
+      {
+        resource: '/project/src/index.js',
+        buildInfo: {},
+      },
+      {
+        modules: [
+          {
+            resource: '/project/src/app.js',
+            buildInfo: {},
+          },
+          {
+            resource: '/project/src/assets/images/logo.png',
+            buildInfo: {
+              assets: {
+                'statics/images/logo.7c8d.png': {},
+              },
+            },
+          },
+        ],
+      },
+      {
+        resource: '/project/node_modules/some-font/font.woff',
+        buildInfo: {
+          assets: {
+            'statics/fonts/font.9e0f.woff': {},
+          },
+        },
+      },
+      {
+        external: true,
+      },
+    ],
+    emitAsset: jest.fn(),
+  });
+
+  beforeEach(() => {
+    ProjextWebpackUtils.getModules.mockImplementation(getModules);
+    ProjextWebpackUtils.sortKeys.mockImplementation(sortKeys);
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackAssetsManifest();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackAssetsManifest);
+    expect(result).toEqual({
+      filename: 'manifest.json',
+      integrity: null,
+      name: 'projext-webpack-plugin-assets-manifest',
+    });
+  });
+
+  it('should register the webpack hook for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    // When
+    sut = new ProjextWebpackAssetsManifest({ name });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should create a manifest for a compilation', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackAssetsManifest();
+    result = [
+      sut.createManifest(getCompilation()),
+      sut.createManifest(getCompilation('')),
+    ];
+    // Then
+    expect(result[0]).toEqual({
+      publicPath: '/',
+      entries: {
+        main: [
+          'statics/js/vendors.4c5d.js',
+          'statics/js/main.1a2b.js',
+          'statics/css/main.3e4f.css',
+        ],
+      },
+      chunks: {
+        2: ['statics/js/build.2.5a6b.js'],
+        main: ['statics/js/main.1a2b.js', 'statics/css/main.3e4f.css'],
+        vendors: ['statics/js/vendors.4c5d.js'],
+      },
+      assets: {
+        'node_modules/some-font/font.woff': 'statics/fonts/font.9e0f.woff',
+        'src/assets/images/logo.png': 'statics/images/logo.7c8d.png',
+      },
+    });
+    expect(Object.keys(result[0].assets)).toEqual([
+      'node_modules/some-font/font.woff',
+      'src/assets/images/logo.png',
+    ]);
+    expect(result[1].publicPath).toBe('');
+    expect(result[0].integrity).toBeUndefined();
+  });
+
+  it('should include the integrity hashes of the JS and CSS files on the manifest', () => {
+    // Given
+    ProjextWebpackUtils.createIntegrity.mockImplementation((source) => `sha384-${source}`);
+    const integrity = ['sha384'];
+    const compilation = getCompilation();
+    compilation.assets = {
+      'statics/js/main.1a2b.js': { source: () => 'main-js' },
+      'statics/js/main.1a2b.js.map': { source: () => 'main-map' },
+      'statics/css/main.3e4f.css': { source: () => 'main-css' },
+      'statics/js/vendors.4c5d.js': { source: () => 'vendors-js' },
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackAssetsManifest({ integrity });
+    result = sut.createManifest(compilation);
+    // Then
+    expect(result.integrity).toEqual({
+      'statics/css/main.3e4f.css': 'sha384-main-css',
+      'statics/js/main.1a2b.js': 'sha384-main-js',
+      'statics/js/vendors.4c5d.js': 'sha384-vendors-js',
+    });
+    expect(Object.keys(result.integrity)).toEqual([
+      'statics/css/main.3e4f.css',
+      'statics/js/main.1a2b.js',
+      'statics/js/vendors.4c5d.js',
+    ]);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(3);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith('main-js', integrity);
+  });
+
+  it('should add the manifest to the compilation assets', () => {
+    // Given
+    const filename = 'statics/manifest.json';
+    const compilation = getCompilation();
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onEmit = null;
+    let asset = null;
+    // When
+    sut = new ProjextWebpackAssetsManifest({ filename });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    [[, asset]] = compilation.emitAsset.mock.calls;
+    // Then
+    expect(compilation.emitAsset).toHaveBeenCalledTimes(1);
+    expect(compilation.emitAsset).toHaveBeenCalledWith(filename, expect.any(Object));
+    expect(JSON.parse(asset.source())).toEqual(sut.createManifest(getCompilation()));
+  });
+});
@@ -0,0 +1,264 @@
+jest.unmock('/src/plugins/budgets');
+
+const zlib = require('zlib');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackBudgets = require('/src/plugins/budgets');
+
+describe('plugins:budgets', () => {
+  const getLogger = () => ({
+    error: jest.fn(),
+    warning: jest.fn(),
+  });
+  const getAsset = (content) => ({
+    size: () => content.length,
+    source: () => content,
+  });
+  const getCompilation = (assets, entrypoints = {}) => ({
+    assets: Object.keys(assets).reduce(
+      (current, name) => Object.assign({}, current, {
+        [name]: getAsset(assets[name]),
+      }),
+      {}
+    ),
+    entrypoints: new Map(Object.keys(entrypoints).map((name) => [
+      name,
+      {
+        getFiles: () => entrypoints[name],
+      },
+    ])),
+    errors: [],
+    warnings: [],
+  });
+
+  beforeEach(() => {
+    ProjextWebpackUtils.createLogger.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackBudgets();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackBudgets);
+    expect(result).toEqual({
+      entry: null,
+      chunk: null,
+      js: null,
+      css: null,
+      gzip: null,
+      fail: true,
+      name: 'projext-webpack-plugin-budgets',
+      logger: null,
+    });
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledWith(
+      'projext-webpack-plugin-budgets',
+      null
+    );
+  });
+
+  it('should throw an error when instantiated with an invalid size', () => {
+    // Given/When/Then
+    expect(() => new ProjextWebpackBudgets({ chunk: 'big' }))
+    .toThrow(/invalid budget size/i);
+  });
+
+  it('should register the webpack hook for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = {
+      hooks: {
+        shouldEmit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    // When
+    sut = new ProjextWebpackBudgets({ name });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.shouldEmit.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.shouldEmit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should validate the assets against the budgets', () => {
+    // Given
+    const compilation = getCompilation(
+      {
+        'main.js': 'a'.repeat(3000),
+        'vendor.js': 'b'.repeat(1000),
+        'chunk.js': 'c'.repeat(500),
+        'main.css': 'd'.repeat(2048),
+        'main.js.map': 'e'.repeat(10000),
+        'index.html': 'f'.repeat(10000),
+      },
+      {
+        main: ['main.js', 'vendor.js', 'main.css', 'main.js.map'],
+        other: ['chunk.js'],
+      }
+    );
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackBudgets({
+      entry: '5kb',
+      chunk: '2048',
+      js: '0.004mb',
+      css: '2 KB',
+      gzip: '10b',
+    });
+    result = sut.validate(compilation);
+    // Then
+    expect(result).toEqual([
+      {
+        budget: 'entry',
+        name: 'main',
+        size: 6048,
+        limit: 5120,
+      },
+      {
+        budget: 'chunk',
+        name: 'main.js',
+        size: 3000,
+        limit: 2048,
+      },
+      {
+        budget: 'js',
+        name: 'Total JS',
+        size: 4500,
+        limit: 4194,
+      },
+      {
+        budget: 'gzip',
+        name: 'Total gzip',
+        size: ['main.js', 'vendor.js', 'chunk.js', 'main.css'].reduce(
+          (total, asset) => total + zlib.gzipSync(compilation.assets[asset].source()).length,
+          0
+        ),
+        limit: 10,
+      },
+    ]);
+  });
+
+  it('shouldn\'t report anything if there are no budgets', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compilation = getCompilation(
+      {
+        'main.js': 'a'.repeat(3000),
+      },
+      {
+        main: ['main.js'],
+      }
+    );
+    const compiler = {
+      hooks: {
+        shouldEmit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onShouldEmit = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackBudgets();
+    sut.apply(compiler);
+    [[, onShouldEmit]] = compiler.hooks.shouldEmit.tap.mock.calls;
+    result = onShouldEmit(compilation);
+    // Then
+    expect(result).toBeUndefined();
+    expect(compilation.errors).toEqual([]);
+    expect(compilation.warnings).toEqual([]);
+    expect(logger.error).toHaveBeenCalledTimes(0);
+    expect(logger.warning).toHaveBeenCalledTimes(0);
+  });
+
+  it('should fail the compilation if a budget is exceeded', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compilation = getCompilation(
+      {
+        'main.js': 'a'.repeat(3072),
+        'main.css': 'b'.repeat(2048),
+      },
+      {
+        main: ['main.js', 'main.css'],
+      }
+    );
+    const compiler = {
+      hooks: {
+        shouldEmit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onShouldEmit = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackBudgets({
+      chunk: '2kb',
+      css: '1kb',
+    });
+    sut.apply(compiler);
+    [[, onShouldEmit]] = compiler.hooks.shouldEmit.tap.mock.calls;
+    result = onShouldEmit(compilation);
+    // Then
+    expect(result).toBe(false);
+    expect(compilation.errors).toEqual([expect.any(Error)]);
+    expect(compilation.errors[0].message).toBe('2 asset(s) exceeded the performance budgets');
+    expect(compilation.warnings).toEqual([]);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith([
+      '2 asset(s) exceeded the performance budgets:',
+      'Budget | Asset     | Size    | Limit',
+      'chunk  | main.js   | 3.00 KB | 2.00 KB',
+      'css    | Total CSS | 2.00 KB | 1.00 KB',
+    ]);
+  });
+
+  it('should add a warning if a budget is exceeded and the plugin shouldn\'t fail', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compilation = getCompilation({
+      'main.js': 'a'.repeat(3072),
+    });
+    const compiler = {
+      hooks: {
+        shouldEmit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onShouldEmit = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackBudgets({
+      js: 2048,
+      fail: false,
+    });
+    sut.apply(compiler);
+    [[, onShouldEmit]] = compiler.hooks.shouldEmit.tap.mock.calls;
+    result = onShouldEmit(compilation);
+    // Then
+    expect(result).toBeUndefined();
+    expect(compilation.errors).toEqual([]);
+    expect(compilation.warnings).toEqual([expect.any(Error)]);
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith([
+      '1 asset(s) exceeded the performance budgets:',
+      'Budget | Asset    | Size    | Limit',
+      'js     | Total JS | 3.00 KB | 2.00 KB',
+    ]);
+    expect(logger.error).toHaveBeenCalledTimes(0);
+  });
+});
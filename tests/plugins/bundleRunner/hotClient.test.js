@@ -0,0 +1,124 @@
+jest.unmock('/src/plugins/bundleRunner/hotClient');
+jest.unmock('/src/plugins/bundleRunner/messages');
+
+const {
+  HOT_UPDATE_MESSAGE,
+  HOT_RESTART_MESSAGE,
+} = require('/src/plugins/bundleRunner/messages');
+const { createHotClient } = require('/src/plugins/bundleRunner/hotClient');
+
+describe('plugins:bundleRunner/hotClient', () => {
+  const getLogger = () => ({
+    log: jest.fn(),
+    warn: jest.fn(),
+  });
+  const getProcess = () => {
+    const listeners = {};
+    return {
+      listeners,
+      on: jest.fn((eventName, listener) => {
+        listeners[eventName] = listener;
+      }),
+      send: jest.fn(),
+    };
+  };
+  const getHot = (status = 'idle') => ({
+    status: jest.fn(() => status),
+    check: jest.fn(),
+    apply: jest.fn(),
+  });
+  const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('shouldn\'t do anything if HMR is disabled', () => {
+    // Given
+    const proc = getProcess();
+    // When
+    createHotClient(undefined, proc);
+    // Then
+    expect(proc.on).toHaveBeenCalledTimes(0);
+  });
+
+  it('should apply the updates when the bundle runner sends a message', async () => {
+    // Given
+    const hot = getHot();
+    const updatedModules = ['./src/routes.js'];
+    hot.check.mockImplementationOnce(() => Promise.resolve(updatedModules));
+    hot.apply.mockImplementationOnce(() => Promise.resolve(updatedModules));
+    const proc = getProcess();
+    const logger = getLogger();
+    // When
+    createHotClient(hot, proc, logger);
+    proc.listeners.message('unknown');
+    proc.listeners.message({ type: 'other-message' });
+    proc.listeners.message({ type: HOT_UPDATE_MESSAGE });
+    await flushPromises();
+    // Then
+    expect(proc.on).toHaveBeenCalledTimes(1);
+    expect(proc.on).toHaveBeenCalledWith('message', expect.any(Function));
+    expect(hot.check).toHaveBeenCalledTimes(1);
+    expect(hot.apply).toHaveBeenCalledTimes(1);
+    expect(logger.log).toHaveBeenCalledTimes(1);
+    expect(logger.log).toHaveBeenCalledWith('[HMR] Updated modules: ./src/routes.js');
+    expect(proc.send).toHaveBeenCalledTimes(0);
+  });
+
+  it('shouldn\'t apply anything if there are no updates', async () => {
+    // Given
+    const hot = getHot();
+    hot.check.mockImplementationOnce(() => Promise.resolve(null));
+    const proc = getProcess();
+    const logger = getLogger();
+    // When
+    createHotClient(hot, proc, logger);
+    proc.listeners.message({ type: HOT_UPDATE_MESSAGE });
+    await flushPromises();
+    // Then
+    expect(hot.check).toHaveBeenCalledTimes(1);
+    expect(hot.apply).toHaveBeenCalledTimes(0);
+    expect(logger.log).toHaveBeenCalledTimes(0);
+  });
+
+  it('should check again if an update is received while applying another one', async () => {
+    // Given
+    const hot = getHot();
+    hot.status.mockImplementationOnce(() => 'idle');
+    hot.status.mockImplementationOnce(() => 'apply');
+    hot.check.mockImplementationOnce(() => Promise.resolve(['./src/routes.js']));
+    hot.check.mockImplementationOnce(() => Promise.resolve(['./src/index.js']));
+    hot.apply.mockImplementationOnce(() => Promise.resolve([]));
+    hot.apply.mockImplementationOnce(() => Promise.resolve(['./src/index.js']));
+    const proc = getProcess();
+    const logger = getLogger();
+    // When
+    createHotClient(hot, proc, logger);
+    proc.listeners.message({ type: HOT_UPDATE_MESSAGE });
+    proc.listeners.message({ type: HOT_UPDATE_MESSAGE });
+    await flushPromises();
+    // Then
+    expect(hot.check).toHaveBeenCalledTimes(2);
+    expect(hot.apply).toHaveBeenCalledTimes(2);
+    expect(logger.log).toHaveBeenCalledTimes(1);
+    expect(logger.log).toHaveBeenCalledWith('[HMR] Updated modules: ./src/index.js');
+  });
+
+  it('should ask for a restart if an update can\'t be applied', async () => {
+    // Given
+    const hot = getHot();
+    const error = new Error('Aborted because ./src/index.js is not accepted');
+    hot.check.mockImplementationOnce(() => Promise.resolve(['./src/index.js']));
+    hot.apply.mockImplementationOnce(() => Promise.reject(error));
+    const proc = getProcess();
+    const logger = getLogger();
+    // When
+    createHotClient(hot, proc, logger);
+    proc.listeners.message({ type: HOT_UPDATE_MESSAGE });
+    await flushPromises();
+    // Then
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(
+      `[HMR] ${error.message}, restarting the bundle`
+    );
+    expect(proc.send).toHaveBeenCalledTimes(1);
+    expect(proc.send).toHaveBeenCalledWith({ type: HOT_RESTART_MESSAGE });
+  });
+});
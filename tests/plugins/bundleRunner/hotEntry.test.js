@@ -0,0 +1,12 @@
+jest.unmock('/src/plugins/bundleRunner/hotEntry');
+
+const { createHotClient } = require('/src/plugins/bundleRunner/hotClient');
+require('/src/plugins/bundleRunner/hotEntry');
+
+describe('plugins:bundleRunner/hotEntry', () => {
+  it('should start the HMR client with the process of the bundle', () => {
+    // Given/When/Then
+    expect(createHotClient).toHaveBeenCalledTimes(1);
+    expect(createHotClient).toHaveBeenCalledWith(undefined, process);
+  });
+});
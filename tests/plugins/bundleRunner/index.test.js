@@ -1,13 +1,32 @@
 jest.mock('opener');
 jest.mock('child_process');
 jest.unmock('/src/plugins/bundleRunner');
+jest.unmock('/src/plugins/bundleRunner/messages');
 
 const path = require('path');
 const { fork } = require('child_process');
 const ProjextWebpackUtils = require('/src/plugins/utils');
+const {
+  HOT_UPDATE_MESSAGE,
+  HOT_RESTART_MESSAGE,
+} = require('/src/plugins/bundleRunner/messages');
 const ProjextWebpackBundleRunner = require('/src/plugins/bundleRunner');
 
 describe('plugins:bundleRunner', () => {
+  const getCompiler = () => ({
+    hooks: {
+      afterEmit: {
+        tapAsync: jest.fn(),
+      },
+      compile: {
+        tap: jest.fn(),
+      },
+      done: {
+        tap: jest.fn(),
+      },
+    },
+  });
+
   beforeEach(() => {
     ProjextWebpackUtils.createLogger.mockClear();
     fork.mockClear();
@@ -26,6 +45,8 @@ describe('plugins:bundleRunner', () => {
       entry: null,
       name: 'projext-webpack-plugin-bundle-runner',
       logger: null,
+      execPath: null,
+      hot: false,
       inspect: {
         enabled: false,
         host: '0.0.0.0',
@@ -55,6 +76,8 @@ describe('plugins:bundleRunner', () => {
       entry: null,
       name: 'projext-webpack-plugin-bundle-runner',
       logger,
+      execPath: null,
+      hot: false,
       inspect: {
         enabled: false,
         host: '0.0.0.0',
@@ -466,6 +489,55 @@ describe('plugins:bundleRunner', () => {
     });
   });
 
+  it('should execute the bundle with a custom executable', () => {
+    // Given
+    const logger = {
+      success: jest.fn(),
+    };
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compiler = {
+      hooks: {
+        afterEmit: {
+          tapAsync: jest.fn(),
+        },
+        compile: {
+          tap: jest.fn(),
+        },
+        done: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    const entry = 'my-entry';
+    const execPath = '/node_modules/electron/dist/electron';
+    const compilation = {
+      assets: {
+        [entry]: {
+          existsAt: 'other-asset.js',
+        },
+      },
+    };
+    const resolvedEntry = path.resolve(compilation.assets[entry].existsAt);
+    const callback = jest.fn();
+    let sut = null;
+    let onAssetsEmitted = null;
+    let onCompilationEnds = null;
+    // When
+    sut = new ProjextWebpackBundleRunner({ entry, execPath });
+    sut.apply(compiler);
+    [[, onAssetsEmitted]] = compiler.hooks.afterEmit.tapAsync.mock.calls;
+    [[, onCompilationEnds]] = compiler.hooks.done.tap.mock.calls;
+    onAssetsEmitted(compilation, callback);
+    jest.runAllTimers();
+    onCompilationEnds();
+    jest.runAllTimers();
+    // Then
+    expect(fork).toHaveBeenCalledTimes(1);
+    expect(fork).toHaveBeenCalledWith(resolvedEntry, [], {
+      execPath,
+    });
+  });
+
   it('shouldn\'t execute the bundle if it\'s already running', () => {
     // Given
     fork.mockImplementationOnce(() => true);
@@ -697,4 +769,158 @@ describe('plugins:bundleRunner', () => {
     expect(fork).toHaveBeenCalledWith(resolvedEntry, [], {});
     expect(instance.kill).toHaveBeenCalledTimes(1);
   });
+
+  it('should send the updates to the bundle when the plugin is on HMR mode', () => {
+    // Given
+    const instance = {
+      kill: jest.fn(),
+      send: jest.fn(),
+      on: jest.fn(),
+    };
+    fork.mockImplementationOnce(() => instance);
+    const logger = {
+      success: jest.fn(),
+      info: jest.fn(),
+    };
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compiler = getCompiler();
+    const entry = 'my-entry';
+    const compilation = {
+      assets: {
+        [entry]: {
+          existsAt: 'other-asset.js',
+        },
+      },
+    };
+    const resolvedEntry = path.resolve(compilation.assets[entry].existsAt);
+    const callback = jest.fn();
+    let sut = null;
+    let onAssetsEmitted = null;
+    let onCompilationStarts = null;
+    let onCompilationEnds = null;
+    // When
+    sut = new ProjextWebpackBundleRunner({ entry, hot: true });
+    sut.apply(compiler);
+    [[, onAssetsEmitted]] = compiler.hooks.afterEmit.tapAsync.mock.calls;
+    [[, onCompilationStarts]] = compiler.hooks.compile.tap.mock.calls;
+    [[, onCompilationEnds]] = compiler.hooks.done.tap.mock.calls;
+    onAssetsEmitted(compilation, callback);
+    onCompilationEnds();
+    onCompilationStarts();
+    onCompilationEnds();
+    jest.runAllTimers();
+    // Then
+    expect(fork).toHaveBeenCalledTimes(1);
+    expect(fork).toHaveBeenCalledWith(resolvedEntry, [], {});
+    expect(instance.kill).toHaveBeenCalledTimes(0);
+    expect(instance.send).toHaveBeenCalledTimes(1);
+    expect(instance.send).toHaveBeenCalledWith({ type: HOT_UPDATE_MESSAGE });
+    expect(instance.on).toHaveBeenCalledTimes(['message', 'exit'].length);
+    expect(instance.on).toHaveBeenCalledWith('message', expect.any(Function));
+    expect(instance.on).toHaveBeenCalledWith('exit', expect.any(Function));
+    expect(logger.info).toHaveBeenCalledTimes(1);
+    expect(logger.info).toHaveBeenCalledWith('Sending the update to the bundle');
+  });
+
+  it('should restart the bundle when its HMR client can\'t apply an update', () => {
+    // Given
+    const getInstance = () => {
+      const listeners = {};
+      return {
+        listeners,
+        kill: jest.fn(),
+        send: jest.fn(),
+        on: jest.fn((eventName, listener) => {
+          listeners[eventName] = listener;
+        }),
+      };
+    };
+    const firstInstance = getInstance();
+    const secondInstance = getInstance();
+    fork.mockImplementationOnce(() => firstInstance);
+    fork.mockImplementationOnce(() => secondInstance);
+    const logger = {
+      success: jest.fn(),
+      info: jest.fn(),
+    };
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compiler = getCompiler();
+    const entry = 'my-entry';
+    const compilation = {
+      assets: {
+        [entry]: {
+          existsAt: 'other-asset.js',
+        },
+      },
+    };
+    const callback = jest.fn();
+    let sut = null;
+    let onAssetsEmitted = null;
+    let onCompilationEnds = null;
+    // When
+    sut = new ProjextWebpackBundleRunner({ entry, hot: true });
+    sut.apply(compiler);
+    [[, onAssetsEmitted]] = compiler.hooks.afterEmit.tapAsync.mock.calls;
+    [[, onCompilationEnds]] = compiler.hooks.done.tap.mock.calls;
+    onAssetsEmitted(compilation, callback);
+    onCompilationEnds();
+    firstInstance.listeners.message('unknown message');
+    firstInstance.listeners.message({ type: HOT_RESTART_MESSAGE });
+    firstInstance.listeners.message({ type: HOT_RESTART_MESSAGE });
+    firstInstance.listeners.exit();
+    onCompilationEnds();
+    jest.runAllTimers();
+    // Then
+    expect(fork).toHaveBeenCalledTimes(2);
+    expect(firstInstance.kill).toHaveBeenCalledTimes(1);
+    expect(secondInstance.send).toHaveBeenCalledTimes(1);
+    expect(secondInstance.send).toHaveBeenCalledWith({ type: HOT_UPDATE_MESSAGE });
+    expect(logger.info).toHaveBeenCalledWith(
+      'The update couldn\'t be applied, restarting the bundle execution'
+    );
+  });
+
+  it('should start the bundle again if it exits while on HMR mode', () => {
+    // Given
+    const listeners = {};
+    const instance = {
+      kill: jest.fn(),
+      send: jest.fn(),
+      on: jest.fn((eventName, listener) => {
+        listeners[eventName] = listener;
+      }),
+    };
+    fork.mockImplementationOnce(() => instance);
+    fork.mockImplementationOnce(() => instance);
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => ({
+      success: jest.fn(),
+      info: jest.fn(),
+    }));
+    const compiler = getCompiler();
+    const entry = 'my-entry';
+    const compilation = {
+      assets: {
+        [entry]: {
+          existsAt: 'other-asset.js',
+        },
+      },
+    };
+    let sut = null;
+    let onAssetsEmitted = null;
+    let onCompilationEnds = null;
+    // When
+    sut = new ProjextWebpackBundleRunner({ entry, hot: true });
+    sut.apply(compiler);
+    [[, onAssetsEmitted]] = compiler.hooks.afterEmit.tapAsync.mock.calls;
+    [[, onCompilationEnds]] = compiler.hooks.done.tap.mock.calls;
+    onAssetsEmitted(compilation, jest.fn());
+    onCompilationEnds();
+    listeners.exit();
+    onCompilationEnds();
+    jest.runAllTimers();
+    // Then
+    expect(fork).toHaveBeenCalledTimes(2);
+    expect(instance.send).toHaveBeenCalledTimes(0);
+    expect(instance.kill).toHaveBeenCalledTimes(0);
+  });
 });
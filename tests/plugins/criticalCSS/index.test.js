@@ -0,0 +1,198 @@
+jest.mock('html-webpack-plugin');
+jest.unmock('/src/plugins/criticalCSS');
+
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackCriticalCSS = require('/src/plugins/criticalCSS');
+
+const { getFileFromURL } = jest.requireActual('../../../src/plugins/utils');
+
+describe('plugins:criticalCSS', () => {
+  const getAsset = (content) => ({
+    source: () => content,
+  });
+  const getHooks = () => ({
+    beforeEmit: {
+      tap: jest.fn(),
+    },
+  });
+  const getCompiler = () => ({
+    hooks: {
+      compilation: {
+        tap: jest.fn(),
+      },
+    },
+  });
+  const getHTML = (head) => [
+    '<!doctype html><html><head><title>App</title>',
+    head,
+    '</head><body><h1 class="title">Hello &amp; welcome</h1>',
+    '<script src="/statics/js/main.js"></script></body></html>',
+  ].join('');
+  const inlineCriticalCSS = (options, data, compilation) => {
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    const sut = new ProjextWebpackCriticalCSS(options);
+    sut.apply(compiler);
+    const [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    const [[, onBeforeEmit]] = hooks.beforeEmit.tap.mock.calls;
+    return onBeforeEmit(data);
+  };
+
+  beforeEach(() => {
+    ProjextWebpackUtils.getFileFromURL.mockImplementation(getFileFromURL);
+    HtmlWebpackPlugin.getHooks.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackCriticalCSS();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackCriticalCSS);
+    expect(result).toEqual({
+      noscript: true,
+      name: 'projext-webpack-plugin-critical-css',
+    });
+  });
+
+  it('should register the webpack and HTML plugin hooks', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compilation = 'compilation';
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    let sut = null;
+    let onCompilation = null;
+    // When
+    sut = new ProjextWebpackCriticalCSS({ name });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    // Then
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledTimes(1);
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledWith(compilation);
+    expect(hooks.beforeEmit.tap).toHaveBeenCalledTimes(1);
+    expect(hooks.beforeEmit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should inline the critical CSS and load the stylesheets asynchronously', () => {
+    // Given
+    const mainCSS = [
+      ':root{--color:red}',
+      'body{margin:0}',
+      '.title:hover,.subtitle{color:red}',
+      '.title>:first-child,body>:first-child{color:blue}',
+      '.hidden{display:none}',
+      '@media (min-width:768px){h1{font-size:2em}.sidebar{float:left}}',
+      '@media print{@supports (display:grid){.footer{display:grid}}}',
+      '@keyframes fade{from{opacity:0}to{opacity:1}}',
+      '@font-face{font-family:Icons;src:url(/icons.woff2)}',
+    ].join('');
+    const vendorsCSS = 'body > *{margin:0}.widget{color:blue}svg|circle{fill:red}';
+    const compilation = {
+      outputOptions: {
+        publicPath: '/',
+      },
+      assets: {
+        'statics/css/vendors.css': getAsset(vendorsCSS),
+        'statics/css/main.css': getAsset(Buffer.from(mainCSS)),
+      },
+    };
+    const data = {
+      html: getHTML([
+        '<link rel="icon" href="/favicon.ico">',
+        '<link href="/statics/css/vendors.css?1a2b" rel="stylesheet">',
+        '<link rel="stylesheet" href="https://cdn.example.com/library.css">',
+        '<link rel="stylesheet" href="/statics/css/main.css" integrity="sha384-hash"/>',
+      ].join('')),
+      outputName: 'index.html',
+    };
+    let result = null;
+    // When
+    result = inlineCriticalCSS({}, data, compilation);
+    // Then
+    expect(result).toEqual({
+      html: getHTML([
+        '<link rel="icon" href="/favicon.ico">',
+        '<style>',
+        'body > *{margin:0}',
+        'svg|circle{fill:red}',
+        ':root{--color:red}',
+        'body{margin:0}',
+        '.title:hover{color:red}',
+        'body>:first-child{color:blue}',
+        '@media (min-width:768px){h1{font-size:2em}}',
+        '@keyframes fade{from{opacity:0}to{opacity:1}}',
+        '@font-face{font-family:Icons;src:url(/icons.woff2)}',
+        '</style>',
+        '<link href="/statics/css/vendors.css?1a2b" rel="stylesheet" media="print" ',
+        'onload="this.media=\'all\'">',
+        '<noscript><link href="/statics/css/vendors.css?1a2b" rel="stylesheet"></noscript>',
+        '<link rel="stylesheet" href="https://cdn.example.com/library.css">',
+        '<link rel="stylesheet" href="/statics/css/main.css" integrity="sha384-hash" ',
+        'media="print" onload="this.media=\'all\'">',
+        '<noscript>',
+        '<link rel="stylesheet" href="/statics/css/main.css" integrity="sha384-hash"/>',
+        '</noscript>',
+      ].join('')),
+      outputName: 'index.html',
+    });
+  });
+
+  it('should load the stylesheets asynchronously without fallbacks nor critical CSS', () => {
+    // Given
+    const compilation = {
+      outputOptions: {},
+      assets: {
+        'main.css': getAsset('.sidebar{float:left}'),
+      },
+    };
+    const data = {
+      html: getHTML('<link rel="stylesheet" href="main.css">'),
+    };
+    let result = null;
+    // When
+    result = inlineCriticalCSS({ noscript: false }, data, compilation);
+    // Then
+    expect(result).toEqual({
+      html: getHTML('<link rel="stylesheet" href="main.css" media="print" ' +
+        'onload="this.media=\'all\'">'),
+    });
+  });
+
+  it('shouldn\'t update the HTML if it doesn\'t load stylesheets of the compilation', () => {
+    // Given
+    const compilation = {
+      outputOptions: {
+        publicPath: '/',
+      },
+      assets: {},
+    };
+    const data = [
+      {
+        html: getHTML([
+          '<link rel="stylesheet" href="/statics/css/main.css">',
+          '<link rel="stylesheet">',
+        ].join('')),
+      },
+      {
+        html: getHTML(''),
+      },
+    ];
+    let results = null;
+    // When
+    results = data.map((info) => inlineCriticalCSS({}, info, compilation));
+    // Then
+    expect(results[0]).toBe(data[0]);
+    expect(results[1]).toBe(data[1]);
+  });
+});
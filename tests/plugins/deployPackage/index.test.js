@@ -0,0 +1,674 @@
+jest.mock('fs-extra');
+jest.unmock('/src/plugins/deployPackage');
+
+require('jasmine-expect');
+const fs = require('fs-extra');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackDeployPackage = require('/src/plugins/deployPackage');
+
+const { sortKeys } = jest.requireActual('../../../src/plugins/utils');
+
+describe('plugins:deployPackage', () => {
+  const getLogger = () => ({
+    success: jest.fn(),
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+  });
+  const getCompiler = () => ({
+    hooks: {
+      emit: {
+        tap: jest.fn(),
+      },
+    },
+  });
+  const getCompilation = () => {
+    const assets = {};
+    return {
+      assets,
+      emitAsset: jest.fn((filename, source) => {
+        assets[filename] = source;
+      }),
+    };
+  };
+  const packageInfo = {
+    name: 'my-app',
+    version: '1.0.0',
+    dependencies: {
+      bcrypt: '^4.0.1',
+      jimpex: '^6.0.0',
+    },
+    devDependencies: {
+      sharp: '^0.25.2',
+    },
+  };
+  const lockfile = {
+    name: 'my-app',
+    version: '1.0.0',
+    lockfileVersion: 1,
+    requires: true,
+    dependencies: {
+      sharp: {
+        version: '0.25.2',
+        dev: true,
+        requires: {
+          color: '^3.1.2',
+          semver: '^7.1.3',
+        },
+        dependencies: {
+          semver: {
+            version: '7.3.2',
+            dev: true,
+          },
+        },
+      },
+      bcrypt: {
+        version: '4.0.1',
+        requires: {
+          'node-addon-api': '^2.0.0',
+        },
+      },
+      color: {
+        version: '3.1.2',
+        dev: true,
+        requires: {
+          'color-convert': '^1.9.1',
+        },
+        dependencies: {
+          'color-convert': {
+            version: '1.9.3',
+            dev: true,
+            requires: {
+              'color-name': '1.1.3',
+              semver: '^5.0.0',
+            },
+          },
+        },
+      },
+      'color-name': {
+        version: '1.1.3',
+      },
+      'node-addon-api': {
+        version: '2.0.0',
+      },
+      semver: {
+        version: '5.7.1',
+      },
+      jimpex: {
+        version: '6.0.0',
+      },
+    },
+  };
+  const packagesLockfile = {
+    name: 'my-app',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    requires: true,
+    packages: {
+      '': {
+        name: 'my-app',
+        version: '1.0.0',
+        dependencies: packageInfo.dependencies,
+        devDependencies: packageInfo.devDependencies,
+      },
+      'node_modules/sharp': {
+        version: '0.25.2',
+        dev: true,
+        dependencies: {
+          color: '^3.1.2',
+          semver: '^7.1.3',
+        },
+        optionalDependencies: {
+          'prebuild-install': '^5.3.3',
+        },
+      },
+      'node_modules/sharp/node_modules/semver': {
+        version: '7.3.2',
+        dev: true,
+      },
+      'node_modules/prebuild-install': {
+        version: '5.3.3',
+        devOptional: true,
+      },
+      'node_modules/bcrypt': {
+        version: '4.0.1',
+        dependencies: {
+          'node-addon-api': '^2.0.0',
+        },
+      },
+      'node_modules/color': {
+        version: '3.1.2',
+        dev: true,
+        dependencies: {
+          'color-convert': '^1.9.1',
+        },
+      },
+      'node_modules/color/node_modules/color-convert': {
+        version: '1.9.3',
+        dev: true,
+        dependencies: {
+          'color-name': '1.1.3',
+          semver: '^5.0.0',
+        },
+        peerDependencies: {
+          missing: '^1.0.0',
+        },
+      },
+      'node_modules/color-name': {
+        version: '1.1.3',
+      },
+      'node_modules/node-addon-api': {
+        version: '2.0.0',
+      },
+      'node_modules/semver': {
+        version: '5.7.1',
+      },
+      'node_modules/jimpex': {
+        version: '6.0.0',
+      },
+    },
+  };
+
+  beforeEach(() => {
+    ProjextWebpackUtils.sortKeys.mockImplementation(sortKeys);
+    ProjextWebpackUtils.createLogger.mockReset();
+    ProjextWebpackUtils.getExternalPackages.mockReset();
+    fs.pathExistsSync.mockReset();
+    fs.readJsonSync.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackDeployPackage);
+    expect(result).toEqual({
+      packageInfo: {},
+      lockfile: null,
+      filename: 'package.json',
+      name: 'projext-webpack-plugin-deploy-package',
+      logger: null,
+    });
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledWith(
+      'projext-webpack-plugin-deploy-package',
+      null
+    );
+  });
+
+  it('should register the webpack hook for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = getCompiler();
+    let sut = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ name });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should create a package.json with the external packages of a compilation', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => [
+      'bcrypt',
+      'colors',
+      'sharp',
+    ]);
+    const compilation = 'compilation';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = sut.createPackage(compilation);
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      private: true,
+      dependencies: {
+        bcrypt: '^4.0.1',
+        sharp: '^0.25.2',
+      },
+    });
+    expect(ProjextWebpackUtils.getExternalPackages).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.getExternalPackages).toHaveBeenCalledWith(compilation);
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the package 'colors' is not a dependency of the project/i
+    ));
+  });
+
+  it('should create a package.json for a project without dependencies', () => {
+    // Given
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => []);
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo: {
+        name: 'my-app',
+        version: '1.0.0',
+      },
+    });
+    result = sut.createPackage('compilation');
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      private: true,
+      dependencies: {},
+    });
+  });
+
+  it('should create a lockfile with the entries the packages need', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = sut.createLockfile(lockfile, {
+      sharp: '^0.25.2',
+      bcrypt: '^4.0.1',
+      missing: '^1.0.0',
+    });
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 1,
+      requires: true,
+      dependencies: {
+        bcrypt: lockfile.dependencies.bcrypt,
+        color: {
+          version: '3.1.2',
+          requires: {
+            'color-convert': '^1.9.1',
+          },
+          dependencies: {
+            'color-convert': {
+              version: '1.9.3',
+              requires: {
+                'color-name': '1.1.3',
+                semver: '^5.0.0',
+              },
+            },
+          },
+        },
+        'color-name': lockfile.dependencies['color-name'],
+        'node-addon-api': lockfile.dependencies['node-addon-api'],
+        semver: lockfile.dependencies.semver,
+        sharp: {
+          version: '0.25.2',
+          requires: {
+            color: '^3.1.2',
+            semver: '^7.1.3',
+          },
+          dependencies: {
+            semver: {
+              version: '7.3.2',
+            },
+          },
+        },
+      },
+    });
+    expect(Object.keys(result.dependencies)).toEqual([
+      'bcrypt',
+      'color',
+      'color-name',
+      'node-addon-api',
+      'semver',
+      'sharp',
+    ]);
+  });
+
+  it('should create a lockfile with the packages entries the dependencies need', () => {
+    // Given
+    const packages = {
+      sharp: '^0.25.2',
+      bcrypt: '^4.0.1',
+      missing: '^1.0.0',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = sut.createLockfile(packagesLockfile, packages);
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 3,
+      requires: true,
+      packages: {
+        '': {
+          name: 'my-app',
+          version: '1.0.0',
+          dependencies: packages,
+        },
+        'node_modules/bcrypt': packagesLockfile.packages['node_modules/bcrypt'],
+        'node_modules/color': {
+          version: '3.1.2',
+          dependencies: {
+            'color-convert': '^1.9.1',
+          },
+        },
+        'node_modules/color-name': packagesLockfile.packages['node_modules/color-name'],
+        'node_modules/color/node_modules/color-convert': {
+          version: '1.9.3',
+          dependencies: {
+            'color-name': '1.1.3',
+            semver: '^5.0.0',
+          },
+          peerDependencies: {
+            missing: '^1.0.0',
+          },
+        },
+        'node_modules/node-addon-api': packagesLockfile.packages['node_modules/node-addon-api'],
+        'node_modules/prebuild-install': {
+          version: '5.3.3',
+          optional: true,
+        },
+        'node_modules/semver': packagesLockfile.packages['node_modules/semver'],
+        'node_modules/sharp': {
+          version: '0.25.2',
+          dependencies: {
+            color: '^3.1.2',
+            semver: '^7.1.3',
+          },
+          optionalDependencies: {
+            'prebuild-install': '^5.3.3',
+          },
+        },
+        'node_modules/sharp/node_modules/semver': {
+          version: '7.3.2',
+        },
+      },
+    });
+    expect(result.dependencies).toBeUndefined();
+  });
+
+  it('should create a lockfile with both formats if the project lockfile has both', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = sut.createLockfile(
+      Object.assign({}, packagesLockfile, {
+        lockfileVersion: 2,
+        dependencies: lockfile.dependencies,
+      }),
+      {
+        bcrypt: '^4.0.1',
+        'node-addon-api': '^2.0.0',
+      }
+    );
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 2,
+      requires: true,
+      packages: {
+        '': {
+          name: 'my-app',
+          version: '1.0.0',
+          dependencies: {
+            bcrypt: '^4.0.1',
+            'node-addon-api': '^2.0.0',
+          },
+        },
+        'node_modules/bcrypt': packagesLockfile.packages['node_modules/bcrypt'],
+        'node_modules/node-addon-api': packagesLockfile.packages['node_modules/node-addon-api'],
+      },
+      dependencies: {
+        bcrypt: lockfile.dependencies.bcrypt,
+        'node-addon-api': lockfile.dependencies['node-addon-api'],
+      },
+    });
+  });
+
+  it('should use the first lockfile version if the project lockfile doesn\'t have one', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = sut.createLockfile({ dependencies: {} }, { bcrypt: '^4.0.1' });
+    // Then
+    expect(result).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 1,
+      requires: true,
+      dependencies: {},
+    });
+  });
+
+  it('shouldn\'t create a lockfile if the project lockfile format is not supported', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    result = [
+      sut.createLockfile({ lockfileVersion: 3 }, { bcrypt: '^4.0.1' }),
+      sut.createLockfile({ lockfileVersion: 4, packages: {} }, { bcrypt: '^4.0.1' }),
+    ];
+    // Then
+    expect(result).toEqual([null, null]);
+    expect(logger.warning).toHaveBeenCalledTimes(2);
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the lockfile format version 3 is not supported/i
+    ));
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the lockfile format version 4 is not supported/i
+    ));
+  });
+
+  it('should add the package.json and the lockfile to the compilation assets', () => {
+    // Given
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => lockfile);
+    const lockfilePath = '/project/package-lock.json';
+    const filename = 'deploy/package.json';
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo,
+      lockfile: lockfilePath,
+      filename,
+    });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual([
+      filename,
+      'deploy/package-lock.json',
+    ]);
+    expect(compilation.assets[filename].source()).toBe(`${JSON.stringify(
+      {
+        name: 'my-app',
+        version: '1.0.0',
+        private: true,
+        dependencies: {
+          bcrypt: '^4.0.1',
+        },
+      },
+      null,
+      2
+    )}\n`);
+    expect(JSON.parse(compilation.assets['deploy/package-lock.json'].source())).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 1,
+      requires: true,
+      dependencies: {
+        bcrypt: lockfile.dependencies.bcrypt,
+        'node-addon-api': lockfile.dependencies['node-addon-api'],
+      },
+    });
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(1);
+    expect(fs.pathExistsSync).toHaveBeenCalledWith(lockfilePath);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(lockfilePath);
+  });
+
+  it('should keep the name of the project lockfile on the compilation assets', () => {
+    // Given
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => packagesLockfile);
+    const lockfilePath = '/project/npm-shrinkwrap.json';
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo,
+      lockfile: lockfilePath,
+    });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual([
+      'package.json',
+      'npm-shrinkwrap.json',
+    ]);
+    expect(JSON.parse(compilation.assets['npm-shrinkwrap.json'].source())).toEqual({
+      name: 'my-app',
+      version: '1.0.0',
+      lockfileVersion: 3,
+      requires: true,
+      packages: {
+        '': {
+          name: 'my-app',
+          version: '1.0.0',
+          dependencies: {
+            bcrypt: '^4.0.1',
+          },
+        },
+        'node_modules/bcrypt': packagesLockfile.packages['node_modules/bcrypt'],
+        'node_modules/node-addon-api': packagesLockfile.packages['node_modules/node-addon-api'],
+      },
+    });
+  });
+
+  it('should only add the package.json if the project lockfile format is not supported', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => ({ lockfileVersion: 4 }));
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo,
+      lockfile: '/project/package-lock.json',
+    });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual(['package.json']);
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only add the package.json if the plugin doesn\'t have a lockfile', () => {
+    // Given
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({ packageInfo });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual(['package.json']);
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+  });
+
+  it('should log a warning if the lockfile doesn\'t exist', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    fs.pathExistsSync.mockImplementationOnce(() => false);
+    const lockfilePath = '/project/package-lock.json';
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo,
+      lockfile: lockfilePath,
+    });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual(['package.json']);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(0);
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the lockfile \/project\/package-lock\.json doesn't exist/i
+    ));
+  });
+
+  it('should log a warning if the lockfile can\'t be read', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt']);
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => {
+      throw new Error('Unexpected token < in JSON at position 0');
+    });
+    const lockfilePath = '/project/package-lock.json';
+    const compiler = getCompiler();
+    const compilation = getCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDeployPackage({
+      packageInfo,
+      lockfile: lockfilePath,
+    });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual(['package.json']);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(lockfilePath);
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the lockfile \/project\/package-lock\.json couldn't be read \(unexpected token/i
+    ));
+  });
+});
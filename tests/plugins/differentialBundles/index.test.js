@@ -0,0 +1,390 @@
+jest.mock('html-webpack-plugin');
+jest.unmock('/src/plugins/differentialBundles');
+
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackDifferentialBundles = require('/src/plugins/differentialBundles');
+
+describe('plugins:differentialBundles', () => {
+  const getAsset = (content) => ({
+    source: () => content,
+  });
+  const getHooks = () => ({
+    alterAssetTagGroups: {
+      tap: jest.fn(),
+    },
+  });
+  const getCompiler = () => ({
+    hooks: {
+      compilation: {
+        tap: jest.fn(),
+      },
+      emit: {
+        tap: jest.fn(),
+      },
+    },
+  });
+  const getLegacyCompilation = () => ({
+    entrypoints: new Map([
+      [
+        'home',
+        {
+          getFiles: () => [
+            'statics/js/vendors.legacy.js',
+            'statics/js/home.legacy.js',
+            'statics/js/home.legacy.js.map',
+            'statics/css/home.legacy.css',
+          ],
+        },
+      ],
+      [
+        'admin',
+        {
+          getFiles: () => [
+            'statics/js/vendors.legacy.js',
+            'statics/js/admin.legacy.js',
+          ],
+        },
+      ],
+    ]),
+    assets: {
+      'statics/js/vendors.legacy.js': getAsset('vendors-js'),
+      'statics/js/home.legacy.js': getAsset('home-js'),
+      'statics/js/admin.legacy.js': getAsset('admin-js'),
+      'statics/css/home.legacy.css': getAsset('home-css'),
+      'statics/css/home.legacy.css.map': getAsset('home-css-map'),
+      'statics/css/1.legacy.css': getAsset('async-css'),
+    },
+  });
+  const getTagsData = (options = {}) => ({
+    headTags: [
+      {
+        tagName: 'link',
+        attributes: {
+          rel: 'stylesheet',
+          href: '/statics/css/home.css',
+        },
+      },
+    ],
+    bodyTags: [
+      {
+        tagName: 'script',
+        attributes: {
+          src: '/statics/js/home.js',
+          async: true,
+        },
+      },
+      {
+        tagName: 'script',
+        attributes: {},
+        innerHTML: 'console.log(\'hello\');',
+      },
+    ],
+    plugin: {
+      options,
+    },
+  });
+
+  beforeEach(() => {
+    HtmlWebpackPlugin.getHooks.mockReset();
+    ProjextWebpackUtils.createIntegrity.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackDifferentialBundles);
+    expect(result).toEqual({
+      type: 'modern',
+      bundles: expect.any(Map),
+      integrity: null,
+      name: 'projext-webpack-plugin-differential-bundles',
+    });
+  });
+
+  it('should keep the same bundles map it receives', () => {
+    // Given
+    const bundles = new Map();
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ bundles });
+    result = sut.getOptions();
+    // Then
+    expect(result.bundles).toBe(bundles);
+  });
+
+  it('should throw an error when instantiated with an invalid type', () => {
+    // Given
+    const type = 'es5';
+    // When/Then
+    expect(() => new ProjextWebpackDifferentialBundles({ type }))
+    .toThrow(/'es5' is not a valid bundle type/i);
+  });
+
+  it('should register the webpack hook for a legacy bundle', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = getCompiler();
+    let sut = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ name, type: 'legacy' });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(0);
+  });
+
+  it('should register the webpack and HTML plugin hooks for a modern bundle', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compilation = 'compilation';
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    let sut = null;
+    let onCompilation = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ name });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    // Then
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledTimes(0);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledTimes(1);
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledWith(compilation);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledTimes(1);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should save the files of the legacy bundle', () => {
+    // Given
+    const bundles = new Map([['old', []]]);
+    const compiler = getCompiler();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ bundles, type: 'legacy' });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(getLegacyCompilation());
+    // Then
+    expect(Array.from(bundles.entries())).toEqual([
+      [
+        'home',
+        [
+          {
+            file: 'statics/js/vendors.legacy.js',
+            integrity: null,
+          },
+          {
+            file: 'statics/js/home.legacy.js',
+            integrity: null,
+          },
+        ],
+      ],
+      [
+        'admin',
+        [
+          {
+            file: 'statics/js/vendors.legacy.js',
+            integrity: null,
+          },
+          {
+            file: 'statics/js/admin.legacy.js',
+            integrity: null,
+          },
+        ],
+      ],
+    ]);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(0);
+  });
+
+  it('should remove the stylesheets of the entries of the legacy bundle', () => {
+    // Given
+    const compiler = getCompiler();
+    const compilation = getLegacyCompilation();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ type: 'legacy' });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(Object.keys(compilation.assets)).toEqual([
+      'statics/js/vendors.legacy.js',
+      'statics/js/home.legacy.js',
+      'statics/js/admin.legacy.js',
+      'statics/css/1.legacy.css',
+    ]);
+  });
+
+  it('should save the files of the legacy bundle with their integrity hashes', () => {
+    // Given
+    ProjextWebpackUtils.createIntegrity.mockImplementation((source) => `sha384-${source}`);
+    const bundles = new Map();
+    const integrity = {
+      algorithms: ['sha384'],
+      crossorigin: 'anonymous',
+    };
+    const compiler = getCompiler();
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackDifferentialBundles({ bundles, integrity, type: 'legacy' });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(getLegacyCompilation());
+    // Then
+    expect(bundles.get('home')).toEqual([
+      {
+        file: 'statics/js/vendors.legacy.js',
+        integrity: 'sha384-vendors-js',
+      },
+      {
+        file: 'statics/js/home.legacy.js',
+        integrity: 'sha384-home-js',
+      },
+    ]);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(4);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith(
+      'home-js',
+      integrity.algorithms
+    );
+  });
+
+  it('should add the legacy tags to the HTML of the modern bundle', () => {
+    // Given
+    const bundles = new Map();
+    const integrity = {
+      algorithms: ['sha384'],
+      crossorigin: 'use-credentials',
+    };
+    const compilation = {
+      outputOptions: {
+        publicPath: '/',
+      },
+    };
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementation(() => hooks);
+    const compiler = getCompiler();
+    const legacyCompiler = getCompiler();
+    const data = getTagsData();
+    const [stylesheet] = data.headTags;
+    const [script, inlineScript] = data.bodyTags;
+    let legacy = null;
+    let sut = null;
+    let onLegacyEmit = null;
+    let onCompilation = null;
+    let onAlterAssetTagGroups = null;
+    let result = null;
+    // When
+    legacy = new ProjextWebpackDifferentialBundles({ bundles, type: 'legacy' });
+    legacy.apply(legacyCompiler);
+    [[, onLegacyEmit]] = legacyCompiler.hooks.emit.tap.mock.calls;
+    onLegacyEmit(getLegacyCompilation());
+    bundles.get('home')[1].integrity = 'sha384-home-js';
+    sut = new ProjextWebpackDifferentialBundles({ bundles, integrity });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onAlterAssetTagGroups]] = hooks.alterAssetTagGroups.tap.mock.calls;
+    result = onAlterAssetTagGroups(data);
+    // Then
+    expect(result).toEqual({
+      headTags: [stylesheet],
+      bodyTags: [
+        {
+          tagName: 'script',
+          attributes: Object.assign({}, script.attributes, {
+            type: 'module',
+          }),
+        },
+        inlineScript,
+        {
+          tagName: 'script',
+          voidTag: false,
+          attributes: {
+            src: '/statics/js/vendors.legacy.js',
+            nomodule: true,
+          },
+        },
+        {
+          tagName: 'script',
+          voidTag: false,
+          attributes: {
+            src: '/statics/js/home.legacy.js',
+            nomodule: true,
+            integrity: 'sha384-home-js',
+            crossorigin: integrity.crossorigin,
+          },
+        },
+        {
+          tagName: 'script',
+          voidTag: false,
+          attributes: {
+            src: '/statics/js/admin.legacy.js',
+            nomodule: true,
+          },
+        },
+      ],
+      plugin: data.plugin,
+    });
+  });
+
+  it('should only add the legacy tags of the entries the HTML file uses', () => {
+    // Given
+    const bundles = new Map();
+    const compilation = {
+      outputOptions: {},
+    };
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementation(() => hooks);
+    const compiler = getCompiler();
+    const legacyCompiler = getCompiler();
+    const htmlOptions = [
+      {
+        chunks: ['admin'],
+      },
+      {
+        excludeChunks: ['admin'],
+      },
+    ];
+    let legacy = null;
+    let sut = null;
+    let onLegacyEmit = null;
+    let onCompilation = null;
+    let onAlterAssetTagGroups = null;
+    let results = null;
+    // When
+    legacy = new ProjextWebpackDifferentialBundles({ bundles, type: 'legacy' });
+    legacy.apply(legacyCompiler);
+    [[, onLegacyEmit]] = legacyCompiler.hooks.emit.tap.mock.calls;
+    onLegacyEmit(getLegacyCompilation());
+    sut = new ProjextWebpackDifferentialBundles({ bundles });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onAlterAssetTagGroups]] = hooks.alterAssetTagGroups.tap.mock.calls;
+    results = htmlOptions.map((options) => onAlterAssetTagGroups(getTagsData(options)));
+    // Then
+    expect(results.map(({ bodyTags }) => (
+      bodyTags
+      .filter((tag) => tag.attributes.nomodule)
+      .map((tag) => tag.attributes.src)
+    )))
+    .toEqual([
+      ['statics/js/vendors.legacy.js', 'statics/js/admin.legacy.js'],
+      ['statics/js/vendors.legacy.js', 'statics/js/home.legacy.js'],
+    ]);
+  });
+});
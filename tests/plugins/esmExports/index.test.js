@@ -0,0 +1,248 @@
+jest.unmock('/src/plugins/esmExports');
+// webpack needs the real timers to run the compilation.
+jest.useRealTimers();
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const webpack = require('webpack');
+const MultiModule = require('webpack/lib/MultiModule');
+const { RawSource } = require('webpack-sources');
+const ProjextWebpackESMExports = require('/src/plugins/esmExports');
+
+describe('plugins:esmExports', () => {
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackESMExports();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackESMExports);
+    expect(result).toEqual({
+      library: '__projextWebpackESM',
+      name: 'projext-webpack-plugin-esm-exports',
+    });
+  });
+
+  it('should register the webpack hooks for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compilation = {
+      hooks: {
+        optimizeChunkAssets: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    const compiler = {
+      hooks: {
+        compilation: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onCompilation = null;
+    // When
+    sut = new ProjextWebpackESMExports({ name });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    // Then
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(compilation.hooks.optimizeChunkAssets.tap).toHaveBeenCalledTimes(1);
+    expect(compilation.hooks.optimizeChunkAssets.tap).toHaveBeenCalledWith(
+      name,
+      expect.any(Function)
+    );
+  });
+
+  it('should generate the exports for an entry module', () => {
+    // Given
+    const library = 'myLib';
+    const modules = [
+      {
+        buildMeta: {
+          providedExports: ['sum', 'default', 'subtract'],
+        },
+      },
+      {
+        buildMeta: {
+          providedExports: ['sum'],
+        },
+      },
+      {
+        buildMeta: {
+          providedExports: true,
+        },
+      },
+      {},
+    ];
+    let sut = null;
+    let results = null;
+    // When
+    sut = new ProjextWebpackESMExports({ library });
+    results = modules.map((module) => sut.getExports(module));
+    // Then
+    expect(results).toEqual([
+      [
+        'var myLib_0 = myLib["sum"];',
+        'var myLib_1 = myLib["subtract"];',
+        'var myLib_default = myLib.default;',
+        'export { myLib_0 as sum, myLib_1 as subtract, myLib_default as default };',
+      ].join('\n'),
+      [
+        'var myLib_0 = myLib["sum"];',
+        'export { myLib_0 as sum };',
+      ].join('\n'),
+      'export default myLib;',
+      'export default myLib;',
+    ]);
+  });
+
+  it('should add the exports to the JS files of the entry chunks', () => {
+    // Given
+    const library = 'myLib';
+    const code = 'var myLib = {};';
+    const assets = {
+      'lib.esm.js': new RawSource(code),
+      'lib.esm.js.map': new RawSource('{}'),
+      'lib.esm.0.js': new RawSource('chunk'),
+    };
+    const compilation = {
+      hooks: {
+        optimizeChunkAssets: {
+          tap: jest.fn(),
+        },
+      },
+      updateAsset: jest.fn((file, update) => {
+        assets[file] = update(assets[file]);
+      }),
+    };
+    const compiler = {
+      hooks: {
+        compilation: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    const chunks = [
+      {
+        entryModule: {},
+        files: ['lib.esm.js', 'lib.esm.js.map'],
+      },
+      {
+        entryModule: null,
+        files: ['lib.esm.0.js'],
+      },
+    ];
+    let sut = null;
+    let onCompilation = null;
+    let onOptimizeChunkAssets = null;
+    // When
+    sut = new ProjextWebpackESMExports({ library });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onOptimizeChunkAssets]] = compilation.hooks.optimizeChunkAssets.tap.mock.calls;
+    onOptimizeChunkAssets(chunks);
+    // Then
+    expect(compilation.updateAsset).toHaveBeenCalledTimes(1);
+    expect(compilation.updateAsset).toHaveBeenCalledWith('lib.esm.js', expect.any(Function));
+    expect(assets['lib.esm.js'].source()).toBe(`${code}\nexport default ${library};\n`);
+    expect(assets['lib.esm.js.map'].source()).toBe('{}');
+    expect(assets['lib.esm.0.js'].source()).toBe('chunk');
+  });
+
+  it('should use a default export if the last module of an entry list is missing', () => {
+    // Given
+    const library = 'myLib';
+    const assets = {
+      'lib.esm.js': new RawSource('var myLib = {};'),
+    };
+    const compilation = {
+      hooks: {
+        optimizeChunkAssets: {
+          tap: jest.fn(),
+        },
+      },
+      updateAsset: jest.fn((file, update) => {
+        assets[file] = update(assets[file]);
+      }),
+    };
+    const compiler = {
+      hooks: {
+        compilation: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    const chunks = [
+      {
+        entryModule: new MultiModule('context', [{ module: null }], 'lib'),
+        files: ['lib.esm.js'],
+      },
+    ];
+    let sut = null;
+    let onCompilation = null;
+    let onOptimizeChunkAssets = null;
+    // When
+    sut = new ProjextWebpackESMExports({ library });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onOptimizeChunkAssets]] = compilation.hooks.optimizeChunkAssets.tap.mock.calls;
+    onOptimizeChunkAssets(chunks);
+    // Then
+    expect(assets['lib.esm.js'].source()).toBe(
+      `var myLib = {};\nexport default ${library};\n`
+    );
+  });
+
+  it('should export the last module of an entry with a list of files', (done) => {
+    // Given
+    const library = 'myLib';
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'projext-webpack-esm-'));
+    fs.writeFileSync(path.join(directory, 'polyfill.js'), 'global.polyfilled = true;\n');
+    fs.writeFileSync(
+      path.join(directory, 'index.js'),
+      'export const name = \'lib\';\nexport default function lib() {}\n'
+    );
+    const compiler = webpack({
+      mode: 'none',
+      context: directory,
+      entry: {
+        lib: [
+          path.join(directory, 'polyfill.js'),
+          path.join(directory, 'index.js'),
+        ],
+      },
+      output: {
+        path: path.join(directory, 'dist'),
+        filename: '[name].js',
+        library,
+        libraryTarget: 'var',
+        hashFunction: 'sha256',
+      },
+      plugins: [new ProjextWebpackESMExports({ library })],
+    });
+    // When
+    compiler.run((error, stats) => {
+      const result = error || stats.hasErrors() ?
+        null :
+        fs.readFileSync(path.join(directory, 'dist', 'lib.js'), 'utf-8');
+      fs.removeSync(directory);
+      // Then
+      expect(error).toBeNull();
+      expect(result).toMatch(new RegExp([
+        `var ${library}_0 = ${library}\\["name"\\];`,
+        `var ${library}_default = ${library}\\.default;`,
+        `export \\{ ${library}_0 as name, ${library}_default as default \\};\\n$`,
+      ].join('\\n')));
+      done();
+    });
+  });
+});
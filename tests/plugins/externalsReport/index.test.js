@@ -0,0 +1,130 @@
+jest.unmock('/src/plugins/externalsReport');
+
+require('jasmine-expect');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackExternalsReport = require('/src/plugins/externalsReport');
+
+describe('plugins:externalsReport', () => {
+  const getLogger = () => ({
+    success: jest.fn(),
+    info: jest.fn(),
+    warning: jest.fn(),
+    error: jest.fn(),
+  });
+
+  beforeEach(() => {
+    ProjextWebpackUtils.createLogger.mockReset();
+    ProjextWebpackUtils.getExternalPackages.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackExternalsReport();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackExternalsReport);
+    expect(result).toEqual({
+      name: 'projext-webpack-plugin-externals-report',
+      logger: null,
+    });
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledWith(
+      'projext-webpack-plugin-externals-report',
+      null
+    );
+  });
+
+  it('should register the webpack hook for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = {
+      hooks: {
+        done: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    // When
+    sut = new ProjextWebpackExternalsReport({ name });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.done.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.done.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should get the list of external packages of a compilation', () => {
+    // Given
+    const compilation = 'compilation';
+    const packages = ['bcrypt', 'sharp'];
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => packages);
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackExternalsReport();
+    result = sut.getPackages(compilation);
+    // Then
+    expect(result).toEqual(packages);
+    expect(ProjextWebpackUtils.getExternalPackages).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.getExternalPackages).toHaveBeenCalledWith(compilation);
+  });
+
+  it('should log the external packages when the compilation finishes', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compiler = {
+      hooks: {
+        done: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => ['bcrypt', 'sharp']);
+    const stats = {
+      compilation: 'compilation',
+    };
+    let sut = null;
+    let onDone = null;
+    // When
+    sut = new ProjextWebpackExternalsReport();
+    sut.apply(compiler);
+    [[, onDone]] = compiler.hooks.done.tap.mock.calls;
+    onDone(stats);
+    // Then
+    expect(logger.info).toHaveBeenCalledTimes(1);
+    expect(logger.info).toHaveBeenCalledWith('External packages: bcrypt, sharp');
+    expect(logger.success).toHaveBeenCalledTimes(0);
+  });
+
+  it('should log when all the packages are bundled', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const compiler = {
+      hooks: {
+        done: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    ProjextWebpackUtils.getExternalPackages.mockImplementationOnce(() => []);
+    const stats = {
+      compilation: 'compilation',
+    };
+    let sut = null;
+    let onDone = null;
+    // When
+    sut = new ProjextWebpackExternalsReport();
+    sut.apply(compiler);
+    [[, onDone]] = compiler.hooks.done.tap.mock.calls;
+    onDone(stats);
+    // Then
+    expect(logger.success).toHaveBeenCalledTimes(1);
+    expect(logger.success).toHaveBeenCalledWith(expect.stringMatching(/no external packages/i));
+    expect(logger.info).toHaveBeenCalledTimes(0);
+  });
+});
@@ -0,0 +1,396 @@
+jest.mock('html-webpack-plugin');
+jest.unmock('/src/plugins/resourceHints');
+
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackResourceHints = require('/src/plugins/resourceHints');
+
+describe('plugins:resourceHints', () => {
+  const getHooks = () => ({
+    alterAssetTagGroups: {
+      tap: jest.fn(),
+    },
+  });
+  const getCompiler = () => ({
+    hooks: {
+      compilation: {
+        tap: jest.fn(),
+      },
+    },
+  });
+  const getCompilation = (publicPath = '/') => ({
+    outputOptions: {
+      publicPath,
+    },
+    entrypoints: new Map([
+      [
+        'main',
+        {
+          getFiles: () => [
+            'statics/js/vendors.js',
+            'statics/js/main.js',
+            'statics/js/main.js.map',
+            'statics/css/main.css',
+          ],
+        },
+      ],
+      [
+        'admin',
+        {
+          getFiles: () => [
+            'statics/js/vendors.js',
+            'statics/js/admin.js',
+          ],
+        },
+      ],
+    ]),
+    chunks: [
+      {
+        canBeInitial: () => true,
+        files: ['statics/js/main.js'],
+      },
+      {
+        canBeInitial: () => false,
+        files: ['statics/js/0.js', 'statics/js/0.js.map', 'statics/css/0.css'],
+      },
+    ],
+    assets: {
+      'statics/js/vendors.js': {
+        source: () => 'vendors-code',
+      },
+      'statics/js/main.js': {
+        source: () => 'main-code',
+      },
+      'statics/fonts/icons.woff2': {},
+      'statics/fonts/icons.eot?1a2b': {},
+      'statics/images/logo.png': {},
+    },
+  });
+  const getTagsData = (options = {}) => ({
+    headTags: [
+      {
+        tagName: 'meta',
+        voidTag: true,
+        attributes: {
+          name: 'viewport',
+          content: 'width=device-width',
+        },
+      },
+      {
+        tagName: 'link',
+        attributes: {
+          rel: 'stylesheet',
+          href: '/statics/css/main.css',
+        },
+      },
+    ],
+    bodyTags: [],
+    plugin: {
+      options,
+    },
+  });
+  const getLinkTag = (attributes) => ({
+    tagName: 'link',
+    voidTag: true,
+    attributes,
+  });
+  const addHints = (options, data, compilation = getCompilation()) => {
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    const sut = new ProjextWebpackResourceHints(options);
+    sut.apply(compiler);
+    const [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    const [[, onAlterAssetTagGroups]] = hooks.alterAssetTagGroups.tap.mock.calls;
+    return onAlterAssetTagGroups(data);
+  };
+
+  beforeEach(() => {
+    HtmlWebpackPlugin.getHooks.mockReset();
+    ProjextWebpackUtils.createIntegrity.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackResourceHints();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackResourceHints);
+    expect(result).toEqual({
+      preload: true,
+      prefetch: true,
+      modules: false,
+      integrity: null,
+      name: 'projext-webpack-plugin-resource-hints',
+      fonts: ['woff2'],
+    });
+  });
+
+  it('should register the webpack and HTML plugin hooks', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compilation = 'compilation';
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    let sut = null;
+    let onCompilation = null;
+    // When
+    sut = new ProjextWebpackResourceHints({ name });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    // Then
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledTimes(1);
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledWith(compilation);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledTimes(1);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should add the preload and prefetch hints after the meta tags of the head', () => {
+    // Given
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints({}, data);
+    // Then
+    expect(result).toEqual({
+      headTags: [
+        data.headTags[0],
+        getLinkTag({
+          rel: 'preload',
+          href: '/statics/js/vendors.js',
+          as: 'script',
+        }),
+        getLinkTag({
+          rel: 'preload',
+          href: '/statics/js/main.js',
+          as: 'script',
+        }),
+        getLinkTag({
+          rel: 'preload',
+          href: '/statics/css/main.css',
+          as: 'style',
+        }),
+        getLinkTag({
+          rel: 'preload',
+          href: '/statics/js/admin.js',
+          as: 'script',
+        }),
+        getLinkTag({
+          rel: 'preload',
+          href: '/statics/fonts/icons.woff2',
+          as: 'font',
+          type: 'font/woff2',
+          crossorigin: 'anonymous',
+        }),
+        getLinkTag({
+          rel: 'prefetch',
+          href: '/statics/js/0.js',
+          as: 'script',
+        }),
+        getLinkTag({
+          rel: 'prefetch',
+          href: '/statics/css/0.css',
+          as: 'style',
+        }),
+        data.headTags[1],
+      ],
+      bodyTags: [],
+      plugin: data.plugin,
+    });
+  });
+
+  it('should only add preload hints for the entries the HTML file uses', () => {
+    // Given
+    const options = {
+      prefetch: false,
+    };
+    const htmlOptions = [
+      {
+        chunks: ['admin'],
+      },
+      {
+        excludeChunks: ['admin'],
+      },
+    ];
+    let results = null;
+    // When
+    results = htmlOptions.map((html) => addHints(options, getTagsData(html), getCompilation('')));
+    // Then
+    expect(results.map(({ headTags }) => (
+      headTags
+      .filter((tag) => tag.attributes.rel === 'preload' && tag.attributes.as !== 'font')
+      .map((tag) => tag.attributes.href)
+    )))
+    .toEqual([
+      ['statics/js/vendors.js', 'statics/js/admin.js'],
+      ['statics/js/vendors.js', 'statics/js/main.js', 'statics/css/main.css'],
+    ]);
+  });
+
+  it('should filter the files using the include and exclude patterns', () => {
+    // Given
+    const options = {
+      preload: {
+        include: [/\.js$/, 'woff2'],
+        exclude: ['vendors'],
+      },
+      prefetch: {
+        exclude: [/\.css$/],
+      },
+    };
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints(options, data);
+    // Then
+    expect(result.headTags.map((tag) => tag.attributes.href)).toEqual([
+      undefined,
+      '/statics/js/main.js',
+      '/statics/js/admin.js',
+      '/statics/fonts/icons.woff2',
+      '/statics/js/0.js',
+      '/statics/css/main.css',
+    ]);
+  });
+
+  it('should use modulepreload for the JS files when they are ES modules', () => {
+    // Given
+    const options = {
+      preload: {
+        include: ['main'],
+      },
+      modules: true,
+    };
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints(options, data);
+    // Then
+    expect(result.headTags).toEqual([
+      data.headTags[0],
+      getLinkTag({
+        rel: 'modulepreload',
+        href: '/statics/js/main.js',
+      }),
+      getLinkTag({
+        rel: 'preload',
+        href: '/statics/css/main.css',
+        as: 'style',
+      }),
+      getLinkTag({
+        rel: 'prefetch',
+        href: '/statics/js/0.js',
+      }),
+      getLinkTag({
+        rel: 'prefetch',
+        href: '/statics/css/0.css',
+        as: 'style',
+      }),
+      data.headTags[1],
+    ]);
+  });
+
+  it('should preload the fonts of the formats on the options', () => {
+    // Given
+    const options = {
+      preload: {
+        include: ['fonts'],
+      },
+      prefetch: false,
+      fonts: ['eot', 'woff2'],
+    };
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints(options, data);
+    // Then
+    expect(result.headTags).toEqual([
+      data.headTags[0],
+      getLinkTag({
+        rel: 'preload',
+        href: '/statics/fonts/icons.woff2',
+        as: 'font',
+        type: 'font/woff2',
+        crossorigin: 'anonymous',
+      }),
+      getLinkTag({
+        rel: 'preload',
+        href: '/statics/fonts/icons.eot?1a2b',
+        as: 'font',
+        type: 'application/vnd.ms-fontobject',
+        crossorigin: 'anonymous',
+      }),
+      data.headTags[1],
+    ]);
+  });
+
+  it('should add the integrity attributes to the preload hints', () => {
+    // Given
+    const integrity = 'sha384-hash';
+    ProjextWebpackUtils.createIntegrity.mockImplementationOnce(() => integrity);
+    const options = {
+      preload: {
+        include: ['main'],
+      },
+      integrity: {
+        algorithms: ['sha384'],
+        crossorigin: 'use-credentials',
+      },
+    };
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints(options, data);
+    // Then
+    expect(result.headTags).toEqual([
+      data.headTags[0],
+      getLinkTag({
+        rel: 'preload',
+        href: '/statics/js/main.js',
+        as: 'script',
+        integrity,
+        crossorigin: 'use-credentials',
+      }),
+      getLinkTag({
+        rel: 'preload',
+        href: '/statics/css/main.css',
+        as: 'style',
+      }),
+      getLinkTag({
+        rel: 'prefetch',
+        href: '/statics/js/0.js',
+        as: 'script',
+      }),
+      getLinkTag({
+        rel: 'prefetch',
+        href: '/statics/css/0.css',
+        as: 'style',
+      }),
+      data.headTags[1],
+    ]);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith('main-code', ['sha384']);
+  });
+
+  it('shouldn\'t add hints when both types are disabled', () => {
+    // Given
+    const options = {
+      preload: false,
+      prefetch: false,
+    };
+    const data = getTagsData();
+    let result = null;
+    // When
+    result = addHints(options, data);
+    // Then
+    expect(result.headTags).toEqual(data.headTags);
+  });
+});
@@ -0,0 +1,419 @@
+jest.mock('fs-extra');
+jest.unmock('/src/plugins/sizeReport');
+
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackSizeReport = require('/src/plugins/sizeReport');
+
+const { getModules, sortKeys } = jest.requireActual('../../../src/plugins/utils');
+
+describe('plugins:sizeReport', () => {
+  const getLogger = () => ({
+    success: jest.fn(),
+    warning: jest.fn(),
+    info: jest.fn(),
+  });
+  const getAsset = (content) => ({
+    size: () => content.length,
+    source: () => content,
+  });
+  const getModule = (resource, size, withSource = true) => ({
+    resource,
+    size: () => size,
+    originalSource: () => (withSource ? getAsset('a'.repeat(size)) : null),
+  });
+  const getCompilation = () => ({
+    compiler: {
+      context: '/project',
+    },
+    emitAsset: jest.fn(),
+    assets: {
+      'main.js': getAsset('a'.repeat(2048)),
+      'main.js.map': getAsset('b'.repeat(1024)),
+      'main.js.gz': getAsset('c'.repeat(1024)),
+      'styles/main.css': getAsset('d'.repeat(1024)),
+      '1.js': getAsset('e'.repeat(512)),
+    },
+    chunks: [
+      {
+        name: 'main',
+        files: ['styles/main.css', 'main.js', 'main.js.map'],
+      },
+      {
+        name: null,
+        id: 1,
+        files: ['1.js'],
+      },
+    ],
+    modules: [
+      getModule('/project/src/index.js', 100),
+      {
+        modules: [
+          getModule('/project/src/app.js', 50),
+          getModule('/project/node_modules/react/index.js', 300),
+        ],
+        size: () => 350,
+      },
+      getModule('/project/node_modules/@scope/lib/node_modules/dep/index.js', 20),
+      getModule('C:\\project\\node_modules\\@scope\\lib\\index.js', 10, false),
+      {
+        external: true,
+        size: () => 1,
+      },
+    ],
+  });
+  const gzipSize = (size) => zlib.gzipSync('a'.repeat(size)).length;
+  const getPackage = (size) => ({
+    size,
+    gzip: Math.round(size / 2),
+  });
+  const getReport = (packages, mainSize = 1000, hash = '0a1b2c3d4e5f6a7b8c9d') => ({
+    version: 2,
+    totals: {
+      size: mainSize + 500,
+      gzip: 100,
+    },
+    assets: {
+      [`main.${hash}.js`]: {
+        size: mainSize,
+        gzip: 80,
+      },
+      'other.js': {
+        size: 500,
+        gzip: 20,
+      },
+    },
+    chunks: {
+      main: {
+        files: [`main.${hash}.js`],
+        size: mainSize,
+        gzip: 80,
+      },
+    },
+    packages,
+  });
+
+  beforeEach(() => {
+    ProjextWebpackUtils.getModules.mockImplementation(getModules);
+    ProjextWebpackUtils.sortKeys.mockImplementation(sortKeys);
+    ProjextWebpackUtils.createLogger.mockReset();
+    fs.outputJsonSync.mockReset();
+    fs.pathExistsSync.mockReset();
+    fs.readJsonSync.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackSizeReport();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackSizeReport);
+    expect(sut.version).toEqual(expect.any(Number));
+    expect(result).toEqual({
+      filename: 'size-report.json',
+      baseline: null,
+      name: 'projext-webpack-plugin-size-report',
+      logger: null,
+    });
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createLogger).toHaveBeenCalledWith(
+      'projext-webpack-plugin-size-report',
+      null
+    );
+  });
+
+  it('should register the webpack hook for the plugin', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    // When
+    sut = new ProjextWebpackSizeReport({ name });
+    sut.apply(compiler);
+    // Then
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.emit.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should create a report for a compilation', () => {
+    // Given
+    const compilation = getCompilation();
+    let sut = null;
+    let result = null;
+    const mainGzip = gzipSize(2048);
+    const cssGzip = zlib.gzipSync('d'.repeat(1024)).length;
+    const chunkGzip = zlib.gzipSync('e'.repeat(512)).length;
+    // When
+    sut = new ProjextWebpackSizeReport();
+    result = sut.createReport(compilation);
+    // Then
+    expect(result).toEqual({
+      version: sut.version,
+      totals: {
+        size: 3584,
+        gzip: mainGzip + cssGzip + chunkGzip,
+      },
+      assets: {
+        '1.js': {
+          size: 512,
+          gzip: chunkGzip,
+        },
+        'main.js': {
+          size: 2048,
+          gzip: mainGzip,
+        },
+        'styles/main.css': {
+          size: 1024,
+          gzip: cssGzip,
+        },
+      },
+      chunks: {
+        1: {
+          files: ['1.js'],
+          size: 512,
+          gzip: chunkGzip,
+        },
+        main: {
+          files: ['main.js', 'styles/main.css'],
+          size: 3072,
+          gzip: mainGzip + cssGzip,
+        },
+      },
+      packages: {
+        '(project)': {
+          size: 150,
+          gzip: gzipSize(150),
+        },
+        '@scope/lib': {
+          size: 10,
+          gzip: zlib.gzipSync(Buffer.alloc(0)).length,
+        },
+        dep: {
+          size: 20,
+          gzip: gzipSize(20),
+        },
+        react: {
+          size: 300,
+          gzip: gzipSize(300),
+        },
+      },
+    });
+    expect(Object.keys(result.assets)).toEqual(['1.js', 'main.js', 'styles/main.css']);
+  });
+
+  it('should compare a report with a baseline', () => {
+    // Given
+    const baseline = getReport({
+      '(project)': getPackage(100),
+      react: getPackage(300),
+      lodash: getPackage(50),
+      moment: getPackage(200),
+    });
+    const report = getReport(
+      {
+        '(project)': getPackage(120),
+        react: getPackage(250),
+        lodash: getPackage(50),
+        dayjs: getPackage(10),
+      },
+      1100,
+      'f9e8d7c6b5a4f3e2d1c0'
+    );
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackSizeReport();
+    result = sut.compare(baseline, report);
+    // Then
+    expect(result).toEqual({
+      grew: [
+        {
+          type: 'total',
+          name: 'size',
+          from: 1500,
+          to: 1600,
+        },
+        {
+          type: 'chunk',
+          name: 'main',
+          from: 1000,
+          to: 1100,
+        },
+        {
+          type: 'asset',
+          name: 'main.js',
+          from: 1000,
+          to: 1100,
+        },
+        {
+          type: 'package',
+          name: '(project)',
+          from: 100,
+          to: 120,
+        },
+      ],
+      shrank: [
+        {
+          type: 'package',
+          name: 'react',
+          from: 300,
+          to: 250,
+        },
+      ],
+      newPackages: [{ name: 'dayjs', size: 10, gzip: 5 }],
+      removedPackages: [{ name: 'moment', size: 200, gzip: 100 }],
+    });
+  });
+
+  it('should add the report to the assets when they are emitted', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const filename = 'reports/size.json';
+    const compilation = getCompilation();
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackSizeReport({ filename });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(compilation);
+    // Then
+    expect(compilation.emitAsset).toHaveBeenCalledTimes(1);
+    expect(compilation.emitAsset).toHaveBeenCalledWith(filename, expect.any(Object));
+    expect(JSON.parse(compilation.emitAsset.mock.calls[0][1].source()))
+    .toEqual(sut.createReport(getCompilation()));
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+    expect(logger.success).toHaveBeenCalledTimes(1);
+    expect(logger.success).toHaveBeenCalledWith(
+      `The size report will be saved on the build directory as ${filename}`
+    );
+  });
+
+  it('should warn when the baseline doesn\'t exist or is invalid', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    fs.pathExistsSync.mockImplementationOnce(() => false);
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => ({ version: 0 }));
+    const baseline = 'reports/size.baseline.json';
+    const baselinePath = '/project/reports/size.baseline.json';
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackSizeReport({ baseline });
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(getCompilation());
+    onEmit(getCompilation());
+    // Then
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(2);
+    expect(fs.pathExistsSync).toHaveBeenCalledWith(baselinePath);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(baselinePath);
+    expect(logger.warning).toHaveBeenCalledTimes(2);
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(/couldn't be compared/i));
+    expect(logger.info).toHaveBeenCalledTimes(0);
+  });
+
+  it('should log the changes compared with the baseline', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const baseline = '/project/reports/size.baseline.json';
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackSizeReport({ baseline });
+    const report = sut.createReport(getCompilation());
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => Object.assign({}, report, {
+      totals: Object.assign({}, report.totals, {
+        size: report.totals.size + 1024,
+      }),
+      packages: {
+        '(project)': getPackage(50),
+        react: report.packages.react,
+        '@scope/lib': report.packages['@scope/lib'],
+        moment: getPackage(2048),
+      },
+    }));
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(getCompilation());
+    // Then
+    expect(logger.warning).toHaveBeenCalledTimes(1);
+    expect(logger.warning).toHaveBeenCalledWith(
+      `The bundle sizes changed compared with ${baseline}:`
+    );
+    expect(logger.info).toHaveBeenCalledTimes(1);
+    expect(logger.info).toHaveBeenCalledWith([
+      ['grew package (project): 0.05 KB -> 0.15 KB (+0.10 KB)', 'yellow'],
+      ['shrank total size: 4.50 KB -> 3.50 KB (-1.00 KB)', 'green'],
+      [`new package dep: 0.02 KB (${(gzipSize(20) / 1024).toFixed(2)} KB gzip)`, 'red'],
+      ['removed package moment: 2.00 KB (1.00 KB gzip)', 'green'],
+    ]);
+  });
+
+  it('should log a message when nothing changed compared with the baseline', () => {
+    // Given
+    const logger = getLogger();
+    ProjextWebpackUtils.createLogger.mockImplementationOnce(() => logger);
+    const baseline = '/project/reports/size.baseline.json';
+    const compiler = {
+      hooks: {
+        emit: {
+          tap: jest.fn(),
+        },
+      },
+    };
+    let sut = null;
+    let onEmit = null;
+    // When
+    sut = new ProjextWebpackSizeReport({ baseline });
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => sut.createReport(getCompilation()));
+    sut.apply(compiler);
+    [[, onEmit]] = compiler.hooks.emit.tap.mock.calls;
+    onEmit(getCompilation());
+    // Then
+    expect(logger.warning).toHaveBeenCalledTimes(0);
+    expect(logger.info).toHaveBeenCalledTimes(0);
+    expect(logger.success).toHaveBeenCalledTimes(2);
+    expect(logger.success).toHaveBeenCalledWith(
+      `The bundle sizes didn't change compared with ${baseline}`
+    );
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock('html-webpack-plugin');
+jest.unmock('/src/plugins/subresourceIntegrity');
+
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const ProjextWebpackUtils = require('/src/plugins/utils');
+const ProjextWebpackSubresourceIntegrity = require('/src/plugins/subresourceIntegrity');
+
+const { getFileFromURL } = jest.requireActual('../../../src/plugins/utils');
+
+describe('plugins:subresourceIntegrity', () => {
+  const getAsset = (content) => ({
+    source: () => content,
+  });
+  const getHooks = () => ({
+    alterAssetTagGroups: {
+      tap: jest.fn(),
+    },
+  });
+  const getCompiler = () => ({
+    hooks: {
+      compilation: {
+        tap: jest.fn(),
+      },
+    },
+  });
+
+  beforeEach(() => {
+    ProjextWebpackUtils.getFileFromURL.mockImplementation(getFileFromURL);
+    HtmlWebpackPlugin.getHooks.mockReset();
+    ProjextWebpackUtils.createIntegrity.mockReset();
+  });
+
+  it('should be instantiated', () => {
+    // Given
+    let sut = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackSubresourceIntegrity();
+    result = sut.getOptions();
+    // Then
+    expect(sut).toBeInstanceOf(ProjextWebpackSubresourceIntegrity);
+    expect(result).toEqual({
+      algorithms: ['sha384'],
+      crossorigin: 'anonymous',
+      name: 'projext-webpack-plugin-subresource-integrity',
+    });
+  });
+
+  it('should throw an error when instantiated with an invalid algorithm', () => {
+    // Given
+    const algorithms = ['sha384', 'md5'];
+    // When/Then
+    expect(() => new ProjextWebpackSubresourceIntegrity({ algorithms }))
+    .toThrow(/'md5' is not a valid algorithm for the integrity hashes/i);
+  });
+
+  it('should register the webpack and HTML plugin hooks', () => {
+    // Given
+    const name = 'my-plugin-instance';
+    const compilation = 'compilation';
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    let sut = null;
+    let onCompilation = null;
+    // When
+    sut = new ProjextWebpackSubresourceIntegrity({ name });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    // Then
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledTimes(1);
+    expect(compiler.hooks.compilation.tap).toHaveBeenCalledWith(name, expect.any(Function));
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledTimes(1);
+    expect(HtmlWebpackPlugin.getHooks).toHaveBeenCalledWith(compilation);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledTimes(1);
+    expect(hooks.alterAssetTagGroups.tap).toHaveBeenCalledWith(name, expect.any(Function));
+  });
+
+  it('should add the integrity attributes to the tags of the compilation files', () => {
+    // Given
+    const integrity = 'sha512-hash';
+    ProjextWebpackUtils.createIntegrity.mockImplementation(() => integrity);
+    const algorithms = ['sha512'];
+    const crossorigin = 'use-credentials';
+    const compilation = {
+      outputOptions: {
+        publicPath: '/',
+      },
+      assets: {
+        'statics/js/main.js': getAsset('main-js'),
+        'statics/css/main.css': getAsset('main-css'),
+      },
+    };
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    const favicon = {
+      tagName: 'link',
+      attributes: {
+        rel: 'icon',
+        href: '/favicon.ico',
+      },
+    };
+    const stylesheet = {
+      tagName: 'link',
+      attributes: {
+        rel: 'stylesheet',
+        href: '/statics/css/main.css?1a2b',
+      },
+    };
+    const script = {
+      tagName: 'script',
+      attributes: {
+        src: '/statics/js/main.js',
+        async: true,
+      },
+    };
+    const externalScript = {
+      tagName: 'script',
+      attributes: {
+        src: 'https://cdn.example.com/library.js',
+      },
+    };
+    const inlineScript = {
+      tagName: 'script',
+      attributes: {},
+      innerHTML: 'console.log(\'hello\');',
+    };
+    const data = {
+      headTags: [favicon, stylesheet],
+      bodyTags: [script, externalScript, inlineScript],
+      outputName: 'index.html',
+    };
+    let sut = null;
+    let onCompilation = null;
+    let onAlterAssetTagGroups = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackSubresourceIntegrity({ algorithms, crossorigin });
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onAlterAssetTagGroups]] = hooks.alterAssetTagGroups.tap.mock.calls;
+    result = onAlterAssetTagGroups(data);
+    // Then
+    expect(result).toEqual({
+      headTags: [
+        favicon,
+        {
+          tagName: 'link',
+          attributes: Object.assign({}, stylesheet.attributes, {
+            integrity,
+            crossorigin,
+          }),
+        },
+      ],
+      bodyTags: [
+        {
+          tagName: 'script',
+          attributes: Object.assign({}, script.attributes, {
+            integrity,
+            crossorigin,
+          }),
+        },
+        externalScript,
+        inlineScript,
+      ],
+      outputName: 'index.html',
+    });
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith('main-css', algorithms);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith('main-js', algorithms);
+  });
+
+  it('should find the files of the tags when the compilation has no public path', () => {
+    // Given
+    const integrity = 'sha384-hash';
+    ProjextWebpackUtils.createIntegrity.mockImplementation(() => integrity);
+    const compilation = {
+      outputOptions: {},
+      assets: {
+        'main.js': getAsset('main-js'),
+      },
+    };
+    const hooks = getHooks();
+    HtmlWebpackPlugin.getHooks.mockImplementationOnce(() => hooks);
+    const compiler = getCompiler();
+    const script = {
+      tagName: 'script',
+      attributes: {
+        src: 'main.js',
+      },
+    };
+    const data = {
+      headTags: [],
+      bodyTags: [script],
+    };
+    let sut = null;
+    let onCompilation = null;
+    let onAlterAssetTagGroups = null;
+    let result = null;
+    // When
+    sut = new ProjextWebpackSubresourceIntegrity();
+    sut.apply(compiler);
+    [[, onCompilation]] = compiler.hooks.compilation.tap.mock.calls;
+    onCompilation(compilation);
+    [[, onAlterAssetTagGroups]] = hooks.alterAssetTagGroups.tap.mock.calls;
+    result = onAlterAssetTagGroups(data);
+    // Then
+    expect(result.bodyTags).toEqual([
+      {
+        tagName: 'script',
+        attributes: {
+          src: 'main.js',
+          integrity,
+          crossorigin: 'anonymous',
+        },
+      },
+    ]);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackUtils.createIntegrity).toHaveBeenCalledWith('main-js', ['sha384']);
+  });
+});
@@ -2,6 +2,7 @@ jest.mock('wootils/node/logger');
 jest.unmock('/src/plugins/utils');
 
 require('jasmine-expect');
+const crypto = require('crypto');
 const { Logger } = require('wootils/node/logger');
 const ProjextWebpackUtils = require('/src/plugins/utils');
 
@@ -52,4 +53,132 @@ describe('plugins:utils', () => {
       );
     });
   });
+
+  describe('createIntegrity', () => {
+    it('should generate the integrity hashes for the contents of a file', () => {
+      // Given
+      const source = 'console.log(\'hello\');';
+      const getHash = (algorithm, content) => crypto
+      .createHash(algorithm)
+      .update(content)
+      .digest('base64');
+      let results = null;
+      // When
+      results = [
+        ProjextWebpackUtils.createIntegrity(source, ['sha384']),
+        ProjextWebpackUtils.createIntegrity(Buffer.from(source), ['sha384', 'sha512']),
+      ];
+      // Then
+      expect(results).toEqual([
+        `sha384-${getHash('sha384', source)}`,
+        `sha384-${getHash('sha384', source)} sha512-${getHash('sha512', source)}`,
+      ]);
+    });
+  });
+
+  describe('getExternalPackages', () => {
+    it('should get the list of external packages of a compilation', () => {
+      // Given
+      const getExternalModule = (userRequest) => ({
+        external: true,
+        userRequest,
+      });
+      const compilation = {
+        modules: new Set([
+          getExternalModule('sharp'),
+          getExternalModule('@aws-sdk/client-s3/dist/index'),
+          { userRequest: 'lodash' },
+          getExternalModule('fs'),
+          getExternalModule('./config'),
+          getExternalModule('/absolute/path'),
+          getExternalModule('sharp/lib/constructor'),
+          getExternalModule('bcrypt'),
+          Object.assign(getExternalModule(), {
+            request: {
+              commonjs: 'jquery',
+            },
+          }),
+        ]),
+      };
+      let result = null;
+      // When
+      result = ProjextWebpackUtils.getExternalPackages(compilation);
+      // Then
+      expect(result).toEqual(['@aws-sdk/client-s3', 'bcrypt', 'sharp']);
+    });
+  });
+
+  describe('getModules', () => {
+    it('should replace the concatenated modules with the modules inside them', () => {
+      // Given
+      const moduleOne = { resource: 'one.js' };
+      const moduleTwo = { resource: 'two.js' };
+      const moduleThree = { resource: 'three.js' };
+      const moduleFour = { resource: 'four.js' };
+      const modules = [
+        moduleOne,
+        {
+          modules: [
+            moduleTwo,
+            {
+              modules: [moduleThree],
+            },
+          ],
+        },
+        moduleFour,
+      ];
+      let result = null;
+      // When
+      result = ProjextWebpackUtils.getModules(modules);
+      // Then
+      expect(result).toEqual([moduleOne, moduleTwo, moduleThree, moduleFour]);
+    });
+  });
+
+  describe('getFileFromURL', () => {
+    it('should get the path of a file from its URL', () => {
+      // Given
+      const getCompilation = (publicPath) => ({
+        outputOptions: {
+          publicPath,
+        },
+      });
+      let results = null;
+      // When
+      results = [
+        ProjextWebpackUtils.getFileFromURL(getCompilation('/'), '/statics/js/main.js?1a2b'),
+        ProjextWebpackUtils.getFileFromURL(
+          getCompilation('https://cdn.example.com/'),
+          'https://cdn.example.com/statics/css/main.css'
+        ),
+        ProjextWebpackUtils.getFileFromURL(getCompilation('/app/'), '/statics/js/main.js'),
+        ProjextWebpackUtils.getFileFromURL(getCompilation(''), 'statics/js/main.js'),
+      ];
+      // Then
+      expect(results).toEqual([
+        'statics/js/main.js',
+        'statics/css/main.css',
+        '/statics/js/main.js',
+        'statics/js/main.js',
+      ]);
+    });
+  });
+
+  describe('sortKeys', () => {
+    it('should create a copy of a dictionary with its keys sorted', () => {
+      // Given
+      const dictionary = {
+        charito: 3,
+        '@scope/package': 1,
+        batman: 2,
+      };
+      let result = null;
+      // When
+      result = ProjextWebpackUtils.sortKeys(dictionary);
+      // Then
+      expect(result).toEqual(dictionary);
+      expect(result).not.toBe(dictionary);
+      expect(Object.keys(result)).toEqual(['@scope/package', 'batman', 'charito']);
+    });
+  });
 });
@@ -0,0 +1,147 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.unmock('/src/services/building/buildTypes');
+
+require('jasmine-expect');
+const {
+  WebpackBuildTypes,
+  webpackBuildTypes,
+} = require('/src/services/building/buildTypes');
+
+describe('services/building:buildTypes', () => {
+  it('should be instantiated with the default build types', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    expect(sut).toBeInstanceOf(WebpackBuildTypes);
+    expect(sut.baseTypes).toEqual(['development', 'production']);
+    expect(sut.getTypes()).toEqual(['development', 'production', 'staging', 'test']);
+    expect(sut.getBaseType('staging')).toBe('production');
+    expect(sut.getBaseType('test')).toBe('development');
+  });
+
+  it('should register a custom build type', () => {
+    // Given
+    const name = 'qa';
+    const options = {
+      extends: 'production',
+      definitions: {
+        'process.env.QA': true,
+      },
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildTypes();
+    result = sut.register(name, options);
+    // Then
+    expect(result).toEqual({
+      name,
+      extends: options.extends,
+      definitions: options.definitions,
+    });
+    expect(sut.has(name)).toBeTrue();
+    expect(sut.isCustom(name)).toBeTrue();
+    expect(sut.getBaseType(name)).toBe(options.extends);
+    expect(sut.getDefinitions(name)).toEqual(options.definitions);
+    expect(sut.getTypes()).toContain(name);
+  });
+
+  it('should replace an existing custom build type', () => {
+    // Given
+    const name = 'staging';
+    const options = {
+      extends: 'development',
+    };
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    sut.register(name, options);
+    // Then
+    expect(sut.getBaseType(name)).toBe(options.extends);
+    expect(sut.getDefinitions(name)).toEqual({});
+  });
+
+  it('should return the information of the base build types', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    sut.baseTypes.forEach((name) => {
+      expect(sut.has(name)).toBeTrue();
+      expect(sut.isCustom(name)).toBeFalse();
+      expect(sut.getBaseType(name)).toBe(name);
+      expect(sut.getDefinitions(name)).toEqual({});
+    });
+  });
+
+  it('should throw an error when trying to use an unknown build type', () => {
+    // Given
+    const name = 'random-type';
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    expect(sut.has(name)).toBeFalse();
+    expect(() => sut.getBaseType(name))
+    .toThrow(/there's no configuration for the selected build type/i);
+    expect(() => sut.getDefinitions(name))
+    .toThrow(/there's no configuration for the selected build type/i);
+  });
+
+  it('should throw an error when trying to register a build type with an invalid name', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    expect(() => sut.register('some type', { extends: 'production' }))
+    .toThrow(/the build type name 'some type' is invalid/i);
+    expect(() => sut.register(null, { extends: 'production' }))
+    .toThrow(/the build type name 'null' is invalid/i);
+  });
+
+  it('should throw an error when trying to replace a base build type', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    expect(() => sut.register('production', { extends: 'development' }))
+    .toThrow(/is a base build type/i);
+  });
+
+  it('should throw an error when trying to register a build type without a base type', () => {
+    // Given
+    let sut = null;
+    // When
+    sut = new WebpackBuildTypes();
+    // Then
+    expect(() => sut.register('qa')).toThrow(/can only extend one of these build types/i);
+    expect(() => sut.register('qa', { extends: 'staging' }))
+    .toThrow(/can only extend one of these build types/i);
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackBuildTypes(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackBuildTypes');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackBuildTypes);
+  });
+});
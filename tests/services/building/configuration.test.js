@@ -4,7 +4,9 @@ jest.mock('jimple', () => JimpleMock);
 jest.unmock('/src/services/building/configuration');
 
 const path = require('path');
+const extend = require('extend');
 require('jasmine-expect');
+const { ProjextWebpackESMExports } = require('/src/plugins');
 const {
   WebpackConfiguration,
   webpackConfiguration,
@@ -13,6 +15,10 @@ const {
 const originalNow = Date.now;
 
 describe('services/building:configuration', () => {
+  beforeEach(() => {
+    ProjextWebpackESMExports.mockReset();
+  });
+
   afterEach(() => {
     Date.now = originalNow;
   });
@@ -24,6 +30,7 @@ describe('services/building:configuration', () => {
     const targets = 'targets';
     const targetsFileRules = 'targetsFileRules';
     const targetConfiguration = 'targetConfiguration';
+    const webpackBuildTypes = 'webpackBuildTypes';
     const webpackConfigurations = 'webpackConfigurations';
     let sut = null;
     // When
@@ -33,6 +40,7 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     // Then
@@ -42,6 +50,7 @@ describe('services/building:configuration', () => {
     expect(sut.targets).toBe(targets);
     expect(sut.targetsFileRules).toBe(targetsFileRules);
     expect(sut.targetConfiguration).toBe(targetConfiguration);
+    expect(sut.webpackBuildTypes).toBe(webpackBuildTypes);
     expect(sut.webpackConfigurations).toBe(webpackConfigurations);
   });
 
@@ -52,6 +61,7 @@ describe('services/building:configuration', () => {
     const targets = 'targets';
     const targetsFileRules = 'targetsFileRules';
     const targetConfiguration = 'targetConfiguration';
+    const webpackBuildTypes = 'webpackBuildTypes';
     const target = {
       type: 'random-type',
     };
@@ -64,6 +74,7 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     // Then
@@ -71,6 +82,66 @@ describe('services/building:configuration', () => {
     .toThrow(/there's no configuration for the selected target type/i);
   });
 
+  it('should throw an error when trying to build a target with an invalid platform', () => {
+    // Given
+    const buildVersion = 'buildVersion';
+    const pathUtils = 'pathUtils';
+    const targets = 'targets';
+    const targetsFileRules = 'targetsFileRules';
+    const targetConfiguration = 'targetConfiguration';
+    const webpackBuildTypes = 'webpackBuildTypes';
+    const target = {
+      name: 'target',
+      type: 'browser',
+      platform: 'random-platform',
+    };
+    const webpackConfigurations = {};
+    let sut = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    // Then
+    expect(() => sut.getConfig(target))
+    .toThrow(/the target 'target' has an invalid platform/i);
+  });
+
+  it('should throw an error when trying to use a platform with the wrong target type', () => {
+    // Given
+    const buildVersion = 'buildVersion';
+    const pathUtils = 'pathUtils';
+    const targets = 'targets';
+    const targetsFileRules = 'targetsFileRules';
+    const targetConfiguration = 'targetConfiguration';
+    const webpackBuildTypes = 'webpackBuildTypes';
+    const target = {
+      name: 'target',
+      type: 'node',
+      platform: 'webworker',
+    };
+    const webpackConfigurations = {};
+    let sut = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    // Then
+    expect(() => sut.getConfig(target))
+    .toThrow(/the platform 'webworker' can only be used with browser targets/i);
+  });
+
   it('should throw an error when trying to build with an unknown build type', () => {
     // Given
     const buildVersion = 'buildVersion';
@@ -78,6 +149,9 @@ describe('services/building:configuration', () => {
     const targets = 'targets';
     const targetsFileRules = 'targetsFileRules';
     const targetConfiguration = 'targetConfiguration';
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+    };
     const target = {
       type: 'node',
     };
@@ -93,6 +167,7 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     // Then
@@ -135,6 +210,10 @@ describe('services/building:configuration', () => {
       getRulesForTarget: jest.fn(() => targetRules),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
     const buildType = 'development';
     const target = {
       type: 'node',
@@ -172,6 +251,8 @@ describe('services/building:configuration', () => {
     const expectedParams = {
       target,
       buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
       entry: {
         [target.name]: [path.join(target.paths.source, target.entry[buildType])],
       },
@@ -182,7 +263,11 @@ describe('services/building:configuration', () => {
       targetRules,
       copy: [],
       additionalWatch: [],
+      pages: [],
       analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
     };
     // When
     sut = new WebpackConfiguration(
@@ -191,6 +276,7 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     result = sut.getConfig(target, buildType);
@@ -232,41 +318,38 @@ describe('services/building:configuration', () => {
     );
   });
 
-  it('should generate the configuration for a Node target that requires bundling', () => {
+  it('should generate the analyzer options for a target that will be analyzed', () => {
     // Given
-    const versionVariable = 'process.env.VERSION';
-    const version = 'latest';
     const buildVersion = {
-      getDefinitionVariable: jest.fn(() => versionVariable),
-      getVersion: jest.fn(() => version),
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
     };
     const pathUtils = {
       join: jest.fn((rest) => rest),
     };
-    const config = {
-      output: {
-        path: 'some-output-path',
-      },
-    };
     const targetConfig = {
-      getConfig: jest.fn(() => config),
-    };
-    const events = {
-      reduce: jest.fn((eventName, configParams) => configParams),
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
     };
-    const filesToCopy = ['copy'];
     const targets = {
-      getFilesToCopy: jest.fn(() => filesToCopy),
       loadTargetDotEnvFile: jest.fn(() => ({})),
-      events,
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
     };
-    const targetRules = 'target-rule';
     const targetsFileRules = {
-      getRulesForTarget: jest.fn(() => targetRules),
+      getRulesForTarget: jest.fn(() => 'target-rule'),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
-    const buildType = 'development';
-    const target = {
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const createTarget = (analyzer) => ({
       type: 'node',
       name: 'target',
       paths: {
@@ -278,41 +361,24 @@ describe('services/building:configuration', () => {
       output: {
         [buildType]: {
           js: 'target.js',
-          css: 'css/target/file.2509.css',
-          fonts: 'fonts/target/[name].2509.[ext]',
-          images: 'images/target/[name].2509.[ext]',
         },
       },
       babel: {},
       library: false,
-      bundle: true,
       is: {
         node: true,
         browser: false,
       },
-    };
+      analyze: true,
+      analyzer,
+    });
     const webpackConfigurations = {
-      [target.type]: {
+      node: {
         [buildType]: {},
       },
     };
     let sut = null;
-    let result = null;
-    const expectedParams = {
-      target,
-      buildType,
-      entry: {
-        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
-      },
-      definitions: expect.any(Function),
-      output: Object.assign({}, target.output[buildType], {
-        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
-      }),
-      targetRules,
-      copy: filesToCopy,
-      additionalWatch: [],
-      analyze: false,
-    };
+    let results = null;
     // When
     sut = new WebpackConfiguration(
       buildVersion,
@@ -320,79 +386,152 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
-    result = sut.getConfig(target, buildType);
+    [
+      undefined,
+      {
+        mode: 'static',
+        reportFilename: 'analysis/report.html',
+      },
+      {
+        mode: 'json',
+        statsFilename: 'analysis/target.stats.json',
+      },
+      {
+        mode: 'server',
+        open: false,
+        stats: true,
+      },
+    ].forEach((analyzer) => {
+      sut.getConfig(createTarget(analyzer), buildType);
+    });
+    results = targetConfig.getConfig.mock.calls.map(([params]) => params.analyzer);
     // Then
-    expect(result).toEqual(config);
-    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
-    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
-    expect(targetsFileRules.getRulesForTarget).toHaveBeenCalledTimes(1);
-    expect(targetsFileRules.getRulesForTarget).toHaveBeenCalledWith(target);
-    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
-    expect(targetConfiguration).toHaveBeenCalledWith(
-      `webpack/${target.name}.config.js`,
-      {}
-    );
-    expect(targetConfiguration).toHaveBeenCalledWith(
-      `webpack/${target.name}.${buildType}.config.js`,
-      targetConfig
-    );
-    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
-    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
-    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
-    expect(pathUtils.join).toHaveBeenCalledTimes(1);
-    expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
-    expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
-    expect(targets.getFilesToCopy).toHaveBeenCalledWith(target, buildType);
-    expect(events.reduce).toHaveBeenCalledTimes(1);
-    expect(events.reduce).toHaveBeenCalledWith(
-      [
-        'webpack-configuration-parameters-for-node',
-        'webpack-configuration-parameters',
-      ],
-      expectedParams
+    expect(results).toEqual([
+      {
+        analyzerMode: 'server',
+        reportFilename: 'report.html',
+        openAnalyzer: true,
+        generateStatsFile: false,
+        statsFilename: 'stats.json',
+      },
+      {
+        analyzerMode: 'static',
+        reportFilename: 'analysis/report.html',
+        openAnalyzer: false,
+        generateStatsFile: true,
+        statsFilename: 'analysis/stats.json',
+      },
+      {
+        analyzerMode: 'disabled',
+        reportFilename: 'report.html',
+        openAnalyzer: false,
+        generateStatsFile: true,
+        statsFilename: 'analysis/target.stats.json',
+      },
+      {
+        analyzerMode: 'server',
+        reportFilename: 'report.html',
+        openAnalyzer: false,
+        generateStatsFile: true,
+        statsFilename: 'stats.json',
+      },
+    ]);
+  });
+
+  it('should throw an error if a target uses an invalid analyzer mode', () => {
+    // Given
+    const targets = {
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      is: {
+        node: true,
+        browser: false,
+      },
+      analyze: true,
+      analyzer: {
+        mode: 'browser',
+      },
+    };
+    const webpackConfigurations = {
+      node: {
+        [buildType]: {},
+      },
+    };
+    let sut = null;
+    // When
+    sut = new WebpackConfiguration(
+      'buildVersion',
+      'pathUtils',
+      targets,
+      targetsFileRules,
+      'targetConfiguration',
+      webpackBuildTypes,
+      webpackConfigurations
     );
+    // Then
+    expect(() => sut.getConfig(target, buildType))
+    .toThrow(/invalid analyzer mode: browser/i);
   });
 
-  it('should generate the configuration for a browser target', () => {
+  it('should add the chunks name before the hash placeholders of the output', () => {
     // Given
-    const hash = '2509';
-    Date.now = () => hash;
-    const versionVariable = 'process.env.VERSION';
-    const version = 'latest';
     const buildVersion = {
-      getDefinitionVariable: jest.fn(() => versionVariable),
-      getVersion: jest.fn(() => version),
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
     };
     const pathUtils = {
       join: jest.fn((rest) => rest),
     };
-    const config = {
-      output: {
-        path: 'some-output-path',
-      },
-    };
     const targetConfig = {
-      getConfig: jest.fn(() => config),
-    };
-    const events = {
-      reduce: jest.fn((eventName, configParams) => configParams),
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
     };
-    const filesToCopy = ['copy'];
     const targets = {
-      getFilesToCopy: jest.fn(() => filesToCopy),
       loadTargetDotEnvFile: jest.fn(() => ({})),
-      events,
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
     };
-    const targetRules = 'target-rule';
     const targetsFileRules = {
-      getRulesForTarget: jest.fn(() => targetRules),
+      getRulesForTarget: jest.fn(() => 'target-rule'),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
-    const buildType = 'development';
-    const target = {
-      type: 'browser',
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const createTarget = (js) => ({
+      type: 'node',
       name: 'target',
       paths: {
         source: 'src/target',
@@ -402,40 +541,23 @@ describe('services/building:configuration', () => {
       },
       output: {
         [buildType]: {
-          js: 'js/target/file.2509.js',
-          jsChunks: 'js/target/file.2509.[name].js',
-          css: 'css/target/file.2509.css',
-          fonts: 'fonts/target/[name].2509.[ext]',
-          images: 'images/target/[name].2509.[ext]',
+          js,
         },
       },
       babel: {},
       library: false,
       is: {
-        node: false,
-        browser: true,
+        node: true,
+        browser: false,
       },
-    };
+    });
     const webpackConfigurations = {
-      [target.type]: {
+      node: {
         [buildType]: {},
       },
     };
     let sut = null;
-    let result = null;
-    const expectedParams = {
-      target,
-      buildType,
-      entry: {
-        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
-      },
-      definitions: expect.any(Function),
-      output: target.output[buildType],
-      targetRules,
-      copy: filesToCopy,
-      additionalWatch: [],
-      analyze: false,
-    };
+    let results = null;
     // When
     sut = new WebpackConfiguration(
       buildVersion,
@@ -443,40 +565,131 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
-    result = sut.getConfig(target, buildType);
+    [
+      'statics/js/build.[contenthash].js',
+      'statics/js/build.[contenthash:8].js',
+      'statics/js/build.[chunkhash].min.js',
+    ].forEach((js) => {
+      sut.getConfig(createTarget(js), buildType);
+    });
+    results = targetConfig.getConfig.mock.calls.map(([params]) => params.output.jsChunks);
     // Then
-    expect(result).toEqual(config);
-    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
-    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
-    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
-    expect(targetConfiguration).toHaveBeenCalledWith(
-      `webpack/${target.name}.config.js`,
-      {}
-    );
-    expect(targetConfiguration).toHaveBeenCalledWith(
-      `webpack/${target.name}.${buildType}.config.js`,
-      targetConfig
-    );
-    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
-    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
-    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
-    expect(pathUtils.join).toHaveBeenCalledTimes(1);
-    expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
-    expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
-    expect(targets.getFilesToCopy).toHaveBeenCalledWith(target, buildType);
-    expect(events.reduce).toHaveBeenCalledTimes(1);
-    expect(events.reduce).toHaveBeenCalledWith(
-      [
-        'webpack-configuration-parameters-for-browser',
-        'webpack-configuration-parameters',
-      ],
-      expectedParams
+    expect(results).toEqual([
+      'statics/js/build.[name].[contenthash].js',
+      'statics/js/build.[name].[contenthash:8].js',
+      'statics/js/build.[chunkhash].min.[name].js',
+    ]);
+  });
+
+  it('should generate the entries and pages for a target with multiple entries', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      entries: {
+        home: 'home.js',
+        admin: {
+          entry: 'admin/index.js',
+          html: {
+            template: 'admin/index.html',
+            title: 'Admin',
+          },
+        },
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const webpackConfigurations = {
+      node: {
+        [buildType]: {},
+      },
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
     );
+    sut.getConfig(target, buildType);
+    [[result]] = targetConfig.getConfig.mock.calls;
+    // Then
+    expect(result.entry).toEqual({
+      home: [path.join(target.paths.source, 'home.js')],
+      admin: [path.join(target.paths.source, 'admin/index.js')],
+    });
+    expect(result.pages).toEqual([
+      {
+        name: 'home',
+        html: {
+          template: 'home.html',
+          filename: 'home.html',
+        },
+      },
+      {
+        name: 'admin',
+        html: {
+          template: 'admin/index.html',
+          filename: 'admin.html',
+          title: 'Admin',
+        },
+      },
+    ]);
   });
 
-  it('should generate the configuration for a browser target and `define` its config', () => {
+  it('should generate the configuration for a Node target that requires bundling', () => {
     // Given
     const versionVariable = 'process.env.VERSION';
     const version = 'latest';
@@ -498,18 +711,10 @@ describe('services/building:configuration', () => {
     const events = {
       reduce: jest.fn((eventName, configParams) => configParams),
     };
-    const targetBrowserConfig = {
-      someProp: 'someValue',
-    };
-    const targetBrowserConfigFiles = ['some-config-file'];
     const filesToCopy = ['copy'];
     const targets = {
       getFilesToCopy: jest.fn(() => filesToCopy),
       loadTargetDotEnvFile: jest.fn(() => ({})),
-      getBrowserTargetConfiguration: jest.fn(() => ({
-        configuration: targetBrowserConfig,
-        files: targetBrowserConfigFiles,
-      })),
       events,
     };
     const targetRules = 'target-rule';
@@ -517,9 +722,13 @@ describe('services/building:configuration', () => {
       getRulesForTarget: jest.fn(() => targetRules),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
     const buildType = 'development';
     const target = {
-      type: 'browser',
+      type: 'node',
       name: 'target',
       paths: {
         source: 'src/target',
@@ -530,16 +739,17 @@ describe('services/building:configuration', () => {
       output: {
         [buildType]: {
           js: 'target.js',
+          css: 'css/target/file.2509.css',
+          fonts: 'fonts/target/[name].2509.[ext]',
+          images: 'images/target/[name].2509.[ext]',
         },
       },
       babel: {},
       library: false,
+      bundle: true,
       is: {
-        browser: true,
-      },
-      configuration: {
-        enabled: true,
-        defineOn: 'process.env.CONFIG',
+        node: true,
+        browser: false,
       },
     };
     const webpackConfigurations = {
@@ -549,22 +759,26 @@ describe('services/building:configuration', () => {
     };
     let sut = null;
     let result = null;
-    let definitionsGenerator = null;
-    let generatedDefinitions = null;
     const expectedParams = {
       target,
       buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
       entry: {
         [target.name]: [path.join(target.paths.source, target.entry[buildType])],
       },
+      definitions: expect.any(Function),
       output: Object.assign({}, target.output[buildType], {
         jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
       }),
-      definitions: expect.any(Function),
       targetRules,
       copy: filesToCopy,
-      additionalWatch: targetBrowserConfigFiles,
+      additionalWatch: [],
+      pages: [],
       analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
     };
     // When
     sut = new WebpackConfiguration(
@@ -573,20 +787,16 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     result = sut.getConfig(target, buildType);
-    [[{ definitions: definitionsGenerator }]] = targetConfig.getConfig.mock.calls;
-    generatedDefinitions = definitionsGenerator();
     // Then
     expect(result).toEqual(config);
-    expect(generatedDefinitions).toEqual({
-      'process.env.NODE_ENV': `'${buildType}'`,
-      [versionVariable]: `"${version}"`,
-      [target.configuration.defineOn]: JSON.stringify(targetBrowserConfig),
-    });
-    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(1);
-    expect(buildVersion.getVersion).toHaveBeenCalledTimes(1);
+    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
+    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
+    expect(targetsFileRules.getRulesForTarget).toHaveBeenCalledTimes(1);
+    expect(targetsFileRules.getRulesForTarget).toHaveBeenCalledWith(target);
     expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
     expect(targetConfiguration).toHaveBeenCalledWith(
       `webpack/${target.name}.config.js`,
@@ -596,29 +806,27 @@ describe('services/building:configuration', () => {
       `webpack/${target.name}.${buildType}.config.js`,
       targetConfig
     );
-    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(1);
-    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledWith(target, buildType);
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
     expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
     expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
     expect(pathUtils.join).toHaveBeenCalledTimes(1);
     expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
     expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
     expect(targets.getFilesToCopy).toHaveBeenCalledWith(target, buildType);
-    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledTimes(2);
-    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledWith(target);
-    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledWith(target);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
-        'webpack-configuration-parameters-for-browser',
+        'webpack-configuration-parameters-for-node',
         'webpack-configuration-parameters',
       ],
       expectedParams
     );
   });
 
-  it('should generate the configuration for a library target', () => {
+  it('should generate the configuration for a browser target', () => {
     // Given
+    const hash = '2509';
+    Date.now = () => hash;
     const versionVariable = 'process.env.VERSION';
     const version = 'latest';
     const buildVersion = {
@@ -639,7 +847,9 @@ describe('services/building:configuration', () => {
     const events = {
       reduce: jest.fn((eventName, configParams) => configParams),
     };
+    const filesToCopy = ['copy'];
     const targets = {
+      getFilesToCopy: jest.fn(() => filesToCopy),
       loadTargetDotEnvFile: jest.fn(() => ({})),
       events,
     };
@@ -648,9 +858,13 @@ describe('services/building:configuration', () => {
       getRulesForTarget: jest.fn(() => targetRules),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
     const buildType = 'development';
     const target = {
-      type: 'node',
+      type: 'browser',
       name: 'target',
       paths: {
         source: 'src/target',
@@ -660,18 +874,18 @@ describe('services/building:configuration', () => {
       },
       output: {
         [buildType]: {
-          js: 'target.js',
+          js: 'js/target/file.2509.js',
+          jsChunks: 'js/target/file.2509.[name].js',
           css: 'css/target/file.2509.css',
           fonts: 'fonts/target/[name].2509.[ext]',
           images: 'images/target/[name].2509.[ext]',
         },
       },
       babel: {},
-      library: true,
-      libraryOptions: {},
+      library: false,
       is: {
-        browser: false,
-        node: true,
+        node: false,
+        browser: true,
       },
     };
     const webpackConfigurations = {
@@ -679,28 +893,26 @@ describe('services/building:configuration', () => {
         [buildType]: {},
       },
     };
-    const expectedConfig = {
-      output: {
-        path: 'some-output-path',
-        libraryTarget: 'commonjs2',
-      },
-    };
     let sut = null;
     let result = null;
     const expectedParams = {
       target,
       buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
       entry: {
         [target.name]: [path.join(target.paths.source, target.entry[buildType])],
       },
       definitions: expect.any(Function),
-      output: Object.assign({}, target.output[buildType], {
-        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
-      }),
+      output: target.output[buildType],
       targetRules,
-      copy: [],
+      copy: filesToCopy,
       additionalWatch: [],
+      pages: [],
       analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
     };
     // When
     sut = new WebpackConfiguration(
@@ -709,11 +921,12 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     result = sut.getConfig(target, buildType);
     // Then
-    expect(result).toEqual(expectedConfig);
+    expect(result).toEqual(config);
     expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
     expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
     expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
@@ -730,17 +943,19 @@ describe('services/building:configuration', () => {
     expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
     expect(pathUtils.join).toHaveBeenCalledTimes(1);
     expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
+    expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
+    expect(targets.getFilesToCopy).toHaveBeenCalledWith(target, buildType);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
-        'webpack-configuration-parameters-for-node',
+        'webpack-configuration-parameters-for-browser',
         'webpack-configuration-parameters',
       ],
       expectedParams
     );
   });
 
-  it('should generate the configuration for a library target and remove unsupported keys', () => {
+  it('should generate the configuration for a browser target and `define` its config', () => {
     // Given
     const versionVariable = 'process.env.VERSION';
     const version = 'latest';
@@ -762,8 +977,18 @@ describe('services/building:configuration', () => {
     const events = {
       reduce: jest.fn((eventName, configParams) => configParams),
     };
+    const targetBrowserConfig = {
+      someProp: 'someValue',
+    };
+    const targetBrowserConfigFiles = ['some-config-file'];
+    const filesToCopy = ['copy'];
     const targets = {
+      getFilesToCopy: jest.fn(() => filesToCopy),
       loadTargetDotEnvFile: jest.fn(() => ({})),
+      getBrowserTargetConfiguration: jest.fn(() => ({
+        configuration: targetBrowserConfig,
+        files: targetBrowserConfigFiles,
+      })),
       events,
     };
     const targetRules = 'target-rule';
@@ -771,9 +996,13 @@ describe('services/building:configuration', () => {
       getRulesForTarget: jest.fn(() => targetRules),
     };
     const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
     const buildType = 'development';
     const target = {
-      type: 'node',
+      type: 'browser',
       name: 'target',
       paths: {
         source: 'src/target',
@@ -784,19 +1013,16 @@ describe('services/building:configuration', () => {
       output: {
         [buildType]: {
           js: 'target.js',
-          css: 'css/target/file.2509.css',
-          fonts: 'fonts/target/[name].2509.[ext]',
-          images: 'images/target/[name].2509.[ext]',
         },
       },
       babel: {},
-      library: true,
-      libraryOptions: {
-        compress: true,
-      },
+      library: false,
       is: {
-        browser: false,
-        node: true,
+        browser: true,
+      },
+      configuration: {
+        enabled: true,
+        defineOn: 'process.env.CONFIG',
       },
     };
     const webpackConfigurations = {
@@ -806,26 +1032,28 @@ describe('services/building:configuration', () => {
     };
     let sut = null;
     let result = null;
-    const expectedConfig = {
-      output: {
-        path: 'some-output-path',
-        libraryTarget: 'commonjs2',
-      },
-    };
+    let definitionsGenerator = null;
+    let generatedDefinitions = null;
     const expectedParams = {
       target,
       buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
       entry: {
         [target.name]: [path.join(target.paths.source, target.entry[buildType])],
       },
-      definitions: expect.any(Function),
       output: Object.assign({}, target.output[buildType], {
         jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
       }),
+      definitions: expect.any(Function),
       targetRules,
-      copy: [],
-      additionalWatch: [],
+      copy: filesToCopy,
+      additionalWatch: targetBrowserConfigFiles,
+      pages: [],
       analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
     };
     // When
     sut = new WebpackConfiguration(
@@ -834,13 +1062,21 @@ describe('services/building:configuration', () => {
       targets,
       targetsFileRules,
       targetConfiguration,
+      webpackBuildTypes,
       webpackConfigurations
     );
     result = sut.getConfig(target, buildType);
+    [[{ definitions: definitionsGenerator }]] = targetConfig.getConfig.mock.calls;
+    generatedDefinitions = definitionsGenerator();
     // Then
-    expect(result).toEqual(expectedConfig);
-    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
-    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
+    expect(result).toEqual(config);
+    expect(generatedDefinitions).toEqual({
+      'process.env.NODE_ENV': `'${buildType}'`,
+      [versionVariable]: `"${version}"`,
+      [target.configuration.defineOn]: JSON.stringify(targetBrowserConfig),
+    });
+    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(1);
+    expect(buildVersion.getVersion).toHaveBeenCalledTimes(1);
     expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
     expect(targetConfiguration).toHaveBeenCalledWith(
       `webpack/${target.name}.config.js`,
@@ -850,44 +1086,1560 @@ describe('services/building:configuration', () => {
       `webpack/${target.name}.${buildType}.config.js`,
       targetConfig
     );
-    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(1);
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledWith(target, buildType);
     expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
     expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
     expect(pathUtils.join).toHaveBeenCalledTimes(1);
     expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
+    expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
+    expect(targets.getFilesToCopy).toHaveBeenCalledWith(target, buildType);
+    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledTimes(2);
+    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledWith(target);
+    expect(targets.getBrowserTargetConfiguration).toHaveBeenCalledWith(target);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
-        'webpack-configuration-parameters-for-node',
+        'webpack-configuration-parameters-for-browser',
         'webpack-configuration-parameters',
       ],
       expectedParams
     );
   });
 
-  it('should include a provider for the DIC', () => {
+  it('should generate the configuration for a library target', () => {
     // Given
-    let sut = null;
-    const container = {
-      set: jest.fn(),
-      get: jest.fn((service) => service),
+    const versionVariable = 'process.env.VERSION';
+    const version = 'latest';
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => versionVariable),
+      getVersion: jest.fn(() => version),
     };
-    let serviceName = null;
-    let serviceFn = null;
-    // When
-    webpackConfiguration(container);
-    [[serviceName, serviceFn]] = container.set.mock.calls;
-    sut = serviceFn();
-    // Then
-    expect(serviceName).toBe('webpackConfiguration');
-    expect(serviceFn).toBeFunction();
-    expect(sut).toBeInstanceOf(WebpackConfiguration);
-    expect(sut.buildVersion).toBe('buildVersion');
-    expect(sut.pathUtils).toBe('pathUtils');
-    expect(sut.buildVersion).toBe('buildVersion');
-    expect(sut.targets).toBe('targets');
-    expect(sut.targetsFileRules).toBe('targetsFileRules');
-    expect(sut.targetConfiguration).toBe('targetConfiguration');
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const config = {
+      output: {
+        path: 'some-output-path',
+      },
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => config),
+    };
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events,
+    };
+    const targetRules = 'target-rule';
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => targetRules),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'development';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+          css: 'css/target/file.2509.css',
+          fonts: 'fonts/target/[name].2509.[ext]',
+          images: 'images/target/[name].2509.[ext]',
+        },
+      },
+      babel: {},
+      library: true,
+      libraryOptions: {},
+      is: {
+        browser: false,
+        node: true,
+      },
+    };
+    const webpackConfigurations = {
+      [target.type]: {
+        [buildType]: {},
+      },
+    };
+    const expectedConfig = {
+      output: {
+        path: 'some-output-path',
+        libraryTarget: 'commonjs2',
+      },
+    };
+    let sut = null;
+    let result = null;
+    const expectedParams = {
+      target,
+      buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
+      entry: {
+        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
+      },
+      definitions: expect.any(Function),
+      output: Object.assign({}, target.output[buildType], {
+        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
+      }),
+      targetRules,
+      copy: [],
+      additionalWatch: [],
+      pages: [],
+      analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
+    };
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
+    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
+    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.config.js`,
+      {}
+    );
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.${buildType}.config.js`,
+      targetConfig
+    );
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
+    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
+    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
+    expect(pathUtils.join).toHaveBeenCalledTimes(1);
+    expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-configuration-parameters-for-node',
+        'webpack-configuration-parameters',
+      ],
+      expectedParams
+    );
+  });
+
+  it('should generate the configuration for a library target and remove unsupported keys', () => {
+    // Given
+    const versionVariable = 'process.env.VERSION';
+    const version = 'latest';
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => versionVariable),
+      getVersion: jest.fn(() => version),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const config = {
+      output: {
+        path: 'some-output-path',
+      },
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => config),
+    };
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events,
+    };
+    const targetRules = 'target-rule';
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => targetRules),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'development';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+          css: 'css/target/file.2509.css',
+          fonts: 'fonts/target/[name].2509.[ext]',
+          images: 'images/target/[name].2509.[ext]',
+        },
+      },
+      babel: {},
+      library: true,
+      libraryOptions: {
+        compress: true,
+      },
+      is: {
+        browser: false,
+        node: true,
+      },
+    };
+    const webpackConfigurations = {
+      [target.type]: {
+        [buildType]: {},
+      },
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = {
+      output: {
+        path: 'some-output-path',
+        libraryTarget: 'commonjs2',
+      },
+    };
+    const expectedParams = {
+      target,
+      buildType,
+      baseBuildType: buildType,
+      targetType: target.type,
+      entry: {
+        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
+      },
+      definitions: expect.any(Function),
+      output: Object.assign({}, target.output[buildType], {
+        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
+      }),
+      targetRules,
+      copy: [],
+      additionalWatch: [],
+      pages: [],
+      analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
+    };
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(buildVersion.getDefinitionVariable).toHaveBeenCalledTimes(0);
+    expect(buildVersion.getVersion).toHaveBeenCalledTimes(0);
+    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.config.js`,
+      {}
+    );
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.${buildType}.config.js`,
+      targetConfig
+    );
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(0);
+    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
+    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
+    expect(pathUtils.join).toHaveBeenCalledTimes(1);
+    expect(pathUtils.join).toHaveBeenCalledWith(config.output.path);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-configuration-parameters-for-node',
+        'webpack-configuration-parameters',
+      ],
+      expectedParams
+    );
+  });
+
+  it('should generate a configuration for each format of a library target', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+        plugins: ['plugin'],
+      })),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        development: {
+          js: 'dev/target.js',
+        },
+        [buildType]: {
+          js: 'lib/target.js',
+          jsChunks: 'lib/target.[name].js',
+        },
+      },
+      babel: {},
+      library: true,
+      libraryOptions: {
+        libraryTarget: 'commonjs2',
+        formats: [
+          'umd',
+          {
+            format: 'esm',
+            filename: 'lib/target.mjs',
+          },
+          'commonjs',
+        ],
+      },
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const webpackConfigurations = {
+      node: {
+        [buildType]: {},
+      },
+    };
+    const esmLibrary = '__projextWebpackESM';
+    let sut = null;
+    let result = null;
+    let params = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    params = targetConfig.getConfig.mock.calls.map(([call]) => call);
+    // Then
+    expect(result).toEqual([
+      {
+        name: 'target.umd',
+        output: {
+          path: 'some-output-path',
+          libraryTarget: 'umd',
+        },
+        plugins: ['plugin'],
+      },
+      {
+        name: 'target.esm',
+        output: {
+          path: 'some-output-path',
+          libraryTarget: 'var',
+          library: esmLibrary,
+        },
+        plugins: ['plugin', expect.any(ProjextWebpackESMExports)],
+      },
+      {
+        name: 'target.commonjs',
+        output: {
+          path: 'some-output-path',
+          libraryTarget: 'commonjs2',
+        },
+        plugins: ['plugin'],
+      },
+    ]);
+    expect(params.map(({ output }) => output)).toEqual([
+      {
+        js: 'lib/target.umd.js',
+        jsChunks: 'lib/target.[name].umd.js',
+      },
+      {
+        js: 'lib/target.mjs',
+        jsChunks: 'lib/target.[name].esm.js',
+      },
+      {
+        js: 'lib/target.commonjs.js',
+        jsChunks: 'lib/target.[name].commonjs.js',
+      },
+    ]);
+    expect(params[0].target.output.development).toEqual({
+      js: 'dev/target.umd.js',
+    });
+    expect(ProjextWebpackESMExports).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackESMExports).toHaveBeenCalledWith({ library: esmLibrary });
+  });
+
+  it('should generate the configuration for a library target with the esm format', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      babel: {},
+      library: true,
+      libraryOptions: {
+        libraryTarget: 'esm',
+      },
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const webpackConfigurations = {
+      node: {
+        [buildType]: {},
+      },
+    };
+    const esmLibrary = '__projextWebpackESM';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    // Then
+    expect(result).toEqual({
+      output: {
+        path: 'some-output-path',
+        libraryTarget: 'var',
+        library: esmLibrary,
+      },
+      plugins: [expect.any(ProjextWebpackESMExports)],
+    });
+    expect(ProjextWebpackESMExports).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackESMExports).toHaveBeenCalledWith({ library: esmLibrary });
+  });
+
+  it('should throw an error if a library target uses an invalid format', () => {
+    // Given
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      library: true,
+      libraryOptions: {
+        formats: ['amd'],
+      },
+    };
+    let sut = null;
+    // When
+    sut = new WebpackConfiguration();
+    // Then
+    expect(() => sut.getConfig(target, buildType))
+    .toThrow(/invalid library format: amd/i);
+  });
+
+  it('should generate the configurations for the differential bundles of a browser target', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
+    };
+    const filesToCopy = ['copy'];
+    const targets = {
+      getFilesToCopy: jest.fn(() => filesToCopy),
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'browser',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        development: {
+          js: 'js/target.js',
+        },
+        [buildType]: {
+          js: 'js/target.[contenthash].js',
+          css: 'css/target.[contenthash].css',
+          fonts: 'fonts/[name].[ext]',
+        },
+      },
+      babel: {
+        polyfill: true,
+        env: {
+          modules: false,
+        },
+      },
+      library: false,
+      differential: true,
+      is: {
+        node: false,
+        browser: true,
+      },
+    };
+    const webpackConfigurations = {
+      browser: {
+        [buildType]: {},
+      },
+    };
+    let sut = null;
+    let result = null;
+    let params = null;
+    let definitions = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    params = targetConfig.getConfig.mock.calls.map(([call]) => call);
+    definitions = [
+      params[1].definitions(),
+      params[0].definitions(),
+      params[1].definitions(),
+    ];
+    // Then
+    expect(result).toEqual([
+      {
+        name: 'target.legacy',
+        output: {
+          path: 'some-output-path',
+        },
+      },
+      {
+        name: 'target.modern',
+        output: {
+          path: 'some-output-path',
+        },
+        dependencies: ['target.legacy'],
+      },
+    ]);
+    expect(params.map(({ output }) => output)).toEqual([
+      {
+        js: 'js/target.legacy.[contenthash].js',
+        jsChunks: 'js/target.legacy.[name].[contenthash].js',
+        css: 'css/target.legacy.[contenthash].css',
+        fonts: 'fonts/[name].[ext]',
+      },
+      {
+        js: 'js/target.[contenthash].js',
+        jsChunks: 'js/target.[name].[contenthash].js',
+        css: 'css/target.[contenthash].css',
+        fonts: 'fonts/[name].[ext]',
+      },
+    ]);
+    expect(params[0].target.output.development).toEqual({
+      js: 'js/target.legacy.js',
+    });
+    expect(params[0].target.babel).toBe(target.babel);
+    expect(params[1].target.babel).toEqual({
+      polyfill: true,
+      env: {
+        modules: false,
+        targets: {
+          esmodules: true,
+          browsers: null,
+        },
+      },
+    });
+    expect(params.map(({ copy }) => copy)).toEqual([[], filesToCopy]);
+    expect(targets.getFilesToCopy).toHaveBeenCalledTimes(1);
+    expect(params.map(({ differential }) => differential)).toEqual([
+      {
+        type: 'legacy',
+        bundles: expect.any(Map),
+      },
+      {
+        type: 'modern',
+        bundles: expect.any(Map),
+      },
+    ]);
+    expect(params[0].differential.bundles).toBe(params[1].differential.bundles);
+    expect(definitions[0]).toEqual(definitions[1]);
+    expect(definitions[2]).toBe(definitions[1]);
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(2);
+  });
+
+  it('shouldn\'t generate differential bundles for development or for other platforms', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => ({
+        output: {
+          path: 'some-output-path',
+        },
+      })),
+    };
+    const targets = {
+      getFilesToCopy: jest.fn(() => []),
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const target = {
+      type: 'browser',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        development: 'index.js',
+        production: 'index.js',
+      },
+      output: {
+        development: {
+          js: 'js/target.js',
+        },
+        production: {
+          js: 'js/target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      differential: true,
+      is: {
+        node: false,
+        browser: true,
+      },
+    };
+    const webworkerTarget = Object.assign({}, target, {
+      platform: 'webworker',
+    });
+    const webpackConfigurations = {
+      browser: {
+        development: {},
+        production: {},
+      },
+      webworker: {
+        production: {},
+      },
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    results = [
+      sut.getConfig(target, 'development'),
+      sut.getConfig(webworkerTarget, 'production'),
+    ];
+    // Then
+    results.forEach((result) => {
+      expect(result).toEqual({
+        output: {
+          path: 'some-output-path',
+        },
+      });
+    });
+    expect(targetConfig.getConfig).toHaveBeenCalledTimes(2);
+    targetConfig.getConfig.mock.calls.forEach(([params]) => {
+      expect(params.differential).toBeNull();
+    });
+  });
+
+  it('should generate the configuration for a target with a platform', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const config = {
+      output: {
+        path: 'some-output-path',
+      },
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => config),
+    };
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events,
+    };
+    const targetRules = 'target-rule';
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => targetRules),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'development';
+    const platform = 'electron-main';
+    const target = {
+      type: 'node',
+      platform,
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const platformConfiguration = {};
+    const webpackConfigurations = {
+      [target.type]: {
+        [buildType]: {},
+      },
+      [platform]: {
+        [buildType]: platformConfiguration,
+      },
+    };
+    let sut = null;
+    let result = null;
+    const expectedParams = {
+      target,
+      buildType,
+      baseBuildType: buildType,
+      targetType: platform,
+      entry: {
+        [target.name]: [path.join(target.paths.source, target.entry[buildType])],
+      },
+      definitions: expect.any(Function),
+      output: Object.assign({}, target.output[buildType], {
+        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
+      }),
+      targetRules,
+      copy: [],
+      additionalWatch: [],
+      pages: [],
+      analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
+    };
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    // Then
+    expect(result).toEqual(config);
+    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.config.js`,
+      platformConfiguration
+    );
+    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
+    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-configuration-parameters-for-node',
+        'webpack-configuration-parameters',
+      ],
+      expectedParams
+    );
+  });
+
+  it('should generate the configuration for a custom build type', () => {
+    // Given
+    const versionVariable = 'process.env.VERSION';
+    const version = 'latest';
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => versionVariable),
+      getVersion: jest.fn(() => version),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const config = {
+      output: {
+        path: 'some-output-path',
+      },
+    };
+    const targetConfig = {
+      getConfig: jest.fn(() => config),
+    };
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events,
+    };
+    const targetRules = 'target-rule';
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => targetRules),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const buildType = 'staging';
+    const baseBuildType = 'production';
+    const buildTypeDefinitions = {
+      'process.env.STAGING': true,
+    };
+    const webpackBuildTypes = {
+      getBaseType: jest.fn(() => baseBuildType),
+      getDefinitions: jest.fn(() => buildTypeDefinitions),
+    };
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [baseBuildType]: 'index.js',
+      },
+      output: {
+        [baseBuildType]: {
+          js: 'target.js',
+        },
+        [buildType]: {
+          js: 'target.staging.js',
+        },
+      },
+      sourceMap: {
+        [baseBuildType]: false,
+        [buildType]: true,
+      },
+      watch: {
+        [baseBuildType]: false,
+      },
+      babel: {},
+      library: false,
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const webpackConfigurations = {
+      [target.type]: {
+        [baseBuildType]: {},
+      },
+    };
+    let sut = null;
+    let result = null;
+    let definitionsGenerator = null;
+    let generatedDefinitions = null;
+    const expectedTarget = Object.assign({}, target, {
+      output: Object.assign({}, target.output, {
+        [baseBuildType]: target.output[buildType],
+      }),
+      sourceMap: Object.assign({}, target.sourceMap, {
+        [baseBuildType]: target.sourceMap[buildType],
+      }),
+    });
+    const expectedParams = {
+      target: expectedTarget,
+      buildType,
+      baseBuildType,
+      targetType: target.type,
+      entry: {
+        [target.name]: [path.join(target.paths.source, target.entry[baseBuildType])],
+      },
+      definitions: expect.any(Function),
+      output: Object.assign({}, target.output[buildType], {
+        jsChunks: target.output[buildType].js.replace(/\.js$/, '.[name].js'),
+      }),
+      targetRules,
+      copy: [],
+      additionalWatch: [],
+      pages: [],
+      analyze: false,
+      analyzer: null,
+      buildOptions: {},
+      differential: null,
+    };
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.getConfig(target, buildType);
+    [[{ definitions: definitionsGenerator }]] = targetConfig.getConfig.mock.calls;
+    generatedDefinitions = definitionsGenerator();
+    // Then
+    expect(result).toEqual(config);
+    expect(generatedDefinitions).toEqual({
+      'process.env.STAGING': 'true',
+      'process.env.NODE_ENV': `'${baseBuildType}'`,
+      [versionVariable]: `"${version}"`,
+    });
+    expect(webpackBuildTypes.getDefinitions).toHaveBeenCalledTimes(1);
+    expect(webpackBuildTypes.getDefinitions).toHaveBeenCalledWith(buildType);
+    expect(targetConfiguration).toHaveBeenCalledTimes(['type', 'global', 'byBuildType'].length);
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.type}.${buildType}.config.js`,
+      {}
+    );
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.config.js`,
+      targetConfig
+    );
+    expect(targetConfiguration).toHaveBeenCalledWith(
+      `webpack/${target.name}.${buildType}.config.js`,
+      targetConfig
+    );
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledTimes(1);
+    expect(targets.loadTargetDotEnvFile).toHaveBeenCalledWith(expectedTarget, buildType);
+    expect(targetConfig.getConfig).toHaveBeenCalledTimes(1);
+    expect(targetConfig.getConfig).toHaveBeenCalledWith(expectedParams);
+  });
+
+  it('should inspect the configuration for a target', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => `/absolute/${rest}`),
+    };
+    class SomePlugin {}
+    class OtherPlugin {}
+    const somePlugin = new SomePlugin();
+    const otherPlugin = new OtherPlugin();
+    const baseLayers = [
+      {
+        name: 'EmptyConfiguration',
+        type: 'configuration',
+        config: {},
+      },
+      {
+        name: 'WebpackBaseConfiguration',
+        type: 'configuration',
+        config: {
+          mode: 'development',
+          module: {
+            rules: [{ test: /\.jsx?$/i }],
+          },
+          externals: {},
+          plugins: [somePlugin],
+        },
+      },
+      {
+        name: 'webpack-base-configuration',
+        type: 'event',
+        config: {
+          mode: 'development',
+          module: {
+            rules: [{ test: /\.jsx?$/i }],
+          },
+          externals: {
+            'wootils/shared': 'commonjs wootils/shared',
+          },
+          plugins: [somePlugin],
+        },
+      },
+      {
+        name: 'WebpackBrowserDevelopmentConfiguration',
+        type: 'configuration',
+        config: {
+          mode: 'development',
+          module: {
+            rules: [{ test: /\.jsx?$/i }],
+          },
+          externals: {
+            'wootils/shared': 'commonjs wootils/shared',
+          },
+          plugins: [somePlugin, otherPlugin],
+          output: {
+            path: 'dist',
+          },
+        },
+      },
+    ];
+    const baseConfiguration = {
+      inspectConfig: jest.fn(() => ({
+        config: extend(true, {}, baseLayers[baseLayers.length - 1].config),
+        layers: baseLayers,
+      })),
+    };
+    const filesChanges = {
+      'webpack/target.config.js': {
+        output: {
+          path: 'build',
+        },
+      },
+    };
+    const targetConfiguration = jest.fn((overwritePath, parent) => ({
+      overwritePaths: [`config/${overwritePath}`],
+      getConfig: (params) => extend(
+        true,
+        {},
+        parent.getConfig(params),
+        filesChanges[overwritePath] || {}
+      ),
+    }));
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      getFilesToCopy: jest.fn(() => []),
+      events,
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rules'),
+    };
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'development';
+    const target = {
+      type: 'browser',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      configuration: {
+        enabled: false,
+      },
+      is: {
+        node: false,
+        browser: true,
+      },
+    };
+    const webpackConfigurations = {
+      browser: {
+        [buildType]: baseConfiguration,
+      },
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = {
+      mode: 'development',
+      module: {
+        rules: [{ test: /\.jsx?$/i }],
+      },
+      externals: {
+        'wootils/shared': 'commonjs wootils/shared',
+      },
+      plugins: [somePlugin, otherPlugin],
+      output: {
+        path: '/absolute/build',
+      },
+    };
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.inspectConfig(target, buildType);
+    // Then
+    expect(result).toEqual({
+      config: expectedConfig,
+      layers: [
+        { name: 'EmptyConfiguration', type: 'configuration' },
+        { name: 'WebpackBaseConfiguration', type: 'configuration' },
+        { name: 'webpack-base-configuration', type: 'event' },
+        { name: 'WebpackBrowserDevelopmentConfiguration', type: 'configuration' },
+        { name: 'config/webpack/target.config.js', type: 'file' },
+        { name: 'config/webpack/target.development.config.js', type: 'file' },
+        { name: 'WebpackConfiguration', type: 'configuration' },
+      ],
+      provenance: {
+        mode: {
+          value: 'development',
+          layer: 'WebpackBaseConfiguration',
+          type: 'configuration',
+        },
+        'module.rules[0].test': {
+          value: /\.jsx?$/i,
+          layer: 'WebpackBaseConfiguration',
+          type: 'configuration',
+        },
+        'externals["wootils/shared"]': {
+          value: 'commonjs wootils/shared',
+          layer: 'webpack-base-configuration',
+          type: 'event',
+        },
+        'plugins[0]': {
+          value: somePlugin,
+          layer: 'WebpackBaseConfiguration',
+          type: 'configuration',
+        },
+        'plugins[1]': {
+          value: otherPlugin,
+          layer: 'WebpackBrowserDevelopmentConfiguration',
+          type: 'configuration',
+        },
+        'output.path': {
+          value: '/absolute/build',
+          layer: 'WebpackConfiguration',
+          type: 'configuration',
+        },
+      },
+    });
+    expect(baseConfiguration.inspectConfig).toHaveBeenCalledTimes(1);
+    expect(targetConfiguration).toHaveBeenCalledTimes(['global', 'byBuildType'].length);
+  });
+
+  it('should inspect the configuration of a target with layers that can\'t be inspected', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    class BaseConfiguration {
+      getConfig() {
+        return {
+          resolve: {
+            extensions: [],
+            alias: {},
+          },
+          module: {
+            noParse: 'some-module',
+          },
+          output: {
+            path: 'dist',
+          },
+        };
+      }
+    }
+    class TargetConfiguration {
+      constructor(parent, changes) {
+        this.parent = parent;
+        this.changes = changes;
+      }
+
+      getConfig(params) {
+        return extend(true, {}, this.parent.getConfig(params), this.changes);
+      }
+    }
+    const filesChanges = {
+      'webpack/target.config.js': {
+        module: {
+          noParse: /some-module/,
+        },
+      },
+      'webpack/target.production.config.js': {
+        module: {
+          noParse: 'other-module',
+        },
+      },
+    };
+    const targetConfiguration = jest.fn((overwritePath, parent) => (
+      new TargetConfiguration(parent, filesChanges[overwritePath])
+    ));
+    const events = {
+      reduce: jest.fn((eventName, configParams) => configParams),
+    };
+    const targets = {
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events,
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rules'),
+    };
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'node',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      is: {
+        node: true,
+        browser: false,
+      },
+    };
+    const webpackConfigurations = {
+      node: {
+        [buildType]: new BaseConfiguration(),
+      },
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.inspectConfig(target, buildType);
+    // Then
+    expect(result.layers).toEqual([
+      { name: 'BaseConfiguration', type: 'file' },
+      { name: 'TargetConfiguration', type: 'file' },
+      { name: 'TargetConfiguration', type: 'file' },
+      { name: 'WebpackConfiguration', type: 'configuration' },
+    ]);
+    expect(result.provenance).toEqual({
+      'resolve.extensions': {
+        value: [],
+        layer: 'BaseConfiguration',
+        type: 'file',
+      },
+      'resolve.alias': {
+        value: {},
+        layer: 'BaseConfiguration',
+        type: 'file',
+      },
+      'module.noParse': {
+        value: 'other-module',
+        layer: 'TargetConfiguration',
+        type: 'file',
+      },
+      'output.path': {
+        value: 'dist',
+        layer: 'BaseConfiguration',
+        type: 'file',
+      },
+    });
+  });
+
+  it('should inspect each configuration of a target with differential bundles', () => {
+    // Given
+    const buildVersion = {
+      getDefinitionVariable: jest.fn(() => 'process.env.VERSION'),
+      getVersion: jest.fn(() => 'latest'),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetConfig = {
+      overwritePaths: ['config/webpack/target.config.js'],
+      getConfig: jest.fn((params) => ({
+        output: {
+          path: `dist/${params.differential.type}`,
+        },
+      })),
+    };
+    const targets = {
+      getFilesToCopy: jest.fn(() => []),
+      loadTargetDotEnvFile: jest.fn(() => ({})),
+      events: {
+        reduce: jest.fn((eventName, configParams) => configParams),
+      },
+    };
+    const targetsFileRules = {
+      getRulesForTarget: jest.fn(() => 'target-rule'),
+    };
+    const targetConfiguration = jest.fn(() => targetConfig);
+    const webpackBuildTypes = {
+      getBaseType: jest.fn((name) => name),
+      getDefinitions: jest.fn(() => ({})),
+    };
+    const buildType = 'production';
+    const target = {
+      type: 'browser',
+      name: 'target',
+      paths: {
+        source: 'src/target',
+      },
+      entry: {
+        [buildType]: 'index.js',
+      },
+      output: {
+        [buildType]: {
+          js: 'js/target.js',
+        },
+      },
+      babel: {},
+      library: false,
+      differential: true,
+      is: {
+        node: false,
+        browser: true,
+      },
+    };
+    const webpackConfigurations = {
+      browser: {
+        [buildType]: {},
+      },
+    };
+    const layers = [
+      { name: 'config/webpack/target.config.js', type: 'file' },
+      { name: 'WebpackConfiguration', type: 'configuration' },
+    ];
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfiguration(
+      buildVersion,
+      pathUtils,
+      targets,
+      targetsFileRules,
+      targetConfiguration,
+      webpackBuildTypes,
+      webpackConfigurations
+    );
+    result = sut.inspectConfig(target, buildType);
+    // Then
+    expect(result).toEqual([
+      {
+        config: {
+          name: 'target.legacy',
+          output: {
+            path: 'dist/legacy',
+          },
+        },
+        layers,
+        provenance: {
+          'output.path': {
+            value: 'dist/legacy',
+            layer: 'config/webpack/target.config.js',
+            type: 'file',
+          },
+          name: {
+            value: 'target.legacy',
+            layer: 'WebpackConfiguration',
+            type: 'configuration',
+          },
+        },
+      },
+      {
+        config: {
+          name: 'target.modern',
+          output: {
+            path: 'dist/modern',
+          },
+          dependencies: ['target.legacy'],
+        },
+        layers,
+        provenance: {
+          'output.path': {
+            value: 'dist/modern',
+            layer: 'config/webpack/target.config.js',
+            type: 'file',
+          },
+          name: {
+            value: 'target.modern',
+            layer: 'WebpackConfiguration',
+            type: 'configuration',
+          },
+          'dependencies[0]': {
+            value: 'target.legacy',
+            layer: 'WebpackConfiguration',
+            type: 'configuration',
+          },
+        },
+      },
+    ]);
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackConfiguration);
+    expect(sut.buildVersion).toBe('buildVersion');
+    expect(sut.pathUtils).toBe('pathUtils');
+    expect(sut.buildVersion).toBe('buildVersion');
+    expect(sut.targets).toBe('targets');
+    expect(sut.targetsFileRules).toBe('targetsFileRules');
+    expect(sut.targetConfiguration).toBe('targetConfiguration');
+    expect(sut.webpackBuildTypes).toBe('webpackBuildTypes');
     expect(sut.webpackConfigurations).toEqual({
       node: {
         development: 'webpackNodeDevelopmentConfiguration',
@@ -897,6 +2649,18 @@ describe('services/building:configuration', () => {
         development: 'webpackBrowserDevelopmentConfiguration',
         production: 'webpackBrowserProductionConfiguration',
       },
+      'electron-main': {
+        development: 'webpackElectronMainDevelopmentConfiguration',
+        production: 'webpackElectronMainProductionConfiguration',
+      },
+      'electron-renderer': {
+        development: 'webpackElectronRendererDevelopmentConfiguration',
+        production: 'webpackElectronRendererProductionConfiguration',
+      },
+      webworker: {
+        development: 'webpackWebworkerDevelopmentConfiguration',
+        production: 'webpackWebworkerProductionConfiguration',
+      },
     });
   });
 });
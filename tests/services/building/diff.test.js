@@ -0,0 +1,601 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('fs-extra');
+jest.unmock('/src/services/building/diff');
+
+require('jasmine-expect');
+const fs = require('fs-extra');
+const {
+  WebpackConfigurationDiff,
+  webpackConfigurationDiff,
+} = require('/src/services/building/diff');
+
+describe('services/building:diff', () => {
+  const projectPath = '/some/project';
+  const getPathUtils = () => ({
+    join: jest.fn(() => projectPath),
+  });
+  const getSnapshot = (sections = {}) => Object.assign(
+    {
+      version: 1,
+      target: 'some-target',
+      buildType: 'development',
+      rules: [],
+      plugins: {},
+      externals: {},
+      output: {},
+      optimization: {},
+    },
+    sections
+  );
+
+  beforeEach(() => {
+    fs.writeJsonSync.mockReset();
+    fs.readJsonSync.mockReset();
+    fs.pathExistsSync.mockReset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const pathUtils = 'pathUtils';
+    const webpackConfiguration = 'webpackConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackConfigurationDiff(appLogger, pathUtils, webpackConfiguration);
+    // Then
+    expect(sut).toBeInstanceOf(WebpackConfigurationDiff);
+    expect(sut.appLogger).toBe(appLogger);
+    expect(sut.pathUtils).toBe(pathUtils);
+    expect(sut.webpackConfiguration).toBe(webpackConfiguration);
+    expect(sut.sections).toEqual(['rules', 'plugins', 'externals', 'output', 'optimization']);
+    expect(sut.version).toBeNumber();
+  });
+
+  it('should create a snapshot of a target configuration', () => {
+    // Given
+    class ProjextPlugin {
+      getOptions() {
+        return {
+          url: `${projectPath}/index.html`,
+        };
+      }
+    }
+    class OptionsPlugin {
+      constructor(options) {
+        this.options = options;
+      }
+    }
+    class PropsPlugin {
+      constructor() {
+        this.enabled = true;
+        this.filter = undefined;
+      }
+    }
+    class TerserPlugin {
+      constructor() {
+        this.options = {
+          parallel: true,
+        };
+      }
+    }
+    const config = {
+      entry: 'ignored',
+      module: {
+        rules: [
+          {
+            test: /\.jsx?$/i,
+            include: [projectPath, `${projectPath}/src`, `${projectPath}-other/src`],
+            use: [{
+              loader: 'babel-loader',
+              options: {
+                presets: [['env', undefined]],
+                cacheDirectory: true,
+              },
+            }],
+          },
+        ],
+      },
+      plugins: [
+        new ProjextPlugin(),
+        new OptionsPlugin({ test: /\.js$/, filter: function namedFilter() {} }),
+        new OptionsPlugin({ compiler: new ProjextPlugin() }),
+        new PropsPlugin(),
+      ],
+      externals: {
+        'react-dom': 'commonjs react-dom',
+      },
+      output: {
+        path: `${projectPath}/dist`,
+        filename: '[name].js',
+        publicPath: '/',
+      },
+      optimization: {
+        minimizer: [new TerserPlugin()],
+        splitChunks: {
+          name: (() => () => {})(),
+          cacheGroups: Object.assign(Object.create(null), { default: false }),
+        },
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'production';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', getPathUtils(), webpackConfiguration);
+    result = sut.createSnapshot(target, buildType);
+    // Then
+    expect(result).toEqual({
+      version: sut.version,
+      target: target.name,
+      buildType,
+      rules: [
+        {
+          include: ['<project>', '<project>/src', `${projectPath}-other/src`],
+          test: '/\\.jsx?$/i',
+          use: [{
+            loader: 'babel-loader',
+            options: {
+              cacheDirectory: true,
+              presets: [['env', null]],
+            },
+          }],
+        },
+      ],
+      plugins: {
+        ProjextPlugin: {
+          url: '<project>/index.html',
+        },
+        OptionsPlugin: {
+          filter: '[Function: namedFilter]',
+          test: '/\\.js$/',
+        },
+        'OptionsPlugin#2': {
+          compiler: '[ProjextPlugin]',
+        },
+        PropsPlugin: {
+          enabled: true,
+        },
+      },
+      externals: {
+        'react-dom': 'commonjs react-dom',
+      },
+      output: {
+        filename: '[name].js',
+        path: '<project>/dist',
+        publicPath: '/',
+      },
+      optimization: {
+        minimizer: {
+          TerserPlugin: {
+            parallel: true,
+          },
+        },
+        splitChunks: {
+          cacheGroups: {
+            default: false,
+          },
+          name: '[Function]',
+        },
+      },
+    });
+    expect(Object.keys(result.rules[0])).toEqual(['include', 'test', 'use']);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(target, buildType);
+  });
+
+  it('should create a snapshot of a configuration without the optional sections', () => {
+    // Given
+    const circular = {
+      name: 'circular',
+    };
+    circular.self = circular;
+    const config = {
+      module: {},
+      output: {
+        circular,
+        list: [circular],
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', getPathUtils(), webpackConfiguration);
+    result = sut.createSnapshot(target, buildType);
+    // Then
+    expect(result).toEqual(getSnapshot({
+      output: {
+        circular: {
+          name: 'circular',
+          self: '[Circular]',
+        },
+        list: [{
+          name: 'circular',
+          self: '[Circular]',
+        }],
+      },
+    }));
+  });
+
+  it('should create a snapshot of a target with a list of configurations', () => {
+    // Given
+    class ModernPlugin {
+      constructor() {
+        this.options = { type: 'modern' };
+      }
+    }
+    const configs = [
+      {
+        name: 'some-target.modern',
+        plugins: [new ModernPlugin()],
+        output: {
+          filename: 'modern.js',
+        },
+      },
+      {
+        output: {
+          filename: 'legacy.js',
+        },
+      },
+    ];
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => configs),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'production';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', getPathUtils(), webpackConfiguration);
+    result = sut.createSnapshot(target, buildType);
+    // Then
+    expect(result).toEqual(getSnapshot({
+      buildType,
+      rules: {
+        1: [],
+        'some-target.modern': [],
+      },
+      plugins: {
+        1: {},
+        'some-target.modern': {
+          ModernPlugin: {
+            type: 'modern',
+          },
+        },
+      },
+      externals: {
+        1: {},
+        'some-target.modern': {},
+      },
+      output: {
+        1: {
+          filename: 'legacy.js',
+        },
+        'some-target.modern': {
+          filename: 'modern.js',
+        },
+      },
+      optimization: {
+        1: {},
+        'some-target.modern': {},
+      },
+    }));
+    expect(Object.keys(result.output)).toEqual(['1', 'some-target.modern']);
+  });
+
+  it('should save a snapshot of a target configuration', () => {
+    // Given
+    const config = {
+      externals: {
+        config: `${projectPath}/config.json`,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    const filepath = 'snapshot.json';
+    let sut = null;
+    let result = null;
+    const expectedSnapshot = getSnapshot({
+      externals: {
+        config: '<project>/config.json',
+      },
+    });
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', getPathUtils(), webpackConfiguration);
+    result = sut.saveSnapshot(target, buildType, filepath);
+    // Then
+    expect(result).toEqual(expectedSnapshot);
+    expect(fs.writeJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.writeJsonSync).toHaveBeenCalledWith(filepath, expectedSnapshot, { spaces: 2 });
+  });
+
+  it('should load a snapshot', () => {
+    // Given
+    const snapshot = getSnapshot();
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => snapshot);
+    const filepath = 'snapshot.json';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', 'pathUtils', 'webpackConfiguration');
+    result = sut.loadSnapshot(filepath);
+    // Then
+    expect(result).toEqual(snapshot);
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(1);
+    expect(fs.pathExistsSync).toHaveBeenCalledWith(filepath);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(filepath);
+  });
+
+  it('should throw an error when trying to load a snapshot that doesn\'t exist', () => {
+    // Given
+    fs.pathExistsSync.mockImplementationOnce(() => false);
+    const filepath = 'snapshot.json';
+    let sut = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', 'pathUtils', 'webpackConfiguration');
+    // Then
+    expect(() => sut.loadSnapshot(filepath)).toThrow(/doesn't exist/i);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(0);
+  });
+
+  it('should throw an error when trying to load an invalid snapshot', () => {
+    // Given
+    fs.pathExistsSync.mockImplementation(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => null);
+    fs.readJsonSync.mockImplementationOnce(() => getSnapshot({ version: 0 }));
+    const filepath = 'snapshot.json';
+    let sut = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', 'pathUtils', 'webpackConfiguration');
+    // Then
+    expect(() => sut.loadSnapshot(filepath)).toThrow(/different version/i);
+    expect(() => sut.loadSnapshot(filepath)).toThrow(/different version/i);
+  });
+
+  it('should compare two snapshots', () => {
+    // Given
+    const from = getSnapshot({
+      rules: [
+        {
+          test: '/\\.jsx?$/i',
+          exclude: [],
+        },
+      ],
+      plugins: {
+        DefinePlugin: {
+          'process.env.NODE_ENV': '"development"',
+        },
+        HotModuleReplacementPlugin: {},
+      },
+      externals: {
+        react: 'commonjs react',
+      },
+      output: {
+        filename: '[name].js',
+      },
+    });
+    const to = getSnapshot({
+      rules: [
+        {
+          test: '/\\.jsx?$/i',
+          exclude: ['node_modules'],
+        },
+      ],
+      plugins: {
+        DefinePlugin: {
+          'process.env.NODE_ENV': '"production"',
+        },
+        CompressionPlugin: {},
+      },
+      externals: {
+        react: 'commonjs react',
+      },
+      output: {
+        filename: '[name].[hash].js',
+      },
+      optimization: {
+        minimize: true,
+      },
+    });
+    delete from.optimization;
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff('appLogger', 'pathUtils', 'webpackConfiguration');
+    result = sut.compare(from, to);
+    // Then
+    expect(result).toEqual([
+      {
+        path: 'rules[0].exclude',
+        type: 'removed',
+        from: '[]',
+      },
+      {
+        path: 'rules[0].exclude[0]',
+        type: 'added',
+        to: '"node_modules"',
+      },
+      {
+        path: 'plugins.DefinePlugin["process.env.NODE_ENV"]',
+        type: 'changed',
+        from: '"\\"development\\""',
+        to: '"\\"production\\""',
+      },
+      {
+        path: 'plugins.HotModuleReplacementPlugin',
+        type: 'removed',
+        from: '{}',
+      },
+      {
+        path: 'plugins.CompressionPlugin',
+        type: 'added',
+        to: '{}',
+      },
+      {
+        path: 'output.filename',
+        type: 'changed',
+        from: '"[name].js"',
+        to: '"[name].[hash].js"',
+      },
+      {
+        path: 'optimization',
+        type: 'removed',
+        from: 'null',
+      },
+      {
+        path: 'optimization.minimize',
+        type: 'added',
+        to: 'true',
+      },
+    ]);
+  });
+
+  it('should compare and log the configurations of two build types', () => {
+    // Given
+    const appLogger = {
+      warning: jest.fn(),
+      log: jest.fn(),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn((target, buildType) => ({
+        externals: {
+          react: buildType,
+        },
+        output: buildType === 'development' ? {
+          pathinfo: true,
+        } : {
+          publicPath: '/',
+        },
+      })),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    let sut = null;
+    let result = null;
+    const expectedDifferences = [
+      {
+        path: 'externals.react',
+        type: 'changed',
+        from: '"development"',
+        to: '"production"',
+      },
+      {
+        path: 'output.pathinfo',
+        type: 'removed',
+        from: 'true',
+      },
+      {
+        path: 'output.publicPath',
+        type: 'added',
+        to: '"/"',
+      },
+    ];
+    // When
+    sut = new WebpackConfigurationDiff(appLogger, getPathUtils(), webpackConfiguration);
+    result = sut.diffBuildTypes(target, 'development', 'production');
+    // Then
+    expect(result).toEqual(expectedDifferences);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(2);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(target, 'development');
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(target, 'production');
+    expect(appLogger.warning).toHaveBeenCalledTimes(1);
+    expect(appLogger.warning).toHaveBeenCalledWith(
+      'There are 3 difference(s) between \'some-target\' (development) and ' +
+      '\'some-target\' (production):'
+    );
+    expect(appLogger.log).toHaveBeenCalledTimes(1);
+    expect(appLogger.log).toHaveBeenCalledWith([
+      ['~ externals.react: "development" -> "production"', 'yellow'],
+      ['- output.pathinfo: true', 'red'],
+      ['+ output.publicPath: "/"', 'green'],
+    ]);
+  });
+
+  it('should compare and log the configuration of a target with a snapshot', () => {
+    // Given
+    const appLogger = {
+      success: jest.fn(),
+    };
+    const config = {
+      output: {
+        path: `${projectPath}/dist`,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'production';
+    const filepath = 'snapshot.json';
+    fs.pathExistsSync.mockImplementationOnce(() => true);
+    fs.readJsonSync.mockImplementationOnce(() => getSnapshot({
+      buildType,
+      output: {
+        path: '<project>/dist',
+      },
+    }));
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackConfigurationDiff(appLogger, getPathUtils(), webpackConfiguration);
+    result = sut.diffSnapshot(target, buildType, filepath);
+    // Then
+    expect(result).toEqual([]);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(filepath);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(target, buildType);
+    expect(appLogger.success).toHaveBeenCalledTimes(1);
+    expect(appLogger.success).toHaveBeenCalledWith(
+      `There are no differences between ${filepath} and 'some-target' (${buildType})`
+    );
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackConfigurationDiff(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackConfigurationDiff');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackConfigurationDiff);
+    expect(sut.appLogger).toBe('appLogger');
+    expect(sut.pathUtils).toBe('pathUtils');
+    expect(sut.webpackConfiguration).toBe('webpackConfiguration');
+  });
+});
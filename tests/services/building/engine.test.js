@@ -1,41 +1,70 @@
 const JimpleMock = require('/tests/mocks/jimple.mock');
 
 jest.mock('jimple', () => JimpleMock);
+jest.mock('webpack');
+jest.mock('fs-extra');
 jest.unmock('/src/services/building/engine');
+jest.unmock('/src/services/building/errors');
 
 require('jasmine-expect');
+const fs = require('fs-extra');
+const webpack = require('webpack');
+const {
+  WebpackCompilerError,
+  WebpackCompilationError,
+} = require('/src/services/building/errors');
 const {
   WebpackBuildEngine,
   webpackBuildEngine,
 } = require('/src/services/building/engine');
 
 describe('services/building:engine', () => {
+  beforeEach(() => {
+    webpack.mockReset();
+    fs.writeJsonSync.mockReset();
+  });
+
   it('should be instantiated with all its dependencies', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = 'webpackBuildManifest';
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = 'webpackPluginInfo';
     let sut = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     // Then
     expect(sut).toBeInstanceOf(WebpackBuildEngine);
+    expect(sut.appLogger).toBe(appLogger);
     expect(sut.environmentUtils).toBe(environmentUtils);
     expect(sut.targets).toBe(targets);
+    expect(sut.webpackBuildManifest).toBe(webpackBuildManifest);
     expect(sut.webpackConfiguration).toBe(webpackConfiguration);
     expect(sut.webpackPluginInfo).toBe(webpackPluginInfo);
   });
 
   it('should return the command to build a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const manifest = {
+      targets: ['some-target'],
+    };
+    const manifestPath = '/tmp/webpack-build.some-target.development.json';
+    const webpackBuildManifest = {
+      create: jest.fn(() => manifest),
+      write: jest.fn(() => manifestPath),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -54,29 +83,78 @@ describe('services/building:engine', () => {
       `/${webpackPluginInfo.name}/${webpackPluginInfo.configuration}`;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack/);
-    expect(result).toMatch(/PXTWPK_RUN=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_WATCH=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_INSPECT=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=false.*?webpack/);
-    expect(result).toMatch(new RegExp(`webpack --config ${expectedConfigPath}`));
-    expect(result).toMatch(/webpack --config.*?--progress/);
-    expect(result).toMatch(/webpack --config.*?--profile/);
-    expect(result).toMatch(/webpack --config.*?--colors/);
+    expect(result).toBe(
+      `PXTWPK_MANIFEST='${manifestPath}' webpack --config ${expectedConfigPath} ` +
+      '--progress --profile --colors'
+    );
+    expect(webpackBuildManifest.create).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+    });
+    expect(webpackBuildManifest.write).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.write).toHaveBeenCalledWith(manifest);
+  });
+
+  it('should escape the manifest path on the command', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => '/tmp/some user\'s dir/manifest.json'),
+    };
+    const webpackConfiguration = 'webpackConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-projext-plugin-webpack',
+      configuration: 'my-webpack.config.jsx',
+    };
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getBuildCommand(target, 'production');
+    // Then
+    expect(result).toMatch(
+      /^PXTWPK_MANIFEST='\/tmp\/some user'\\''s dir\/manifest\.json' webpack --config /
+    );
   });
 
   it('should return the command to build and run a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const manifestPath = '/tmp/webpack-build.some-target.development.json';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => manifestPath),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -96,29 +174,30 @@ describe('services/building:engine', () => {
       `/${webpackPluginInfo.name}/${webpackPluginInfo.configuration}`;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_RUN=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_WATCH=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_INSPECT=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=false.*?webpack-dev-server/);
-    expect(result).toMatch(new RegExp(`webpack-dev-server --config ${expectedConfigPath}`));
-    expect(result).toMatch(/webpack-dev-server --config.*?--progress/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--profile/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--colors/);
+    expect(result).toBe(
+      `PXTWPK_MANIFEST='${manifestPath}' webpack-dev-server --config ${expectedConfigPath} ` +
+      '--progress --profile --colors'
+    );
   });
 
   it('should return the command to build and `force` run a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -136,29 +215,33 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType, true);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_RUN=true.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_WATCH=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_INSPECT=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=false.*?webpack-dev-server/);
-    expect(result).toMatch(/webpack-dev-server --config ([\w_\-/]*?)webpack\.config\.js/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--progress/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--profile/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--colors/);
+    expect(result).toMatch(/^PXTWPK_MANIFEST='manifest-path' webpack-dev-server --config /);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      run: true,
+      watch: false,
+      inspect: false,
+      analyze: false,
+    });
   });
 
   it('should return the command to build and `force` watch a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -179,29 +262,33 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType, false, true);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack/);
-    expect(result).toMatch(/PXTWPK_RUN=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_WATCH=true.*?webpack/);
-    expect(result).toMatch(/PXTWPK_INSPECT=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=false.*?webpack/);
-    expect(result).toMatch(/webpack --config ([\w_\-/]*?)webpack\.config\.js/);
-    expect(result).toMatch(/webpack --config.*?--progress/);
-    expect(result).toMatch(/webpack --config.*?--profile/);
-    expect(result).toMatch(/webpack --config.*?--colors/);
+    expect(result).toMatch(/^PXTWPK_MANIFEST='manifest-path' webpack --config /);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      run: false,
+      watch: true,
+      inspect: false,
+      analyze: false,
+    });
   });
 
   it('should return the command to build and `force` inspect a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -222,29 +309,33 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType, true, false, true);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_RUN=true.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_WATCH=false.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_INSPECT=true.*?webpack-dev-server/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=false.*?webpack-dev-server/);
-    expect(result).toMatch(/webpack-dev-server --config ([\w_\-/]*?)webpack\.config\.js/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--progress/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--profile/);
-    expect(result).toMatch(/webpack-dev-server --config.*?--colors/);
+    expect(result).toMatch(/^PXTWPK_MANIFEST='manifest-path' webpack-dev-server --config /);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      run: true,
+      watch: false,
+      inspect: true,
+      analyze: false,
+    });
   });
 
   it('should return the command to build and analyze a target', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
     const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = {
       name: 'my-projext-plugin-webpack',
@@ -261,29 +352,128 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
     result = sut.getBuildCommand(target, buildType, true, false, true, true);
     // Then
-    expect(result).toMatch(/PXTWPK_TARGET=(?:[\w0-9-_]*?).*?webpack/);
-    expect(result).toMatch(/PXTWPK_TYPE=(?:\w+).*?webpack/);
-    expect(result).toMatch(/PXTWPK_RUN=true.*?webpack/);
-    expect(result).toMatch(/PXTWPK_WATCH=false.*?webpack/);
-    expect(result).toMatch(/PXTWPK_INSPECT=true.*?webpack/);
-    expect(result).toMatch(/PXTWPK_ANALYZE=true.*?webpack/);
-    expect(result).toMatch(/webpack --config ([\w_\-/]*?)webpack\.config\.js/);
-    expect(result).toMatch(/webpack --config.*?--progress/);
-    expect(result).toMatch(/webpack --config.*?--profile/);
-    expect(result).toMatch(/webpack --config.*?--colors/);
+    expect(result).toMatch(/^PXTWPK_MANIFEST='manifest-path' webpack --config /);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      run: true,
+      watch: false,
+      inspect: true,
+      analyze: true,
+    });
+  });
+
+  it('should return the command to build multiple targets', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
+    const webpackConfiguration = 'webpackConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-projext-plugin-webpack',
+      configuration: 'my-webpack.config.jsx',
+    };
+    const buildType = 'development';
+    const targetsList = [
+      {
+        name: 'browser-target',
+        is: {
+          browser: true,
+        },
+        runOnDevelopment: true,
+      },
+      {
+        name: 'node-target',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getBuildCommand(targetsList, buildType, true);
+    // Then
+    expect(result).toMatch(/^PXTWPK_MANIFEST='manifest-path' webpack --config /);
+    expect(webpackBuildManifest.create).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(targetsList, buildType, {
+      run: true,
+      watch: false,
+      inspect: false,
+      analyze: false,
+    });
+  });
+
+  it('should return the command to build a target with extra options', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => 'manifest'),
+      write: jest.fn(() => 'manifest-path'),
+    };
+    const webpackConfiguration = 'webpackConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-projext-plugin-webpack',
+      configuration: 'my-webpack.config.jsx',
+    };
+    const buildType = 'development';
+    const target = {
+      name: 'some-target',
+      is: {
+        browser: true,
+      },
+    };
+    const extraOptions = {
+      port: 8080,
+    };
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    sut.getBuildCommand(target, buildType, true, false, false, false, extraOptions);
+    // Then
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {
+      port: extraOptions.port,
+      run: true,
+      watch: false,
+      inspect: false,
+      analyze: false,
+    });
   });
 
   it('should return a target webpack configuration from the configurations service', () => {
     // Given
+    const appLogger = 'appLogger';
     const environmentUtils = 'environmentUtils';
     const targets = 'targets';
+    const webpackBuildManifest = 'webpackBuildManifest';
     const target = 'some-target';
     const buildType = 'production';
     const config = 'config';
@@ -298,8 +488,10 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
@@ -314,31 +506,32 @@ describe('services/building:engine', () => {
     // Given
     const targetName = 'some-target';
     const buildType = 'development';
-    const run = false;
-    const watch = false;
-    const inspect = false;
-    const analyze = false;
     const target = {
       name: targetName,
       watch: {
-        [buildType]: watch,
+        [buildType]: false,
       },
     };
-    const envVars = {
-      PXTWPK_TARGET: targetName,
-      PXTWPK_TYPE: buildType,
-      PXTWPK_RUN: run.toString(),
-      PXTWPK_WATCH: watch.toString(),
-      PXTWPK_INSPECT: inspect.toString(),
-      PXTWPK_ANALYZE: analyze.toString(),
+    const manifestPath = 'manifest-path';
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
     };
-    const envVarsNames = Object.keys(envVars);
+    const appLogger = 'appLogger';
     const environmentUtils = {
-      get: jest.fn((varName) => envVars[varName]),
+      get: jest.fn(() => manifestPath),
     };
     const targets = {
       getTarget: jest.fn(() => target),
     };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
     const config = 'config';
     const webpackConfiguration = {
       getConfig: jest.fn(() => config),
@@ -351,8 +544,10 @@ describe('services/building:engine', () => {
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
@@ -360,61 +555,67 @@ describe('services/building:engine', () => {
     // Then
     expect(result).toBe(config);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
-    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(target, buildType);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+      Object.assign({}, target, {
+        buildOptions: {},
+      }),
+      buildType
+    );
     expect(targets.getTarget).toHaveBeenCalledTimes(1);
     expect(targets.getTarget).toHaveBeenCalledWith(targetName);
-    expect(environmentUtils.get).toHaveBeenCalledTimes(envVarsNames.length);
-    envVarsNames.forEach((envVar) => {
-      expect(environmentUtils.get).toHaveBeenCalledWith(envVar);
-    });
+    expect(environmentUtils.get).toHaveBeenCalledTimes(1);
+    expect(environmentUtils.get).toHaveBeenCalledWith('PXTWPK_MANIFEST');
+    expect(webpackBuildManifest.read).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.read).toHaveBeenCalledWith(manifestPath);
   });
 
   it('should return a webpack configuration for running a target', () => {
     // Given
     const targetName = 'some-target';
     const buildType = 'development';
-    const run = true;
-    const watch = true;
-    const inspect = false;
-    const analyze = false;
     const target = {
       name: targetName,
       watch: {
-        [buildType]: watch,
+        [buildType]: false,
       },
       inspect: {
         enabled: false,
       },
     };
-    const envVars = {
-      PXTWPK_TARGET: targetName,
-      PXTWPK_TYPE: buildType,
-      PXTWPK_RUN: run.toString(),
-      PXTWPK_WATCH: watch.toString(),
-      PXTWPK_INSPECT: inspect.toString(),
-      PXTWPK_ANALYZE: analyze.toString(),
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: true,
+      watch: true,
+      inspect: false,
+      analyze: false,
+      options: {
+        port: 8080,
+      },
     };
-    const envVarsNames = Object.keys(envVars);
+    const appLogger = 'appLogger';
     const environmentUtils = {
-      get: jest.fn((varName) => envVars[varName]),
+      get: jest.fn(() => 'manifest-path'),
     };
     const targets = {
       getTarget: jest.fn(() => target),
     };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
     const config = 'config';
     const webpackConfiguration = {
       getConfig: jest.fn(() => config),
     };
-    const webpackPluginInfo = {
-      name: 'my-projext-plugin-webpack',
-      configuration: 'my-webpack.config.jsx',
-    };
+    const webpackPluginInfo = 'webpackPluginInfo';
     let sut = null;
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
@@ -423,67 +624,60 @@ describe('services/building:engine', () => {
     expect(result).toBe(config);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
-      Object.assign(
-        {},
-        target,
-        {
-          runOnDevelopment: true,
-        }
-      ),
+      Object.assign({}, target, {
+        runOnDevelopment: true,
+        watch: {
+          [buildType]: true,
+        },
+        buildOptions: manifest.options,
+      }),
       buildType
     );
-    expect(targets.getTarget).toHaveBeenCalledTimes(1);
-    expect(targets.getTarget).toHaveBeenCalledWith(targetName);
-    expect(environmentUtils.get).toHaveBeenCalledTimes(envVarsNames.length);
-    envVarsNames.forEach((envVar) => {
-      expect(environmentUtils.get).toHaveBeenCalledWith(envVar);
-    });
   });
 
   it('should return a webpack configuration for running and inspecting a target', () => {
     // Given
     const targetName = 'some-target';
     const buildType = 'development';
-    const run = true;
-    const watch = true;
-    const inspect = true;
-    const analyze = false;
     const target = {
       name: targetName,
       watch: {
-        [buildType]: watch,
+        [buildType]: false,
       },
       inspect: {},
     };
-    const envVars = {
-      PXTWPK_TARGET: targetName,
-      PXTWPK_TYPE: buildType,
-      PXTWPK_RUN: run.toString(),
-      PXTWPK_WATCH: watch.toString(),
-      PXTWPK_INSPECT: inspect.toString(),
-      PXTWPK_ANALYZE: analyze.toString(),
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: true,
+      watch: false,
+      inspect: true,
+      analyze: false,
+      options: {},
     };
-    const envVarsNames = Object.keys(envVars);
+    const appLogger = 'appLogger';
     const environmentUtils = {
-      get: jest.fn((varName) => envVars[varName]),
+      get: jest.fn(() => 'manifest-path'),
     };
     const targets = {
       getTarget: jest.fn(() => target),
     };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
     const config = 'config';
     const webpackConfiguration = {
       getConfig: jest.fn(() => config),
     };
-    const webpackPluginInfo = {
-      name: 'my-projext-plugin-webpack',
-      configuration: 'my-webpack.config.jsx',
-    };
+    const webpackPluginInfo = 'webpackPluginInfo';
     let sut = null;
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
@@ -492,70 +686,60 @@ describe('services/building:engine', () => {
     expect(result).toBe(config);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
-      Object.assign(
-        {},
-        target,
-        {
-          runOnDevelopment: true,
-          inspect: {
-            enabled: true,
-          },
-        }
-      ),
+      Object.assign({}, target, {
+        runOnDevelopment: true,
+        inspect: {
+          enabled: true,
+        },
+        buildOptions: {},
+      }),
       buildType
     );
-    expect(targets.getTarget).toHaveBeenCalledTimes(1);
-    expect(targets.getTarget).toHaveBeenCalledWith(targetName);
-    expect(environmentUtils.get).toHaveBeenCalledTimes(envVarsNames.length);
-    envVarsNames.forEach((envVar) => {
-      expect(environmentUtils.get).toHaveBeenCalledWith(envVar);
-    });
   });
 
   it('should return a webpack configuration for bundling and analyzing a target', () => {
     // Given
     const targetName = 'some-target';
     const buildType = 'development';
-    const run = true;
-    const watch = true;
-    const inspect = true;
-    const analyze = true;
     const target = {
       name: targetName,
       watch: {
-        [buildType]: watch,
+        [buildType]: false,
       },
       inspect: {},
     };
-    const envVars = {
-      PXTWPK_TARGET: targetName,
-      PXTWPK_TYPE: buildType,
-      PXTWPK_RUN: run.toString(),
-      PXTWPK_WATCH: watch.toString(),
-      PXTWPK_INSPECT: inspect.toString(),
-      PXTWPK_ANALYZE: analyze.toString(),
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: true,
+      watch: true,
+      inspect: true,
+      analyze: true,
+      options: {},
     };
-    const envVarsNames = Object.keys(envVars);
+    const appLogger = 'appLogger';
     const environmentUtils = {
-      get: jest.fn((varName) => envVars[varName]),
+      get: jest.fn(() => 'manifest-path'),
     };
     const targets = {
       getTarget: jest.fn(() => target),
     };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
     const config = 'config';
     const webpackConfiguration = {
       getConfig: jest.fn(() => config),
     };
-    const webpackPluginInfo = {
-      name: 'my-projext-plugin-webpack',
-      configuration: 'my-webpack.config.jsx',
-    };
+    const webpackPluginInfo = 'webpackPluginInfo';
     let sut = null;
     let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
@@ -564,53 +748,1868 @@ describe('services/building:engine', () => {
     expect(result).toBe(config);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
     expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
-      Object.assign(
-        {},
-        target,
-        {
-          analyze: true,
-        }
-      ),
+      Object.assign({}, target, {
+        analyze: true,
+        buildOptions: {},
+      }),
       buildType
     );
-    expect(targets.getTarget).toHaveBeenCalledTimes(1);
-    expect(targets.getTarget).toHaveBeenCalledWith(targetName);
-    expect(environmentUtils.get).toHaveBeenCalledTimes(envVarsNames.length);
-    envVarsNames.forEach((envVar) => {
-      expect(environmentUtils.get).toHaveBeenCalledWith(envVar);
-    });
   });
 
-  it('should throw an error when getting a configuration without the env variables', () => {
+  it('should return the configurations for multiple targets', () => {
+    // Given
+    const buildType = 'development';
+    const browserTarget = {
+      name: 'browser-target',
+      is: {
+        browser: true,
+      },
+      runOnDevelopment: true,
+    };
+    const nodeTarget = {
+      name: 'node-target',
+      is: {
+        node: true,
+      },
+    };
+    const targetsList = [browserTarget, nodeTarget];
+    const manifest = {
+      targets: targetsList.map((target) => target.name),
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = 'appLogger';
+    const environmentUtils = {
+      get: jest.fn(() => 'manifest-path'),
+    };
+    const targets = {
+      getTarget: jest.fn((name) => targetsList.find((target) => target.name === name)),
+    };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn((target) => ({
+        mode: buildType,
+        entry: target.name,
+      })),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getWebpackConfig();
+    // Then
+    expect(result).toEqual(targetsList.map((target) => ({
+      mode: buildType,
+      entry: target.name,
+      name: target.name,
+    })));
+    expect(targets.getTarget).toHaveBeenCalledTimes(targetsList.length);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(targetsList.length);
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+      Object.assign({}, browserTarget, {
+        runOnDevelopment: false,
+        buildOptions: {},
+      }),
+      buildType
+    );
+    expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+      Object.assign({}, nodeTarget, {
+        buildOptions: {},
+      }),
+      buildType
+    );
+  });
+
+  it('should return the configurations for multiple targets with library formats', () => {
+    // Given
+    const buildType = 'production';
+    const libraryTarget = {
+      name: 'library-target',
+      is: {
+        node: true,
+      },
+    };
+    const nodeTarget = {
+      name: 'node-target',
+      is: {
+        node: true,
+      },
+    };
+    const targetsList = [libraryTarget, nodeTarget];
+    const manifest = {
+      targets: targetsList.map((target) => target.name),
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = 'appLogger';
+    const environmentUtils = {
+      get: jest.fn(() => 'manifest-path'),
+    };
+    const targets = {
+      getTarget: jest.fn((name) => targetsList.find((target) => target.name === name)),
+    };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
+    const formats = ['umd', 'esm'];
+    const webpackConfiguration = {
+      getConfig: jest.fn((target) => (
+        target.name === libraryTarget.name ?
+          formats.map((format) => ({ name: `${target.name}.${format}` })) :
+          { entry: target.name }
+      )),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getWebpackConfig();
+    // Then
+    expect(result).toEqual([
+      ...formats.map((format) => ({ name: `${libraryTarget.name}.${format}` })),
+      {
+        entry: nodeTarget.name,
+        name: nodeTarget.name,
+      },
+    ]);
+  });
+
+  it('should log the targets which configuration can\'t be generated', () => {
     // Given
-    const envVarsNames = [
-      'PXTWPK_TARGET',
-      'PXTWPK_TYPE',
-      'PXTWPK_RUN',
-      'PXTWPK_WATCH',
-      'PXTWPK_INSPECT',
-      'PXTWPK_ANALYZE',
+    const buildType = 'development';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+      },
     ];
+    const manifest = {
+      targets: targetsList.map((target) => target.name),
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = {
+      error: jest.fn(),
+    };
     const environmentUtils = {
-      get: jest.fn(),
+      get: jest.fn(() => 'manifest-path'),
+    };
+    const targets = {
+      getTarget: jest.fn((name) => targetsList.find((target) => target.name === name)),
+    };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
+    const error = new Error('Invalid entry');
+    const webpackConfiguration = {
+      getConfig: jest.fn((target) => {
+        if (target.name === 'target-one') {
+          throw error;
+        }
+
+        return {
+          mode: buildType,
+        };
+      }),
     };
-    const targets = 'targets';
-    const webpackConfiguration = 'webpackConfiguration';
     const webpackPluginInfo = 'webpackPluginInfo';
     let sut = null;
+    let result = null;
     // When
     sut = new WebpackBuildEngine(
+      appLogger,
       environmentUtils,
       targets,
+      webpackBuildManifest,
       webpackConfiguration,
       webpackPluginInfo
     );
+    result = sut.getWebpackConfig();
     // Then
-    expect(() => sut.getWebpackConfig()).toThrow(/can only be run by using the `build` command/);
-    expect(environmentUtils.get).toHaveBeenCalledTimes(envVarsNames.length);
-    envVarsNames.forEach((envVar) => {
-      expect(environmentUtils.get).toHaveBeenCalledWith(envVar);
-    });
+    expect(result).toEqual([{
+      mode: buildType,
+      name: 'target-two',
+    }]);
+    expect(appLogger.error).toHaveBeenCalledTimes(1);
+    expect(appLogger.error).toHaveBeenCalledWith(
+      `The configuration for 'target-one' couldn't be generated: ${error.message}`
+    );
+  });
+
+  it('should throw an error if none of the targets configurations can be generated', () => {
+    // Given
+    const buildType = 'development';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const manifest = {
+      targets: targetsList.map((target) => target.name),
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = {
+      error: jest.fn(),
+    };
+    const environmentUtils = {
+      get: jest.fn(() => 'manifest-path'),
+    };
+    const targets = {
+      getTarget: jest.fn((name) => targetsList.find((target) => target.name === name)),
+    };
+    const webpackBuildManifest = {
+      read: jest.fn(() => manifest),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => {
+        throw new Error('Invalid entry');
+      }),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    // Then
+    expect(() => sut.getWebpackConfig()).toThrow(/None of the targets configurations/i);
+    expect(appLogger.error).toHaveBeenCalledTimes(targetsList.length);
+  });
+
+  it('should throw an error when getting a configuration without the manifest', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = {
+      get: jest.fn(),
+    };
+    const targets = 'targets';
+    const webpackBuildManifest = 'webpackBuildManifest';
+    const webpackConfiguration = 'webpackConfiguration';
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    // Then
+    expect(() => sut.getWebpackConfig()).toThrow(/can only be run by using the `build` command/);
+    expect(environmentUtils.get).toHaveBeenCalledTimes(1);
+    expect(environmentUtils.get).toHaveBeenCalledWith('PXTWPK_MANIFEST');
+  });
+
+  it('should bundle a target using the webpack API', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+      watch: {
+        production: false,
+      },
+    };
+    const buildType = 'production';
+    const config = {
+      mode: 'production',
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const asset = {
+      name: 'some-target.js',
+      size: 2509,
+      chunks: [0],
+    };
+    const statsInfo = {
+      assets: [asset],
+      warnings: ['some-warning'],
+      errors: [],
+    };
+    const stats = {
+      startTime: 10,
+      endTime: 25,
+      toJson: jest.fn(() => statsInfo),
+      hasErrors: jest.fn(() => false),
+    };
+    const compiler = {
+      options: {},
+      run: jest.fn((callback) => callback(null, stats)),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then((result) => {
+      // Then
+      expect(result).toEqual({
+        target: target.name,
+        buildType,
+        stats,
+        assets: [{
+          name: asset.name,
+          size: asset.size,
+        }],
+        warnings: statsInfo.warnings,
+        errors: statsInfo.errors,
+        time: {
+          start: stats.startTime,
+          end: stats.endTime,
+          duration: stats.endTime - stats.startTime,
+        },
+      });
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+        Object.assign({}, target, {
+          buildOptions: {},
+        }),
+        buildType
+      );
+      expect(webpack).toHaveBeenCalledTimes(1);
+      expect(webpack).toHaveBeenCalledWith(config);
+      expect(compiler.run).toHaveBeenCalledTimes(1);
+      expect(compiler.run).toHaveBeenCalledWith(expect.any(Function));
+      expect(stats.toJson).toHaveBeenCalledTimes(1);
+      expect(stats.toJson).toHaveBeenCalledWith({
+        all: false,
+        assets: true,
+        errors: true,
+        warnings: true,
+      });
+    });
+  });
+
+  it('should bundle and watch a target using the webpack API', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'development';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+      runOnDevelopment: false,
+      inspect: {
+        enabled: false,
+      },
+      watch: {
+        [buildType]: false,
+      },
+    };
+    const config = 'config';
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const stats = {
+      startTime: 10,
+      endTime: 25,
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors: [],
+      })),
+      hasErrors: jest.fn(() => false),
+    };
+    const watching = 'watching';
+    const compiler = {
+      options: {
+        watch: true,
+      },
+      watch: jest.fn((options, callback) => {
+        setTimeout(() => {
+          callback(null, stats);
+          callback(null, stats);
+        }, 1);
+        return watching;
+      }),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    let promise = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    promise = sut.build(target, buildType, {
+      run: true,
+      watch: true,
+      inspect: true,
+    });
+    jest.runAllTimers();
+    return promise
+    .then((result) => {
+      // Then
+      expect(result.watching).toBe(watching);
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+        Object.assign({}, target, {
+          runOnDevelopment: true,
+          inspect: {
+            enabled: true,
+          },
+          watch: {
+            [buildType]: true,
+          },
+          buildOptions: {},
+        }),
+        buildType
+      );
+      expect(compiler.watch).toHaveBeenCalledTimes(1);
+      expect(compiler.watch).toHaveBeenCalledWith({}, expect.any(Function));
+      expect(stats.toJson).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should close the watcher before rejecting the build if the compilation has errors', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'development';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+      watch: {
+        [buildType]: false,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => 'config'),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const errors = ['Module not found'];
+    const stats = {
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors,
+      })),
+      hasErrors: jest.fn(() => true),
+    };
+    const watching = {
+      close: jest.fn((callback) => callback()),
+    };
+    const compiler = {
+      options: {
+        watch: true,
+      },
+      watch: jest.fn((options, callback) => {
+        setTimeout(() => callback(null, stats), 1);
+        return watching;
+      }),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    let promise = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    promise = sut.build(target, buildType, { watch: true });
+    jest.runAllTimers();
+    return promise
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBeInstanceOf(WebpackCompilationError);
+      expect(result.message).toMatch(/finished with 1 error\(s\)/);
+      expect(watching.close).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('shouldn\'t run a browser target when bundling it with the webpack API', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'development';
+    const target = {
+      name: 'some-target',
+      is: {
+        browser: true,
+      },
+      runOnDevelopment: true,
+    };
+    const config = 'config';
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const stats = {
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors: [],
+      })),
+      hasErrors: jest.fn(() => false),
+    };
+    const compiler = {
+      options: {},
+      run: jest.fn((callback) => callback(null, stats)),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then(() => {
+      // Then
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(1);
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+        Object.assign({}, target, {
+          runOnDevelopment: false,
+          buildOptions: {},
+        }),
+        buildType
+      );
+    });
+  });
+
+  it('should reject the build if the configuration can\'t be generated', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'production';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+    };
+    const error = new Error('Something went wrong');
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => {
+        throw error;
+      }),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBeInstanceOf(WebpackCompilerError);
+      expect(result.message).toMatch(/couldn't be compiled: Something went wrong/);
+      expect(result.target).toBe(target.name);
+      expect(result.buildType).toBe(buildType);
+      expect(result.originalError).toBe(error);
+      expect(webpack).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should reject the build of a library target with multiple formats', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'production';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => [{ name: 'some-target.umd' }, { name: 'some-target.esm' }]),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBeInstanceOf(WebpackCompilerError);
+      expect(result.message).toMatch(/multiple library formats/i);
+      expect(result.target).toBe(target.name);
+      expect(webpack).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should reject the build if webpack fails', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'production';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => 'config'),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const error = new Error('Something went wrong');
+    const compiler = {
+      options: {},
+      run: jest.fn((callback) => callback(error)),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBeInstanceOf(WebpackCompilerError);
+      expect(result.message).toMatch(/webpack failed while bundling/);
+      expect(result.originalError).toBe(error);
+    });
+  });
+
+  it('should reject the build if the compilation has errors', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTarget, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: [manifestTarget.name],
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const buildType = 'production';
+    const target = {
+      name: 'some-target',
+      is: {
+        node: true,
+      },
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => 'config'),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const errors = ['Module not found'];
+    const stats = {
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors,
+      })),
+      hasErrors: jest.fn(() => true),
+    };
+    const compiler = {
+      options: {},
+      run: jest.fn((callback) => callback(null, stats)),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.build(target, buildType)
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((result) => {
+      // Then
+      expect(result).toBeInstanceOf(WebpackCompilationError);
+      expect(result.message).toMatch(/finished with 1 error\(s\)/);
+      expect(result.result.errors).toEqual(errors);
+      expect(result.result.stats).toBe(stats);
+    });
+  });
+
+  it('should bundle multiple targets on the same webpack process', () => {
+    // Given
+    const buildType = 'production';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          browser: true,
+        },
+      },
+      {
+        name: 'target-three',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-four',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTargets, manifestType, options) => Object.assign(
+        {
+          run: false,
+          watch: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: manifestTargets.map((target) => target.name),
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const configError = new Error('Invalid entry');
+    const webpackConfiguration = {
+      getConfig: jest.fn((target) => {
+        if (target.name === 'target-three') {
+          throw configError;
+        }
+
+        return {
+          mode: buildType,
+        };
+      }),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const createStats = (errors) => ({
+      startTime: 10,
+      endTime: 25,
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors,
+      })),
+      hasErrors: jest.fn(() => !!errors.length),
+    });
+    const statsList = [
+      createStats([]),
+      createStats([]),
+      createStats(['some-error']),
+    ];
+    const compiler = {
+      compilers: statsList.map(() => ({
+        options: {},
+      })),
+      run: jest.fn((callback) => callback(null, {
+        stats: statsList,
+      })),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.buildTargets(targetsList, buildType)
+    .then((result) => {
+      // Then
+      expect(result).toEqual([
+        {
+          target: 'target-one',
+          result: expect.any(Object),
+          error: null,
+        },
+        {
+          target: 'target-two',
+          result: expect.any(Object),
+          error: null,
+        },
+        {
+          target: 'target-three',
+          result: null,
+          error: expect.any(WebpackCompilerError),
+        },
+        {
+          target: 'target-four',
+          result: null,
+          error: expect.any(WebpackCompilationError),
+        },
+      ]);
+      expect(result[0].result.stats).toBe(statsList[0]);
+      expect(result[1].result.stats).toBe(statsList[1]);
+      expect(result[2].error.originalError).toBe(configError);
+      expect(result[3].error.result.stats).toBe(statsList[2]);
+      expect(webpackBuildManifest.create).toHaveBeenCalledTimes(targetsList.length);
+      expect(webpackBuildManifest.create).toHaveBeenCalledWith(targetsList, buildType, {});
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+        Object.assign({}, targetsList[1], {
+          runOnDevelopment: false,
+          buildOptions: {},
+        }),
+        buildType
+      );
+      expect(webpack).toHaveBeenCalledTimes(1);
+      expect(webpack).toHaveBeenCalledWith([
+        { mode: buildType, name: 'target-one' },
+        { mode: buildType, name: 'target-two' },
+        { mode: buildType, name: 'target-four' },
+      ]);
+      expect(compiler.run).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should bundle and watch multiple targets on the same webpack process', () => {
+    // Given
+    const buildType = 'development';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+        watch: {
+          [buildType]: false,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+        watch: {
+          [buildType]: false,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn((manifestTargets, manifestType, options) => Object.assign(
+        {
+          run: false,
+          inspect: false,
+          analyze: false,
+        },
+        options,
+        {
+          targets: manifestTargets.map((target) => target.name),
+          type: manifestType,
+          options: {},
+        }
+      )),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => ({
+        mode: buildType,
+      })),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const stats = {
+      startTime: 10,
+      endTime: 25,
+      toJson: jest.fn(() => ({
+        assets: [],
+        warnings: [],
+        errors: [],
+      })),
+      hasErrors: jest.fn(() => false),
+    };
+    const watchOptions = {
+      poll: true,
+    };
+    const watching = 'watching';
+    const compiler = {
+      compilers: [
+        {
+          options: {
+            watch: true,
+            watchOptions,
+          },
+        },
+        {
+          options: {
+            watch: true,
+          },
+        },
+      ],
+      watch: jest.fn((options, callback) => {
+        setTimeout(() => {
+          callback(null, {
+            stats: [stats, stats],
+          });
+          callback(null, {
+            stats: [stats],
+          });
+        }, 1);
+        return watching;
+      }),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    jest.useFakeTimers();
+    let sut = null;
+    let promise = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    promise = sut.buildTargets(targetsList, buildType, {
+      watch: true,
+    });
+    jest.runAllTimers();
+    return promise
+    .then((result) => {
+      // Then
+      expect(result.length).toBe(targetsList.length);
+      result.forEach((report) => {
+        expect(report.error).toBeNull();
+        expect(report.result.watching).toBe(watching);
+      });
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledWith(
+        Object.assign({}, targetsList[0], {
+          watch: {
+            [buildType]: true,
+          },
+          buildOptions: {},
+        }),
+        buildType
+      );
+      expect(compiler.watch).toHaveBeenCalledTimes(1);
+      expect(compiler.watch).toHaveBeenCalledWith(
+        [watchOptions, {}],
+        expect.any(Function)
+      );
+      expect(stats.toJson).toHaveBeenCalledTimes(targetsList.length);
+    });
+  });
+
+  it('should report an error for each target if webpack fails while bundling them', () => {
+    // Given
+    const buildType = 'production';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => ({
+        targets: targetsList.map((target) => target.name),
+        type: buildType,
+        run: false,
+        watch: false,
+        inspect: false,
+        analyze: false,
+        options: {},
+      })),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => ({
+        mode: buildType,
+      })),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const error = new Error('Out of memory');
+    const compiler = {
+      compilers: targetsList.map(() => ({
+        options: {},
+      })),
+      run: jest.fn((callback) => callback(error)),
+    };
+    webpack.mockImplementationOnce(() => compiler);
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.buildTargets(targetsList, buildType)
+    .then((result) => {
+      // Then
+      expect(result.length).toBe(targetsList.length);
+      result.forEach((report, index) => {
+        expect(report.target).toBe(targetsList[index].name);
+        expect(report.result).toBeNull();
+        expect(report.error).toBeInstanceOf(WebpackCompilerError);
+        expect(report.error.message).toMatch(/webpack failed while bundling/);
+        expect(report.error.originalError).toBe(error);
+      });
+    });
+  });
+
+  it('should report an error for each target if webpack rejects the configurations', () => {
+    // Given
+    const buildType = 'production';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => ({
+        targets: targetsList.map((target) => target.name),
+        type: buildType,
+        run: false,
+        watch: false,
+        inspect: false,
+        analyze: false,
+        options: {},
+      })),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => ({
+        mode: buildType,
+      })),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const error = new Error('Invalid configuration object');
+    webpack.mockImplementationOnce(() => {
+      throw error;
+    });
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.buildTargets(targetsList, buildType)
+    .then((result) => {
+      // Then
+      expect(result.length).toBe(targetsList.length);
+      result.forEach((report) => {
+        expect(report.result).toBeNull();
+        expect(report.error).toBeInstanceOf(WebpackCompilerError);
+        expect(report.error.message).toMatch(/couldn't be compiled/);
+        expect(report.error.originalError).toBe(error);
+      });
+    });
+  });
+
+  it('should report an error for each target if the build manifest can\'t be created', () => {
+    // Given
+    const buildType = 'production';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+      {
+        name: 'target-two',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const error = new Error('Invalid options');
+    const webpackBuildManifest = {
+      create: jest.fn(() => {
+        throw error;
+      }),
+    };
+    const webpackConfiguration = {
+      getConfig: jest.fn(),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.buildTargets(targetsList, buildType, { port: 'invalid' })
+    .then((result) => {
+      // Then
+      expect(result).toEqual([
+        {
+          target: 'target-one',
+          result: null,
+          error: expect.any(WebpackCompilerError),
+        },
+        {
+          target: 'target-two',
+          result: null,
+          error: expect.any(WebpackCompilerError),
+        },
+      ]);
+      expect(result[0].error.originalError).toBe(error);
+      expect(result[1].error.originalError).toBe(error);
+      expect(webpackConfiguration.getConfig).toHaveBeenCalledTimes(0);
+      expect(webpack).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('shouldn\'t call webpack if none of the targets configurations can be generated', () => {
+    // Given
+    const buildType = 'production';
+    const targetsList = [
+      {
+        name: 'target-one',
+        is: {
+          node: true,
+        },
+      },
+    ];
+    const appLogger = 'appLogger';
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => ({
+        targets: targetsList.map((target) => target.name),
+        type: buildType,
+        run: false,
+        watch: false,
+        inspect: false,
+        analyze: false,
+        options: {},
+      })),
+    };
+    const error = new Error('Invalid entry');
+    const webpackConfiguration = {
+      getConfig: jest.fn(() => {
+        throw error;
+      }),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    return sut.buildTargets(targetsList, buildType)
+    .then((result) => {
+      // Then
+      expect(result).toEqual([{
+        target: 'target-one',
+        result: null,
+        error: expect.any(WebpackCompilerError),
+      }]);
+      expect(result[0].error.originalError).toBe(error);
+      expect(webpack).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should inspect a target configuration and log it', () => {
+    // Given
+    const targetName = 'some-target';
+    const buildType = 'development';
+    const target = {
+      name: targetName,
+      watch: {
+        [buildType]: false,
+      },
+    };
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: false,
+      watch: true,
+      inspect: false,
+      analyze: false,
+      options: {
+        port: 2509,
+      },
+    };
+    const appLogger = {
+      success: jest.fn(),
+      log: jest.fn(),
+    };
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => manifest),
+    };
+    class SomePlugin {}
+    const nullPrototypeObject = Object.create(null);
+    const layers = [
+      { name: 'WebpackBaseConfiguration', type: 'configuration' },
+      { name: 'config/webpack/some-target.config.js', type: 'file' },
+    ];
+    const provenance = {
+      mode: {
+        value: 'development',
+        layer: 'WebpackBrowserDevelopmentConfiguration',
+        type: 'configuration',
+      },
+      'output.path': {
+        value: 'dist',
+        layer: 'config/webpack/some-target.config.js',
+        type: 'file',
+      },
+      'module.rules[0].test': {
+        value: /\.jsx?$/i,
+        layer: 'WebpackRulesConfiguration',
+        type: 'configuration',
+      },
+      'plugins[0]': {
+        value: new SomePlugin(),
+        layer: 'webpack-browser-configuration',
+        type: 'event',
+      },
+      'optimization.minimize': {
+        value: false,
+        layer: 'WebpackBrowserDevelopmentConfiguration',
+        type: 'configuration',
+      },
+      'devServer.port': {
+        value: 2509,
+        layer: 'WebpackBrowserDevelopmentConfiguration',
+        type: 'configuration',
+      },
+      'externals[0]': {
+        value: function externalsFn() {},
+        layer: 'WebpackBaseConfiguration',
+        type: 'configuration',
+      },
+      'externals[1]': {
+        value: (() => () => {})(),
+        layer: 'WebpackBaseConfiguration',
+        type: 'configuration',
+      },
+      'resolve.extensions': {
+        value: [],
+        layer: 'WebpackBaseConfiguration',
+        type: 'configuration',
+      },
+      'resolve.alias': {
+        value: {},
+        layer: 'WebpackBaseConfiguration',
+        type: 'configuration',
+      },
+      'resolve.modules': {
+        value: nullPrototypeObject,
+        layer: 'WebpackBaseConfiguration',
+        type: 'configuration',
+      },
+      'output.library': {
+        value: undefined,
+        layer: 'WebpackConfiguration',
+        type: 'configuration',
+      },
+    };
+    const inspection = {
+      config: 'config',
+      layers,
+      provenance,
+    };
+    const webpackConfiguration = {
+      inspectConfig: jest.fn(() => inspection),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const options = {
+      watch: true,
+      port: 2509,
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.inspectConfiguration(target, buildType, options);
+    // Then
+    expect(result).toBe(inspection);
+    expect(webpackBuildManifest.create).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, options);
+    expect(webpackConfiguration.inspectConfig).toHaveBeenCalledTimes(1);
+    expect(webpackConfiguration.inspectConfig).toHaveBeenCalledWith(
+      Object.assign({}, target, {
+        watch: {
+          [buildType]: true,
+        },
+        buildOptions: manifest.options,
+      }),
+      buildType
+    );
+    expect(fs.writeJsonSync).toHaveBeenCalledTimes(0);
+    expect(appLogger.success).toHaveBeenCalledTimes(1);
+    expect(appLogger.success).toHaveBeenCalledWith(
+      `Configuration for '${targetName}' (${buildType}):`
+    );
+    expect(appLogger.log).toHaveBeenCalledTimes(1);
+    expect(appLogger.log).toHaveBeenCalledWith([
+      'mode: "development" <- WebpackBrowserDevelopmentConfiguration',
+      'output.path: "dist" <- config/webpack/some-target.config.js',
+      'module.rules[0].test: /\\.jsx?$/i <- WebpackRulesConfiguration',
+      'plugins[0]: [SomePlugin] <- webpack-browser-configuration',
+      'optimization.minimize: false <- WebpackBrowserDevelopmentConfiguration',
+      'devServer.port: 2509 <- WebpackBrowserDevelopmentConfiguration',
+      'externals[0]: [Function: externalsFn] <- WebpackBaseConfiguration',
+      'externals[1]: [Function] <- WebpackBaseConfiguration',
+      'resolve.extensions: [] <- WebpackBaseConfiguration',
+      'resolve.alias: {} <- WebpackBaseConfiguration',
+      'resolve.modules: {} <- WebpackBaseConfiguration',
+      'output.library: null <- WebpackConfiguration',
+    ]);
+  });
+
+  it('should inspect a target configuration and save it on a file', () => {
+    // Given
+    const targetName = 'some-target';
+    const buildType = 'production';
+    const target = {
+      name: targetName,
+    };
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = {
+      success: jest.fn(),
+      log: jest.fn(),
+    };
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => manifest),
+    };
+    class SomePlugin {}
+    const layers = [
+      { name: 'WebpackBaseConfiguration', type: 'configuration' },
+      { name: 'webpack-browser-configuration', type: 'event' },
+    ];
+    const provenance = {
+      mode: {
+        value: 'production',
+        layer: 'WebpackBrowserProductionConfiguration',
+        type: 'configuration',
+      },
+      'plugins[0]': {
+        value: new SomePlugin(),
+        layer: 'webpack-browser-configuration',
+        type: 'event',
+      },
+    };
+    const inspection = {
+      config: 'config',
+      layers,
+      provenance,
+    };
+    const webpackConfiguration = {
+      inspectConfig: jest.fn(() => inspection),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const filepath = 'inspection.json';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.inspectConfiguration(target, buildType, undefined, filepath);
+    // Then
+    expect(result).toBe(inspection);
+    expect(webpackBuildManifest.create).toHaveBeenCalledTimes(1);
+    expect(webpackBuildManifest.create).toHaveBeenCalledWith(target, buildType, {});
+    expect(fs.writeJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.writeJsonSync).toHaveBeenCalledWith(
+      filepath,
+      {
+        target: targetName,
+        buildType,
+        layers,
+        values: {
+          mode: {
+            value: 'production',
+            layer: 'WebpackBrowserProductionConfiguration',
+            type: 'configuration',
+          },
+          'plugins[0]': {
+            value: '[SomePlugin]',
+            layer: 'webpack-browser-configuration',
+            type: 'event',
+          },
+        },
+      },
+      { spaces: 2 }
+    );
+    expect(appLogger.log).toHaveBeenCalledTimes(0);
+    expect(appLogger.success).toHaveBeenCalledTimes(1);
+    expect(appLogger.success).toHaveBeenCalledWith(
+      `The configuration for '${targetName}' was inspected and saved on ${filepath}`
+    );
+  });
+
+  it('should inspect each configuration of a target with multiple configurations', () => {
+    // Given
+    const targetName = 'some-target';
+    const buildType = 'production';
+    const target = {
+      name: targetName,
+    };
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = {
+      success: jest.fn(),
+      log: jest.fn(),
+    };
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => manifest),
+    };
+    const layers = [
+      { name: 'WebpackBrowserProductionConfiguration', type: 'configuration' },
+      { name: 'WebpackConfiguration', type: 'configuration' },
+    ];
+    const inspection = ['legacy', 'modern'].map((type) => ({
+      config: {
+        name: `${targetName}.${type}`,
+      },
+      layers,
+      provenance: {
+        'output.path': {
+          value: `dist/${type}`,
+          layer: 'WebpackBrowserProductionConfiguration',
+          type: 'configuration',
+        },
+      },
+    }));
+    const webpackConfiguration = {
+      inspectConfig: jest.fn(() => inspection),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.inspectConfiguration(target, buildType);
+    // Then
+    expect(result).toBe(inspection);
+    expect(appLogger.success).toHaveBeenCalledTimes(['legacy', 'modern'].length);
+    expect(appLogger.success).toHaveBeenNthCalledWith(
+      1,
+      `Configuration for '${targetName}.legacy' (${buildType}):`
+    );
+    expect(appLogger.success).toHaveBeenNthCalledWith(
+      2,
+      `Configuration for '${targetName}.modern' (${buildType}):`
+    );
+    expect(appLogger.log).toHaveBeenCalledTimes(['legacy', 'modern'].length);
+    expect(appLogger.log).toHaveBeenNthCalledWith(1, [
+      'output.path: "dist/legacy" <- WebpackBrowserProductionConfiguration',
+    ]);
+    expect(appLogger.log).toHaveBeenNthCalledWith(2, [
+      'output.path: "dist/modern" <- WebpackBrowserProductionConfiguration',
+    ]);
+  });
+
+  it('should save the inspections of a target with multiple configurations on a file', () => {
+    // Given
+    const targetName = 'some-target';
+    const buildType = 'production';
+    const target = {
+      name: targetName,
+    };
+    const manifest = {
+      targets: [targetName],
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    };
+    const appLogger = {
+      success: jest.fn(),
+      log: jest.fn(),
+    };
+    const environmentUtils = 'environmentUtils';
+    const targets = 'targets';
+    const webpackBuildManifest = {
+      create: jest.fn(() => manifest),
+    };
+    const layers = [
+      { name: 'WebpackBrowserProductionConfiguration', type: 'configuration' },
+      { name: 'WebpackConfiguration', type: 'configuration' },
+    ];
+    const inspection = ['legacy', 'modern'].map((type) => ({
+      config: {
+        name: `${targetName}.${type}`,
+      },
+      layers,
+      provenance: {
+        'output.path': {
+          value: `dist/${type}`,
+          layer: 'WebpackBrowserProductionConfiguration',
+          type: 'configuration',
+        },
+      },
+    }));
+    const webpackConfiguration = {
+      inspectConfig: jest.fn(() => inspection),
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const filepath = 'inspection.json';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildEngine(
+      appLogger,
+      environmentUtils,
+      targets,
+      webpackBuildManifest,
+      webpackConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.inspectConfiguration(target, buildType, undefined, filepath);
+    // Then
+    expect(result).toBe(inspection);
+    expect(fs.writeJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.writeJsonSync).toHaveBeenCalledWith(
+      filepath,
+      {
+        target: targetName,
+        buildType,
+        configurations: ['legacy', 'modern'].map((type) => ({
+          name: `${targetName}.${type}`,
+          layers,
+          values: {
+            'output.path': {
+              value: `dist/${type}`,
+              layer: 'WebpackBrowserProductionConfiguration',
+              type: 'configuration',
+            },
+          },
+        })),
+      },
+      { spaces: 2 }
+    );
+    expect(appLogger.log).toHaveBeenCalledTimes(0);
+    expect(appLogger.success).toHaveBeenCalledTimes(1);
   });
 
   it('should include a provider for the DIC', () => {
@@ -630,8 +2629,10 @@ describe('services/building:engine', () => {
     expect(serviceName).toBe('webpackBuildEngine');
     expect(serviceFn).toBeFunction();
     expect(sut).toBeInstanceOf(WebpackBuildEngine);
+    expect(sut.appLogger).toBe('appLogger');
     expect(sut.environmentUtils).toBe('environmentUtils');
     expect(sut.targets).toBe('targets');
+    expect(sut.webpackBuildManifest).toBe('webpackBuildManifest');
     expect(sut.webpackConfiguration).toBe('webpackConfiguration');
     expect(sut.webpackPluginInfo).toBe('webpackPluginInfo');
   });
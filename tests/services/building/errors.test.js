@@ -0,0 +1,67 @@
+jest.unmock('/src/services/building/errors');
+
+require('jasmine-expect');
+const {
+  WebpackBuildError,
+  WebpackCompilerError,
+  WebpackCompilationError,
+} = require('/src/services/building/errors');
+
+describe('services/building:errors', () => {
+  it('should create a build error with the target information', () => {
+    // Given
+    const message = 'Something went wrong';
+    const target = 'some-target';
+    const buildType = 'production';
+    let sut = null;
+    // When
+    sut = new WebpackBuildError(message, target, buildType);
+    // Then
+    expect(sut).toBeInstanceOf(Error);
+    expect(sut).toBeInstanceOf(WebpackBuildError);
+    expect(sut.name).toBe('WebpackBuildError');
+    expect(sut.message).toBe(message);
+    expect(sut.target).toBe(target);
+    expect(sut.buildType).toBe(buildType);
+  });
+
+  it('should create a compiler error with the original error', () => {
+    // Given
+    const message = 'Something went wrong';
+    const target = 'some-target';
+    const buildType = 'production';
+    const originalError = new Error('Invalid configuration');
+    let sut = null;
+    // When
+    sut = new WebpackCompilerError(message, target, buildType, originalError);
+    // Then
+    expect(sut).toBeInstanceOf(WebpackBuildError);
+    expect(sut).toBeInstanceOf(WebpackCompilerError);
+    expect(sut.name).toBe('WebpackCompilerError');
+    expect(sut.message).toBe(message);
+    expect(sut.target).toBe(target);
+    expect(sut.buildType).toBe(buildType);
+    expect(sut.originalError).toBe(originalError);
+  });
+
+  it('should create a compilation error with the build information', () => {
+    // Given
+    const message = 'Something went wrong';
+    const target = 'some-target';
+    const buildType = 'production';
+    const result = {
+      errors: ['Module not found'],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackCompilationError(message, target, buildType, result);
+    // Then
+    expect(sut).toBeInstanceOf(WebpackBuildError);
+    expect(sut).toBeInstanceOf(WebpackCompilationError);
+    expect(sut.name).toBe('WebpackCompilationError');
+    expect(sut.message).toBe(message);
+    expect(sut.target).toBe(target);
+    expect(sut.buildType).toBe(buildType);
+    expect(sut.result).toBe(result);
+  });
+});
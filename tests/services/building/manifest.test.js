@@ -0,0 +1,277 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('fs-extra');
+jest.unmock('/src/services/building/manifest');
+
+require('jasmine-expect');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const {
+  WebpackBuildManifest,
+  webpackBuildManifest,
+} = require('/src/services/building/manifest');
+
+describe('services/building:manifest', () => {
+  const hash = (contents) => crypto.createHash('sha1').update(contents).digest('hex');
+  beforeEach(() => {
+    fs.readJsonSync.mockReset();
+    fs.removeSync.mockReset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    // Then
+    expect(sut).toBeInstanceOf(WebpackBuildManifest);
+    expect(sut.tempFiles).toBe(tempFiles);
+    expect(sut.version).toBeNumber();
+  });
+
+  it('should create a manifest for a target build', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    result = sut.create(target, buildType);
+    // Then
+    expect(result).toEqual({
+      version: sut.version,
+      targets: [target.name],
+      type: buildType,
+      run: false,
+      watch: false,
+      inspect: false,
+      analyze: false,
+      options: {},
+    });
+  });
+
+  it('should create a manifest with flags and extra options', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'production';
+    const options = {
+      run: true,
+      watch: 1,
+      analyze: false,
+      port: 8080,
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    result = sut.create(target, buildType, options);
+    // Then
+    expect(result).toEqual({
+      version: sut.version,
+      targets: [target.name],
+      type: buildType,
+      run: true,
+      watch: true,
+      inspect: false,
+      analyze: false,
+      options: {
+        port: options.port,
+      },
+    });
+  });
+
+  it('should create a manifest for multiple targets', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const targets = [
+      { name: 'target-one' },
+      { name: 'target-two' },
+    ];
+    const buildType = 'production';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    result = sut.create(targets, buildType);
+    // Then
+    expect(result.targets).toEqual(targets.map((target) => target.name));
+  });
+
+  it('should write a manifest on the temporary directory', () => {
+    // Given
+    const manifestPath = '/tmp/manifest.json';
+    const tempFiles = {
+      writeSync: jest.fn(() => manifestPath),
+    };
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    let sut = null;
+    let manifest = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    manifest = sut.create(target, buildType);
+    result = sut.write(manifest);
+    // Then
+    expect(result).toBe(manifestPath);
+    expect(tempFiles.writeSync).toHaveBeenCalledTimes(1);
+    expect(tempFiles.writeSync).toHaveBeenCalledWith(
+      `webpack-build.${buildType}.${hash(JSON.stringify(manifest))}.json`,
+      JSON.stringify(manifest)
+    );
+  });
+
+  it('should write manifests with different targets on different files', () => {
+    // Given
+    const tempFiles = {
+      writeSync: jest.fn(),
+    };
+    const buildType = 'development';
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    sut.write(sut.create({ name: 'some.target' }, buildType));
+    sut.write(sut.create([{ name: 'some' }, { name: 'target' }], buildType));
+    // Then
+    expect(tempFiles.writeSync).toHaveBeenCalledTimes(2);
+    expect(tempFiles.writeSync.mock.calls[0][0])
+    .not.toBe(tempFiles.writeSync.mock.calls[1][0]);
+  });
+
+  it('should read a manifest file', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    const manifestPath = '/tmp/manifest.json';
+    let sut = null;
+    let manifest = null;
+    let result = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    manifest = sut.create(target, buildType, { run: true });
+    fs.readJsonSync.mockImplementationOnce(() => manifest);
+    result = sut.read(manifestPath);
+    // Then
+    expect(result).toEqual(manifest);
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync).toHaveBeenCalledWith(manifestPath);
+    expect(fs.removeSync).toHaveBeenCalledTimes(1);
+    expect(fs.removeSync).toHaveBeenCalledWith(manifestPath);
+  });
+
+  it('should throw an error if the manifest file can\'t be read', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const manifestPath = '/tmp/manifest.json';
+    const error = new Error('ENOENT');
+    fs.readJsonSync.mockImplementationOnce(() => {
+      throw error;
+    });
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    // Then
+    expect(() => sut.read(manifestPath))
+    .toThrow(`The build manifest can't be read (${manifestPath}): ${error.message}`);
+    expect(fs.removeSync).toHaveBeenCalledTimes(0);
+  });
+
+  it('should throw an error if the manifest is not an object', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const manifestPath = '/tmp/manifest.json';
+    fs.readJsonSync.mockImplementationOnce(() => null);
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    // Then
+    expect(() => sut.read(manifestPath)).toThrow(/is malformed .*?: it's not an object/);
+  });
+
+  it('should throw an error if the manifest is stale', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    const manifestPath = '/tmp/manifest.json';
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    fs.readJsonSync.mockImplementationOnce(() => Object.assign(
+      sut.create(target, buildType),
+      {
+        version: sut.version - 1,
+      }
+    ));
+    // Then
+    expect(() => sut.read(manifestPath)).toThrow(/is stale/);
+  });
+
+  it('should throw an error if the manifest has invalid properties', () => {
+    // Given
+    const tempFiles = 'tempFiles';
+    const target = {
+      name: 'some-target',
+    };
+    const buildType = 'development';
+    const manifestPath = '/tmp/manifest.json';
+    const cases = [
+      ['targets', []],
+      ['targets', ['']],
+      ['type', 2509],
+      ['run', 'yes'],
+      ['analyze', undefined],
+      ['options', ['port']],
+    ];
+    let sut = null;
+    // When
+    sut = new WebpackBuildManifest(tempFiles);
+    // Then
+    cases.forEach(([property, value]) => {
+      fs.readJsonSync.mockImplementationOnce(() => Object.assign(
+        sut.create(target, buildType),
+        {
+          [property]: value,
+        }
+      ));
+      expect(() => sut.read(manifestPath))
+      .toThrow(`The build manifest is malformed (${manifestPath}): the property \`${property}\``);
+    });
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackBuildManifest(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackBuildManifest');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackBuildManifest);
+    expect(sut.tempFiles).toBe('tempFiles');
+  });
+});
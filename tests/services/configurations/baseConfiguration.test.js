@@ -2,10 +2,12 @@ const JimpleMock = require('/tests/mocks/jimple.mock');
 const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
 
 jest.mock('jimple', () => JimpleMock);
+jest.mock('fs-extra');
 jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
 jest.unmock('/src/services/configurations/baseConfiguration');
 
 require('jasmine-expect');
+const fs = require('fs-extra');
 const {
   WebpackBaseConfiguration,
   webpackBaseConfiguration,
@@ -14,10 +16,14 @@ const {
 describe('services/configurations:baseConfiguration', () => {
   beforeEach(() => {
     ConfigurationFileMock.reset();
+    fs.pathExistsSync.mockReset();
+    fs.readdirSync.mockReset();
+    fs.readJsonSync.mockReset();
   });
 
   it('should be instantiated with all its dependencies', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = 'events';
     const packageInfo = 'packageInfo';
     const pathUtils = 'pathUtils';
@@ -26,6 +32,7 @@ describe('services/configurations:baseConfiguration', () => {
     let sut = null;
     // When
     sut = new WebpackBaseConfiguration(
+      appLogger,
       events,
       packageInfo,
       pathUtils,
@@ -37,8 +44,10 @@ describe('services/configurations:baseConfiguration', () => {
     expect(sut.constructorMock).toHaveBeenCalledTimes(1);
     expect(sut.constructorMock).toHaveBeenCalledWith(
       pathUtils,
-      'webpack/base.config.js'
+      'webpack/base.config.js',
+      true
     );
+    expect(sut.appLogger).toBe(appLogger);
     expect(sut.events).toBe(events);
     expect(sut.packageInfo).toBe(packageInfo);
     expect(sut.webpackPluginInfo).toBe(webpackPluginInfo);
@@ -47,6 +56,7 @@ describe('services/configurations:baseConfiguration', () => {
 
   it('should create the development configuration for a node target', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, toReduce) => toReduce),
     };
@@ -73,6 +83,7 @@ describe('services/configurations:baseConfiguration', () => {
     const params = {
       target,
       buildType: 'development',
+      baseBuildType: 'development',
     };
     const webpackRulesConfiguration = {
       getConfig: jest.fn(() => config),
@@ -101,6 +112,7 @@ describe('services/configurations:baseConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBaseConfiguration(
+      appLogger,
       events,
       packageInfo,
       pathUtils,
@@ -133,6 +145,7 @@ describe('services/configurations:baseConfiguration', () => {
 
   it('should create the production configuration for a node target', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, toReduce) => toReduce),
     };
@@ -168,6 +181,7 @@ describe('services/configurations:baseConfiguration', () => {
     const params = {
       target,
       buildType: 'production',
+      baseBuildType: 'production',
     };
     const expectedConfig = {
       resolve: {
@@ -186,6 +200,7 @@ describe('services/configurations:baseConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBaseConfiguration(
+      appLogger,
       events,
       packageInfo,
       pathUtils,
@@ -218,6 +233,9 @@ describe('services/configurations:baseConfiguration', () => {
 
   it('should mark a excluded module as an external dependency for a Node target', () => {
     // Given
+    const appLogger = {
+      warning: jest.fn(),
+    };
     const events = {
       reduce: jest.fn((eventName, toReduce) => toReduce),
     };
@@ -236,6 +254,7 @@ describe('services/configurations:baseConfiguration', () => {
     const validModuleToExclude = 'colors/safe';
     const invalidModuleToExclude = 'react-(\\w+)$';
     const target = {
+      name: 'targetName',
       is: {
         node: true,
       },
@@ -250,6 +269,7 @@ describe('services/configurations:baseConfiguration', () => {
     const params = {
       target,
       buildType: 'development',
+      baseBuildType: 'development',
     };
     const webpackRulesConfiguration = {
       getConfig: jest.fn(() => config),
@@ -279,6 +299,7 @@ describe('services/configurations:baseConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBaseConfiguration(
+      appLogger,
       events,
       packageInfo,
       pathUtils,
@@ -307,10 +328,434 @@ describe('services/configurations:baseConfiguration', () => {
       expectedConfig,
       params
     );
+    expect(appLogger.warning).toHaveBeenCalledTimes(1);
+    expect(appLogger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the entry 'react-\(\\w\+\)\$' of the 'excludeModules' setting of the target 'targetName' can't/i
+    ));
+  });
+
+  it('should bundle the dependencies of a Node target, except the native ones', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, toReduce) => toReduce),
+    };
+    const packageInfo = {
+      dependencies: {
+        jimpex: '2.1.1',
+        sharp: '0.25.2',
+      },
+      devDependencies: {
+        projext: '3.0.5',
+      },
+    };
+    const pathUtils = {
+      join: jest.fn((...rest) => ['', 'project', ...rest].join('/')),
+    };
+    const rules = 'rules';
+    const target = {
+      name: 'targetName',
+      is: {
+        node: true,
+      },
+      bundleDependencies: {
+        exclude: ['aws-sdk', /^@google-cloud\//],
+      },
+    };
+    const pluginName = 'my-plugin';
+    const pluginExternal = 'jimpex';
+    const webpackPluginInfo = {
+      name: pluginName,
+      external: [pluginExternal],
+    };
+    const config = {
+      rules,
+    };
+    const webpackRulesConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const params = {
+      target,
+      buildType: 'production',
+      baseBuildType: 'production',
+    };
+    const getFile = (name) => ({
+      name,
+      isDirectory: () => false,
+    });
+    const getDirectory = (name) => ({
+      name,
+      isDirectory: () => true,
+    });
+    const files = {
+      '/project/node_modules/sharp': [
+        getFile('package.json'),
+        getDirectory('build'),
+        getDirectory('lib'),
+      ],
+      '/project/node_modules/sharp/package.json': {},
+      '/project/node_modules/sharp/build/Release': [
+        getFile('sharp.node'),
+        getFile('libvips.so'),
+      ],
+      '/project/node_modules/bcrypt': [getFile('binding.gyp')],
+      '/project/node_modules/bcrypt/binding.gyp': true,
+      '/project/node_modules/leveldown': [getFile('package.json')],
+      '/project/node_modules/leveldown/package.json': { gypfile: true },
+      '/project/node_modules/lodash': [getFile('package.json'), getDirectory('fp')],
+      '/project/node_modules/lodash/package.json': {},
+      '/project/node_modules/jimpex': [getFile('index.js')],
+    };
+    fs.pathExistsSync.mockImplementation((filepath) => !!files[filepath]);
+    fs.readJsonSync.mockImplementation((filepath) => files[filepath]);
+    fs.readdirSync.mockImplementation((directory) => files[directory]);
+    const context = 'some-directory';
+    const requests = [
+      'sharp',
+      'sharp/lib/constructor',
+      'bcrypt',
+      'leveldown',
+      'lodash/fp',
+      'jimpex',
+      '@google-cloud/storage',
+      './sharp',
+      '/project/node_modules/bcrypt',
+    ];
+    let sut = null;
+    let result = null;
+    let externalsFn = null;
+    let results = null;
+    // When
+    sut = new WebpackBaseConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackPluginInfo,
+      webpackRulesConfiguration
+    );
+    result = sut.getConfig(params);
+    [, externalsFn] = result.externals;
+    results = requests.map((request) => {
+      const callback = jest.fn();
+      externalsFn(context, request, callback);
+      return callback.mock.calls[0];
+    });
+    // Then
+    expect(result.externals).toEqual([
+      {
+        'aws-sdk': 'commonjs aws-sdk',
+        [`${pluginName}/${pluginExternal}`]: `commonjs ${pluginName}/${pluginExternal}`,
+      },
+      expect.any(Function),
+    ]);
+    expect(results).toEqual([
+      [null, 'commonjs sharp'],
+      [null, 'commonjs sharp/lib/constructor'],
+      [null, 'commonjs bcrypt'],
+      [null, 'commonjs leveldown'],
+      [],
+      [],
+      [null, 'commonjs @google-cloud/storage'],
+      [],
+      [],
+    ]);
+    expect(fs.readdirSync).toHaveBeenCalledTimes([
+      'sharp',
+      'sharp/build/Release',
+      'lodash',
+      'jimpex',
+    ].length);
+    expect(fs.readdirSync).not.toHaveBeenCalledWith(
+      '/project/node_modules/lodash/fp',
+      expect.any(Object)
+    );
+    expect(fs.readJsonSync).toHaveBeenCalledTimes(['sharp', 'leveldown', 'lodash'].length);
+  });
+
+  it('should detect the dependencies of a Node target that ship prebuilt native binaries', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, toReduce) => toReduce),
+    };
+    const packageInfo = {};
+    const pathUtils = {
+      join: jest.fn((...rest) => ['', 'project', ...rest].join('/')),
+    };
+    const target = {
+      name: 'targetName',
+      is: {
+        node: true,
+      },
+      bundleDependencies: true,
+    };
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+      external: [],
+    };
+    const webpackRulesConfiguration = {
+      getConfig: jest.fn(() => ({})),
+    };
+    const params = {
+      target,
+      buildType: 'production',
+      baseBuildType: 'production',
+    };
+    const getFile = (name) => ({
+      name,
+      isDirectory: () => false,
+    });
+    const getDirectory = (name) => ({
+      name,
+      isDirectory: () => true,
+    });
+    const files = {
+      // napi-rs: the binaries are on the platform packages.
+      '/project/node_modules/@node-rs/bcrypt': [getFile('package.json')],
+      '/project/node_modules/@node-rs/bcrypt/package.json': { napi: { name: 'bcrypt' } },
+      // napi-rs platform package: the binary is on the package root.
+      '/project/node_modules/@node-rs/bcrypt-linux-x64-gnu': [
+        getFile('package.json'),
+        getFile('bcrypt.linux-x64-gnu.node'),
+      ],
+      '/project/node_modules/@node-rs/bcrypt-linux-x64-gnu/package.json': {},
+      // prebuildify and node-gyp-build.
+      '/project/node_modules/utf-8-validate': [getDirectory('prebuilds')],
+      '/project/node_modules/utf-8-validate/prebuilds': [getDirectory('linux-x64')],
+      '/project/node_modules/utf-8-validate/prebuilds/linux-x64': [getFile('node.napi.node')],
+      // node-pre-gyp.
+      '/project/node_modules/sqlite3': [getDirectory('lib')],
+      '/project/node_modules/sqlite3/lib/binding': [getDirectory('Release')],
+      '/project/node_modules/sqlite3/lib/binding/Release': [getDirectory('node-v64-linux-x64')],
+      '/project/node_modules/sqlite3/lib/binding/Release/node-v64-linux-x64': [
+        getFile('node_sqlite3.node'),
+      ],
+      // Too deep to be a known location for binaries.
+      '/project/node_modules/some-docs': [getDirectory('prebuilds')],
+      '/project/node_modules/some-docs/prebuilds': [getDirectory('examples')],
+      '/project/node_modules/some-docs/prebuilds/examples': [getDirectory('addon')],
+      '/project/node_modules/some-docs/prebuilds/examples/addon': [getFile('addon.node')],
+    };
+    fs.pathExistsSync.mockImplementation((filepath) => !!files[filepath]);
+    fs.readJsonSync.mockImplementation((filepath) => files[filepath]);
+    fs.readdirSync.mockImplementation((directory) => files[directory]);
+    const context = 'some-directory';
+    const requests = [
+      '@node-rs/bcrypt',
+      '@node-rs/bcrypt-linux-x64-gnu',
+      'utf-8-validate',
+      'sqlite3',
+      'some-docs',
+    ];
+    let sut = null;
+    let result = null;
+    let externalsFn = null;
+    let results = null;
+    // When
+    sut = new WebpackBaseConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackPluginInfo,
+      webpackRulesConfiguration
+    );
+    result = sut.getConfig(params);
+    [, externalsFn] = result.externals;
+    results = requests.map((request) => {
+      const callback = jest.fn();
+      externalsFn(context, request, callback);
+      return callback.mock.calls[0];
+    });
+    // Then
+    expect(results).toEqual([
+      [null, 'commonjs @node-rs/bcrypt'],
+      [null, 'commonjs @node-rs/bcrypt-linux-x64-gnu'],
+      [null, 'commonjs utf-8-validate'],
+      [null, 'commonjs sqlite3'],
+      [],
+    ]);
+    expect(fs.readdirSync).not.toHaveBeenCalledWith(
+      '/project/node_modules/some-docs/prebuilds/examples/addon',
+      expect.any(Object)
+    );
+  });
+
+  it('should only bundle the dependencies of a Node target on production builds', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, toReduce) => toReduce),
+    };
+    const packageInfo = {
+      dependencies: {
+        jimpex: '2.1.1',
+      },
+      devDependencies: {
+        projext: '3.0.5',
+      },
+    };
+    const pathUtils = 'pathUtils';
+    const rules = 'rules';
+    const target = {
+      is: {
+        node: true,
+      },
+      bundleDependencies: true,
+    };
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+      external: [],
+    };
+    const config = {
+      rules,
+    };
+    const webpackRulesConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const buildTypes = ['development', 'production'];
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBaseConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackPluginInfo,
+      webpackRulesConfiguration
+    );
+    results = buildTypes.map((buildType) => sut.getConfig({
+      target,
+      buildType,
+      baseBuildType: buildType,
+    }));
+    // Then
+    expect(results.map((result) => result.externals)).toEqual([
+      {
+        jimpex: 'commonjs jimpex',
+        projext: 'commonjs projext',
+      },
+      [
+        {},
+        expect.any(Function),
+      ],
+    ]);
+    expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+  });
+
+  it('should mark excluded modules patterns as external dependencies for a browser target', () => {
+    // Given
+    const appLogger = {
+      warning: jest.fn(),
+    };
+    const events = {
+      reduce: jest.fn((eventName, toReduce) => toReduce),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = 'pathUtils';
+    const rules = 'rules';
+    const predicate = jest.fn((request) => request.startsWith('internal-'));
+    const target = {
+      name: 'targetName',
+      is: {
+        node: false,
+      },
+      excludeModules: [
+        '@company/utils',
+        /^react(?:-dom)?$/,
+        '@aws-sdk/*',
+        'lodash.*',
+        'wootils/**/objectUtils',
+        predicate,
+        {},
+      ],
+    };
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const config = {
+      rules,
+    };
+    const params = {
+      target,
+      buildType: 'production',
+      baseBuildType: 'production',
+    };
+    const webpackRulesConfiguration = {
+      getConfig: jest.fn(() => config),
+    };
+    const context = 'some-directory';
+    const requests = [
+      'react',
+      'react-dom',
+      'react-router',
+      '@aws-sdk/client-s3',
+      '@aws-sdk/client-s3/dist/index',
+      '@aws-sdk-client',
+      'lodash.merge',
+      'lodash',
+      'wootils/shared/objectUtils',
+      'wootils/shared/deepAssign',
+      'internal-module',
+    ];
+    let sut = null;
+    let result = null;
+    let externalsFn = null;
+    let results = null;
+    // When
+    sut = new WebpackBaseConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackPluginInfo,
+      webpackRulesConfiguration
+    );
+    result = sut.getConfig(params);
+    [, externalsFn] = result.externals;
+    results = requests.map((request) => {
+      const callback = jest.fn();
+      externalsFn(context, request, callback);
+      return callback.mock.calls[0];
+    });
+    // Then
+    expect(result.externals).toEqual([
+      {
+        '@company/utils': 'commonjs @company/utils',
+      },
+      expect.any(Function),
+    ]);
+    expect(results).toEqual([
+      [null, 'commonjs react'],
+      [null, 'commonjs react-dom'],
+      [],
+      [null, 'commonjs @aws-sdk/client-s3'],
+      [null, 'commonjs @aws-sdk/client-s3/dist/index'],
+      [],
+      [null, 'commonjs lodash.merge'],
+      [],
+      [null, 'commonjs wootils/shared/objectUtils'],
+      [],
+      [null, 'commonjs internal-module'],
+    ]);
+    expect(predicate).toHaveBeenCalledWith('internal-module', context);
+    expect(appLogger.warning).toHaveBeenCalledTimes(1);
+    expect(appLogger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the entry '\[object Object\]' of the 'excludeModules' setting/i
+    ));
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-externals-configuration-for-browser',
+        'webpack-externals-configuration',
+      ],
+      result.externals[0],
+      params
+    );
   });
 
   it('should create the configuration for a browser target', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, toReduce) => toReduce),
     };
@@ -344,6 +789,7 @@ describe('services/configurations:baseConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBaseConfiguration(
+      appLogger,
       events,
       packageInfo,
       pathUtils,
@@ -391,6 +837,7 @@ describe('services/configurations:baseConfiguration', () => {
     expect(serviceName).toBe('webpackBaseConfiguration');
     expect(serviceFn).toBeFunction();
     expect(sut).toBeInstanceOf(WebpackBaseConfiguration);
+    expect(sut.appLogger).toBe('appLogger');
     expect(sut.events).toBe('events');
     expect(sut.packageInfo).toBe('packageInfo');
     expect(sut.webpackPluginInfo).toBe('webpackPluginInfo');
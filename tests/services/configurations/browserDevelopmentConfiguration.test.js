@@ -25,7 +25,9 @@ const CopyWebpackPlugin = require('copy-webpack-plugin');
 const ExtraWatchWebpackPlugin = require('extra-watch-webpack-plugin');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
 const {
+  ProjextWebpackAssetsManifest,
   ProjextWebpackOpenDevServer,
+  ProjextWebpackResourceHints,
   ProjextWebpackRuntimeDefinitions,
 } = require('/src/plugins');
 
@@ -47,6 +49,8 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
     BundleAnalyzerPlugin.mockReset();
     ProjextWebpackOpenDevServer.mockReset();
     ProjextWebpackRuntimeDefinitions.mockReset();
+    ProjextWebpackAssetsManifest.mockReset();
+    ProjextWebpackResourceHints.mockReset();
   });
 
   it('should be instantiated with all its dependencies', () => {
@@ -618,6 +622,9 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
     const copy = ['file-to-copy'];
     const additionalWatch = [];
     const analyze = true;
+    const analyzer = {
+      analyzerMode: 'static',
+    };
     const params = {
       target,
       definitions,
@@ -626,6 +633,7 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     };
     const expectedConfig = {
       entry,
@@ -681,6 +689,7 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
     expect(CopyWebpackPlugin).toHaveBeenCalledWith(copy);
     expect(ExtraWatchWebpackPlugin).toHaveBeenCalledTimes(0);
     expect(BundleAnalyzerPlugin).toHaveBeenCalledTimes(1);
+    expect(BundleAnalyzerPlugin).toHaveBeenCalledWith(analyzer);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
@@ -847,6 +856,222 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
     });
   });
 
+  it('should create a configuration for a target with multiple pages', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+    };
+    const target = {
+      name: 'targetName',
+      runOnDevelopment: true,
+      devServer: {
+        port: 2509,
+        open: false,
+        host: 'localhost',
+        ssl: {},
+        proxied: {},
+      },
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+        title: 'My app',
+      },
+      sourceMap: {},
+      css: {},
+      hot: true,
+      watch: {
+        development: false,
+      },
+    };
+    const definitions = 'definitions';
+    const homeEntry = '/home.js';
+    const adminEntry = '/admin.js';
+    const entry = {
+      home: [homeEntry],
+      admin: [adminEntry],
+    };
+    const pages = [
+      {
+        name: 'home',
+        html: {
+          template: 'home.html',
+          filename: 'home.html',
+        },
+      },
+      {
+        name: 'admin',
+        html: {
+          template: 'admin.html',
+          filename: 'admin.html',
+        },
+      },
+    ];
+    const output = {
+      js: 'statics/js/[name].js',
+      jsChunks: 'statics/js/[name].chunk.js',
+      css: 'statics/css/[name].css',
+    };
+    const copy = [];
+    const additionalWatch = [];
+    const params = {
+      target,
+      definitions,
+      entry,
+      pages,
+      output,
+      copy,
+      additionalWatch,
+    };
+    const expectedURL = `http://${target.devServer.host}:${target.devServer.port}`;
+    const hotEntries = [
+      `webpack-dev-server/client?${expectedURL}`,
+      'webpack/hot/only-dev-server',
+    ];
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.entry).toEqual({
+      home: [...hotEntries, homeEntry],
+      admin: [...hotEntries, adminEntry],
+    });
+    expect(result.optimization).toEqual({
+      splitChunks: {
+        chunks: 'all',
+      },
+    });
+    expect(HtmlWebpackPlugin).toHaveBeenCalledTimes(pages.length);
+    expect(targetsHTML.getFilepath).toHaveBeenCalledTimes(pages.length);
+    pages.forEach((page) => {
+      const html = Object.assign({}, target.html, page.html);
+      expect(HtmlWebpackPlugin).toHaveBeenCalledWith(Object.assign({}, html, {
+        template: page.html.template,
+        chunks: [page.name],
+        inject: 'body',
+      }));
+      expect(targetsHTML.getFilepath).toHaveBeenCalledWith(
+        Object.assign({}, target, {
+          name: `${target.name}-${page.name}`,
+          html,
+        }),
+        false,
+        'development'
+      );
+    });
+  });
+
+  it('should create a configuration for the dev server with a custom port', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+    };
+    const target = {
+      name: 'targetName',
+      runOnDevelopment: true,
+      devServer: {
+        port: 2509,
+        open: true,
+        host: 'localhost',
+        ssl: {},
+        proxied: {},
+      },
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      watch: {
+        development: false,
+      },
+    };
+    const definitions = 'definitions';
+    const targetEntry = '/index.js';
+    const entry = {
+      [target.name]: [targetEntry],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const copy = ['file-to-copy'];
+    const additionalWatch = [];
+    const buildOptions = {
+      port: 8080,
+    };
+    const params = {
+      target,
+      definitions,
+      entry,
+      output,
+      copy,
+      additionalWatch,
+      buildOptions,
+    };
+    const expectedURL = `http://${target.devServer.host}:${buildOptions.port}`;
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.devServer).toEqual({
+      port: buildOptions.port,
+      inline: false,
+      open: false,
+    });
+    expect(ProjextWebpackOpenDevServer).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackOpenDevServer).toHaveBeenCalledWith(expectedURL, {
+      logger: appLogger,
+      openBrowser: target.devServer.open,
+    });
+  });
+
   it('should create a configuration for the dev server with historyApiFallback', () => {
     // Given
     const appLogger = 'appLogger';
@@ -1774,6 +1999,220 @@ describe('services/configurations:browserDevelopmentConfiguration', () => {
     });
   });
 
+  it('shouldn\'t add the HTML plugins for a web worker target', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const webpackPluginInfo = 'webpackPluginInfo';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      watch: {
+        development: false,
+      },
+    };
+    const entry = {
+      [target.name]: ['/index.js'],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry,
+      output,
+      copy: [],
+      additionalWatch: [],
+      targetType: 'webworker',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration,
+      webpackPluginInfo
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toBeArray();
+    expect(HtmlWebpackPlugin).toHaveBeenCalledTimes(0);
+    expect(ScriptExtHtmlWebpackPlugin).toHaveBeenCalledTimes(0);
+    expect(targetsHTML.getFilepath).toHaveBeenCalledTimes(0);
+    expect(webpackMock.NoEmitOnErrorsPluginMock).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackRuntimeDefinitions).toHaveBeenCalledTimes(1);
+  });
+
+  it('should add the assets manifest plugin for a target with an assets manifest', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+    };
+    const createTarget = (assetsManifest) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      watch: {
+        development: false,
+      },
+      assetsManifest,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const customManifest = {
+      filename: 'statics/manifest.json',
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration,
+      webpackPluginInfo
+    );
+    results = [false, true, customManifest].map((assetsManifest) => sut.getConfig(
+      createParams(createTarget(assetsManifest))
+    ));
+    // Then
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    expect(results[2].plugins).toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    expect(ProjextWebpackAssetsManifest).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(1, {});
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(2, customManifest);
+  });
+
+  it('should add the resource hints plugin for a target with resource hints', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const webpackPluginInfo = {
+      name: 'my-plugin',
+    };
+    const createTarget = (resourceHints) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      watch: {
+        development: false,
+      },
+      resourceHints,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const customHints = {
+      preload: {
+        include: ['main'],
+      },
+      prefetch: false,
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration,
+      webpackPluginInfo
+    );
+    results = [false, true, customHints].map((resourceHints) => sut.getConfig(
+      createParams(createTarget(resourceHints))
+    ));
+    // Then
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(results[2].plugins).toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(ProjextWebpackResourceHints).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackResourceHints).toHaveBeenNthCalledWith(1, {});
+    expect(ProjextWebpackResourceHints).toHaveBeenNthCalledWith(2, customHints);
+  });
+
   it('should include a provider for the DIC', () => {
     // Given
     let sut = null;
@@ -19,6 +19,7 @@ jest.mock('webpack');
 jest.unmock('/src/services/configurations/browserProductionConfiguration');
 
 require('jasmine-expect');
+const zlib = require('zlib');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const ScriptExtHtmlWebpackPlugin = require('script-ext-html-webpack-plugin');
 const CompressionPlugin = require('compression-webpack-plugin');
@@ -27,7 +28,16 @@ const OptimizeCssAssetsPlugin = require('optimize-css-assets-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const ExtraWatchWebpackPlugin = require('extra-watch-webpack-plugin');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
-const { ProjextWebpackRuntimeDefinitions } = require('/src/plugins');
+const {
+  ProjextWebpackAssetsManifest,
+  ProjextWebpackBudgets,
+  ProjextWebpackCriticalCSS,
+  ProjextWebpackDifferentialBundles,
+  ProjextWebpackResourceHints,
+  ProjextWebpackRuntimeDefinitions,
+  ProjextWebpackSizeReport,
+  ProjextWebpackSubresourceIntegrity,
+} = require('/src/plugins');
 
 const {
   WebpackBrowserProductionConfiguration,
@@ -48,10 +58,18 @@ describe('services/configurations:browserProductionConfiguration', () => {
     ExtraWatchWebpackPlugin.mockReset();
     BundleAnalyzerPlugin.mockReset();
     ProjextWebpackRuntimeDefinitions.mockReset();
+    ProjextWebpackBudgets.mockReset();
+    ProjextWebpackSizeReport.mockReset();
+    ProjextWebpackAssetsManifest.mockReset();
+    ProjextWebpackSubresourceIntegrity.mockReset();
+    ProjextWebpackDifferentialBundles.mockReset();
+    ProjextWebpackResourceHints.mockReset();
+    ProjextWebpackCriticalCSS.mockReset();
   });
 
   it('should be instantiated with all its dependencies', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = 'events';
     const pathUtils = 'pathUtils';
     const targetsHTML = 'targetsHTML';
@@ -59,6 +77,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let sut = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -76,12 +95,14 @@ describe('services/configurations:browserProductionConfiguration', () => {
       true,
       webpackBaseConfiguration
     );
+    expect(sut.appLogger).toBe(appLogger);
     expect(sut.events).toBe(events);
     expect(sut.targetsHTML).toBe(targetsHTML);
   });
 
   it('should create a configuration', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -146,6 +167,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -187,6 +209,9 @@ describe('services/configurations:browserProductionConfiguration', () => {
       files: additionalWatch,
     });
     expect(CompressionPlugin).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackBudgets).toHaveBeenCalledTimes(0);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(0);
+    expect(ProjextWebpackAssetsManifest).toHaveBeenCalledTimes(0);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
@@ -202,6 +227,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should create a configuration with the uglifier disabled', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -266,6 +292,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -316,6 +343,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should create a configuration with watch mode', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -381,6 +409,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -434,6 +463,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should create a configuration with the bundle analyzer', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -473,6 +503,9 @@ describe('services/configurations:browserProductionConfiguration', () => {
     const copy = ['file-to-copy'];
     const additionalWatch = [];
     const analyze = true;
+    const analyzer = {
+      analyzerMode: 'static',
+    };
     const params = {
       target,
       definitions,
@@ -481,6 +514,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     };
     const expectedConfig = {
       entry,
@@ -501,6 +535,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -539,6 +574,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     expect(CopyWebpackPlugin).toHaveBeenCalledWith(copy);
     expect(ExtraWatchWebpackPlugin).toHaveBeenCalledTimes(0);
     expect(BundleAnalyzerPlugin).toHaveBeenCalledTimes(1);
+    expect(BundleAnalyzerPlugin).toHaveBeenCalledWith(analyzer);
     expect(CompressionPlugin).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
@@ -555,6 +591,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should create a configuration for a target that injects CSS', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -621,6 +658,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -671,6 +709,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should create a configuration with source map', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -738,6 +777,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -791,6 +831,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('shouldn\'t add the HTML and Compression plugins for a library target', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -855,6 +896,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -896,6 +938,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
 
   it('should add the Compression plugins for a library target when enabled by setting', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
@@ -962,6 +1005,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
       events,
       pathUtils,
       targetsHTML,
@@ -1001,6 +1045,1308 @@ describe('services/configurations:browserProductionConfiguration', () => {
     );
   });
 
+  it('shouldn\'t add the HTML plugins for a web worker target', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+    };
+    const entry = {
+      [target.name]: ['/index.js'],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry,
+      output,
+      copy: [],
+      additionalWatch: [],
+      targetType: 'webworker',
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toBeArray();
+    expect(HtmlWebpackPlugin).toHaveBeenCalledTimes(0);
+    expect(ScriptExtHtmlWebpackPlugin).toHaveBeenCalledTimes(0);
+    expect(targetsHTML.getFilepath).toHaveBeenCalledTimes(0);
+    expect(ProjextWebpackRuntimeDefinitions).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create a configuration for a target with multiple pages', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+        title: 'My app',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+    };
+    const definitions = 'definitions';
+    const entry = {
+      home: ['/home.js'],
+      admin: ['/admin.js'],
+    };
+    const pages = [
+      {
+        name: 'home',
+        html: {
+          template: 'home.html',
+          filename: 'home.html',
+        },
+      },
+      {
+        name: 'admin',
+        html: {
+          template: 'admin.html',
+          filename: 'admin.html',
+        },
+      },
+    ];
+    const output = {
+      js: 'statics/js/[name].js',
+      jsChunks: 'statics/js/[name].chunk.js',
+      css: 'statics/css/[name].css',
+    };
+    const copy = [];
+    const additionalWatch = [];
+    const params = {
+      target,
+      definitions,
+      entry,
+      pages,
+      output,
+      copy,
+      additionalWatch,
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.entry).toEqual(entry);
+    expect(result.optimization).toEqual({
+      minimizer: expect.any(Array),
+      splitChunks: {
+        chunks: 'all',
+      },
+    });
+    expect(HtmlWebpackPlugin).toHaveBeenCalledTimes(pages.length);
+    expect(targetsHTML.getFilepath).toHaveBeenCalledTimes(pages.length);
+    pages.forEach((page) => {
+      const html = Object.assign({}, target.html, page.html);
+      expect(HtmlWebpackPlugin).toHaveBeenCalledWith(Object.assign({}, html, {
+        template: page.html.template,
+        chunks: [page.name],
+        inject: 'body',
+      }));
+      expect(targetsHTML.getFilepath).toHaveBeenCalledWith(Object.assign({}, target, {
+        name: `${target.name}-${page.name}`,
+        html,
+      }));
+    });
+  });
+
+  it('should add the budgets plugin for a target with performance budgets', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      budgets: {
+        entry: '250kb',
+        fail: false,
+      },
+    };
+    const entry = {
+      [target.name]: ['/index.js'],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry,
+      output,
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackBudgets));
+    expect(ProjextWebpackBudgets).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackBudgets).toHaveBeenCalledWith({
+      entry: '250kb',
+      fail: false,
+      logger: appLogger,
+    });
+  });
+
+  it('should add the size report plugin for a target with a size report', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => `/project/${rest}`),
+    };
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      sizeReport: true,
+    };
+    const entry = {
+      [target.name]: ['/index.js'],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry,
+      output,
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackSizeReport));
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledWith({
+      logger: appLogger,
+    });
+  });
+
+  it('should add the size report plugin with custom paths', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => `/project/${rest}`),
+    };
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      sizeReport: {
+        filename: 'size.json',
+        baseline: 'size.baseline.json',
+      },
+    };
+    const entry = {
+      [target.name]: ['/index.js'],
+    };
+    const output = {
+      js: 'statics/js/build.js',
+      jsChunks: 'statics/js/build.[name].js',
+      css: 'statics/css/build.css',
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry,
+      output,
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackSizeReport));
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledWith({
+      filename: 'size.json',
+      baseline: 'size.baseline.json',
+      logger: appLogger,
+    });
+  });
+
+  it('should add the assets manifest plugin for a target with an assets manifest', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (assetsManifest) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      assetsManifest,
+    });
+    const output = {
+      js: 'statics/js/build.[contenthash].js',
+      jsChunks: 'statics/js/build.[name].[contenthash].js',
+      css: 'statics/css/build.[contenthash].css',
+    };
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output,
+      copy: [],
+      additionalWatch: [],
+    });
+    const customManifest = {
+      filename: 'statics/manifest.json',
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = [true, customManifest].map((assetsManifest) => sut.getConfig(
+      createParams(createTarget(assetsManifest))
+    ));
+    // Then
+    results.forEach((result) => {
+      expect(result.plugins).toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    });
+    expect(ProjextWebpackAssetsManifest).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(1, {});
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(2, customManifest);
+  });
+
+  it('should add the integrity hashes plugin for a target with subresource integrity', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (subresourceIntegrity, assetsManifest) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      subresourceIntegrity,
+      assetsManifest,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const customIntegrity = {
+      algorithms: ['sha384', 'sha512'],
+      crossorigin: 'use-credentials',
+    };
+    const customManifest = {
+      filename: 'statics/manifest.json',
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = [
+      createTarget(false, true),
+      createTarget(true, true),
+      createTarget(customIntegrity, customManifest),
+    ].map((target) => sut.getConfig(createParams(target)));
+    // Then
+    expect(results[0].output.crossOriginLoading).toBeUndefined();
+    expect(results[0].plugins).not.toContainEqual(
+      expect.any(ProjextWebpackSubresourceIntegrity)
+    );
+    expect(results[1].output.crossOriginLoading).toBe('anonymous');
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackSubresourceIntegrity));
+    expect(results[2].output.crossOriginLoading).toBe(customIntegrity.crossorigin);
+    expect(results[2].plugins).toContainEqual(expect.any(ProjextWebpackSubresourceIntegrity));
+    expect(ProjextWebpackSubresourceIntegrity).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackSubresourceIntegrity).toHaveBeenNthCalledWith(1, {
+      algorithms: ['sha384'],
+      crossorigin: 'anonymous',
+    });
+    expect(ProjextWebpackSubresourceIntegrity).toHaveBeenNthCalledWith(2, customIntegrity);
+    expect(ProjextWebpackAssetsManifest).toHaveBeenCalledTimes(3);
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(1, {});
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(2, {
+      integrity: ['sha384'],
+    });
+    expect(ProjextWebpackAssetsManifest).toHaveBeenNthCalledWith(3, Object.assign(
+      {},
+      customManifest,
+      { integrity: customIntegrity.algorithms }
+    ));
+  });
+
+  it('should add the resource hints plugin for a target with resource hints', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (resourceHints) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      resourceHints,
+    });
+    const createParams = (target, differential = null) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+      differential,
+    });
+    const customHints = {
+      preload: {
+        include: ['main'],
+      },
+      prefetch: false,
+    };
+    const differential = {
+      type: 'modern',
+      bundles: new Map(),
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = [
+      createParams(createTarget(false)),
+      createParams(createTarget(true)),
+      createParams(
+        Object.assign(createTarget(customHints), { subresourceIntegrity: true }),
+        differential
+      ),
+    ].map((params) => sut.getConfig(params));
+    // Then
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(results[2].plugins).toContainEqual(expect.any(ProjextWebpackResourceHints));
+    expect(ProjextWebpackResourceHints).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackResourceHints).toHaveBeenNthCalledWith(1, {
+      modules: false,
+      integrity: null,
+    });
+    expect(ProjextWebpackResourceHints).toHaveBeenNthCalledWith(2, Object.assign(
+      {},
+      customHints,
+      {
+        modules: true,
+        integrity: {
+          algorithms: ['sha384'],
+          crossorigin: 'anonymous',
+        },
+      }
+    ));
+  });
+
+  it('should add the critical CSS plugin for a target that extracts its styles', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (css) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css,
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const customCritical = {
+      noscript: false,
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = [
+      {},
+      { critical: true, inject: true },
+      { critical: true },
+      { critical: customCritical },
+    ].map((css) => sut.getConfig(createParams(createTarget(css))));
+    // Then
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackCriticalCSS));
+    expect(results[1].plugins).not.toContainEqual(expect.any(ProjextWebpackCriticalCSS));
+    expect(results[2].plugins).toContainEqual(expect.any(ProjextWebpackCriticalCSS));
+    expect(results[3].plugins).toContainEqual(expect.any(ProjextWebpackCriticalCSS));
+    expect(ProjextWebpackCriticalCSS).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackCriticalCSS).toHaveBeenNthCalledWith(1, {});
+    expect(ProjextWebpackCriticalCSS).toHaveBeenNthCalledWith(2, customCritical);
+  });
+
+  it('should create the configurations for the differential bundles of a target', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = {
+      join: jest.fn((rest) => rest),
+    };
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      subresourceIntegrity: true,
+      sizeReport: true,
+      assetsManifest: true,
+    };
+    const bundles = new Map();
+    const createParams = (type) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+      analyze: true,
+      analyzer: {},
+      differential: {
+        type,
+        bundles,
+      },
+    });
+    const integrity = {
+      algorithms: ['sha384'],
+      crossorigin: 'anonymous',
+    };
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = ['legacy', 'modern'].map((type) => sut.getConfig(createParams(type)));
+    // Then
+    expect(results[0].plugins).not.toContainEqual(expect.any(HtmlWebpackPlugin));
+    expect(results[0].plugins).not.toContainEqual(
+      expect.any(ProjextWebpackSubresourceIntegrity)
+    );
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackSizeReport));
+    expect(results[0].plugins).not.toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    expect(results[0].plugins).not.toContainEqual(expect.any(BundleAnalyzerPlugin));
+    expect(results[0].plugins).toContainEqual(expect.any(ProjextWebpackDifferentialBundles));
+    expect(results[1].plugins).toContainEqual(expect.any(HtmlWebpackPlugin));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackSubresourceIntegrity));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackSizeReport));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackAssetsManifest));
+    expect(results[1].plugins).toContainEqual(expect.any(BundleAnalyzerPlugin));
+    expect(results[1].plugins).toContainEqual(expect.any(ProjextWebpackDifferentialBundles));
+    expect(ProjextWebpackDifferentialBundles).toHaveBeenCalledTimes(2);
+    expect(ProjextWebpackDifferentialBundles).toHaveBeenNthCalledWith(1, {
+      type: 'legacy',
+      bundles,
+      integrity,
+    });
+    expect(ProjextWebpackDifferentialBundles).toHaveBeenNthCalledWith(2, {
+      type: 'modern',
+      bundles,
+      integrity,
+    });
+    expect(ProjextWebpackDifferentialBundles.mock.calls[0][0].bundles).toBe(bundles);
+    expect(HtmlWebpackPlugin).toHaveBeenCalledTimes(1);
+    expect(HtmlWebpackPlugin).toHaveBeenCalledWith(expect.objectContaining({
+      minify: expect.objectContaining({
+        collapseWhitespace: true,
+        removeScriptTypeAttributes: false,
+      }),
+    }));
+  });
+
+  it('should create configurations with code splitting presets', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (codeSplitting) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      codeSplitting,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    let sut = null;
+    let results = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = [
+      'vendor',
+      'none',
+      {
+        preset: 'vendor',
+        runtimeChunk: true,
+      },
+      {
+        runtimeChunk: true,
+      },
+    ].map((codeSplitting) => sut.getConfig(createParams(createTarget(codeSplitting))));
+    // Then
+    expect(results[0].optimization).toEqual({
+      minimizer: expect.any(Array),
+      splitChunks: {
+        chunks: 'all',
+        cacheGroups: {
+          vendors: {
+            test: expect.any(RegExp),
+            name: 'vendors',
+            priority: -10,
+          },
+        },
+      },
+    });
+    expect(results[0].optimization.splitChunks.cacheGroups.vendors.test.test(
+      '/project/node_modules/react/index.js'
+    ))
+    .toBeTrue();
+    expect(results[0].optimization.splitChunks.cacheGroups.vendors.test.test(
+      '/project/src/index.js'
+    ))
+    .toBeFalse();
+    expect(results[1].optimization).toEqual({
+      minimizer: expect.any(Array),
+      splitChunks: false,
+    });
+    expect(results[2].optimization).toEqual({
+      minimizer: expect.any(Array),
+      splitChunks: results[0].optimization.splitChunks,
+      runtimeChunk: 'single',
+    });
+    expect(results[3].optimization).toEqual({
+      minimizer: expect.any(Array),
+      runtimeChunk: 'single',
+    });
+  });
+
+  it('should create a configuration with the granular code splitting preset', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (codeSplitting) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      codeSplitting,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const minSize = 50000;
+    const modules = [
+      { context: '/project/node_modules/react-dom/cjs' },
+      { context: 'C:\\project\\node_modules\\@babel\\runtime\\helpers' },
+      { context: '/project/node_modules/a/node_modules/b' },
+    ];
+    let sut = null;
+    let results = null;
+    let cacheGroups = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    results = ['granular', { preset: 'granular', minSize }].map((codeSplitting) => (
+      sut.getConfig(createParams(createTarget(codeSplitting)))
+    ));
+    ({ cacheGroups } = results[0].optimization.splitChunks);
+    // Then
+    expect(results[0].optimization).toEqual({
+      minimizer: expect.any(Array),
+      splitChunks: {
+        chunks: 'all',
+        maxInitialRequests: Infinity,
+        cacheGroups: {
+          packages: {
+            test: expect.any(RegExp),
+            name: expect.any(Function),
+            minSize: 30000,
+            priority: -5,
+          },
+          vendors: {
+            test: expect.any(RegExp),
+            name: 'vendors',
+            priority: -10,
+          },
+        },
+      },
+    });
+    expect(modules.map((module) => cacheGroups.packages.name(module))).toEqual([
+      'vendor.react-dom',
+      'vendor.babel-runtime',
+      'vendor.a',
+    ]);
+    expect(results[1].optimization.splitChunks.cacheGroups.packages.minSize).toBe(minSize);
+  });
+
+  it('should throw an error when creating a configuration with an invalid code splitting preset', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (codeSplitting) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      codeSplitting,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const preset = 'vendors';
+    let sut = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    // Then
+    expect(() => sut.getConfig(createParams(createTarget(preset))))
+    .toThrow(/invalid code splitting preset: vendors/i);
+  });
+
+  it('should add the Compression plugins using the target compression settings', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (compression, library = false) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      library,
+      libraryOptions: {
+        compress: compression,
+      },
+      compression,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const compressionSettings = {
+      algorithms: ['gzip', 'brotli'],
+      threshold: 1024,
+      minRatio: 0.7,
+      extensions: ['js', 'css'],
+    };
+    const brotliOnly = {
+      algorithms: ['brotli'],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    sut.getConfig(createParams(createTarget(compressionSettings)));
+    sut.getConfig(createParams(createTarget(brotliOnly, true)));
+    sut.getConfig(createParams(createTarget(false)));
+    sut.getConfig(createParams(createTarget(true)));
+    // Then
+    expect(CompressionPlugin).toHaveBeenCalledTimes(4);
+    expect(CompressionPlugin).toHaveBeenNthCalledWith(1, {
+      algorithm: 'gzip',
+      filename: '[path].gz[query]',
+      threshold: compressionSettings.threshold,
+      minRatio: compressionSettings.minRatio,
+      test: /\.(?:js|css)$/i,
+    });
+    expect(CompressionPlugin).toHaveBeenNthCalledWith(2, {
+      algorithm: 'brotliCompress',
+      filename: '[path].br[query]',
+      threshold: compressionSettings.threshold,
+      minRatio: compressionSettings.minRatio,
+      test: /\.(?:js|css)$/i,
+    });
+    expect(CompressionPlugin).toHaveBeenNthCalledWith(3, {
+      algorithm: 'brotliCompress',
+      filename: '[path].br[query]',
+    });
+    expect(CompressionPlugin).toHaveBeenNthCalledWith(4, {
+      algorithm: 'gzip',
+      filename: '[path].gz[query]',
+    });
+  });
+
+  it('should skip the compression algorithms the Node version doesn\'t support', () => {
+    // Given
+    const { brotliCompress } = zlib;
+    delete zlib.brotliCompress;
+    const appLogger = {
+      warning: jest.fn(),
+    };
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      compression: {
+        algorithms: ['gzip', 'brotli'],
+      },
+    };
+    const params = {
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    sut.getConfig(params);
+    zlib.brotliCompress = brotliCompress;
+    // Then
+    expect(CompressionPlugin).toHaveBeenCalledTimes(1);
+    expect(CompressionPlugin).toHaveBeenCalledWith({
+      algorithm: 'gzip',
+      filename: '[path].gz[query]',
+    });
+    expect(appLogger.warning).toHaveBeenCalledTimes(1);
+    expect(appLogger.warning).toHaveBeenCalledWith(expect.stringMatching(
+      /the 'brotli' compression algorithm is not available/i
+    ));
+  });
+
+  it('should throw an error when creating a configuration with an invalid compression algorithm', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const targetsHTML = {
+      getFilepath: jest.fn((targetInfo) => targetInfo.html.template),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const createTarget = (compression, library = false) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      paths: {
+        source: 'source-path',
+      },
+      html: {
+        template: 'index.html',
+      },
+      sourceMap: {},
+      css: {},
+      uglifyOnProduction: true,
+      watch: {
+        production: false,
+      },
+      library,
+      libraryOptions: {
+        compress: compression,
+      },
+      compression,
+    });
+    const createParams = (target) => ({
+      target,
+      definitions: 'definitions',
+      entry: {
+        [target.name]: ['/index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+        css: 'statics/css/build.css',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    const compression = {
+      algorithms: ['gzip', 'deflate'],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackBrowserProductionConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      targetsHTML,
+      webpackBaseConfiguration
+    );
+    // Then
+    expect(() => sut.getConfig(createParams(createTarget(compression))))
+    .toThrow(/invalid compression algorithm: deflate/i);
+  });
+
   it('should include a provider for the DIC', () => {
     // Given
     let sut = null;
@@ -1018,6 +2364,7 @@ describe('services/configurations:browserProductionConfiguration', () => {
     expect(serviceName).toBe('webpackBrowserProductionConfiguration');
     expect(serviceFn).toBeFunction();
     expect(sut).toBeInstanceOf(WebpackBrowserProductionConfiguration);
+    expect(sut.appLogger).toBe('appLogger');
     expect(sut.events).toBe('events');
   });
 });
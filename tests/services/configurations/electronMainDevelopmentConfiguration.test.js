@@ -0,0 +1,216 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
+jest.unmock('/src/services/configurations/electronMainDevelopmentConfiguration');
+
+require('jasmine-expect');
+const { ProjextWebpackBundleRunner } = require('/src/plugins');
+
+const {
+  WebpackElectronMainDevelopmentConfiguration,
+  webpackElectronMainDevelopmentConfiguration,
+} = require('/src/services/configurations/electronMainDevelopmentConfiguration');
+
+describe('services/configurations:electronMainDevelopmentConfiguration', () => {
+  beforeEach(() => {
+    ConfigurationFileMock.reset();
+    ProjextWebpackBundleRunner.mockReset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const events = 'events';
+    const pathUtils = 'pathUtils';
+    const rootRequire = 'rootRequire';
+    const webpackNodeDevelopmentConfiguration = 'webpackNodeDevelopmentConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackElectronMainDevelopmentConfiguration(
+      events,
+      pathUtils,
+      rootRequire,
+      webpackNodeDevelopmentConfiguration
+    );
+    // Then
+    expect(sut).toBeInstanceOf(WebpackElectronMainDevelopmentConfiguration);
+    expect(sut.constructorMock).toHaveBeenCalledTimes(1);
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      pathUtils,
+      [
+        'config/webpack/electron-main.development.config.js',
+        'config/webpack/electron-main.config.js',
+      ],
+      true,
+      webpackNodeDevelopmentConfiguration
+    );
+    expect(sut.events).toBe(events);
+    expect(sut.rootRequire).toBe(rootRequire);
+  });
+
+  it('should create a configuration', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const rootRequire = jest.fn();
+    const webpackNodeDevelopmentConfiguration = 'webpackNodeDevelopmentConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const config = {
+      target: 'node',
+      node: {
+        fs: 'empty',
+      },
+      plugins: ['plugin'],
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = Object.assign({}, config, {
+      target: 'electron-main',
+      node: {
+        fs: 'empty',
+        __dirname: false,
+        __filename: false,
+      },
+    });
+    // When
+    sut = new WebpackElectronMainDevelopmentConfiguration(
+      events,
+      pathUtils,
+      rootRequire,
+      webpackNodeDevelopmentConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(rootRequire).toHaveBeenCalledTimes(0);
+    expect(ProjextWebpackBundleRunner).toHaveBeenCalledTimes(0);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-electron-main-development-configuration',
+        'webpack-electron-main-configuration',
+      ],
+      expectedConfig,
+      params
+    );
+  });
+
+  it('should create a configuration that runs the bundle with Electron', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const execPath = '/electron/bin';
+    const rootRequire = jest.fn(() => execPath);
+    const webpackNodeDevelopmentConfiguration = 'webpackNodeDevelopmentConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const runnerOptions = {
+      logger: 'logger',
+    };
+    const runner = new ProjextWebpackBundleRunner();
+    runner.getOptions = jest.fn(() => runnerOptions);
+    ProjextWebpackBundleRunner.mockClear();
+    const config = {
+      target: 'node',
+      plugins: ['plugin', runner],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackElectronMainDevelopmentConfiguration(
+      events,
+      pathUtils,
+      rootRequire,
+      webpackNodeDevelopmentConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result.target).toBe('electron-main');
+    expect(result.plugins).toEqual([
+      'plugin',
+      expect.any(ProjextWebpackBundleRunner),
+    ]);
+    expect(result.plugins[1]).not.toBe(runner);
+    expect(config.plugins[1]).toBe(runner);
+    expect(rootRequire).toHaveBeenCalledTimes(1);
+    expect(rootRequire).toHaveBeenCalledWith('electron');
+    expect(ProjextWebpackBundleRunner).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackBundleRunner).toHaveBeenCalledWith({
+      logger: 'logger',
+      execPath,
+    });
+  });
+
+  it('should throw an error if the target needs to run but Electron is not installed', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const rootRequire = jest.fn(() => {
+      throw new Error('Cannot find module');
+    });
+    const webpackNodeDevelopmentConfiguration = 'webpackNodeDevelopmentConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const runner = new ProjextWebpackBundleRunner();
+    const config = {
+      target: 'node',
+      plugins: [runner],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackElectronMainDevelopmentConfiguration(
+      events,
+      pathUtils,
+      rootRequire,
+      webpackNodeDevelopmentConfiguration
+    );
+    // Then
+    expect(() => sut.createConfig(params, config))
+    .toThrow(/needs the `electron` package/i);
+    expect(events.reduce).toHaveBeenCalledTimes(0);
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackElectronMainDevelopmentConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackElectronMainDevelopmentConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackElectronMainDevelopmentConfiguration);
+    expect(sut.events).toBe('events');
+    expect(sut.rootRequire).toBe('rootRequire');
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      'pathUtils',
+      expect.any(Array),
+      true,
+      'webpackNodeDevelopmentConfiguration'
+    );
+  });
+});
@@ -0,0 +1,124 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
+jest.unmock('/src/services/configurations/electronMainProductionConfiguration');
+
+require('jasmine-expect');
+
+const {
+  WebpackElectronMainProductionConfiguration,
+  webpackElectronMainProductionConfiguration,
+} = require('/src/services/configurations/electronMainProductionConfiguration');
+
+describe('services/configurations:electronMainProductionConfiguration', () => {
+  beforeEach(() => {
+    ConfigurationFileMock.reset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const events = 'events';
+    const pathUtils = 'pathUtils';
+    const webpackNodeProductionConfiguration = 'webpackNodeProductionConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackElectronMainProductionConfiguration(
+      events,
+      pathUtils,
+      webpackNodeProductionConfiguration
+    );
+    // Then
+    expect(sut).toBeInstanceOf(WebpackElectronMainProductionConfiguration);
+    expect(sut.constructorMock).toHaveBeenCalledTimes(1);
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      pathUtils,
+      [
+        'config/webpack/electron-main.production.config.js',
+        'config/webpack/electron-main.config.js',
+      ],
+      true,
+      webpackNodeProductionConfiguration
+    );
+    expect(sut.events).toBe(events);
+  });
+
+  it('should create a configuration', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackNodeProductionConfiguration = 'webpackNodeProductionConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const config = {
+      target: 'web',
+      output: {
+        path: 'some-path',
+      },
+      node: {
+        fs: 'empty',
+      },
+      plugins: ['plugin'],
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = Object.assign({}, config, {
+      target: 'electron-main',
+      node: {
+        fs: 'empty',
+        __dirname: false,
+        __filename: false,
+      },
+    });
+    // When
+    sut = new WebpackElectronMainProductionConfiguration(
+      events,
+      pathUtils,
+      webpackNodeProductionConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-electron-main-production-configuration',
+        'webpack-electron-main-configuration',
+      ],
+      expectedConfig,
+      params
+    );
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackElectronMainProductionConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackElectronMainProductionConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackElectronMainProductionConfiguration);
+    expect(sut.events).toBe('events');
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      'pathUtils',
+      expect.any(Array),
+      true,
+      'webpackNodeProductionConfiguration'
+    );
+  });
+});
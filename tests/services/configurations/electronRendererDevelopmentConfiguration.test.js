@@ -0,0 +1,124 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
+jest.unmock('/src/services/configurations/electronRendererDevelopmentConfiguration');
+
+require('jasmine-expect');
+
+const {
+  WebpackElectronRendererDevelopmentConfiguration,
+  webpackElectronRendererDevelopmentConfiguration,
+} = require('/src/services/configurations/electronRendererDevelopmentConfiguration');
+
+describe('services/configurations:electronRendererDevelopmentConfiguration', () => {
+  beforeEach(() => {
+    ConfigurationFileMock.reset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const events = 'events';
+    const pathUtils = 'pathUtils';
+    const webpackBrowserDevelopmentConfiguration = 'webpackBrowserDevelopmentConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackElectronRendererDevelopmentConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserDevelopmentConfiguration
+    );
+    // Then
+    expect(sut).toBeInstanceOf(WebpackElectronRendererDevelopmentConfiguration);
+    expect(sut.constructorMock).toHaveBeenCalledTimes(1);
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      pathUtils,
+      [
+        'config/webpack/electron-renderer.development.config.js',
+        'config/webpack/electron-renderer.config.js',
+      ],
+      true,
+      webpackBrowserDevelopmentConfiguration
+    );
+    expect(sut.events).toBe(events);
+  });
+
+  it('should create a configuration', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBrowserDevelopmentConfiguration = 'webpackBrowserDevelopmentConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const config = {
+      target: 'web',
+      output: {
+        path: 'some-path',
+      },
+      node: {
+        fs: 'empty',
+      },
+      plugins: ['plugin'],
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = Object.assign({}, config, {
+      target: 'electron-renderer',
+      node: {
+        fs: 'empty',
+        __dirname: false,
+        __filename: false,
+      },
+    });
+    // When
+    sut = new WebpackElectronRendererDevelopmentConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserDevelopmentConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-electron-renderer-development-configuration',
+        'webpack-electron-renderer-configuration',
+      ],
+      expectedConfig,
+      params
+    );
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackElectronRendererDevelopmentConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackElectronRendererDevelopmentConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackElectronRendererDevelopmentConfiguration);
+    expect(sut.events).toBe('events');
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      'pathUtils',
+      expect.any(Array),
+      true,
+      'webpackBrowserDevelopmentConfiguration'
+    );
+  });
+});
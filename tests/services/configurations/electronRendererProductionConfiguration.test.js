@@ -0,0 +1,128 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
+jest.unmock('/src/services/configurations/electronRendererProductionConfiguration');
+
+require('jasmine-expect');
+
+const {
+  WebpackElectronRendererProductionConfiguration,
+  webpackElectronRendererProductionConfiguration,
+} = require('/src/services/configurations/electronRendererProductionConfiguration');
+
+describe('services/configurations:electronRendererProductionConfiguration', () => {
+  beforeEach(() => {
+    ConfigurationFileMock.reset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const events = 'events';
+    const pathUtils = 'pathUtils';
+    const webpackBrowserProductionConfiguration = 'webpackBrowserProductionConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackElectronRendererProductionConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserProductionConfiguration
+    );
+    // Then
+    expect(sut).toBeInstanceOf(WebpackElectronRendererProductionConfiguration);
+    expect(sut.constructorMock).toHaveBeenCalledTimes(1);
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      pathUtils,
+      [
+        'config/webpack/electron-renderer.production.config.js',
+        'config/webpack/electron-renderer.config.js',
+      ],
+      true,
+      webpackBrowserProductionConfiguration
+    );
+    expect(sut.events).toBe(events);
+  });
+
+  it('should create a configuration', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBrowserProductionConfiguration = 'webpackBrowserProductionConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const config = {
+      target: 'web',
+      output: {
+        path: 'some-path',
+      },
+      node: {
+        fs: 'empty',
+      },
+      plugins: ['plugin'],
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = Object.assign({}, config, {
+      target: 'electron-renderer',
+      output: {
+        path: 'some-path',
+        publicPath: './',
+      },
+      node: {
+        fs: 'empty',
+        __dirname: false,
+        __filename: false,
+      },
+    });
+    // When
+    sut = new WebpackElectronRendererProductionConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserProductionConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-electron-renderer-production-configuration',
+        'webpack-electron-renderer-configuration',
+      ],
+      expectedConfig,
+      params
+    );
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackElectronRendererProductionConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackElectronRendererProductionConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackElectronRendererProductionConfiguration);
+    expect(sut.events).toBe('events');
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      'pathUtils',
+      expect.any(Array),
+      true,
+      'webpackBrowserProductionConfiguration'
+    );
+  });
+});
@@ -319,7 +319,9 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
     expect(ProjextWebpackBundleRunner).toHaveBeenCalledWith({
       logger: appLogger,
       inspect: target.inspect,
+      hot: false,
     });
+    expect(webpackMock.HotModuleReplacementPluginMock).toHaveBeenCalledTimes(0);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
@@ -331,6 +333,78 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
     );
   });
 
+  it('should create a configuration to run the target with hot replacement', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      runOnDevelopment: true,
+      hot: true,
+      watch: {
+        development: false,
+      },
+      inspect: {
+        enabled: false,
+      },
+      sourceMap: {
+        development: true,
+      },
+      sourceMapSupport: true,
+    };
+    const entry = {
+      [target.name]: ['index.js'],
+    };
+    const params = {
+      target,
+      entry,
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.entry).toEqual({
+      [target.name]: [
+        require.resolve('source-map-support/register'),
+        expect.stringMatching(/src\/plugins\/bundleRunner\/hotEntry\.js$/),
+        'index.js',
+      ],
+    });
+    expect(entry).toEqual({
+      [target.name]: ['index.js'],
+    });
+    expect(result.watch).toBeTrue();
+    expect(ProjextWebpackBundleRunner).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackBundleRunner).toHaveBeenCalledWith({
+      logger: appLogger,
+      inspect: target.inspect,
+      hot: true,
+    });
+    expect(webpackMock.NamedModulesPluginMock).toHaveBeenCalledTimes(1);
+    expect(webpackMock.HotModuleReplacementPluginMock).toHaveBeenCalledTimes(1);
+  });
+
   it('should create a configuration to watch the target', () => {
     // Given
     const appLogger = 'appLogger';
@@ -451,6 +525,9 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
     const copy = ['file-to-copy'];
     const additionalWatch = [];
     const analyze = true;
+    const analyzer = {
+      analyzerMode: 'static',
+    };
     const params = {
       target,
       entry,
@@ -458,6 +535,7 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     };
     const expectedConfig = {
       entry,
@@ -493,6 +571,7 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
     expect(CopyWebpackPlugin).toHaveBeenCalledWith(copy);
     expect(ExtraWatchWebpackPlugin).toHaveBeenCalledTimes(0);
     expect(BundleAnalyzerPlugin).toHaveBeenCalledTimes(1);
+    expect(BundleAnalyzerPlugin).toHaveBeenCalledWith(analyzer);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
@@ -504,6 +583,124 @@ describe('services/configurations:nodeDevelopmentConfiguration', () => {
     );
   });
 
+  it('should create a configuration with source map support', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const getTarget = (sourceMapSupport) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        development: false,
+      },
+      sourceMap: {
+        development: true,
+      },
+      sourceMapSupport,
+    });
+    const entry = {
+      main: ['index.js'],
+      worker: ['worker.js'],
+    };
+    const settings = [
+      true,
+      {
+        inline: true,
+      },
+    ];
+    let results = null;
+    // When
+    results = settings.map((sourceMapSupport) => {
+      const sut = new WebpackNodeDevelopmentConfiguration(
+        appLogger,
+        events,
+        pathUtils,
+        webpackBaseConfiguration
+      );
+      return sut.getConfig({
+        target: getTarget(sourceMapSupport),
+        entry,
+        output: {
+          js: 'statics/js/build.js',
+          jsChunks: 'statics/js/build.[name].js',
+        },
+        copy: [],
+        additionalWatch: [],
+      });
+    });
+    // Then
+    expect(results.map((result) => result.devtool)).toEqual([
+      'source-map',
+      'inline-source-map',
+    ]);
+    results.forEach((result) => {
+      expect(result.entry).toEqual({
+        main: [require.resolve('source-map-support/register'), 'index.js'],
+        worker: [require.resolve('source-map-support/register'), 'worker.js'],
+      });
+    });
+    expect(entry).toEqual({
+      main: ['index.js'],
+      worker: ['worker.js'],
+    });
+  });
+
+  it('shouldn\'t add source map support if the source maps are disabled', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        development: false,
+      },
+      sourceMap: {
+        development: false,
+      },
+      sourceMapSupport: true,
+    };
+    const entry = {
+      [target.name]: ['index.js'],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeDevelopmentConfiguration(
+      appLogger,
+      events,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig({
+      target,
+      entry,
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    // Then
+    expect(result.devtool).toBeUndefined();
+    expect(result.entry).toEqual(entry);
+  });
+
   it('should include a provider for the DIC', () => {
     // Given
     let sut = null;
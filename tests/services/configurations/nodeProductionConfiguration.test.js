@@ -16,6 +16,11 @@ const OptimizeCssAssetsPlugin = require('optimize-css-assets-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const ExtraWatchWebpackPlugin = require('extra-watch-webpack-plugin');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
+const {
+  ProjextWebpackDeployPackage,
+  ProjextWebpackExternalsReport,
+  ProjextWebpackSizeReport,
+} = require('/src/plugins');
 
 const {
   WebpackNodeProductionConfiguration,
@@ -30,17 +35,24 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     CopyWebpackPlugin.mockReset();
     ExtraWatchWebpackPlugin.mockReset();
     BundleAnalyzerPlugin.mockReset();
+    ProjextWebpackSizeReport.mockReset();
+    ProjextWebpackExternalsReport.mockReset();
+    ProjextWebpackDeployPackage.mockReset();
   });
 
   it('should be instantiated with all its dependencies', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = 'events';
+    const packageInfo = 'packageInfo';
     const pathUtils = 'pathUtils';
     const webpackBaseConfiguration = 'webpackBaseConfiguration';
     let sut = null;
     // When
     sut = new WebpackNodeProductionConfiguration(
+      appLogger,
       events,
+      packageInfo,
       pathUtils,
       webpackBaseConfiguration
     );
@@ -56,14 +68,18 @@ describe('services/configurations:nodeProductionConfiguration', () => {
       true,
       webpackBaseConfiguration
     );
+    expect(sut.appLogger).toBe(appLogger);
     expect(sut.events).toBe(events);
+    expect(sut.packageInfo).toBe(packageInfo);
   });
 
   it('should create a configuration', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
+    const packageInfo = 'packageInfo';
     const pathUtils = 'pathUtils';
     const webpackBaseConfiguration = 'webpackBaseConfiguration';
     const target = {
@@ -115,7 +131,9 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackNodeProductionConfiguration(
+      appLogger,
       events,
+      packageInfo,
       pathUtils,
       webpackBaseConfiguration
     );
@@ -143,9 +161,11 @@ describe('services/configurations:nodeProductionConfiguration', () => {
 
   it('should create a configuration and enable source maps', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
+    const packageInfo = 'packageInfo';
     const pathUtils = 'pathUtils';
     const webpackBaseConfiguration = 'webpackBaseConfiguration';
     const target = {
@@ -198,7 +218,9 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackNodeProductionConfiguration(
+      appLogger,
       events,
+      packageInfo,
       pathUtils,
       webpackBaseConfiguration
     );
@@ -223,9 +245,11 @@ describe('services/configurations:nodeProductionConfiguration', () => {
 
   it('should create a configuration with the bundle analyzer', () => {
     // Given
+    const appLogger = 'appLogger';
     const events = {
       reduce: jest.fn((eventName, loaders) => loaders),
     };
+    const packageInfo = 'packageInfo';
     const pathUtils = 'pathUtils';
     const webpackBaseConfiguration = 'webpackBaseConfiguration';
     const target = {
@@ -251,6 +275,9 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     const copy = ['file-to-copy'];
     const additionalWatch = [];
     const analyze = true;
+    const analyzer = {
+      analyzerMode: 'static',
+    };
     const params = {
       target,
       entry,
@@ -258,6 +285,7 @@ describe('services/configurations:nodeProductionConfiguration', () => {
       copy,
       additionalWatch,
       analyze,
+      analyzer,
     };
     const expectedConfig = {
       entry,
@@ -280,7 +308,9 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     let result = null;
     // When
     sut = new WebpackNodeProductionConfiguration(
+      appLogger,
       events,
+      packageInfo,
       pathUtils,
       webpackBaseConfiguration
     );
@@ -293,6 +323,8 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     expect(CopyWebpackPlugin).toHaveBeenCalledWith(copy);
     expect(ExtraWatchWebpackPlugin).toHaveBeenCalledTimes(0);
     expect(BundleAnalyzerPlugin).toHaveBeenCalledTimes(1);
+    expect(BundleAnalyzerPlugin).toHaveBeenCalledWith(analyzer);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(0);
     expect(events.reduce).toHaveBeenCalledTimes(1);
     expect(events.reduce).toHaveBeenCalledWith(
       [
@@ -304,6 +336,483 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     );
   });
 
+  it('should create a configuration with a size report', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = {
+      join: jest.fn((rest) => `/project/${rest}`),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      sizeReport: true,
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackSizeReport));
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledWith({
+      logger: appLogger,
+    });
+  });
+
+  it('should create a configuration with a custom size report', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = {
+      join: jest.fn((rest) => `/project/${rest}`),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      sizeReport: {
+        filename: 'reports/size.json',
+        baseline: 'reports/size.baseline.json',
+      },
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    sut.getConfig(params);
+    // Then
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackSizeReport).toHaveBeenCalledWith({
+      filename: 'reports/size.json',
+      baseline: 'reports/size.baseline.json',
+      logger: appLogger,
+    });
+  });
+
+  it('should create a configuration with an externals report when bundling dependencies', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      bundleDependencies: true,
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackExternalsReport));
+    expect(ProjextWebpackExternalsReport).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackExternalsReport).toHaveBeenCalledWith({
+      logger: appLogger,
+    });
+  });
+
+  it('should create a configuration with a deployment package.json', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = {
+      join: jest.fn((rest) => `ROOT_DIR/${rest}`),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      deployPackage: true,
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackDeployPackage));
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledWith({
+      packageInfo,
+      lockfile: null,
+      filename: 'package.json',
+      logger: appLogger,
+    });
+    expect(ProjextWebpackExternalsReport).toHaveBeenCalledTimes(0);
+  });
+
+  it('should create a configuration with a deployment package.json and lockfile', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = {
+      join: jest.fn((rest) => `ROOT_DIR/${rest}`),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      deployPackage: {
+        filename: 'deploy/package.json',
+        lockfile: true,
+      },
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackDeployPackage));
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledWith({
+      packageInfo,
+      lockfile: 'ROOT_DIR/package-lock.json',
+      filename: 'deploy/package.json',
+      logger: appLogger,
+    });
+    expect(pathUtils.join).toHaveBeenCalledWith('package-lock.json');
+  });
+
+  it('should create a configuration with a custom lockfile for the deployment package', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = {
+      join: jest.fn((rest) => `ROOT_DIR/${rest}`),
+    };
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      deployPackage: {
+        filename: 'deploy/package.json',
+        lockfile: 'npm-shrinkwrap.json',
+      },
+    };
+    const params = {
+      target,
+      entry: {
+        [target.name]: ['index.js'],
+      },
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig(params);
+    // Then
+    expect(result.plugins).toContainEqual(expect.any(ProjextWebpackDeployPackage));
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledTimes(1);
+    expect(ProjextWebpackDeployPackage).toHaveBeenCalledWith({
+      packageInfo,
+      lockfile: 'ROOT_DIR/npm-shrinkwrap.json',
+      filename: 'deploy/package.json',
+      logger: appLogger,
+    });
+    expect(pathUtils.join).toHaveBeenCalledWith('npm-shrinkwrap.json');
+  });
+
+  it('should create a configuration with source map support', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const getTarget = (sourceMapSupport) => ({
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: true,
+      },
+      sourceMapSupport,
+    });
+    const entry = {
+      main: ['index.js'],
+      worker: ['worker.js'],
+    };
+    const settings = [
+      true,
+      {
+        inline: true,
+      },
+    ];
+    let results = null;
+    // When
+    results = settings.map((sourceMapSupport) => {
+      const sut = new WebpackNodeProductionConfiguration(
+        appLogger,
+        events,
+        packageInfo,
+        pathUtils,
+        webpackBaseConfiguration
+      );
+      return sut.getConfig({
+        target: getTarget(sourceMapSupport),
+        entry,
+        output: {
+          js: 'statics/js/build.js',
+          jsChunks: 'statics/js/build.[name].js',
+        },
+        copy: [],
+        additionalWatch: [],
+      });
+    });
+    // Then
+    expect(results.map((result) => result.devtool)).toEqual([
+      'source-map',
+      'inline-source-map',
+    ]);
+    results.forEach((result) => {
+      expect(result.entry).toEqual({
+        main: [require.resolve('source-map-support/register'), 'index.js'],
+        worker: [require.resolve('source-map-support/register'), 'worker.js'],
+      });
+    });
+    expect(entry).toEqual({
+      main: ['index.js'],
+      worker: ['worker.js'],
+    });
+  });
+
+  it('shouldn\'t add source map support if the source maps are disabled', () => {
+    // Given
+    const appLogger = 'appLogger';
+    const events = {
+      reduce: jest.fn((eventName, loaders) => loaders),
+    };
+    const packageInfo = 'packageInfo';
+    const pathUtils = 'pathUtils';
+    const webpackBaseConfiguration = 'webpackBaseConfiguration';
+    const target = {
+      name: 'targetName',
+      folders: {
+        build: 'build-folder',
+      },
+      excludeModules: [],
+      watch: {
+        production: false,
+      },
+      sourceMap: {
+        production: false,
+      },
+      sourceMapSupport: true,
+    };
+    const entry = {
+      [target.name]: ['index.js'],
+    };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new WebpackNodeProductionConfiguration(
+      appLogger,
+      events,
+      packageInfo,
+      pathUtils,
+      webpackBaseConfiguration
+    );
+    result = sut.getConfig({
+      target,
+      entry,
+      output: {
+        js: 'statics/js/build.js',
+        jsChunks: 'statics/js/build.[name].js',
+      },
+      copy: [],
+      additionalWatch: [],
+    });
+    // Then
+    expect(result.devtool).toBeUndefined();
+    expect(result.entry).toEqual(entry);
+  });
+
   it('should include a provider for the DIC', () => {
     // Given
     let sut = null;
@@ -321,6 +830,8 @@ describe('services/configurations:nodeProductionConfiguration', () => {
     expect(serviceName).toBe('webpackNodeProductionConfiguration');
     expect(serviceFn).toBeFunction();
     expect(sut).toBeInstanceOf(WebpackNodeProductionConfiguration);
+    expect(sut.appLogger).toBe('appLogger');
     expect(sut.events).toBe('events');
+    expect(sut.packageInfo).toBe('packageInfo');
   });
 });
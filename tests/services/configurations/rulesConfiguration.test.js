@@ -287,7 +287,8 @@ describe('services/configurations:rulesConfiguration', () => {
     expect(sut.constructorMock).toHaveBeenCalledTimes(1);
     expect(sut.constructorMock).toHaveBeenCalledWith(
       pathUtils,
-      'webpack/rules.config.js'
+      'webpack/rules.config.js',
+      true
     );
     expect(sut.babelConfiguration).toBe(babelConfiguration);
     expect(sut.events).toBe(events);
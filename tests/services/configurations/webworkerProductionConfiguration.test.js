@@ -0,0 +1,119 @@
+const JimpleMock = require('/tests/mocks/jimple.mock');
+const ConfigurationFileMock = require('/tests/mocks/configurationFile.mock');
+
+jest.mock('jimple', () => JimpleMock);
+jest.mock('/src/abstracts/configurationFile', () => ConfigurationFileMock);
+jest.unmock('/src/services/configurations/webworkerProductionConfiguration');
+
+require('jasmine-expect');
+
+const {
+  WebpackWebworkerProductionConfiguration,
+  webpackWebworkerProductionConfiguration,
+} = require('/src/services/configurations/webworkerProductionConfiguration');
+
+describe('services/configurations:webworkerProductionConfiguration', () => {
+  beforeEach(() => {
+    ConfigurationFileMock.reset();
+  });
+
+  it('should be instantiated with all its dependencies', () => {
+    // Given
+    const events = 'events';
+    const pathUtils = 'pathUtils';
+    const webpackBrowserProductionConfiguration = 'webpackBrowserProductionConfiguration';
+    let sut = null;
+    // When
+    sut = new WebpackWebworkerProductionConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserProductionConfiguration
+    );
+    // Then
+    expect(sut).toBeInstanceOf(WebpackWebworkerProductionConfiguration);
+    expect(sut.constructorMock).toHaveBeenCalledTimes(1);
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      pathUtils,
+      [
+        'config/webpack/webworker.production.config.js',
+        'config/webpack/webworker.config.js',
+      ],
+      true,
+      webpackBrowserProductionConfiguration
+    );
+    expect(sut.events).toBe(events);
+  });
+
+  it('should create a configuration', () => {
+    // Given
+    const events = {
+      reduce: jest.fn((eventName, config) => config),
+    };
+    const pathUtils = 'pathUtils';
+    const webpackBrowserProductionConfiguration = 'webpackBrowserProductionConfiguration';
+    const params = {
+      target: {
+        name: 'targetName',
+      },
+    };
+    const config = {
+      target: 'web',
+      output: {
+        path: 'some-path',
+      },
+      node: {
+        fs: 'empty',
+      },
+      plugins: ['plugin'],
+    };
+    let sut = null;
+    let result = null;
+    const expectedConfig = Object.assign({}, config, {
+      target: 'webworker',
+    });
+    // When
+    sut = new WebpackWebworkerProductionConfiguration(
+      events,
+      pathUtils,
+      webpackBrowserProductionConfiguration
+    );
+    result = sut.createConfig(params, config);
+    // Then
+    expect(result).toEqual(expectedConfig);
+    expect(events.reduce).toHaveBeenCalledTimes(1);
+    expect(events.reduce).toHaveBeenCalledWith(
+      [
+        'webpack-webworker-production-configuration',
+        'webpack-webworker-configuration',
+      ],
+      expectedConfig,
+      params
+    );
+  });
+
+  it('should include a provider for the DIC', () => {
+    // Given
+    let sut = null;
+    const container = {
+      set: jest.fn(),
+      get: jest.fn((service) => service),
+    };
+    let serviceName = null;
+    let serviceFn = null;
+    // When
+    webpackWebworkerProductionConfiguration(container);
+    [[serviceName, serviceFn]] = container.set.mock.calls;
+    sut = serviceFn();
+    // Then
+    expect(serviceName).toBe('webpackWebworkerProductionConfiguration');
+    expect(serviceFn).toBeFunction();
+    expect(sut).toBeInstanceOf(WebpackWebworkerProductionConfiguration);
+    expect(sut.events).toBe('events');
+    expect(sut.constructorMock).toHaveBeenCalledWith(
+      'pathUtils',
+      expect.any(Array),
+      true,
+      'webpackBrowserProductionConfiguration'
+    );
+  });
+});